@@ -1,13 +1,24 @@
 import React, { useState, useEffect, useCallback, useRef } from "react";
 import { LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
 import { Analytics } from "@vercel/analytics/react";
+import { MB, MK, CORE, ageNorms, PCT_AT, SEM } from "./metrics.js";
+import { vaultExists, createVault, unlockVault, saveVault, wipeVault } from "./vault.js";
+import { buildBackup } from "./backup.js";
+import { CSV_FIELDS, guessMapping, mapRows, toCSV } from "./csv.js";
+import { buildFHIRBundle, inFHIRExport } from "./fhir.js";
+import { buildPDF } from "./pdf.js";
+import { canvasSurface, svgSurface } from "./surface.js";
+import { flagReadings } from "./quality.js";
+import { buildShareLink, readShare, shareFragment, isEncryptedShare, roundForShare } from "./share.js";
+import { IMPORTERS, ACCEPT, importerById, importerByLabel, detectImporter, sourceOf, isDeviceEntry } from "./registry.js";
+import { activeRef, setActiveRef, refOverride, applyOverride, refLabel, overrideErrors, profileErrors, buildRefProfile, parseRefProfile } from "./refprofile.js";
 
 // ── Ethnicity config ──────────────────────────────────────────────────────
 const ETHNICITIES = [
   { id:"general",       label:"General Population", subtitle:"", note:"Standard ACSM/AHA/ADA norms.", adjustments:{} },
   { id:"south_asian",   label:"South Asian", subtitle:"Indian, Pakistani, Bangladeshi, Sri Lankan",
     note:"WHO 2004: higher cardiometabolic risk at lower thresholds.",
-    adjustments:{ bodyfat:{ optMaxD:-3 }, glucose:{ optMaxD:-5 } } },
+    adjustments:{ bodyfat:{ optMaxD:-3 }, glucose:{ optMaxD:-5 }, waist:{ optMaxD:-4 } } },
   { id:"black_african", label:"Black / African American", subtitle:"African American, African Caribbean",
     note:"AHA/ACC 2017: earlier hypertension onset, higher CVD risk.",
     adjustments:{ bp:{ optMaxD:-5 }, glucose:{ optMaxD:-5 } } },
@@ -16,82 +27,17 @@ const ETHNICITIES = [
     adjustments:{ glucose:{ optMaxD:-5 }, bodyfat:{ optMaxD:-2 } } },
   { id:"east_asian",    label:"East Asian", subtitle:"Chinese, Japanese, Korean, Taiwanese",
     note:"WHO 2004: cardiometabolic risk at lower body fat levels.",
-    adjustments:{ bodyfat:{ optMaxD:-3 }, glucose:{ optMaxD:-3 } } },
+    adjustments:{ bodyfat:{ optMaxD:-3 }, glucose:{ optMaxD:-3 }, waist:{ optMaxD:-4 } } },
 ];
 
-// ── Base metric definitions ───────────────────────────────────────────────
-const MB = {
-  vo2max:  { label:"VO₂ Max",           unit:"mL/kg/min", higherIsBetter:true,  dp:1, source:"ACSM by sex/age",
-    description:"Cardiorespiratory fitness — #1 longevity predictor",
-    howTo:"Apple Watch (auto-synced) or 12-min Cooper Run",
-    female:{ opt:{min:38,max:44}, cMin:15, cMax:55, ranges:[
-      {label:"Poor",      lo:15,   hi:27,   c:"#ff6b6b"},
-      {label:"Fair",      lo:27,   hi:31.5, c:"#f0c060"},
-      {label:"Good",      lo:31.5, hi:38,   c:"#7feba1"},
-      {label:"Excellent", lo:38,   hi:55,   c:"#00ffa3"}]},
-    male:{ opt:{min:46,max:56}, cMin:20, cMax:70, ranges:[
-      {label:"Poor",      lo:20, hi:30, c:"#ff6b6b"},
-      {label:"Fair",      lo:30, hi:38, c:"#f0c060"},
-      {label:"Good",      lo:38, hi:46, c:"#7feba1"},
-      {label:"Excellent", lo:46, hi:70, c:"#00ffa3"}]}},
-  rhr:     { label:"Resting Heart Rate", unit:"bpm",       higherIsBetter:false, dp:0, source:"AHA adult norms (unisex)",
-    description:"Cardiovascular efficiency & autonomic health",
-    howTo:"Apple Watch (auto-synced) or 60-sec morning count",
-    female:{ opt:{min:40,max:60}, cMin:40, cMax:100, ranges:[
-      {label:"Athlete",   lo:40, hi:56,  c:"#00ffa3"},
-      {label:"Excellent", lo:56, hi:66,  c:"#7feba1"},
-      {label:"Good",      lo:66, hi:76,  c:"#f0c060"},
-      {label:"High",      lo:76, hi:100, c:"#ff6b6b"}]},
-    male:{ opt:{min:40,max:60}, cMin:40, cMax:100, ranges:[
-      {label:"Athlete",   lo:40, hi:56,  c:"#00ffa3"},
-      {label:"Excellent", lo:56, hi:66,  c:"#7feba1"},
-      {label:"Good",      lo:66, hi:76,  c:"#f0c060"},
-      {label:"High",      lo:76, hi:100, c:"#ff6b6b"}]}},
-  bp:      { label:"Blood Pressure",     unit:"mmHg",      higherIsBetter:false, dp:0, source:"AHA 2017", secondary:true,
-    description:"Systolic pressure — vascular age indicator",
-    howTo:"Paired BP cuff via Apple Health or Omron cuff (~$30)",
-    female:{ opt:{min:90,max:120}, cMin:90, cMax:160, ranges:[
-      {label:"Normal",   lo:90,  hi:120, c:"#00ffa3"},
-      {label:"Elevated", lo:120, hi:130, c:"#7feba1"},
-      {label:"Stage 1",  lo:130, hi:140, c:"#f0c060"},
-      {label:"Stage 2",  lo:140, hi:160, c:"#ff6b6b"}]},
-    male:{ opt:{min:90,max:120}, cMin:90, cMax:160, ranges:[
-      {label:"Normal",   lo:90,  hi:120, c:"#00ffa3"},
-      {label:"Elevated", lo:120, hi:130, c:"#7feba1"},
-      {label:"Stage 1",  lo:130, hi:140, c:"#f0c060"},
-      {label:"Stage 2",  lo:140, hi:160, c:"#ff6b6b"}]}},
-  glucose: { label:"Fasting Glucose",    unit:"mg/dL",     higherIsBetter:false, dp:0, source:"ADA + Attia",
-    description:"Metabolic health & insulin sensitivity",
-    howTo:"Apple Health (paired glucometer) or ReliOn (~$20), 8+ hrs fasted",
-    female:{ opt:{min:60,max:85}, cMin:60, cMax:145, ranges:[
-      {label:"Optimal",      lo:60,  hi:85,  c:"#00ffa3"},
-      {label:"Normal",       lo:85,  hi:100, c:"#7feba1"},
-      {label:"Pre-diabetic", lo:100, hi:126, c:"#f0c060"},
-      {label:"Diabetic",     lo:126, hi:145, c:"#ff6b6b"}]},
-    male:{ opt:{min:60,max:85}, cMin:60, cMax:145, ranges:[
-      {label:"Optimal",      lo:60,  hi:85,  c:"#00ffa3"},
-      {label:"Normal",       lo:85,  hi:100, c:"#7feba1"},
-      {label:"Pre-diabetic", lo:100, hi:126, c:"#f0c060"},
-      {label:"Diabetic",     lo:126, hi:145, c:"#ff6b6b"}]}},
-  bodyfat: { label:"Body Fat %",         unit:"%",         higherIsBetter:false, dp:1, source:"ACE by sex",
-    description:"Visceral fat proxy & metabolic risk marker",
-    howTo:"Apple Health (smart scale sync) or Withings/Renpho scale (~$40)",
-    female:{ opt:{min:14,max:20}, cMin:10, cMax:45, ranges:[
-      {label:"Athletic", lo:10, hi:20, c:"#00ffa3"},
-      {label:"Fit",      lo:20, hi:25, c:"#7feba1"},
-      {label:"Average",  lo:25, hi:32, c:"#f0c060"},
-      {label:"High",     lo:32, hi:45, c:"#ff6b6b"}]},
-    male:{ opt:{min:6, max:17}, cMin:5,  cMax:40, ranges:[
-      {label:"Athletic", lo:5,  hi:17, c:"#00ffa3"},
-      {label:"Fit",      lo:17, hi:22, c:"#7feba1"},
-      {label:"Average",  lo:22, hi:28, c:"#f0c060"},
-      {label:"High",     lo:28, hi:40, c:"#ff6b6b"}]}},
-};
-const MK = Object.keys(MB);
-
-function getM(id, sex="female", eth="general") {
+// age (chronological) switches VO₂ max / body fat to their decade's norms.
+// A custom reference profile replaces opt / ranges (age norms included);
+// ethnicity adjustments still apply on top. custom:true marks overridden metrics.
+function getM(id, sex="female", eth="general", age) {
   const base = MB[id]; if(!base) return null;
   const sc = JSON.parse(JSON.stringify(base[sex]||base.female));
+  const an = ageNorms(id, sex, age); if(an) Object.assign(sc, an);
+  applyOverride(sc, refOverride(id, sex));
   const adj = ETHNICITIES.find(e=>e.id===eth)?.adjustments?.[id];
   if(adj?.optMaxD) sc.opt.max = Math.max(sc.opt.min+1, sc.opt.max+adj.optMaxD);
   const {female:_f,male:_m,...rest} = base;
@@ -100,9 +46,10 @@ function getM(id, sex="female", eth="general") {
 
 // ── Scoring ───────────────────────────────────────────────────────────────
 const ST = [15,45,72,100];
-function getScore(id, val, sex="female", eth="general") {
-  const m=getM(id,sex,eth); if(!m||val==null) return null;
-  const {ranges:R,higherIsBetter:hib}=m; const n=R.length;
+function scoreIn({ranges:R,higherIsBetter:hib,over}, val){
+  // U-shaped metrics (sleep): past over.lo the score falls back towards 45 at over.hi
+  if(over&&val>over.lo) return Math.max(15,100-(val-over.lo)/(over.hi-over.lo)*55);
+  const n=R.length;
   for(let i=0;i<n;i++){
     const r=R[i];
     if(!(val>=r.lo&&(i===n-1?val<=r.hi:val<R[i+1].lo))) continue;
@@ -112,6 +59,38 @@ function getScore(id, val, sex="female", eth="general") {
   }
   return hib?(val>R[n-1].hi?100:15):(val<R[0].lo?100:15);
 }
+// secondary (diastolic) is scored on its own ranges; the worse of the two counts
+function getScore(id, val, sex="female", eth="general", secondary, age) {
+  const m=getM(id,sex,eth,age); if(!m||val==null) return null;
+  const s=scoreIn(m,val);
+  return m.dia&&secondary?Math.min(s,scoreIn({...m.dia,higherIsBetter:false},secondary)):s;
+}
+const entryScore=(e,sex,eth,age)=>getScore(e.metricId,e.value,sex,eth,e.secondary,age);
+
+// Share of same-sex, same-decade peers this value beats (higher VO₂ / lower
+// body fat), interpolated between the p10–p90 points; null without age norms.
+function peerRank(m, val){
+  if(!m?.pct||val==null) return null;
+  const v=m.pct; let p;
+  if(val<=v[0]) p=PCT_AT[0]; else if(val>=v[4]) p=PCT_AT[4];
+  else{ const i=v.findIndex((x,j)=>val<v[j+1]); p=PCT_AT[i]+(val-v[i])/(v[i+1]-v[i])*(PCT_AT[i+1]-PCT_AT[i]); }
+  return Math.round(m.higherIsBetter?p:100-p);
+}
+const peerText=(r,m,sex)=>r==null?"":`${r>=90?"Top 10%":r<=10?"Bottom 10%":`Better than ~${r}%`} of ${sex==="female"?"women":"men"} ${m.ageBand}`;
+
+// Reference-range band a value falls in (clamped to the outer bands)
+const bandOf=(R,v)=>R.find(r=>v<r.hi)||R[R.length-1];
+// Range category, e.g. AHA "Stage 1". For BP: the worse of the systolic and
+// diastolic bands → {label,c,by:"systolic"|"diastolic"|null,sys,dia}
+function getCategory(id, val, sex="female", eth="general", secondary, age){
+  const m=getM(id,sex,eth,age); if(!m||val==null) return null;
+  const sys=m.over&&val>m.over.lo?m.over:bandOf(m.ranges,val);
+  if(!m.dia||!secondary)return{label:sys.label,c:sys.c,by:null,sys};
+  const dia=bandOf(m.dia.ranges,secondary);
+  const rank=b=>m.ranges.findIndex(r=>r.label===(b.cat||b.label));
+  const worse=rank(dia)>rank(sys)?dia:sys;
+  return{label:worse.cat||worse.label,c:worse.c,by:rank(dia)>rank(sys)?"diastolic":rank(dia)<rank(sys)?"systolic":null,sys,dia};
+}
 const gC=s=>s>=85?"#00ffa3":s>=65?"#7feba1":s>=45?"#f0c060":"#ff6b6b";
 const gL=s=>s>=85?"Optimal":s>=65?"Good":s>=45?"Fair":"Needs Work";
 
@@ -139,46 +118,285 @@ const KDM_P = {
   vo2max:  { female:{ k:-0.38, q:49.0, s:6.0  }, male:{ k:-0.46, q:60.0, s:7.5  } },
   rhr:     { female:{ k:0.07,  q:67.2, s:10.5 }, male:{ k:0.07,  q:67.2, s:10.5 } },
   bp:      { female:{ k:0.45,  q:104.8,s:15.0 }, male:{ k:0.45,  q:104.8,s:15.0 } },
+  dbp:     { female:{ k:0.15,  q:66.0, s:9.5  }, male:{ k:0.15,  q:68.0, s:9.5  } }, // diastolic (bp.secondary)
   glucose: { female:{ k:0.28,  q:78.0, s:13.0 }, male:{ k:0.28,  q:78.0, s:13.0 } },
   bodyfat: { female:{ k:0.30,  q:15.5, s:7.0  }, male:{ k:0.25,  q:8.0,  s:6.5  } },
+  hrv:     { female:{ k:-0.50, q:65.0, s:15.0 }, male:{ k:-0.50, q:68.0, s:16.0 } },
+  waist:   { female:{ k:0.25,  q:82.0, s:14.0 }, male:{ k:0.25,  q:88.0, s:13.0 } },
+  hba1c:   { female:{ k:0.012, q:4.9,  s:0.5  }, male:{ k:0.012, q:4.9,  s:0.5  } },
+  grip:    { female:{ k:-0.20, q:36.0, s:5.5  }, male:{ k:-0.30, q:58.0, s:8.5  } },
+  gait:    { female:{ k:-0.006,q:1.55, s:0.20 }, male:{ k:-0.006,q:1.60, s:0.20 } },
+  // Lipids, hs-CRP and sleep are scored but left out: their population
+  // relation to age is weak or non-linear, so a linear k would mislead.
 };
 const KDM_S_BA=7.0; // between-person bio-age SD (years), from NHANES literature
 const KDM_W_CA=1/(KDM_S_BA*KDM_S_BA);
-
-// Core KDM computation — pass explicit latest values map {metricId:rawValue}
-function _kdm(valMap, CA, sex){
+const KDM_N=Object.keys(KDM_P).length; // biomarkers KDM can use
+const KDM_Z=1.96; // 95% interval
+
+// Core KDM computation — pass an explicit values map {metricId:rawValue}.
+// Returns {ba,se,lo,hi,n}. Each implied age has variance s²/k² = 1/w, so the
+// weighted estimate has SE = 1/√(Σw + w_CA): ±s_BA (7 yrs) with CA alone,
+// narrowing as metrics are added. lo/hi is the 95% interval around ba.
+// wMul {metricId:0–1} scales a biomarker's weight (stale inputs, see below).
+function _kdmCI(valMap, CA, sex, wMul={}){
   let sumWI=0,sumW=0,n=0;
   Object.entries(valMap).forEach(([id,val])=>{
     const p=KDM_P[id]; if(!p||val==null) return;
-    const{k,q,s}=p[sex]||p.female; if(!k) return;
-    sumWI+=((val-q)/k)*((k*k)/(s*s));
-    sumW+=(k*k)/(s*s); n++;
+    const{k,q,s}=refOverride(id,sex)?.kdm||p[sex]||p.female; if(!k) return;
+    const w=(k*k)/(s*s)*(wMul[id]??1);
+    sumWI+=((val-q)/k)*w;
+    sumW+=w; n++;
   });
   if(!n) return null;
   const BA=(sumWI+CA*KDM_W_CA)/(sumW+KDM_W_CA);
-  return Math.max(CA-20,Math.min(CA+20,+BA.toFixed(1)));
+  const ba=Math.max(CA-20,Math.min(CA+20,+BA.toFixed(1)));
+  const se=+(1/Math.sqrt(sumW+KDM_W_CA)).toFixed(2);
+  return{ba,se,lo:+(ba-KDM_Z*se).toFixed(1),hi:+(ba+KDM_Z*se).toFixed(1),n};
 }
 
-function getBioAge(entries,age,sex){
-  const vm={};
-  MK.forEach(id=>{const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];if(l)vm[id]=l.value;});
-  return _kdm(vm,age,sex);
+// ── PhenoAge (Levine et al. 2018, Aging) ──────────────────────────────────
+// A Gompertz mortality model fitted on NHANES III: nine blood markers plus CA
+// give a 10-year mortality risk M, and PhenoAge is the age at which the
+// average person carries that same risk. Coefficients expect SI units
+// (albumin g/L, creatinine µmol/L, glucose mmol/L, CRP ln mg/dL), so the
+// stored US units are converted here. It needs the whole panel — no partial
+// estimate, and no interval (the paper reports none for individuals).
+const PHENO_IDS=["albumin","creatinine","glucose","crp","lymph","mcv","rdw","alp","wbc"];
+const PHENO_G=0.0076927; // Gompertz γ
+function _pheno(v, CA){
+  if(PHENO_IDS.some(id=>v[id]==null)) return null;
+  const xb=-19.907-0.0336*v.albumin*10+0.0095*v.creatinine*88.42+0.1953*v.glucose/18.016
+    +0.0954*Math.log(Math.max(v.crp,0.01)/10)-0.0120*v.lymph+0.0268*v.mcv+0.3306*v.rdw
+    +0.00188*v.alp+0.0554*v.wbc+0.0804*CA;
+  const M=1-Math.exp(-Math.exp(xb)*(Math.exp(120*PHENO_G)-1)/PHENO_G);
+  const ba=141.50225+Math.log(-0.00553*Math.log(1-M))/0.090165;
+  return isFinite(ba)?{ba:+ba.toFixed(1),n:PHENO_IDS.length}:null;
 }
 
-// Hypothetical BA if metric targetId reaches its best optimal boundary
-function getHypoBioAge(entries,age,sex,eth,targetId){
-  const vm={};
-  MK.forEach(id=>{
-    const p=KDM_P[id]; if(!p) return;
-    if(id===targetId){
-      const m=getM(id,sex,eth);
-      vm[id]=m.higherIsBetter?m.opt.max:m.opt.min;
-    } else {
-      const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];
-      if(l) vm[id]=l.value;
+// ── Score average ─────────────────────────────────────────────────────────
+// The transparent baseline: the mean of the 0–100 scores shown on the metric
+// cards, every 4 points above / below 60 counting as a year younger / older,
+// capped at ±15. Stale down-weighting applies to the mean. No age curve, no
+// precision weighting — which is exactly what KDM and PhenoAge add.
+function _scoreAvg(vals, CA, sex, eth, wMul={}){
+  let ss=0,sw=0,n=0;
+  Object.entries(vals).forEach(([id,val])=>{
+    if(!MB[id]) return; // dbp is scored with bp
+    const w=wMul[id]??1;
+    ss+=getScore(id,val,sex,eth,id==="bp"?vals.dbp:undefined,CA)*w; sw+=w; n++;
+  });
+  if(!n||!sw) return null;
+  const avg=ss/sw;
+  return{ba:+(CA-Math.max(-15,Math.min(15,(avg-60)/4))).toFixed(1),n,avg:Math.round(avg)};
+}
+
+// ── Algorithm selection ───────────────────────────────────────────────────
+// Chosen with the bio age inputs (inp.algo). Only KDM yields an interval (se/lo/hi).
+const ALGOS=[
+  {id:"kdm",  label:"KDM",          full:"Klemera-Doubal Method (adapted)",
+    how:"Each biomarker implies an age from its population age curve; implied ages are averaged, weighted by how tightly each tracks age, and pulled toward your chronological age when data is sparse."},
+  {id:"pheno",label:"PhenoAge",     full:"Levine PhenoAge (2018)",
+    how:"A mortality model: nine routine blood markers give your 10-year mortality risk, reported as the age of an average person with that risk. Needs a complete blood count and metabolic panel from the same period."},
+  {id:"score",label:"Score average",full:"Score average",
+    how:"The mean of the 0–100 metric scores on your cards: every 4 points above or below 60 is a year younger or older, capped at ±15. Easy to follow, but every metric counts the same however well it predicts ageing."},
+];
+const algoOf=id=>ALGOS.find(a=>a.id===id)||ALGOS[0];
+// {vals,wMul} from groupedInputs → {ba,n,…} for the chosen algorithm, or null
+function _estimate(algo, {vals,wMul}, CA, sex, eth){
+  if(algo==="pheno") return _pheno(vals,CA);
+  if(algo==="score") return _scoreAvg(vals,CA,sex,eth,wMul);
+  return _kdmCI(vals,CA,sex,wMul);
+}
+
+// ── Bio age inputs ────────────────────────────────────────────────────────
+// Which value stands in for each biomarker when computing bio age:
+//   latest  the most recent reading
+//   median  median of the readings within `days` of the most recent one
+//   ewma    recency-weighted mean, weight halving every `halfLife` days
+// A biomarker whose most recent reading is more than `stale` days before the
+// as-of date is dropped, or with staleMode "downweight" kept at a KDM weight
+// that halves for every further `stale` days (so the interval widens).
+// Everything is relative to asOf, so trend / snapshot points only see the
+// readings up to their own date.
+// inp.algo picks the algorithm those values feed (see ALGOS).
+const INPUT_DEFAULT={mode:"latest",days:30,halfLife:14,stale:0,staleMode:"drop",algo:"kdm"};
+const INPUT_MODES=[
+  {id:"latest",label:"Latest reading"},
+  {id:"median",label:"Median of recent"},
+  {id:"ewma",label:"Recency-weighted"},
+];
+const DAY_MS=864e5;
+const daysBetween=(a,b)=>(Date.parse(b)-Date.parse(a))/DAY_MS;
+const todayStr=()=>new Date().toISOString().substring(0,10);
+const addDays=(d,n)=>new Date(Date.parse(d)+n*DAY_MS).toISOString().substring(0,10);
+
+// {metricId:[entries oldest → newest]} — built once, reused for every as-of date.
+// Diastolic readings form their own "dbp" series for the KDM biomarker.
+function byMetric(entries){
+  const g={dbp:[]};
+  MK.forEach(id=>{g[id]=[];});
+  entries.forEach(e=>{g[e.metricId]?.push(e);if(e.metricId==="bp"&&e.secondary)g.dbp.push({date:e.date,value:e.secondary});});
+  Object.values(g).forEach(a=>a.sort((x,y)=>x.date.localeCompare(y.date)));
+  return g;
+}
+// → {vals:{metricId:value}, wMul:{metricId:factor}}
+function groupedInputs(g,inp=INPUT_DEFAULT,asOf=todayStr()){
+  const vals={},wMul={};
+  Object.entries(g).forEach(([id,arr])=>{
+    let hi=arr.length; // first index after asOf
+    for(let lo=0;lo<hi;){const m=(lo+hi)>>1;if(arr[m].date<=asOf)lo=m+1;else hi=m;}
+    if(!hi)return;
+    const last=arr[hi-1];
+    const age=daysBetween(last.date,asOf);
+    if(inp.stale>0&&age>inp.stale){
+      if(inp.staleMode!=="downweight")return;
+      wMul[id]=Math.pow(0.5,(age-inp.stale)/inp.stale);
     }
+    if(inp.mode==="median"){
+      const win=[];
+      for(let i=hi-1;i>=0&&daysBetween(arr[i].date,last.date)<inp.days;i--)win.push(arr[i].value);
+      win.sort((a,b)=>a-b);const h=win.length>>1;
+      vals[id]=win.length%2?win[h]:(win[h-1]+win[h])/2;
+    }else if(inp.mode==="ewma"){
+      let sw=0,sv=0;
+      // Readings past 8 half-lives weigh < 0.4% — stop there
+      for(let i=hi-1;i>=0;i--){
+        const d=daysBetween(arr[i].date,last.date);if(d>inp.halfLife*8)break;
+        const w=Math.pow(0.5,d/inp.halfLife);sw+=w;sv+=w*arr[i].value;
+      }
+      vals[id]=sv/sw;
+    }else vals[id]=last.value;
+  });
+  return{vals,wMul};
+}
+const metricInputs=(entries,inp,asOf)=>groupedInputs(byMetric(entries),inp,asOf);
+
+function getBioAge(entries,age,sex,eth,inp,asOf){
+  return getBioAgeCI(entries,age,sex,eth,inp,asOf)?.ba??null;
+}
+function getBioAgeCI(entries,age,sex,eth,inp,asOf){
+  return _estimate(inp?.algo,metricInputs(entries,inp,asOf),age,sex,eth);
+}
+
+// Bio age as of every entry date — metrics grouped and sorted once, then the
+// same input strategy as getBioAge evaluated at each date.
+function bioAgeByDate(entries,age,sex,eth,inp){
+  const g=byMetric(entries),out={};
+  new Set(entries.map(e=>e.date)).forEach(d=>{
+    out[d]=_estimate(inp?.algo,groupedInputs(g,inp,d),age,sex,eth)?.ba??null;
   });
-  return _kdm(vm,age,sex);
+  return out;
+}
+
+// Monthly bio age trajectory — one point per month for last 12 months
+function getBioTrend(entries,age,sex,eth,inp){
+  const pts=[];const now=new Date();const g=byMetric(entries);
+  for(let i=11;i>=0;i--){
+    const d=new Date(now.getFullYear(),now.getMonth()-i,1);
+    const eom=new Date(d.getFullYear(),d.getMonth()+1,0); // last day of month
+    const eStr=eom.toISOString().substring(0,10);
+    const label=d.toLocaleDateString("en-US",{month:"short",year:"2-digit"});
+    const r=_estimate(inp?.algo,groupedInputs(g,inp,eStr),age,sex,eth);
+    if(r)pts.push({date:label,month:eStr.substring(0,7),"Bio Age":r.ba,...(r.se!=null?{"95% CI":[r.lo,r.hi]}:{}),Chrono:age});
+  }
+  return pts;
+}
+
+// Hypothetical BA if metric targetId reaches its best optimal boundary
+function getHypoBioAge(entries,age,sex,eth,targetId,inp){
+  const mi=metricInputs(entries,inp),{vals,wMul}=mi;
+  const m=getM(targetId,sex,eth,age);
+  vals[targetId]=m.higherIsBetter?m.opt.max:m.opt.min;
+  delete wMul[targetId];
+  if(m.dia){vals.dbp=m.dia.opt.min;delete wMul.dbp;}
+  return _estimate(inp?.algo,mi,age,sex,eth)?.ba??null;
+}
+
+// ── Trend analytics ───────────────────────────────────────────────────────
+// Rolling means, a regression slope and a minimal-detectable-change check,
+// so one noisy reading no longer reads as a trend. Metric cards, the detail
+// chart and snapshot cards all use these.
+const SLOPE_DAYS=90; // regression window
+const MONTH_DAYS=30.44;
+
+// Least-squares slope of [{date,value}] in units per day; null under 2 points
+function linSlope(pts){
+  if(pts.length<2)return null;
+  const xs=pts.map(p=>daysBetween(pts[0].date,p.date)),n=pts.length;
+  const mx=xs.reduce((a,b)=>a+b,0)/n,my=pts.reduce((a,p)=>a+p.value,0)/n;
+  let sxy=0,sxx=0;
+  pts.forEach((p,i)=>{sxy+=(xs[i]-mx)*(p.value-my);sxx+=(xs[i]-mx)**2;});
+  return sxx?sxy/sxx:null;
+}
+// Trailing mean of the readings within `days` of each reading (oldest → newest)
+function rollingMean(hist,days){
+  let j=0,sum=0;
+  return hist.map((e,i)=>{
+    sum+=e.value;
+    while(daysBetween(hist[j].date,e.date)>=days){sum-=hist[j].value;j++;}
+    return sum/(i-j+1);
+  });
+}
+const meanOf=a=>a.reduce((s,e)=>s+e.value,0)/a.length;
+
+// As of the latest reading → {r7,r30,n7,n30,slopeMo,change,mdc,real}; null if empty.
+// change = last-30-day mean minus the 30 days before (or the last reading
+// before that; with no older data, latest minus first). It is real when it
+// beats the 95% MDC for those means: 1.96·SEM·√(1/n₁+1/n₂).
+function trendStats(hist,id){
+  const n=hist.length;if(!n)return null;
+  const lat=hist[n-1],ago=e=>daysBetween(e.date,lat.date);
+  const w7=hist.filter(e=>ago(e)<7),w30=hist.filter(e=>ago(e)<30),older=hist.filter(e=>ago(e)>=30);
+  const slope=linSlope(hist.filter(e=>ago(e)<SLOPE_DAYS));
+  let cur=w30,prev=older.filter(e=>ago(e)<60);
+  if(!prev.length&&older.length)prev=[older[older.length-1]];
+  if(!prev.length&&n>1){cur=[lat];prev=[hist[0]];}
+  const out={r7:meanOf(w7),r30:meanOf(w30),n7:w7.length,n30:w30.length,slopeMo:slope==null?null:slope*MONTH_DAYS,change:null,mdc:null,real:false};
+  if(!prev.length||!SEM[id])return out;
+  const change=meanOf(cur)-meanOf(prev),mdc=1.96*SEM[id]*Math.sqrt(1/cur.length+1/prev.length);
+  return{...out,change,mdc,real:Math.abs(change)>mdc};
+}
+// "↘ 1.2 bpm/mo" and whether that direction is an improvement
+const slopeText=(v,m)=>`${v>0?"↗":v<0?"↘":"→"} ${Math.abs(v).toFixed(m.dp+1)} ${m.unit}/mo`;
+const improving=(v,m)=>m.higherIsBetter?v>0:v<0;
+// "real change −3.1" / "within noise (±4.2)"
+const changeText=(ts,m)=>ts.change==null?"":ts.real?`real change ${ts.change>0?"+":"−"}${Math.abs(ts.change).toFixed(m.dp)}`:`within noise (±${ts.mdc.toFixed(m.dp)})`;
+
+// ── Goals ─────────────────────────────────────────────────────────────────
+// goals = {metricId:{target,secondary?,deadline,created,start:{date,value}}}
+// (secondary = diastolic target for bp). Progress is judged from the trend:
+// the least-squares slope of the last GOAL_TREND_DAYS of readings, projected
+// from the latest reading to the deadline.
+const GOAL_DAYS=90; // default deadline
+const GOAL_TREND_DAYS=60;
+const GOAL_C={achieved:"#00ffa3","on track":"#7feba1",behind:"#ff6b6b","no trend":"#445566"};
+
+// hist oldest → newest → {status,slope,need,projected} (slope / need per day)
+function goalStatus(goal,hist,hib){
+  const lat=hist[hist.length-1];if(!goal||!lat)return null;
+  const up=goal.start?goal.target>=goal.start.value:hib;
+  const diaOk=goal.secondary==null||(lat.secondary!=null&&lat.secondary<=goal.secondary);
+  const slope=linSlope(hist.filter(e=>daysBetween(e.date,lat.date)<=GOAL_TREND_DAYS));
+  const left=daysBetween(todayStr(),goal.deadline);
+  const need=left>0?(goal.target-lat.value)/left:null;
+  if((up?lat.value>=goal.target:lat.value<=goal.target)&&diaOk)return{status:"achieved",slope,need:0};
+  if(slope==null)return{status:"no trend",slope,need};
+  const projected=lat.value+slope*daysBetween(lat.date,goal.deadline);
+  return{status:left>0&&(up?projected>=goal.target:projected<=goal.target)?"on track":"behind",slope,need,projected};
+}
+
+// Plan order: unmet goals first (behind, then nearest deadline), then by gain
+function planOrder(rows,goals,entries,sex,eth,age){
+  const st=Object.fromEntries(rows.map(r=>{
+    const g=goals?.[r.id];
+    const s=g&&goalStatus(g,entries.filter(e=>e.metricId===r.id).sort((a,b)=>a.date.localeCompare(b.date)),getM(r.id,sex,eth,age).higherIsBetter);
+    return[r.id,s&&s.status!=="achieved"?{...s,goal:g}:null];
+  }));
+  return rows.map(r=>({...r,goalSt:st[r.id]})).sort((a,b)=>
+    !!b.goalSt-!!a.goalSt
+    ||(a.goalSt&&((b.goalSt.status==="behind")-(a.goalSt.status==="behind")||a.goalSt.goal.deadline.localeCompare(b.goalSt.goal.deadline)))
+    ||b.gain-a.gain);
 }
 
 // ── Recommendations ───────────────────────────────────────────────────────
@@ -208,599 +426,679 @@ const RECS = {
     fair:{action:"Resistance training 3×/week + protein target",detail:"Add 3× weekly strength training (squats, deadlifts, rows). Increase protein to 0.7–1g/lb/day. A 250–500 kcal/day deficit is sustainable and safe."},
     poor:{action:"Structured fat-loss program with medical oversight",detail:"Elevated body fat increases insulin resistance and inflammation. Start: 150+ min/week mixed cardio + strength, 1g/lb protein daily, eliminate ultra-processed food, track weekly with your smart scale."},
   },
+  hrv:{
+    good:{action:"Keep training load and sleep consistent",detail:"HRV is strong for your profile. Watch for sudden drops of 20%+ from your baseline — a sign of illness, overreaching or poor sleep. Keep alcohol low; it suppresses overnight HRV."},
+    fair:{action:"Add Zone 2 cardio + daily slow breathing",detail:"Aerobic base training raises HRV over 6–12 weeks. Five minutes of slow breathing (6 breaths/min) daily improves vagal tone. Keep a regular bedtime and avoid late meals."},
+    poor:{action:"Prioritise recovery: sleep, alcohol, stress",detail:"Very low HRV reflects high sympathetic load. Cut alcohol, protect 7–9 hrs sleep, and reduce training intensity until it recovers. Persistently low HRV with symptoms warrants a physician visit."},
+  },
+  waist:{
+    good:{action:"Maintain with strength training + fibre-rich diet",detail:"Waist is in the healthy range. Keep resistance training 2–3×/week and 25–30 g fibre daily. Re-measure monthly at the navel, after exhaling."},
+    fair:{action:"Trim visceral fat: cut alcohol + refined carbs",detail:"Visceral fat responds quickly to fewer sugary drinks, less alcohol and a modest 250–500 kcal/day deficit. Add 150 min/week of brisk cardio; a 2–3 cm drop is meaningful."},
+    poor:{action:"Structured plan to reduce abdominal fat",detail:"Waist above the WHO high-risk threshold signals visceral fat and metabolic risk even at a normal weight. Combine a calorie deficit, high protein, daily walking and strength training; ask your physician about metabolic screening."},
+  },
+  hba1c:{
+    good:{action:"Maintain low-glycemic eating + activity",detail:"HbA1c reflects ~3 months of glucose. Keep refined carbs low and stay active; re-test yearly."},
+    fair:{action:"Reduce refined carbs + walk after meals",detail:"HbA1c 5.2–5.7% is normal but above optimal. Fibre-first meals, fewer sugary drinks and 10-min post-meal walks lower it by 0.1–0.3% over a few months."},
+    poor:{action:"Physician follow-up + diabetes prevention plan",detail:"5.7%+ is pre-diabetic, 6.5%+ diabetic. Structured lifestyle programs cut progression risk ~58% (DPP trial). Resistance training and 5–7% weight loss are the most effective levers."},
+  },
+  ldl:{
+    good:{action:"Keep saturated fat low + re-test yearly",detail:"LDL is optimal. Continue a diet rich in fibre, nuts and olive oil; re-check with your annual lipid panel."},
+    fair:{action:"Swap saturated fats + add soluble fibre",detail:"Replace butter and fatty meats with olive oil, nuts and fish. 5–10 g/day soluble fibre (oats, beans, psyllium) lowers LDL 5–10%. Plant sterols add another ~10%."},
+    poor:{action:"Discuss lipid-lowering therapy with a physician",detail:"LDL ≥ 160 mg/dL substantially raises lifetime cardiovascular risk. Diet helps, but a physician can assess overall risk (ApoB, Lp(a), family history) and whether a statin is appropriate."},
+  },
+  hdl:{
+    good:{action:"Maintain regular aerobic exercise",detail:"HDL is in the protective range. Regular cardio and a diet rich in unsaturated fats keep it there."},
+    fair:{action:"More aerobic exercise + quit smoking",detail:"HDL rises 3–6 mg/dL with regular aerobic exercise. Stopping smoking and losing abdominal fat also raise it; swap refined carbs for unsaturated fats."},
+    poor:{action:"Cardio 5×/week + address metabolic health",detail:"Low HDL often travels with high triglycerides and insulin resistance. Prioritise exercise, weight loss and carbohydrate quality, and review your full lipid panel with a physician."},
+  },
+  tg:{
+    good:{action:"Keep sugar and alcohol low",detail:"Triglycerides are optimal — a sign of good insulin sensitivity. Keep added sugar and alcohol low and re-test yearly, fasted."},
+    fair:{action:"Cut sugar, refined carbs + alcohol",detail:"Triglycerides respond within weeks to less sugar, fewer refined carbs and less alcohol. Two servings/week of oily fish also help."},
+    poor:{action:"Dietary overhaul + physician review",detail:"Triglycerides ≥ 200 mg/dL indicate insulin resistance and raise cardiovascular risk. Eliminate sugary drinks, limit alcohol, lose weight, exercise daily, and ask about omega-3 or medication if levels stay high."},
+  },
+  crp:{
+    good:{action:"Maintain anti-inflammatory habits",detail:"Low hs-CRP indicates low systemic inflammation. Keep up sleep, activity and a diet rich in vegetables, fish and olive oil."},
+    fair:{action:"Target inflammation: sleep, weight, diet",detail:"hs-CRP 1–3 mg/L is average risk. Weight loss, regular exercise, better sleep and a Mediterranean-style diet all lower it. Re-test when you're not fighting an infection."},
+    poor:{action:"Re-test, then see a physician",detail:"hs-CRP > 3 mg/L is high cardiovascular risk — but a cold or injury can spike it. Re-test in 2–3 weeks; if still high, discuss with a physician."},
+  },
+  grip:{
+    good:{action:"Keep strength training 2–3×/week",detail:"Grip strength is strong for your age and sex. Maintain with compound lifts — deadlifts, rows, carries — and adequate protein."},
+    fair:{action:"Add loaded carries + hangs",detail:"Farmer's carries, dead hangs and heavy rows improve grip in 6–8 weeks. Grip tracks whole-body strength, so a full-body program 2–3×/week helps most."},
+    poor:{action:"Start progressive resistance training",detail:"Low grip strength predicts frailty and mortality. Begin with supervised full-body strength training 2×/week and 1.2–1.6 g/kg/day protein; improvement is possible at any age."},
+  },
+  gait:{
+    good:{action:"Keep walking briskly every day",detail:"Usual walking speed above 1.3 m/s is linked to longer life expectancy. Maintain daily brisk walks and leg strength."},
+    fair:{action:"Brisk walks + leg strength 2×/week",detail:"Add short brisk intervals to daily walks and squats, step-ups and calf raises twice a week. Balance work helps stride confidence."},
+    poor:{action:"Assess mobility + begin a walking program",detail:"Usual speed below 0.8 m/s warrants a physician or physiotherapy check for joint, balance or heart issues. A supervised walking and strength program improves speed within weeks."},
+  },
+  sleep:{
+    good:{action:"Protect your 7–9 hour window",detail:"Sleep duration is in the optimal range. Keep a consistent wake time, even on weekends, and a dark, cool bedroom."},
+    fair:{action:"Move bedtime 30 min earlier",detail:"Small increases in duration matter. Set a fixed wake time, dim screens an hour before bed, and keep caffeine before noon."},
+    poor:{action:"Fix sleep duration or see a sleep specialist",detail:"Regularly under 6 hours (or well over 9) is associated with higher mortality. Rule out sleep apnoea if you snore or wake unrefreshed; CBT-I is the first-line treatment for insomnia."},
+  },
+  albumin:{
+    good:{action:"Keep protein intake steady",detail:"Albumin in the upper-normal range is one of PhenoAge's protective markers. Keep eating adequate protein and stay hydrated before blood draws."},
+    fair:{action:"Check protein intake + hydration",detail:"Aim for 1.0–1.2 g/kg/day of protein. Albumin below 4.0 g/dL can also reflect inflammation or liver strain — re-test alongside CRP."},
+    poor:{action:"Discuss low albumin with a physician",detail:"Albumin below 3.5 g/dL points to malnutrition, liver or kidney disease, or active inflammation and needs a medical work-up."},
+  },
+  creatinine:{
+    good:{action:"Stay hydrated + keep blood pressure in check",detail:"Creatinine in range means healthy kidney filtration. Blood pressure and glucose control are what protect it long-term."},
+    fair:{action:"Re-test hydrated, off heavy training",detail:"Dehydration, creatine supplements, high protein meals and hard exercise in the 48 h before a draw raise creatinine. Re-test under normal conditions and ask for eGFR."},
+    poor:{action:"Ask a physician about kidney function",detail:"Raised creatinine on repeat testing warrants eGFR, urine albumin and a review of medications such as NSAIDs."},
+  },
+  lymph:{
+    good:{action:"Maintain sleep + activity",detail:"A healthy lymphocyte share reflects a balanced immune system. Sleep, regular activity and avoiding chronic stress support it."},
+    fair:{action:"Prioritise sleep + stress recovery",detail:"Lymphocyte % falls with stress, poor sleep and recent illness. Re-test when well; consistent sleep and moderate exercise help."},
+    poor:{action:"Review with a physician",detail:"A persistently low lymphocyte share can follow infection, steroids or chronic inflammation. Discuss a repeat CBC with differential with your doctor."},
+  },
+  mcv:{
+    good:{action:"Keep B12 + folate intake adequate",detail:"Normal red-cell size suggests good B12, folate and iron status. Keep a varied diet."},
+    fair:{action:"Check B12, folate + alcohol intake",detail:"MCV creeping above 95 fL is an early sign of B12 or folate shortfall or regular alcohol intake. Leafy greens, legumes and cutting back on alcohol help."},
+    poor:{action:"Test B12 / folate with a physician",detail:"MCV above 100 fL (macrocytosis) should be checked for B12 or folate deficiency, thyroid or liver causes."},
+  },
+  rdw:{
+    good:{action:"Maintain nutrition + fitness",detail:"Low RDW means uniform red cells — among the strongest PhenoAge predictors of longevity. Keep iron, B12 and folate intake adequate."},
+    fair:{action:"Optimise iron, B12 + folate",detail:"RDW rises with iron, B12 or folate shortfall and chronic inflammation. A ferritin check and a nutrient-dense diet are a good first step."},
+    poor:{action:"Investigate high RDW with a physician",detail:"RDW above 14.5% warrants iron studies, B12 and folate testing; it is also tied to cardiovascular risk, so review with your doctor."},
+  },
+  alp:{
+    good:{action:"Maintain liver + bone health",detail:"Alkaline phosphatase in range. Limiting alcohol and keeping vitamin D adequate helps keep it there."},
+    fair:{action:"Limit alcohol + check vitamin D",detail:"High-normal ALP can reflect liver strain or low vitamin D. Reduce alcohol, keep a healthy weight and consider a vitamin D test."},
+    poor:{action:"Review raised ALP with a physician",detail:"ALP above 130 U/L needs GGT and liver or bone follow-up to find the source."},
+  },
+  wbc:{
+    good:{action:"Keep inflammation low",detail:"A low-normal white count signals low chronic inflammation. Don't smoke, stay active and keep waist in range."},
+    fair:{action:"Target chronic inflammation",detail:"A high-normal white count tracks with smoking, excess visceral fat and poor sleep. Address those, and re-test when not ill."},
+    poor:{action:"Re-test, then see a physician",detail:"A white count above 10 ×10³/µL is often a recent infection. If it stays high on repeat testing, discuss it with your doctor."},
+  },
 };
 
 // ── Seed data ─────────────────────────────────────────────────────────────
 // No seed data — the app starts empty. Health entries are never pre-loaded or faked.
 // Entries are session-only and cleared when the browser tab is closed.
 
-// ── Apple Health streaming parser ─────────────────────────────────────────
-const AHT={
-  HKQuantityTypeIdentifierVO2Max:"vo2max",
-  HKQuantityTypeIdentifierRestingHeartRate:"rhr",
-  HKQuantityTypeIdentifierBloodPressureSystolic:"bp_sys",
-  HKQuantityTypeIdentifierBloodPressureDiastolic:"bp_dia",
-  HKQuantityTypeIdentifierBloodGlucose:"glucose",
-  HKQuantityTypeIdentifierBodyFatPercentage:"bodyfat",
+// ── Snapshot themes & page shapes ─────────────────────────────────────────
+// The snapshot layout below only names roles (panel, text, dim, …); a theme
+// maps them to colours. ink(c) recolours score / range colours, which are
+// tuned for the dark UI; fade:false drops gradient area fills to save ink.
+// PRINT_C: darker twins of those colours, which read on paper
+const PRINT_C={"#00ffa3":"#00875a","#7feba1":"#3d9a5f","#f0c060":"#b07a00","#ff6b6b":"#c0392b","#445566":"#5b6b7c"};
+const inkC=c=>PRINT_C[c]||c;
+const SNAP_THEMES={
+  dark: {label:"Dark", bg:"#060a10",panel:"#0a0e16",plan:"#080e18",edge:"#0e1824",planEdge:"#0e2030",acc:"#00ffa3",text:"#e0eeff",sub:"#6699aa",
+    dim:"#445566",mute:"#334455",faint:"#1e3040",axis:"#1e2a3a",chrono:"#1e3a4a",ring:"#1a1f2e",mean:"#5599aa",ghost:"#556677",src:"#006633",ink:c=>c,fade:true},
+  light:{label:"Light",bg:"#f4f6f9",panel:"#ffffff",plan:"#ffffff",edge:"#dde3ea",planEdge:"#dde3ea",acc:"#00875a",text:"#17202b",sub:"#3d5a73",
+    dim:"#5b6b7c",mute:"#5b6b7c",faint:"#8a97a6",axis:"#c5ced8",chrono:"#8a97a6",ring:"#e6ebf0",mean:"#2f7f95",ghost:"#9aa7b4",src:"#2e7d4f",ink:inkC,fade:true},
+  print:{label:"Print",bg:"#ffffff",panel:"#ffffff",plan:"#ffffff",edge:"#bbbbbb",planEdge:"#bbbbbb",acc:"#00875a",text:"#000000",sub:"#333333",
+    dim:"#555555",mute:"#555555",faint:"#777777",axis:"#999999",chrono:"#777777",ring:"#dddddd",mean:"#555555",ghost:"#999999",src:"#333333",ink:inkC,fade:false},
 };
-async function parseAH(file,onProgress){
-  // ── Shared record processing (same for ZIP and raw XML paths) ────────────
-  const attr=(n,t)=>{const m=t.match(new RegExp(`\\b${n}="([^"]*)"`));return m?m[1]:null;};
-  const bpS={},bpD={},byMD={};let dSex=null,dDOB=null;
-  const proc=buf=>{
-    const re=/<Record\b[^>]*?(?:\/>|>[\s\S]*?<\/Record>)/g;let m,last=0;
-    while((m=re.exec(buf))!==null){
-      const rec=m[0];const type=attr("type",rec);const mid=AHT[type];last=m.index+m[0].length;if(!mid)continue;
-      const rv=parseFloat(attr("value",rec));const unit=(attr("unit",rec)||"").toLowerCase();
-      const rd=attr("startDate",rec)||attr("creationDate",rec)||"";if(!rd||isNaN(rv))continue;
-      const date=rd.substring(0,10);let val=rv;
-      if(type==="HKQuantityTypeIdentifierBodyFatPercentage"&&val<=1)val=parseFloat((val*100).toFixed(2));
-      if(type==="HKQuantityTypeIdentifierBloodGlucose"&&(unit.includes("mmol")||val<25))val=Math.round(val*18.0182);
-      if(mid==="bp_sys")bpS[date]=val;
-      else if(mid==="bp_dia")bpD[date]=val;
-      else{if(!byMD[mid])byMD[mid]={};if(!byMD[mid][date])byMD[mid][date]=[];byMD[mid][date].push(val);}
-    }
-    return last;
-  };
-  const exMeta=t=>{
-    const sx=t.match(/HKCharacteristicTypeIdentifierBiologicalSex="([^"]*)"/);
-    if(sx){if(sx[1].includes("Female"))dSex="female";else if(sx[1].includes("Male"))dSex="male";}
-    const db=t.match(/HKCharacteristicTypeIdentifierDateOfBirth="(\d{4}-\d{2}-\d{2})"/);
-    if(db)dDOB=db[1];
-  };
-
-  if(file.name.toLowerCase().endsWith(".zip")){
-    // ── Native ZIP parser — no JSZip, no size validation, no external deps ──
-    // Root cause of "uncompressed data size mismatch": iOS writes sizes as 0 in
-    // local file headers (uses data descriptors, ZIP flag bit 3). JSZip validates
-    // decompressed length against those zero values → mismatch error.
-    // Fix: read authoritative sizes from the central directory, decompress with
-    // the native browser DecompressionStream API, stream chunks to proc().
-
-    const ab=await file.arrayBuffer();
-    const view=new DataView(ab);
-    const bytes=new Uint8Array(ab);
-    const u32=(o)=>view.getUint32(o,true);
-    const u16=(o)=>view.getUint16(o,true);
-    const u64=(o)=>Number(view.getBigUint64(o,true));
-
-    // 1. Find End of Central Directory (EOCD) — scan backwards for signature
-    let eocd=-1;
-    for(let i=ab.byteLength-22;i>=Math.max(0,ab.byteLength-65558);i--){
-      if(u32(i)===0x06054b50){eocd=i;break;}
-    }
-    if(eocd===-1)throw new Error("Not a valid ZIP file — EOCD record not found.");
-
-    // 2. Central directory offset & size (with ZIP64 fallback)
-    let cdOffset=u32(eocd+16),cdSize=u32(eocd+12);
-    if(eocd>=20&&u32(eocd-20)===0x07064b50){
-      const z64loc=eocd-20;
-      const z64off=u64(z64loc+8);
-      if(z64off<ab.byteLength&&u32(z64off)===0x06064b50){
-        cdSize=u64(z64off+40);cdOffset=u64(z64off+48);
-      }
-    }
-
-    // 3. Scan central directory for export.xml entry
-    let entry=null;
-    const tdec=new TextDecoder();
-    let pos=cdOffset;
-    while(pos<cdOffset+cdSize){
-      if(u32(pos)!==0x02014b50)break;
-      let compSize=u32(pos+20),uncompSize=u32(pos+24),localOff=u32(pos+42);
-      const compression=u16(pos+10),fnLen=u16(pos+28),extraLen=u16(pos+30),commentLen=u16(pos+32);
-      const fname=tdec.decode(bytes.subarray(pos+46,pos+46+fnLen));
-
-      // Resolve ZIP64 extended fields in extra area
-      if(compSize===0xFFFFFFFF||uncompSize===0xFFFFFFFF||localOff===0xFFFFFFFF){
-        let ep=pos+46+fnLen,epEnd=ep+extraLen;
-        while(ep+4<=epEnd){
-          const eid=u16(ep),esz=u16(ep+2);ep+=4;
-          if(eid===0x0001){
-            if(uncompSize===0xFFFFFFFF){uncompSize=u64(ep);ep+=8;}
-            if(compSize===0xFFFFFFFF){compSize=u64(ep);ep+=8;}
-            if(localOff===0xFFFFFFFF){localOff=u64(ep);}
-            break;
-          }
-          ep+=esz;
-        }
-      }
-
-      if(fname==="apple_health_export/export.xml"||fname==="export.xml"){
-        entry={compression,compSize,localOff};break;
-      }
-      pos+=46+fnLen+extraLen+commentLen;
-    }
-    if(!entry)throw new Error("Could not find export.xml inside the ZIP.\n\nPlease export from: iPhone Health app → Profile photo → Export All Health Data.");
-
-    // 4. Locate compressed data via local file header
-    if(u32(entry.localOff)!==0x04034b50)throw new Error("Invalid local file header.");
-    const lfnLen=u16(entry.localOff+26),lextraLen=u16(entry.localOff+28);
-    const dataStart=entry.localOff+30+lfnLen+lextraLen;
-    const compSlice=bytes.subarray(dataStart,dataStart+entry.compSize);
-
-    if(entry.compression===0){
-      // Stored (no compression)
-      const text=tdec.decode(compSlice);exMeta(text);proc(text);
-    }else if(entry.compression===8){
-      // Deflate — stream through native DecompressionStream in 64 KB chunks
-      // Peak memory: ~compSlice size (≈22 MB for typical AH export) + small text buffer
-      const ds=new DecompressionStream("deflate-raw");
-      const writer=ds.writable.getWriter();
-      const reader=ds.readable.getReader();
-      const CHUNK=65536;
-      let written=0,textBuf="",firstChunk=true;
-      const chunkDec=new TextDecoder("utf-8",{fatal:false});
-
-      const writeLoop=async()=>{
-        while(written<compSlice.length){
-          const end=Math.min(written+CHUNK,compSlice.length);
-          await writer.write(compSlice.subarray(written,end));
-          written=end;
-        }
-        await writer.close();
-      };
-
-      const readLoop=async()=>{
-        while(true){
-          const{value,done}=await reader.read();
-          if(done)break;
-          const chunk=chunkDec.decode(value,{stream:true});
-          if(firstChunk){exMeta(chunk);firstChunk=false;}
-          textBuf+=chunk;
-          const le=proc(textBuf);
-          const ti=textBuf.lastIndexOf("<Record",le);
-          textBuf=(ti!==-1&&ti>le-32768)?textBuf.slice(ti):"";
-          if(onProgress)onProgress(Math.min(99,Math.round((written/compSlice.length)*100)));
-        }
-        const tail=chunkDec.decode();
-        if(tail){textBuf+=tail;if(textBuf)proc(textBuf);}
-      };
-
-      await Promise.all([writeLoop(),readLoop()]);
-    }else{
-      throw new Error(`Unsupported ZIP compression method ${entry.compression}. Expected Deflate (8).`);
-    }
-  }else{
-    // Raw XML file
-    const t=await file.text();exMeta(t);proc(t);
-  }
-
-  new Set([...Object.keys(bpS),...Object.keys(bpD)]).forEach(date=>{if(bpS[date]){if(!byMD.bp)byMD.bp={};byMD.bp[date]=[{sys:bpS[date],dia:bpD[date]||null}];}});
-  const entries=[];
-  Object.entries(byMD).forEach(([mid,byDate])=>{
-    Object.entries(byDate).forEach(([date,vals])=>{
-      if(mid==="bp"){vals.forEach(v=>{if(v.sys)entries.push({id:`ah_bp_${date}_${v.sys}`,metricId:"bp",value:Math.round(v.sys),secondary:v.dia?Math.round(v.dia):undefined,date,note:"Apple Health"});});}
-      else{const avg=vals.reduce((a,b)=>a+b,0)/vals.length;entries.push({id:`ah_${mid}_${date}`,metricId:mid,value:parseFloat(avg.toFixed(MB[mid]?.dp??1)),date,note:"Apple Health"});}
-    });
-  });
-  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
-  if(!entries.length)throw new Error("No matching records found. Export must contain VO₂Max, RHR, BP, Glucose, or Body Fat.");
-  return{entries,counts,dSex,dDOB};
-}
-
-// ── Google Fit Takeout parser ─────────────────────────────────────────────
-// Handles Google Takeout ZIPs:  Takeout/Fit/All Data/*.json
-// Each file has a "Data Points" array; each point has dataTypeName + fitValue[].
-const GFT={
-  "com.google.heart_rate.bpm":"rhr",
-  "com.google.blood_pressure":"bp",
-  "com.google.blood_glucose.level":"glucose",
-  "com.google.body.fat.percentage":"bodyfat",
-  "com.google.fitness.vo2max":"vo2max",
-  "com.google.vo2max":"vo2max",
+// Page shapes keep the √2 paper ratio: cards shrink (down to CH_MIN) to fit
+// the page, and only when there are more rows than that allows does it grow.
+const SNAP_ASPECTS={
+  landscape:{label:"Landscape",W:1500,ratio:1/Math.SQRT2},
+  portrait: {label:"Portrait", W:1100,ratio:Math.SQRT2},
 };
-// Detect whether a ZIP is a Google Fit Takeout (returns bool).
-// Peeks at central-directory filenames without decompressing.
-async function isGoogleFitZip(file){
-  try{
-    const ab=await file.slice(0,Math.min(file.size,2*1024*1024)).arrayBuffer();
-    const view=new DataView(ab);const bytes=new Uint8Array(ab);
-    const u32=o=>view.getUint32(o,true);const u16=o=>view.getUint16(o,true);
-    const tdec=new TextDecoder();
-    // scan local file headers to find a Fit JSON quickly
-    let p=0;
-    while(p<bytes.length-30){
-      if(u32(p)!==0x04034b50){p++;continue;}
-      const fnLen=u16(p+26),exLen=u16(p+28);
-      const fname=tdec.decode(bytes.subarray(p+30,p+30+fnLen)).toLowerCase();
-      if(fname.includes("fit")&&fname.endsWith(".json"))return true;
-      p+=30+fnLen+exLen+u32(p+18); // skip compressed data
-    }
-    return false;
-  }catch{return false;}
-}
-async function parseGF(file,onProgress){
-  const byMD={},bpByDate={};
-  const msFromNano=ns=>{
-    if(typeof BigInt!=="undefined"){try{return Number(BigInt(String(ns))/1000000n);}catch{}}
-    return Math.floor(Number(ns)/1000000);
-  };
-  const procJSON=(json,fname)=>{
-    let data;try{data=JSON.parse(json);}catch{return;}
-    const pts=data["Data Points"]||data.dataPoints||[];
-    pts.forEach(pt=>{
-      const dtn=pt.dataTypeName||"";
-      let mid=GFT[dtn];
-      if(!mid){
-        // filename fallback for unlabelled data
-        if(fname.includes("heart_rate"))mid="rhr";
-        else if(fname.includes("blood_pressure"))mid="bp";
-        else if(fname.includes("blood_glucose"))mid="glucose";
-        else if(fname.includes("body_fat")||fname.includes("body.fat"))mid="bodyfat";
-        else if(fname.includes("vo2"))mid="vo2max";
-      }
-      if(!mid)return;
-      const ns=pt.startTimeNanos||pt.endTimeNanos||"";if(!ns)return;
-      const date=new Date(msFromNano(ns)).toISOString().substring(0,10);
-      const fv=pt.fitValue||[];if(!fv.length)return;
-      if(mid==="bp"){
-        const sys=fv[0]?.fpVal;const dia=fv[1]?.fpVal;
-        if(sys&&sys>0){if(!bpByDate[date])bpByDate[date]=[];bpByDate[date].push({sys:Math.round(sys),dia:dia?Math.round(dia):undefined});}
-      }else{
-        let val=fv[0]?.fpVal??fv[0]?.intVal;if(val==null||isNaN(val))return;
-        if(mid==="glucose"&&val<25)val=Math.round(val*18.0182); // mmol/L → mg/dL
-        if(mid==="bodyfat"&&val<=1)val=parseFloat((val*100).toFixed(2)); // fraction → %
-        if(!byMD[mid])byMD[mid]={};
-        if(!byMD[mid][date])byMD[mid][date]=[];
-        byMD[mid][date].push(val);
-      }
-    });
-  };
-
-  // ── Native ZIP reader (same approach as parseAH) ──────────────────────
-  const ab=await file.arrayBuffer();
-  const dv=new DataView(ab);const bytes=new Uint8Array(ab);
-  const u32=o=>dv.getUint32(o,true);const u16=o=>dv.getUint16(o,true);
-  const u64=o=>Number(dv.getBigUint64(o,true));const tdec=new TextDecoder();
-  let eocd=-1;
-  for(let i=ab.byteLength-22;i>=Math.max(0,ab.byteLength-65558);i--){
-    if(u32(i)===0x06054b50){eocd=i;break;}
-  }
-  if(eocd===-1)throw new Error("Not a valid ZIP file.");
-  let cdOffset=u32(eocd+16),cdSize=u32(eocd+12);
-  if(eocd>=20&&u32(eocd-20)===0x07064b50){
-    const z64loc=eocd-20,z64off=u64(z64loc+8);
-    if(z64off<ab.byteLength&&u32(z64off)===0x06064b50){cdSize=u64(z64off+40);cdOffset=u64(z64off+48);}
-  }
-  // Collect all Fit JSON entries from central directory
-  const fitFiles=[];let pos=cdOffset;
-  while(pos<cdOffset+cdSize){
-    if(u32(pos)!==0x02014b50)break;
-    let compSize=u32(pos+20),uncompSize=u32(pos+24),localOff=u32(pos+42);
-    const compression=u16(pos+10),fnLen=u16(pos+28),extraLen=u16(pos+30),commentLen=u16(pos+32);
-    const fname=tdec.decode(bytes.subarray(pos+46,pos+46+fnLen));
-    if(compSize===0xFFFFFFFF||uncompSize===0xFFFFFFFF||localOff===0xFFFFFFFF){
-      let ep=pos+46+fnLen,epEnd=ep+extraLen;
-      while(ep+4<=epEnd){
-        const eid=u16(ep),esz=u16(ep+2);ep+=4;
-        if(eid===0x0001){
-          if(uncompSize===0xFFFFFFFF){uncompSize=u64(ep);ep+=8;}
-          if(compSize===0xFFFFFFFF){compSize=u64(ep);ep+=8;}
-          if(localOff===0xFFFFFFFF){localOff=u64(ep);}break;
-        }ep+=esz;
-      }
-    }
-    const lname=fname.toLowerCase();
-    const inFitFolder=lname.includes("all data")||(lname.includes("fit")&&lname.includes("/"));
-    if(inFitFolder&&lname.endsWith(".json")&&compSize>0)fitFiles.push({fname,compression,compSize,localOff});
-    pos+=46+fnLen+extraLen+commentLen;
-  }
-  if(!fitFiles.length)throw new Error("No Google Fit data files found.\n\nPlease export from: Google Takeout → Fit → Include All Data → Download ZIP.");
-
-  // Decompress and process each JSON file
-  for(let i=0;i<fitFiles.length;i++){
-    const{fname,compression,compSize,localOff}=fitFiles[i];
-    if(onProgress)onProgress(Math.min(95,Math.round((i/fitFiles.length)*95)));
-    if(u32(localOff)!==0x04034b50)continue;
-    const lfnLen=u16(localOff+26),lextraLen=u16(localOff+28);
-    const dataStart=localOff+30+lfnLen+lextraLen;
-    const compSlice=bytes.subarray(dataStart,dataStart+compSize);
-    let jsonText="";
-    if(compression===0){jsonText=tdec.decode(compSlice);}
-    else if(compression===8){
-      const ds=new DecompressionStream("deflate-raw");
-      const writer=ds.writable.getWriter();const reader=ds.readable.getReader();
-      const chunks=[];
-      await Promise.all([
-        (async()=>{await writer.write(compSlice);await writer.close();})(),
-        (async()=>{while(true){const{value,done}=await reader.read();if(done)break;chunks.push(value);}})(),
-      ]);
-      const total=chunks.reduce((a,b)=>a+b.length,0);
-      const combined=new Uint8Array(total);let off=0;
-      chunks.forEach(c=>{combined.set(c,off);off+=c.length;});
-      jsonText=tdec.decode(combined);
-    }else continue;
-    procJSON(jsonText,fname.toLowerCase());
-  }
-
-  // Fold BP into byMD
-  Object.entries(bpByDate).forEach(([date,vals])=>{if(!byMD.bp)byMD.bp={};byMD.bp[date]=vals;});
-  const entries=[];
-  Object.entries(byMD).forEach(([mid,byDate])=>{
-    Object.entries(byDate).forEach(([date,vals])=>{
-      if(mid==="bp"){vals.forEach(v=>{if(v.sys)entries.push({id:`gf_bp_${date}_${v.sys}`,metricId:"bp",value:v.sys,secondary:v.dia,date,note:"Google Fit"});});}
-      else{const avg=vals.reduce((a,b)=>a+b,0)/vals.length;entries.push({id:`gf_${mid}_${date}`,metricId:mid,value:parseFloat(avg.toFixed(MB[mid]?.dp??1)),date,note:"Google Fit"});}
-    });
-  });
-  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
-  if(!entries.length)throw new Error("No matching health records found.\n\nMake sure your Google Fit export includes Heart Rate, Blood Pressure, Glucose, Body Fat, or VO₂ Max.");
-  return{entries,counts,dSex:null,dDOB:null};
+const SNAP_FORMATS=[
+  {id:"jpeg",label:"JPEG",mime:"image/jpeg",ext:"jpg"},
+  {id:"png", label:"PNG", mime:"image/png", ext:"png"},
+  {id:"svg", label:"SVG", mime:"image/svg+xml",ext:"svg"},
+];
+// n cards → page geometry. Top section (header, trajectory, plan) is TOP high.
+function snapshotLayout(n,aspect){
+  const a=SNAP_ASPECTS[aspect]||SNAP_ASPECTS.landscape;
+  const W=a.W,PAD=16,TOP=344,FOOT=40,CH_MIN=340,CH_MAX=600;
+  const COLS=a.ratio>1?(n<=4?2:3):(n<=6?3:4),ROWS=Math.ceil(n/COLS);
+  const CH_CARD=Math.max(CH_MIN,Math.min(CH_MAX,Math.floor((W*a.ratio-TOP-FOOT)/ROWS)-PAD));
+  return{W,H:Math.max(Math.round(W*a.ratio),TOP+ROWS*(CH_CARD+PAD)+FOOT),PAD,TOP,COLS,ROWS,CH_CARD};
 }
-
-// ── Canvas snapshot ───────────────────────────────────────────────────────
-function rrect(ctx,x,y,w,h,r=6){
-  r=Math.min(r,w/2,h/2);ctx.beginPath();
-  ctx.moveTo(x+r,y);ctx.lineTo(x+w-r,y);ctx.arcTo(x+w,y,x+w,y+r,r);
-  ctx.lineTo(x+w,y+h-r);ctx.arcTo(x+w,y+h,x+w-r,y+h,r);
-  ctx.lineTo(x+r,y+h);ctx.arcTo(x,y+h,x,y+h-r,r);
-  ctx.lineTo(x,y+r);ctx.arcTo(x,y,x+r,y,r);ctx.closePath();
+// s cut with "…" to fit maxW in font
+function fitText(g,s,font,maxW){
+  if(g.measure(s,font)<=maxW)return s;
+  let t=s;while(t.length>1&&g.measure(t+"…",font)>maxW)t=t.slice(0,-1);
+  return t+"…";
 }
 // ── Single source of truth for snapshot period ─────────────────────────
-// ALL graphs in the snapshot (bio age trajectory + all 5 metric sparklines)
+// ALL graphs in the snapshot (bio age trajectory + every metric card sparkline)
 // derive their date window from this one function. Any future change to the
 // period logic here automatically applies to every chart — no divergence possible.
-function computeSnapshotPeriod(entries, months){
-  const now=new Date();
-  // Calendar month subtraction: "6 months" = exactly 6 calendar months back from today
-  const cutoff=new Date(now);cutoff.setMonth(cutoff.getMonth()-months);
-  let cStr=cutoff.toISOString().substring(0,10);
-  const pLabel=months===1?"Last 1 Month":months===3?"Last 3 Months":"Last 6 Months";
-  // Fallback applied ONCE here so bio age trajectory and metric sparklines
-  // always see the same window — they can never diverge from each other.
-  const hasWindowData=entries.length>0&&entries.some(e=>e.date>=cStr);
-  if(!hasWindowData&&entries.length>0) cStr=entries.map(e=>e.date).sort()[0];
-  const windowNote=hasWindowData?"":` (all-time — no data in ${pLabel})`;
-  // periodDays and numWeeks derived from the final cStr (post-fallback),
-  // so the bio age weekly-point loop covers exactly the same range as metric sparklines.
-  const cutoffActual=new Date(cStr);
-  const periodDays=Math.max(1,Math.round((now-cutoffActual)/(1000*60*60*24)));
+// range = {preset, from?, to?, compare?}: a SNAP_PRESETS id, custom from / to
+// dates, and whether to add the previous period of the same length (prev) as
+// a ghost series. A window without readings is reported (hasData:false), not
+// widened — switching to "all" is the user's call.
+const SNAP_PRESETS=[
+  {id:"1m",label:"1 Month",months:1},
+  {id:"3m",label:"3 Months",months:3},
+  {id:"6m",label:"6 Months",months:6},
+  {id:"12m",label:"12 Months",months:12},
+  {id:"ytd",label:"Year to Date"},
+  {id:"all",label:"All Time"},
+  {id:"custom",label:"Custom"},
+];
+function snapRangeError({preset,from,to}){
+  if(preset!=="custom")return null;
+  if(!from||!to)return"Pick a start and an end date.";
+  if(from>to)return"The start date must be before the end date.";
+  if(to>todayStr())return"The end date can't be in the future.";
+  return null;
+}
+function computeSnapshotPeriod(entries, range){
+  const p=SNAP_PRESETS.find(x=>x.id===range?.preset)||SNAP_PRESETS[0];
+  const custom=p.id==="custom";
+  // Noon, so the local date never slips a day when read back as ISO
+  const now=custom?new Date(`${range.to}T12:00:00`):new Date();
+  const eStr=custom?range.to:now.toISOString().substring(0,10);
+  let cStr,pLabel;
+  if(p.months){
+    // Calendar month subtraction: "6 months" = exactly 6 calendar months back from today
+    const cutoff=new Date(now);cutoff.setMonth(cutoff.getMonth()-p.months);
+    cStr=cutoff.toISOString().substring(0,10);pLabel=`Last ${p.label}`;
+  }else if(p.id==="ytd"){cStr=`${eStr.substring(0,4)}-01-01`;pLabel=`Year to Date ${eStr.substring(0,4)}`;}
+  else if(p.id==="all"){cStr=entries.length?entries.map(e=>e.date).sort()[0]:eStr;pLabel="All Time";}
+  else{cStr=range.from;pLabel=`${range.from} → ${range.to}`;}
+  const hasData=entries.some(e=>e.date>=cStr&&e.date<=eStr);
+  // periodDays and numWeeks come from the final window, so the bio age
+  // weekly-point loop covers exactly the same range as metric sparklines.
+  const periodDays=Math.max(1,Math.round(daysBetween(cStr,eStr)));
   const numWeeks=Math.ceil(periodDays/7);
-  return{now,cStr,pLabel,periodDays,numWeeks,windowNote};
+  const prev=range?.compare?{cStr:addDays(cStr,-periodDays),eStr:addDays(cStr,-1)}:null;
+  return{now,cStr,eStr,pLabel,periodDays,numWeeks,hasData,prev};
 }
 
-function renderSnapshot(entries,sex,eth,bioAge,chronoAge,months){
-  const W=1500,H=1320;const cv=document.createElement("canvas");cv.width=W;cv.height=H;
-  const ctx=cv.getContext("2d");
+// opts: {theme, aspect, format} — format "svg" returns SVG markup, else a canvas
+function renderSnapshot(allEntries,sex,eth,chronoAge,range,inputs,goals,opts={}){
   // All period values come from the single shared helper — guaranteed consistent
-  const{now,cStr,pLabel,periodDays,numWeeks,windowNote}=computeSnapshotPeriod(entries,months);
+  const per=computeSnapshotPeriod(allEntries,range);
+  const{now,cStr,eStr,pLabel,periodDays,numWeeks,hasData,prev}=per;
+  // Nothing after the window's end, so a past range reads as it did then
+  const entries=allEntries.filter(e=>e.date<=eStr);
+  // Card grid: the core five plus any other biomarker with data
+  const ids=MK.filter(id=>CORE.includes(id)||entries.some(e=>e.metricId===id));
+  const{W,H,PAD,COLS,ROWS,CH_CARD}=snapshotLayout(ids.length,opts.aspect);
+  const th=SNAP_THEMES[opts.theme]||SNAP_THEMES.dark;
+  const g=opts.format==="svg"?svgSurface(W,H):canvasSurface(W,H);
   const ethLabel=ETHNICITIES.find(e=>e.id===eth)?.label||"";
+  const SANS="system-ui,sans-serif";
 
-  ctx.fillStyle="#060a10";ctx.fillRect(0,0,W,H);
+  g.rect(0,0,W,H,{fill:th.bg});
 
   // ── Header bar ────────────────────────────────────────────────────────
-  ctx.fillStyle="#0a0e16";ctx.fillRect(0,0,W,72);
-  ctx.strokeStyle="#0e1824";ctx.lineWidth=1;ctx.beginPath();ctx.moveTo(0,72);ctx.lineTo(W,72);ctx.stroke();
-  ctx.font="bold 22px system-ui,sans-serif";ctx.fillStyle="#00ffa3";
-  const bw=ctx.measureText("BIO").width;ctx.fillText("BIO",32,46);
-  ctx.fillStyle="#e0eeff";ctx.fillText("AGE",32+bw,46);
-  ctx.font="bold 13px monospace";ctx.fillStyle="#00ffa3";
-  const pl=(pLabel+windowNote).toUpperCase();ctx.fillText(pl,W/2-ctx.measureText(pl).width/2,46);
-  ctx.font="11px monospace";ctx.fillStyle="#445566";
-  const meta=`${sex==="female"?"♀":"♂"} · ${ethLabel} · Bio Age ${bioAge?bioAge.toFixed(1):"–"} / Chrono ${chronoAge} · ${now.toLocaleDateString("en-US",{year:"numeric",month:"short",day:"numeric"})}`;
-  ctx.fillText(meta,W-ctx.measureText(meta).width-32,46);
-  ctx.font="9px monospace";ctx.fillStyle="#1e3040";
-  ctx.fillText("Sources: ACSM · ACE · AHA · ADA · Not medical advice",32,65);
+  g.rect(0,0,W,72,{fill:th.panel});
+  g.line([[0,72],[W,72]],{stroke:th.edge});
+  const bw=g.measure("BIO",`bold 22px ${SANS}`);
+  g.text("BIO",32,46,{font:`bold 22px ${SANS}`,fill:th.acc});
+  g.text("AGE",32+bw,46,{font:`bold 22px ${SANS}`,fill:th.text});
+  const ci=getBioAgeCI(entries,chronoAge,sex,eth,inputs,eStr);const algo=algoOf(inputs?.algo);
+  const meta=`${sex==="female"?"♀":"♂"} · ${ethLabel} · ${algo.label} Bio Age ${ci?ci.ba.toFixed(1):"–"}${ci?.se!=null?` ±${(KDM_Z*ci.se).toFixed(1)} (${ci.n}/${KDM_N} biomarkers)`:""} / Chrono ${chronoAge} · ${now.toLocaleDateString("en-US",{year:"numeric",month:"short",day:"numeric"})}`;
+  g.text(meta,W-32,46,{font:"11px monospace",fill:th.dim,align:"right"});
+  // Narrow pages have no room for the period in the middle: it goes under the meta
+  const pl=`${pLabel}${prev?` vs previous ${periodDays} days`:""}${hasData?"":" — no readings in this window"}`.toUpperCase();
+  if(W>=1300)g.text(pl,W/2,46,{font:"bold 13px monospace",fill:th.acc,align:"center"});
+  else g.text(pl,W-32,65,{font:"bold 11px monospace",fill:th.acc,align:"right"});
+  g.text("Sources: ACSM · ACE · AHA · ADA · Not medical advice",32,65,{font:"9px monospace",fill:th.faint});
 
   // ── Top section: Bio Trajectory (left) + 30-Day Plan (right) ──────────
-  const PAD=16,TSEC_Y=88,TSEC_H=240;
+  const TSEC_Y=88,TSEC_H=240;
   const TRAJ_W=Math.floor((W-PAD*3)*0.58);
   const PLAN_W=W-PAD*3-TRAJ_W;
   const TRAJ_X=PAD,PLAN_X=PAD+TRAJ_W+PAD;
 
   // Bio trajectory card bg
-  rrect(ctx,TRAJ_X,TSEC_Y,TRAJ_W,TSEC_H,10);ctx.fillStyle="#0a0e16";ctx.fill();
-  rrect(ctx,TRAJ_X,TSEC_Y,TRAJ_W,TSEC_H,10);ctx.strokeStyle="#00ffa322";ctx.lineWidth=1;ctx.stroke();
+  g.rect(TRAJ_X,TSEC_Y,TRAJ_W,TSEC_H,{r:10,fill:th.panel,stroke:th.acc+"22"});
 
   // Bio trajectory title
-  ctx.fillStyle="#00ffa3";ctx.font="bold 12px system-ui,sans-serif";
-  ctx.fillText("Biological Age Trajectory",TRAJ_X+16,TSEC_Y+22);
-  ctx.fillStyle="#334455";ctx.font="9px monospace";
-  ctx.fillText(`Weekly · ${pLabel} · vs Chronological Age ${chronoAge}`,TRAJ_X+16,TSEC_Y+36);
-
-  // Build weekly bio age data points for the period
-  const weekPts=[];
+  g.text("Biological Age Trajectory",TRAJ_X+16,TSEC_Y+22,{font:`bold 12px ${SANS}`,fill:th.acc});
+  g.text(fitText(g,`Weekly · ${pLabel} · ${algo.full} · vs Chronological Age ${chronoAge}${algo.id==="kdm"?" · band = 95% interval":""}${prev?" · dashed = previous period":""}`,"9px monospace",TRAJ_W-32),
+    TRAJ_X+16,TSEC_Y+36,{font:"9px monospace",fill:th.mute});
+
+  // Build weekly bio age data points for the period; f = position in the window
+  // (0–1). The previous period's ghost takes the same week offsets shifted back.
+  const weekPts=[],ghostPts=[];
+  const inWin=entries.filter(e=>e.date>=cStr),inPrev=prev?entries.filter(e=>e.date>=prev.cStr):[];
   for(let w=numWeeks;w>=0;w--){
     const d=new Date(now);d.setDate(d.getDate()-w*7);
     const dStr=d.toISOString().substring(0,10);
     if(dStr<cStr)continue;
-    const ba=getBioAge(entries.filter(e=>e.date>=cStr&&e.date<=dStr),chronoAge,sex);
-    if(ba)weekPts.push({date:dStr.slice(0,7),ba:+ba.toFixed(1)});
+    const f=Math.min(1,daysBetween(cStr,dStr)/periodDays);
+    const r=getBioAgeCI(inWin,chronoAge,sex,eth,inputs,dStr);
+    if(r)weekPts.push({f,date:dStr.slice(0,7),ba:r.ba,lo:r.lo??r.ba,hi:r.hi??r.ba});
+    const gh=prev&&getBioAgeCI(inPrev,chronoAge,sex,eth,inputs,addDays(dStr,-periodDays));
+    if(gh)ghostPts.push({f,ba:gh.ba});
   }
 
   // Draw bio trajectory chart
   const CX=TRAJ_X+48,CY=TSEC_Y+48,CW2=TRAJ_W-64,CH2=TSEC_H-72;
   if(weekPts.length>1){
-    const bas=weekPts.map(p=>p.ba);
+    const bas=[...weekPts.flatMap(p=>[p.lo,p.hi]),...ghostPts.map(p=>p.ba)];
     const rawMn=Math.min(...bas,chronoAge-5),rawMx=Math.max(...bas,chronoAge+1);
     const pad2=(rawMx-rawMn)*0.1||1;
     const mn=rawMn-pad2,mx=rawMx+pad2,vr=mx-mn;
-    const tx=i=>CX+(i/(weekPts.length-1))*CW2;
+    const tx=p=>CX+p.f*CW2;
     const ty=v=>CY+CH2-((v-mn)/vr)*CH2;
+    const baLine=weekPts.map(p=>[tx(p),ty(p.ba)]);
     // Chrono dashed line
     const chronoY=ty(chronoAge);
-    ctx.beginPath();ctx.strokeStyle="#1e3a4a";ctx.lineWidth=1;ctx.setLineDash([6,4]);
-    ctx.moveTo(CX,chronoY);ctx.lineTo(CX+CW2,chronoY);ctx.stroke();ctx.setLineDash([]);
-    ctx.fillStyle="#1e3a4a";ctx.font="8px monospace";ctx.textAlign="right";
-    ctx.fillText(`Chrono ${chronoAge}`,CX+CW2,chronoY-3);ctx.textAlign="left";
+    g.line([[CX,chronoY],[CX+CW2,chronoY]],{stroke:th.chrono,dash:[6,4]});
+    g.text(`Chrono ${chronoAge}`,CX+CW2,chronoY-3,{font:"8px monospace",fill:th.chrono,align:"right"});
+    // 95% interval band
+    g.poly([...weekPts.map(p=>[tx(p),ty(p.hi)]),...[...weekPts].reverse().map(p=>[tx(p),ty(p.lo)])],{fill:th.acc+"14"});
     // Bio age area fill
-    const grad=ctx.createLinearGradient(CX,CY,CX,CY+CH2);
-    grad.addColorStop(0,"#00ffa355");grad.addColorStop(1,"#00ffa305");
-    ctx.beginPath();weekPts.forEach((p,i)=>i===0?ctx.moveTo(tx(i),ty(p.ba)):ctx.lineTo(tx(i),ty(p.ba)));
-    ctx.lineTo(tx(weekPts.length-1),CY+CH2);ctx.lineTo(CX,CY+CH2);ctx.closePath();ctx.fillStyle=grad;ctx.fill();
-    // Bio age line
-    ctx.beginPath();ctx.strokeStyle="#00ffa3";ctx.lineWidth=2.5;ctx.lineJoin="round";
-    weekPts.forEach((p,i)=>i===0?ctx.moveTo(tx(i),ty(p.ba)):ctx.lineTo(tx(i),ty(p.ba)));ctx.stroke();
-    // Dots
-    ctx.fillStyle="#00ffa3";weekPts.forEach((p,i)=>{ctx.beginPath();ctx.arc(tx(i),ty(p.ba),3,0,Math.PI*2);ctx.fill();});
+    if(th.fade)g.poly([...baLine,[tx(weekPts[weekPts.length-1]),CY+CH2],[tx(weekPts[0]),CY+CH2]],{fill:th.acc,fade:[0.33,0.02]});
+    // Previous period ghost
+    if(ghostPts.length>1)g.line(ghostPts.map(p=>[tx(p),ty(p.ba)]),{stroke:th.ghost,lw:1.5,dash:[5,4]});
+    // Bio age line + dots
+    g.line(baLine,{stroke:th.acc,lw:2.5});
+    baLine.forEach(([x,y])=>g.circle(x,y,3,{fill:th.acc}));
     // Y-axis
-    ctx.beginPath();ctx.strokeStyle="#1e2a3a";ctx.lineWidth=1;ctx.moveTo(CX,CY);ctx.lineTo(CX,CY+CH2);ctx.stroke();
-    const yTicks=[rawMn,chronoAge,rawMx];
-    ctx.fillStyle="#445566";ctx.font="8px monospace";ctx.textAlign="right";
-    yTicks.forEach(v=>{const lbl=v.toFixed(1);ctx.fillText(lbl,CX-3,ty(v)+3);});ctx.textAlign="left";
+    g.line([[CX,CY],[CX,CY+CH2]],{stroke:th.axis});
+    [rawMn,chronoAge,rawMx].forEach(v=>g.text(v.toFixed(1),CX-3,ty(v)+3,{font:"8px monospace",fill:th.dim,align:"right"}));
     // X-axis labels: first and last
-    ctx.fillStyle="#334455";ctx.font="8px monospace";
-    ctx.fillText(weekPts[0].date,CX,CY+CH2+13);
-    const ll=weekPts[weekPts.length-1].date;ctx.fillText(ll,CX+CW2-ctx.measureText(ll).width,CY+CH2+13);
+    g.text(weekPts[0].date,CX,CY+CH2+13,{font:"8px monospace",fill:th.mute});
+    g.text(weekPts[weekPts.length-1].date,CX+CW2,CY+CH2+13,{font:"8px monospace",fill:th.mute,align:"right"});
     // Start/end bio age callouts
     const first=weekPts[0],last=weekPts[weekPts.length-1];
     const delta=+(last.ba-first.ba).toFixed(1);
     const good=delta<0;
-    ctx.fillStyle=good?"#00ffa3":"#ff6b6b";ctx.font="bold 10px monospace";
-    const dStr2=`${good?"↓":"↑"} ${Math.abs(delta)} yrs over period`;
-    ctx.fillText(dStr2,CX+CW2/2-ctx.measureText(dStr2).width/2,CY-4);
+    const avg=a=>a.reduce((s,p)=>s+p.ba,0)/a.length;
+    g.text(`${good?"↓":"↑"} ${Math.abs(delta)} yrs over period${ghostPts.length?` · avg ${avg(weekPts).toFixed(1)} vs ${avg(ghostPts).toFixed(1)} previous`:""}`,CX+CW2/2,CY-4,
+      {font:"bold 10px monospace",fill:th.ink(good?"#00ffa3":"#ff6b6b"),align:"center"});
   }else{
-    ctx.fillStyle="#1e2a3a";ctx.font="11px monospace";ctx.fillText("Insufficient data for this period",CX,CY+CH2/2);
+    g.text("Insufficient data for this period",CX,CY+CH2/2,{font:"11px monospace",fill:th.faint});
   }
 
   // 30-Day Priority Plan card
-  rrect(ctx,PLAN_X,TSEC_Y,PLAN_W,TSEC_H,10);ctx.fillStyle="#080e18";ctx.fill();
-  rrect(ctx,PLAN_X,TSEC_Y,PLAN_W,TSEC_H,10);ctx.strokeStyle="#0e2030";ctx.lineWidth=1;ctx.stroke();
-  ctx.fillStyle="#00ffa3";ctx.font="bold 12px system-ui,sans-serif";
-  ctx.fillText("🎯 30-Day Priority Plan",PLAN_X+16,TSEC_Y+22);
+  g.rect(PLAN_X,TSEC_Y,PLAN_W,TSEC_H,{r:10,fill:th.plan,stroke:th.planEdge});
+  g.text("🎯 30-Day Priority Plan",PLAN_X+16,TSEC_Y+22,{font:`bold 12px ${SANS}`,fill:th.acc});
 
   // Compute top-3 impacts (pure functions, no React)
   const curScoreMap={};
-  MK.forEach(id=>{const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];if(l)curScoreMap[id]=getScore(id,l.value,sex,eth);});
+  MK.forEach(id=>{const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];if(l)curScoreMap[id]=entryScore(l,sex,eth,chronoAge);});
   const validIds=MK.filter(id=>curScoreMap[id]!=null);
-  const curBAall=getBioAge(entries,chronoAge,sex);
-  const topImpacts=validIds.map(id=>{
-    const hypBA=getHypoBioAge(entries,chronoAge,sex,eth,id);
+  const curBAall=getBioAge(entries,chronoAge,sex,eth,inputs);
+  const impactRows=validIds.map(id=>{
+    const hypBA=getHypoBioAge(entries,chronoAge,sex,eth,id,inputs);
     const gain=curBAall!=null&&hypBA!=null?+(curBAall-hypBA).toFixed(1):0;
     const sc=curScoreMap[id];const tier=sc>=72?"good":sc>=45?"fair":"poor";
     const rec=RECS[id]?.[tier]||{action:"",detail:""};
-    const m=getM(id,sex,eth);
+    const m=getM(id,sex,eth,chronoAge);
     const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];
     return{id,label:m.label,sc,col:gC(sc),gain,action:rec.action||"",detail:rec.detail||"",currentVal:l?`${l.value} ${m.unit}`:""};
-  }).sort((a,b)=>b.gain-a.gain).slice(0,3);
+  });
+  const topImpacts=planOrder(impactRows,goals,entries,sex,eth,chronoAge).slice(0,3);
 
   const NUMS=["①","②","③"];
   topImpacts.forEach((r,i)=>{
-    const iy=TSEC_Y+42+i*64;
+    const iy=TSEC_Y+42+i*64,col=th.ink(r.col),maxW=PLAN_W-62;
     // Number badge
-    ctx.fillStyle=r.col+"22";ctx.beginPath();ctx.arc(PLAN_X+28,iy+10,12,0,Math.PI*2);ctx.fill();
-    ctx.fillStyle=r.col;ctx.font="bold 11px monospace";
-    ctx.fillText(NUMS[i],PLAN_X+22,iy+14);
+    g.circle(PLAN_X+28,iy+10,12,{fill:col+"22"});
+    g.text(NUMS[i],PLAN_X+28,iy+14,{font:"bold 11px monospace",fill:col,align:"center"});
     // Label + value + gain
-    ctx.font="bold 11px system-ui,sans-serif";ctx.fillStyle="#e0eeff";
-    ctx.fillText(`${r.label}`,PLAN_X+46,iy+8);
-    ctx.font="9px monospace";ctx.fillStyle=r.col;
-    ctx.fillText(`${r.currentVal}${r.gain>0.1?`  ↓ ${r.gain}y potential`:"  ✓ At optimal"}`,PLAN_X+46,iy+20);
-    // Action (truncated to fit)
-    ctx.font="9px monospace";ctx.fillStyle="#6699aa";
-    const actionFull=r.action;const maxW=PLAN_W-60;
-    let aw=ctx.measureText(actionFull).width;
-    let actionTxt=actionFull;
-    while(aw>maxW&&actionTxt.length>10){actionTxt=actionTxt.slice(0,-1);aw=ctx.measureText(actionTxt+"…").width;}
-    if(actionTxt!==actionFull)actionTxt+="…";
-    ctx.fillText(actionTxt,PLAN_X+46,iy+33);
-    // Detail line 1 (truncated)
-    const detailLine=r.detail.substring(0,90)+"…";
-    ctx.font="8px monospace";ctx.fillStyle="#445566";
-    ctx.fillText(detailLine,PLAN_X+46,iy+46);
+    g.text(r.label,PLAN_X+46,iy+8,{font:`bold 11px ${SANS}`,fill:th.text});
+    g.text(fitText(g,`${r.currentVal}${r.goalSt?`  🎯 ${r.goalSt.goal.target} by ${r.goalSt.goal.deadline} · ${r.goalSt.status}`:r.gain>0.1?`  ↓ ${r.gain}y potential`:"  ✓ At optimal"}`,"9px monospace",maxW),
+      PLAN_X+46,iy+20,{font:"9px monospace",fill:r.goalSt?th.ink(GOAL_C[r.goalSt.status]):col});
+    // Action and first line of detail, cut to fit
+    g.text(fitText(g,r.action,"9px monospace",maxW),PLAN_X+46,iy+33,{font:"9px monospace",fill:th.sub});
+    g.text(fitText(g,r.detail,"8px monospace",maxW),PLAN_X+46,iy+46,{font:"8px monospace",fill:th.dim});
     // Divider
-    if(i<2){ctx.beginPath();ctx.strokeStyle="#0e2030";ctx.lineWidth=1;ctx.moveTo(PLAN_X+16,iy+56);ctx.lineTo(PLAN_X+PLAN_W-16,iy+56);ctx.stroke();}
+    if(i<2)g.line([[PLAN_X+16,iy+56],[PLAN_X+PLAN_W-16,iy+56]],{stroke:th.planEdge});
   });
-  if(!topImpacts.length){ctx.fillStyle="#1e2a3a";ctx.font="11px monospace";ctx.fillText("Log data to generate plan",PLAN_X+16,TSEC_Y+130);}
+  if(!topImpacts.length)g.text("Log data to generate plan",PLAN_X+16,TSEC_Y+130,{font:"11px monospace",fill:th.faint});
 
-  // ── Metric cards: 3 top row + 2 bottom row centred ────────────────────
+  // ── Metric cards: COLS per row, a short last row centred ──────────────
   const CARDS_Y=TSEC_Y+TSEC_H+PAD;
-  const CW_CARD=Math.floor((W-PAD*4)/3);
-  const CH_CARD=Math.floor((H-CARDS_Y-PAD*2)/2)-2;
-  const R2Y=CARDS_Y+CH_CARD+PAD;
-  const R2X=(W-2*CW_CARD-PAD)/2;
-  MK.forEach((id,idx)=>{
-    const col2=idx%3,row=Math.floor(idx/3);
-    const cx=row===0?PAD+col2*(CW_CARD+PAD):R2X+(idx-3)*(CW_CARD+PAD);
-    const cy=row===0?CARDS_Y:R2Y;
-    drawCard(ctx,cx,cy,CW_CARD,CH_CARD,id,entries,sex,eth,cStr);
+  const CW_CARD=Math.floor((W-PAD*(COLS+1))/COLS);
+  ids.forEach((id,idx)=>{
+    const col2=idx%COLS,row=Math.floor(idx/COLS);
+    const inRow=row===ROWS-1?ids.length-row*COLS:COLS;
+    const x0=(W-inRow*CW_CARD-(inRow-1)*PAD)/2;
+    drawCard(g,th,x0+col2*(CW_CARD+PAD),CARDS_Y+row*(CH_CARD+PAD),CW_CARD,CH_CARD,id,entries,sex,eth,per,chronoAge);
   });
-  return cv;
+
+  // ── Footer: which reference ranges the scores use ─────────────────────
+  g.text(activeRef()?`📐 ${refLabel()} — ranges, scores and KDM parameters differ from the published defaults`:"Reference ranges: published defaults (ACSM · ACE · AHA · ADA)",32,H-14,
+    {font:"9px monospace",fill:activeRef()?th.ink("#f0c060"):th.faint});
+  return g.done();
 }
-function drawCard(ctx,x,y,w,h,id,entries,sex,eth,cStr){
-  const m=getM(id,sex,eth);
+// per: computeSnapshotPeriod result; entries end at its eStr
+function drawCard(g,th,x,y,w,h,id,entries,sex,eth,per,age){
+  const{cStr,eStr,periodDays,prev}=per;
+  const m=getM(id,sex,eth,age);
   const all=entries.filter(e=>e.metricId===id).sort((a,b)=>a.date.localeCompare(b.date));
   const period=all.filter(e=>e.date>=cStr);
+  const ghost=prev?all.filter(e=>e.date>=prev.cStr&&e.date<=prev.eStr):[];
   const latest=all[all.length-1]||null;
-  const sc=latest?getScore(id,latest.value,sex,eth):null;
-  const col=sc?gC(sc):"#334455";
-  rrect(ctx,x,y,w,h,10);ctx.fillStyle="#0a0e16";ctx.fill();
-  rrect(ctx,x,y,w,h,10);ctx.strokeStyle=col+"28";ctx.lineWidth=1;ctx.stroke();
+  const sc=latest?entryScore(latest,sex,eth,age):null;
+  const col=sc?th.ink(gC(sc)):th.mute;
+  const F8="8px monospace",F9="9px monospace";
+  g.rect(x,y,w,h,{r:10,fill:th.panel,stroke:col+"28"});
   const PX=x+18;
   // label
-  ctx.fillStyle="#334455";ctx.font="10px monospace";ctx.fillText(m.label.toUpperCase(),PX,y+22);
+  g.text(m.label.toUpperCase(),PX,y+22,{font:"10px monospace",fill:th.mute});
   // score ring
   const RX=x+w-40,RY=y+24,RR=18;
-  ctx.beginPath();ctx.arc(RX,RY,RR,0,Math.PI*2);ctx.strokeStyle="#1a1f2e";ctx.lineWidth=4;ctx.stroke();
-  if(sc){ctx.beginPath();ctx.arc(RX,RY,RR,-Math.PI/2,-Math.PI/2+(sc/100)*Math.PI*2);ctx.strokeStyle=col;ctx.lineWidth=4;ctx.stroke();
-    ctx.fillStyle=col;ctx.font="bold 10px monospace";const ss=Math.round(sc)+"";ctx.fillText(ss,RX-ctx.measureText(ss).width/2,RY+4);}
+  g.circle(RX,RY,RR,{stroke:th.ring,lw:4});
+  if(sc){
+    g.arc(RX,RY,RR,-Math.PI/2,-Math.PI/2+(sc/100)*Math.PI*2,{stroke:col,lw:4});
+    g.text(Math.round(sc),RX,RY+4,{font:"bold 10px monospace",fill:col,align:"center"});
+  }
   // value
   if(latest){
-    ctx.fillStyle=col;ctx.font="bold 32px system-ui,sans-serif";
-    const vs=`${latest.value}`;const vw=ctx.measureText(vs).width;ctx.fillText(vs,PX,y+74);
-    ctx.fillStyle="#445566";ctx.font="11px monospace";ctx.fillText(m.unit,PX+vw+4,y+70);
-    if(m.secondary&&latest.secondary)ctx.fillText(`/ ${latest.secondary}`,PX+vw+50,y+70);
-    ctx.fillStyle=col+"cc";ctx.font="10px monospace";ctx.fillText(sc?gL(sc):"",PX,y+88);
-  }else{ctx.fillStyle="#1e2a3a";ctx.font="bold 28px system-ui";ctx.fillText("–",PX,y+74);}
+    const vs=`${latest.value}`,vw=g.measure(vs,"bold 32px system-ui,sans-serif");
+    g.text(vs,PX,y+74,{font:"bold 32px system-ui,sans-serif",fill:col});
+    g.text(m.unit,PX+vw+4,y+70,{font:"11px monospace",fill:th.dim});
+    if(m.secondary&&latest.secondary)g.text(`/ ${latest.secondary}`,PX+vw+50,y+70,{font:"11px monospace",fill:th.dim});
+    const cat=getCategory(id,latest.value,sex,eth,latest.secondary,age);
+    if(sc)g.text(`${gL(sc)} · ${cat.label}${m.ageBand?` for ${m.ageBand}`:""}`,PX,y+88,{font:"10px monospace",fill:col+"cc"});
+  }else g.text("–",PX,y+74,{font:"bold 28px system-ui",fill:th.axis});
   // trend
-  const ahN=period.filter(e=>e.note==="Apple Health").length;
-  if(ahN>0){ctx.fillStyle="#006633";ctx.font="9px monospace";ctx.fillText(`⌘ ${ahN} Apple Health`,PX,y+100);}
-  if(period.length>=2){
-    const d=period[period.length-1].value-period[0].value;const good=m.higherIsBetter?d>0:d<0;
-    ctx.fillStyle=good?"#00ffa3":"#ff6b6b";ctx.font="10px monospace";
-    ctx.fillText(`${good?"↗":"↘"} ${Math.abs(d).toFixed(m.dp)} over period`,PX,y+(ahN>0?112:100));
+  const imported=period.filter(isDeviceEntry);const ahN=imported.length;
+  if(ahN>0){
+    const srcs=[...new Set(imported.map(e=>sourceOf(e)))];
+    g.text(srcs.length===1?`${srcs[0].icon} ${ahN} ${srcs[0].label}`:`⬆ ${ahN} imported`,PX,y+100,{font:F9,fill:th.src});
+  }
+  // same trend numbers as the dashboard card: slope, 30-day mean, MDC verdict
+  const ts=trendStats(all,id);
+  if(ts?.slopeMo!=null){
+    g.text(fitText(g,`${slopeText(ts.slopeMo,m)} · 30d ${ts.r30.toFixed(m.dp)}${ts.change!=null?` · ${changeText(ts,m)}`:""}`,F9,w-36),PX,y+(ahN>0?112:100),
+      {font:F9,fill:!ts.real?th.dim:th.ink(improving(ts.slopeMo,m)?"#00ffa3":"#ff6b6b")});
   }
   // sparkline with Y-axis labels and optimal reference line
   const YLAB=30; // left margin reserved for Y-axis
   const SX=PX+YLAB,SY=y+116,SW=w-36-YLAB,SH=h-210;
   if(period.length>1){
-    const vs=period.map(e=>e.value);
+    const vs=[...period,...ghost].map(e=>e.value);
     const optRef=m.higherIsBetter?m.opt.min:m.opt.max;
     // Expand domain so the optimal line is always visible inside chart
     const rawMn=Math.min(...vs,optRef),rawMx=Math.max(...vs,optRef);
     const pad=(rawMx-rawMn)*0.12||2;
     const mn=rawMn-pad,mx=rawMx+pad,vr=mx-mn;
-    const tx=i=>SX+(i/(period.length-1))*SW;
+    // time axis over the window; the ghost is placed by its offset into the previous one
+    const tx=e=>SX+Math.min(1,daysBetween(cStr,e.date)/periodDays)*SW;
+    const gx=e=>SX+Math.min(1,daysBetween(prev.cStr,e.date)/periodDays)*SW;
     const ty=v=>SY+SH-((v-mn)/vr)*SH;
+    const pts=period.map(e=>[tx(e),ty(e.value)]);
+    // previous period ghost
+    if(ghost.length>1)g.line(ghost.map(e=>[gx(e),ty(e.value)]),{stroke:th.ghost,lw:1.2,dash:[4,3]});
     // area fill
-    const ag=ctx.createLinearGradient(SX,SY,SX,SY+SH);ag.addColorStop(0,col+"44");ag.addColorStop(1,col+"04");
-    ctx.beginPath();period.forEach((e,i)=>i===0?ctx.moveTo(tx(i),ty(e.value)):ctx.lineTo(tx(i),ty(e.value)));
-    ctx.lineTo(tx(period.length-1),SY+SH);ctx.lineTo(SX,SY+SH);ctx.closePath();ctx.fillStyle=ag;ctx.fill();
+    if(th.fade)g.poly([...pts,[pts[pts.length-1][0],SY+SH],[pts[0][0],SY+SH]],{fill:col,fade:[0.27,0.02]});
     // optimal reference line
     const optY=ty(optRef);
-    ctx.save();ctx.beginPath();ctx.strokeStyle="#00ffa3";ctx.lineWidth=1;ctx.globalAlpha=0.55;
-    ctx.setLineDash([5,3]);ctx.moveTo(SX,optY);ctx.lineTo(SX+SW,optY);ctx.stroke();
-    ctx.setLineDash([]);ctx.restore();
-    ctx.fillStyle="#00ffa3bb";ctx.font="bold 8px monospace";
-    const optLbl=`opt ${optRef}`;const olw=ctx.measureText(optLbl).width;
-    ctx.fillText(optLbl,SX+SW-olw-2,optY-3);
-    // data line
-    ctx.beginPath();ctx.strokeStyle=col;ctx.lineWidth=2;ctx.lineJoin="round";
-    period.forEach((e,i)=>i===0?ctx.moveTo(tx(i),ty(e.value)):ctx.lineTo(tx(i),ty(e.value)));ctx.stroke();
-    // dots
-    ctx.fillStyle=col;period.forEach((e,i)=>{ctx.beginPath();ctx.arc(tx(i),ty(e.value),2.5,0,Math.PI*2);ctx.fill();});
-    // Y-axis line
-    ctx.beginPath();ctx.strokeStyle="#1e2a3a";ctx.lineWidth=1;ctx.moveTo(SX,SY);ctx.lineTo(SX,SY+SH);ctx.stroke();
-    // Y-axis tick labels: top, mid, bottom
-    const yTicks=[rawMx,rawMn+(rawMx-rawMn)/2,rawMn];
-    ctx.fillStyle="#445566";ctx.font="8px monospace";ctx.textAlign="right";
-    yTicks.forEach(v=>{
-      const lbl=v%1===0?Math.round(v).toString():v.toFixed(1);
-      ctx.fillText(lbl,SX-3,ty(v)+3);
-    });
-    ctx.textAlign="left";
+    g.line([[SX,optY],[SX+SW,optY]],{stroke:th.acc,alpha:0.55,dash:[5,3]});
+    g.text(`opt ${optRef}`,SX+SW-2,optY-3,{font:`bold ${F8}`,fill:th.acc+"bb",align:"right"});
+    // data line + dots
+    g.line(pts,{stroke:col,lw:2});
+    pts.forEach(([px,py])=>g.circle(px,py,2.5,{fill:col}));
+    // 7-day rolling mean (computed over all readings so the period's first points have history)
+    const r7=rollingMean(all,7).slice(all.length-period.length);
+    g.line(r7.map((v,i)=>[pts[i][0],ty(Math.min(mx,Math.max(mn,v)))]),{stroke:th.mean,lw:1.2});
+    // Y-axis line and tick labels: top, mid, bottom
+    g.line([[SX,SY],[SX,SY+SH]],{stroke:th.axis});
+    [rawMx,rawMn+(rawMx-rawMn)/2,rawMn].forEach(v=>
+      g.text(v%1===0?Math.round(v).toString():v.toFixed(1),SX-3,ty(v)+3,{font:F8,fill:th.dim,align:"right"}));
     // X-axis date labels
-    ctx.fillStyle="#334455";ctx.font="8px monospace";
-    ctx.fillText(period[0].date.slice(0,7),SX,SY+SH+12);
-    const el=period[period.length-1].date.slice(0,7);ctx.fillText(el,SX+SW-ctx.measureText(el).width,SY+SH+12);
-  }else{ctx.fillStyle="#1a2a3a";ctx.font="11px monospace";ctx.fillText("No data for this period",PX,SY+SH/2);}
+    g.text(cStr,SX,SY+SH+12,{font:F8,fill:th.mute});
+    g.text(eStr,SX+SW,SY+SH+12,{font:F8,fill:th.mute,align:"right"});
+  }else g.text("No data for this period",PX,SY+SH/2,{font:"11px monospace",fill:th.faint});
+  // per-metric delta: this window's mean against the previous one's
+  if(prev){
+    if(period.length&&ghost.length){
+      const a=meanOf(ghost),b=meanOf(period),d=b-a;
+      g.text(`vs previous: ${a.toFixed(m.dp)} → ${b.toFixed(m.dp)} (${d>0?"+":d<0?"−":"±"}${Math.abs(d).toFixed(m.dp)} ${m.unit})`,PX,SY+SH+28,
+        {font:F9,fill:Math.abs(d)<10**-m.dp/2?th.dim:th.ink(improving(d,m)?"#00ffa3":"#ff6b6b")});
+    }else g.text(ghost.length?"vs previous: no readings this period":"vs previous: no readings in the previous period",PX,SY+SH+28,{font:F9,fill:th.dim});
+  }
   // range bar with value labels
   const BY=y+h-42,BX=PX,BW=w-36,BH=5;const{cMin,cMax,ranges,opt}=m;const tot=cMax-cMin;
-  ranges.forEach(r=>{const bx=BX+((r.lo-cMin)/tot)*BW;const bw2=((r.hi-r.lo)/tot)*BW;ctx.fillStyle=r.c+"99";ctx.fillRect(bx,BY,Math.max(bw2-1,1),BH);});
+  ranges.forEach(r=>g.rect(BX+((r.lo-cMin)/tot)*BW,BY,Math.max(((r.hi-r.lo)/tot)*BW-1,1),BH,{fill:th.ink(r.c)+"99"}));
   const bounds=[cMin,...ranges.slice(1).map(r=>r.lo),cMax];
-  ctx.fillStyle="#445566";ctx.font="8px monospace";
-  bounds.forEach((v,i)=>{const bx=BX+((v-cMin)/tot)*BW;const lbl=v%1===0?String(v):v.toFixed(1);const lw=ctx.measureText(lbl).width;const lx=i===0?bx:i===bounds.length-1?bx-lw:bx-lw/2;ctx.fillText(lbl,lx,BY+BH+10);});
-  ctx.fillStyle="#445566";ctx.font="8px monospace";ctx.fillText(`Optimal: ${opt.min}–${opt.max} ${m.unit}`,PX,y+h-8);
+  bounds.forEach((v,i)=>g.text(v%1===0?String(v):v.toFixed(1),BX+((v-cMin)/tot)*BW,BY+BH+10,
+    {font:F8,fill:th.dim,align:i===0?"left":i===bounds.length-1?"right":"center"}));
+  g.text(`Optimal: ${opt.min}–${opt.max} ${m.unit}`,PX,y+h-8,{font:F8,fill:th.dim});
+}
+
+// ── Printable PDF report ──────────────────────────────────────────────────
+// A4 pages at 150 dpi, handed to buildPDF: a cover (bio age, the KDM inputs
+// behind it and the interval), a page per metric (continued when its log runs
+// long), the impact ranking with the 30-day plan, and a methods and references
+// appendix. Pages are drawn through canvasSurface in a snapshot theme — print
+// by default — so the report and the snapshot share one palette and backend.
+const RP={W:1240,H:1754,M:90,sans:"system-ui,sans-serif",mono:"monospace"};
+const REPORT_REFS=[
+  "Klemera P, Doubal S. A new approach to the concept and computation of biological age. Mech Ageing Dev. 2006;127(3):240–248.",
+  "Levine ME et al. An epigenetic biomarker of aging for lifespan and healthspan. Aging. 2018;10(4):573–591.",
+  "American College of Sports Medicine. ACSM's Guidelines for Exercise Testing and Prescription, 11th ed. 2021.",
+  "Whelton PK et al. 2017 ACC/AHA Guideline for the Prevention, Detection, Evaluation, and Management of High Blood Pressure in Adults. Hypertension. 2018;71:e13–e115.",
+  "American Diabetes Association. Standards of Care in Diabetes — 2023. Diabetes Care. 2023;46(Suppl 1).",
+  "WHO Expert Consultation. Appropriate body-mass index for Asian populations. Lancet. 2004;363:157–163.",
+  "Mandsager K et al. Association of cardiorespiratory fitness with long-term mortality. JAMA Netw Open. 2018;1(6):e183605.",
+  "Weir JP. Quantifying test-retest reliability using the intraclass correlation coefficient and the SEM. J Strength Cond Res. 2005;19(1):231–240.",
+];
+
+// Greedy word wrap → lines no wider than maxW in font
+function wrapText(g,text,font,maxW){
+  const lines=[];let cur="";
+  String(text).split(/\s+/).filter(Boolean).forEach(w=>{
+    const t=cur?`${cur} ${w}`:w;
+    if(cur&&g.measure(t,font)>maxW){lines.push(cur);cur=w;}else cur=t;
+  });
+  if(cur)lines.push(cur);
+  return lines;
+}
+
+function renderReport(entries,sex,eth,chronoAge,inputs,goals,th=SNAP_THEMES.print){
+  const{W,H,M}=RP,TOP=140,BOT=H-100,CW=W-2*M;
+  const pages=[];let g,y;
+  const dateStr=new Date().toLocaleDateString("en-US",{year:"numeric",month:"short",day:"numeric"});
+  const ethM=ETHNICITIES.find(e=>e.id===eth);
+  const algo=algoOf(inputs?.algo);
+  // type: px size plus {bold,mono,c}
+  const fnt=(px,o={})=>`${o.bold?"bold ":""}${px}px ${o.mono?RP.mono:RP.sans}`;
+  const text=(s,x,yy,px,o={},align="left")=>g.text(s,x,yy,{font:fnt(px,o),fill:o.c||th.text,align});
+  const width=(s,px,o={})=>g.measure(s,fnt(px,o));
+  const rule=(yy,x0=M,x1=W-M)=>g.line([[x0,yy],[x1,yy]],{stroke:th.edge});
+  const newPage=title=>{
+    g=canvasSurface(W,H);g.rect(0,0,W,H,{fill:th.bg});
+    text("BIO",M,70,24,{bold:true,c:th.acc});text("AGE",M+width("BIO",24,{bold:true}),70,24,{bold:true});
+    text(title,W-M,70,15,{mono:true,c:th.dim},"right");
+    rule(90);pages.push(g);y=TOP;
+  };
+  // Continue on a fresh page when h more pixels won't fit
+  const need=(h,title)=>{if(y+h>BOT)newPage(`${title} (continued)`);};
+  const heading=(s,title,px=24)=>{need(px+60,title);y+=12;text(s,M,y+px,px,{bold:true});y+=px+20;};
+  const para=(s,title,{px=17,lh=27,c=th.text,x=M,w=CW}={})=>{
+    wrapText(g,s,fnt(px),w-(x-M)).forEach(l=>{need(lh,title);text(l,x,y+px,px,{c});y+=lh;});y+=8;
+  };
+  // cols [{h,w,align}], rows of cells: string or {t,c,bold}; header repeats on a continuation page
+  const table=(cols,rows,title,{x=M,px=15,rh=30}={})=>{
+    const tw=cols.reduce((a,c)=>a+c.w,0);
+    const head=()=>{
+      let cx=x;
+      cols.forEach(c=>{text(c.h.toUpperCase(),c.align==="right"?cx+c.w-10:cx,y+px,px-3,{bold:true,mono:true,c:th.dim},c.align);cx+=c.w;});
+      y+=px+10;rule(y,x,x+tw);y+=8;
+    };
+    need(rh*2,title);head();
+    rows.forEach(r=>{
+      if(y+rh>BOT){newPage(`${title} (continued)`);head();}
+      let cx=x;
+      r.forEach((cell,i)=>{
+        const c=cols[i],v=cell&&typeof cell==="object"?cell:{t:cell},o={mono:true,c:v.c,bold:v.bold};
+        let s=String(v.t??"");
+        while(s.length>1&&width(s,px,o)>c.w-16)s=s.slice(0,-2)+"…";
+        text(s,c.align==="right"?cx+c.w-10:cx,y+px,px,o,c.align);cx+=c.w;
+      });
+      y+=rh;
+    });
+    y+=14;
+  };
+
+  // ── Cover: bio age, the KDM inputs behind it and the interval ─────────
+  const COVER="Health Report";
+  newPage(COVER);
+  const dates=entries.map(e=>e.date).sort();
+  text("Biological Age Report",M,y+40,46,{bold:true});y+=76;
+  text(`${sex==="female"?"Female":"Male"} · ${ethM?.label||""} · Age ${chronoAge} · ${entries.length} readings${dates.length?`, ${dates[0]} → ${dates[dates.length-1]}`:""}`,M,y,17,{c:th.dim});y+=28;
+  text(`Generated ${dateStr} in the browser — no data left this device`,M,y,17,{c:th.dim});y+=40;
+
+  const ci=getBioAgeCI(entries,chronoAge,sex,eth,inputs);
+  const kdm=algo.id==="kdm"?ci:getBioAgeCI(entries,chronoAge,sex,eth,{...inputs,algo:"kdm"});
+  const BOX=250;
+  g.rect(M,y,CW,BOX,{r:14,fill:th.panel,stroke:th.edge});
+  text(`${algo.full.toUpperCase()} · BIOLOGICAL AGE`,M+32,y+44,15,{mono:true,c:th.dim});
+  text(ci?ci.ba.toFixed(1):"–",M+32,y+160,96,{bold:true,c:ci?(ci.ba<=chronoAge?th.acc:th.ink("#ff6b6b")):th.dim});
+  if(ci){const d=+(chronoAge-ci.ba).toFixed(1);text(d===0?"same as chronological age":`${Math.abs(d)} years ${d>0?"younger":"older"} than chronological age ${chronoAge}`,M+32,y+206,19);}
+  const RX=M+560,inpMode=INPUT_MODES.find(x=>x.id===(inputs?.mode||"latest"));
+  const side=[
+    ci?.se!=null?`95% interval ${ci.lo}–${ci.hi} (±${(KDM_Z*ci.se).toFixed(1)})`:kdm?.se!=null?`KDM on the same inputs: ${kdm.ba} (95% ${kdm.lo}–${kdm.hi})`:"No interval — too few KDM biomarkers",
+    kdm?`${kdm.n} of ${KDM_N} KDM biomarkers in use`:"",
+    `Inputs: ${inpMode?.label||""}${inputs?.mode==="median"?` over ${inputs.days} d`:inputs?.mode==="ewma"?`, half-life ${inputs.halfLife} d`:""}${inputs?.stale>0?` · stale after ${inputs.stale} d (${inputs.staleMode==="downweight"?"down-weighted":"dropped"})`:""}`,
+    ALGOS.map(a=>`${a.label} ${getBioAge(entries,chronoAge,sex,eth,{...inputs,algo:a.id})??"–"}`).join(" · "),
+  ].filter(Boolean);
+  side.forEach((s,i)=>text(s,RX,y+60+i*44,16,{mono:true}));
+  y+=BOX+50;
+
+  heading("KDM inputs",COVER);
+  para("Each biomarker implies an age from its population line, implied age = (value − q) / k. Implied ages are averaged with weight k² / s², together with your chronological age at weight 1 / 7², so sparse data stays close to your real age.",COVER,{px:15,lh:24,c:th.dim});
+  const{vals,wMul}=metricInputs(entries,inputs);
+  const krows=Object.keys(KDM_P).filter(id=>vals[id]!=null).map(id=>{
+    const{k,q,s}=refOverride(id,sex)?.kdm||KDM_P[id][sex]||KDM_P[id].female;
+    return{id,k,q,s,val:vals[id],imp:(vals[id]-q)/k,w:k*k/(s*s)*(wMul[id]??1)};
+  });
+  const sumW=krows.reduce((a,r)=>a+r.w,0)+KDM_W_CA;
+  table([{h:"Biomarker",w:290},{h:"Value used",w:200,align:"right"},{h:"Implied age",w:150,align:"right"},{h:"k",w:100,align:"right"},{h:"q",w:100,align:"right"},{h:"s",w:90,align:"right"},{h:"Weight",w:130,align:"right"}],
+    [...krows.map(r=>{
+      const m=MB[r.id]||MB.bp,dp=r.id==="dbp"?0:m.dp;
+      return[`${r.id==="dbp"?"Diastolic BP":m.label}${refOverride(r.id,sex)?.kdm?" ✎":""}`,`${r.val.toFixed(dp)} ${m.unit}`,r.imp.toFixed(1),String(r.k),String(r.q),String(r.s),
+        `${wMul[r.id]!=null?`×${wMul[r.id].toFixed(2)} `:""}${(r.w/sumW*100).toFixed(1)}%`];
+    }),[{t:"Chronological age",c:th.dim},"",String(chronoAge),"","",String(KDM_S_BA),`${(KDM_W_CA/sumW*100).toFixed(1)}%`]],COVER);
+  if(!krows.length)para("No KDM biomarkers logged yet, so the KDM estimate is your chronological age.",COVER,{px:15,c:th.dim});
+  if(Object.keys(wMul).length)para("×n: a stale reading's weight multiplier.",COVER,{px:14,c:th.dim});
+  if(activeRef())para(`📐 ${refLabel()} — ✎ marks overridden KDM parameters.`,COVER,{px:15,c:th.ink("#f0c060")});
+
+  // ── One page per metric: history, ranges, sources, log ────────────────
+  MK.filter(id=>entries.some(e=>e.metricId===id)).forEach(id=>{
+    const m=getM(id,sex,eth,chronoAge);
+    const hist=entries.filter(e=>e.metricId===id).sort((a,b)=>a.date.localeCompare(b.date));
+    const last=hist[hist.length-1],sc=entryScore(last,sex,eth,chronoAge),cat=getCategory(id,last.value,sex,eth,last.secondary,chronoAge);
+    const ts=trendStats(hist,id),goal=goals?.[id],gs=goal&&goalStatus(goal,hist,m.higherIsBetter);
+    newPage(m.label);
+    text(m.label,M,y+30,34,{bold:true});
+    text(`${m.description} · ${m.unit}`,M,y+60,15,{c:th.dim});
+    text(`${last.value}${last.secondary?`/${last.secondary}`:""}`,W-M,y+34,40,{bold:true,c:th.ink(gC(sc))},"right");
+    text(`${last.date} · score ${Math.round(sc)} · ${gL(sc)} · ${cat.label}`,W-M,y+62,15,{mono:true,c:th.dim},"right");
+    y+=96;
+    text(`7-day mean ${ts.r7.toFixed(m.dp)} · 30-day mean ${ts.r30.toFixed(m.dp)}${ts.slopeMo!=null?` · ${slopeText(ts.slopeMo,m)}`:""}${ts.change!=null?` · ${changeText(ts,m)}`:""}`,M,y,
+      15,{mono:true,c:ts.real?th.ink(improving(ts.change,m)?"#00ffa3":"#ff6b6b"):th.dim});y+=26;
+    if(gs){text(`Goal ${goal.target}${goal.secondary!=null?`/${goal.secondary}`:""} ${m.unit} by ${goal.deadline} · ${gs.status}`,M,y,15,{mono:true,c:th.ink(GOAL_C[gs.status])});y+=26;}
+    y+=14;
+
+    // Full history chart on a time axis, range bands behind. The y range
+    // spans every value and reference line, so nothing needs clipping.
+    const CX=M+64,CY=y,CWc=CW-64,CHc=420;
+    const t0=Date.parse(hist[0].date),tspan=Math.max(Date.parse(last.date)-t0,DAY_MS);
+    const tx=d=>hist.length>1?CX+(Date.parse(d)-t0)/tspan*CWc:CX+CWc/2;
+    const vs=hist.flatMap(e=>e.secondary?[e.value,e.secondary]:[e.value]);
+    const ref=[m.opt.min,m.opt.max,...(goal?[goal.target]:[])];
+    let mn=Math.min(...vs,...ref),mx=Math.max(...vs,...ref);const pd=(mx-mn)*0.08||1;mn-=pd;mx+=pd;
+    const ty=v=>CY+CHc-(v-mn)/(mx-mn)*CHc;
+    const path=(pts,c,lw,dash)=>g.line(pts,{stroke:c,lw,dash});
+    const hline=(v,c,dash)=>path([[CX,ty(v)],[CX+CWc,ty(v)]],c,1.5,dash);
+    [...m.ranges,...(m.over?[m.over]:[])].forEach(r=>{
+      const top=ty(Math.min(r.hi,mx)),bot=ty(Math.max(r.lo,mn));if(bot<=top)return;
+      g.rect(CX,top,CWc,bot-top,{fill:th.ink(r.c)+"1f"});
+      if(bot-top>18)text(r.label,CX+CWc-8,top+15,12,{mono:true,c:th.ink(r.c)},"right");
+    });
+    hline(m.opt.min,th.acc,[8,5]);hline(m.opt.max,th.acc,[8,5]);
+    if(goal)hline(goal.target,th.ink("#f0c060"),[3,4]);
+    if(hist.some(e=>e.secondary))path(hist.filter(e=>e.secondary).map(e=>[tx(e.date),ty(e.secondary)]),th.sub,1.5,[6,4]);
+    path(hist.map(e=>[tx(e.date),ty(e.value)]),th.sub,2.5);
+    hist.forEach(e=>g.circle(tx(e.date),ty(e.value),3.5,{fill:th.sub}));
+    const r7=rollingMean(hist,7);path(hist.map((e,i)=>[tx(e.date),ty(r7[i])]),th.mean,2);
+    g.rect(CX,CY,CWc,CHc,{stroke:th.edge});
+    const ax={mono:true,c:th.dim};
+    for(let i=0;i<=4;i++){const v=mn+(mx-mn)*i/4;text(v.toFixed(m.dp),CX-8,ty(v)+4,12,ax,"right");}
+    text(hist[0].date,CX,CY+CHc+20,12,ax);text(last.date,CX+CWc,CY+CHc+20,12,ax,"right");
+    y=CY+CHc+50;
+    const legend=[["readings",th.sub,[]],["7-day mean",th.mean,[]],["optimal",th.acc,[8,5]],...(hist.some(e=>e.secondary)?[["diastolic",th.sub,[6,4]]]:[]),...(goal?[["goal",th.ink("#f0c060"),[3,4]]]:[])];
+    let lx=CX;
+    legend.forEach(([l,c,dash])=>{path([[lx,y-5],[lx+28,y-5]],c,2,dash);text(l,lx+36,y,13,{mono:true,c:th.dim});lx+=60+width(l,13,{mono:true});});
+    y+=36;
+
+    // Reference ranges (left) and where the readings came from (right)
+    const y0=y,band=cat.sys;
+    text(`Reference ranges${m.custom?" · custom profile ✎":""}`,M,y+16,16,{bold:true});y+=30;
+    text(`${m.custom?refLabel():m.source}${m.ageBand?` · age ${m.ageBand}`:""}${ethM?.adjustments?.[id]?` · ${ethM.label} adjusted`:""}`,M,y+13,13,{c:th.dim});y+=26;
+    table([{h:"Band",w:200},{h:"Range",w:280}],[
+      ...[...m.ranges,...(m.over?[m.over]:[])].map(r=>[{t:r.label,c:th.ink(r.c),bold:r.label===band.label},`${r.lo}–${r.hi} ${m.unit}`]),
+      ...(m.dia?m.dia.ranges.map(r=>[{t:`Dia. ${r.label}`,c:th.ink(r.c),bold:r.label===cat.dia?.label},`${r.lo}–${r.hi} ${m.unit}`]):[]),
+      [{t:"Optimal",c:th.acc,bold:true},`${m.opt.min}–${m.opt.max} ${m.unit}`]],m.label,{px:14,rh:26});
+    const yL=y;y=y0;
+    const bySrc={};hist.forEach(e=>{const s=entrySource(e);(bySrc[s]||=[]).push(e.date);});
+    text("Sources",M+540,y+16,16,{bold:true});y+=56;
+    table([{h:"Source",w:180},{h:"Readings",w:110,align:"right"},{h:"First",w:120},{h:"Last",w:120}],
+      Object.entries(bySrc).map(([s,d])=>[s,String(d.length),d[0],d[d.length-1]]),m.label,{x:M+540,px:14,rh:26});
+    y=Math.max(y,yL)+10;
+
+    heading("Log",m.label,18);
+    table([{h:"Date",w:150},{h:"Value",w:190,align:"right"},{h:"Score",w:90,align:"right"},{h:"Category",w:170},{h:"Source",w:170},{h:"Note",w:290}],
+      [...hist].reverse().map(e=>{
+        const s=entryScore(e,sex,eth,chronoAge),c=getCategory(id,e.value,sex,eth,e.secondary,chronoAge),src=entrySource(e);
+        return[e.date,`${e.value}${e.secondary?`/${e.secondary}`:""} ${m.unit}`,s!=null?String(Math.round(s)):"",{t:c?.label??"",c:th.ink(c?.c)},src,src===e.note?"":e.note||""];
+      }),m.label,{px:13,rh:25});
+  });
+
+  // ── Impact ranking and the 30-day plan ────────────────────────────────
+  const IMPACT="Impact & Plan";
+  newPage(IMPACT);
+  const rows=impactRows(entries,chronoAge,sex,eth,inputs);
+  text("Bio age impact by metric",M,y+24,30,{bold:true});y+=50;
+  para(`Years of ${algo.label} bio age recoverable if each metric alone reached its optimal target, with everything else unchanged.`,IMPACT,{px:15,lh:24,c:th.dim});
+  table([{h:"#",w:50},{h:"Metric",w:240},{h:"Current",w:170,align:"right"},{h:"Status",w:240},{h:"Optimal",w:240},{h:"Gain",w:120,align:"right"}],
+    rows.map((r,i)=>[String(i+1),r.label,r.currentVal,{t:r.statusLabel,c:th.ink(r.col)},r.optRange,r.gain>0.1?{t:`−${r.gain} y`,c:th.ink(r.col),bold:true}:{t:"✓ optimal",c:th.dim}]),IMPACT);
+  if(!rows.length)para("Log data to generate a ranking.",IMPACT,{c:th.dim});
+
+  heading("🎯 30-Day Priority Plan",IMPACT);
+  planOrder(rows,goals,entries,sex,eth,chronoAge).slice(0,3).forEach((r,i)=>{
+    need(110,IMPACT);
+    const lead=`${i+1}. ${r.label} — `;
+    text(lead,M,y+18,18,{bold:true});text(r.action,M+width(lead,18,{bold:true}),y+18,18,{bold:true,c:th.ink(r.col)});y+=32;
+    para(r.detail,IMPACT,{px:15,lh:23,c:th.dim,x:M+28});
+    if(r.goalSt)para(`Goal ${r.goalSt.goal.target}${r.goalSt.goal.secondary!=null?`/${r.goalSt.goal.secondary}`:""} by ${r.goalSt.goal.deadline} · ${r.goalSt.status}`,IMPACT,{px:14,c:th.ink(GOAL_C[r.goalSt.status]),x:M+28});
+    if(r.gain>0.1)para(`Up to ${r.gain} yr bio age reduction`,IMPACT,{px:14,c:th.ink(r.col),x:M+28});
+    y+=8;
+  });
+
+  heading("Next step for every metric",IMPACT);
+  rows.forEach(r=>{
+    need(80,IMPACT);
+    text(`${r.label} · optimal ${r.optRange}`,M,y+16,16,{bold:true});y+=26;
+    if(r.action)para(r.action,IMPACT,{px:15,lh:22,x:M+28});
+    if(r.detail)para(r.detail,IMPACT,{px:14,lh:21,c:th.dim,x:M+28});
+  });
+  para("Based on ACSM, AHA, ADA and longevity research. Always consult your physician before significant changes. Not medical advice.",IMPACT,{px:14,c:th.dim});
+
+  // ── Methods and references appendix ───────────────────────────────────
+  const METH="Methods & References";
+  newPage(METH);
+  text("Methods",M,y+24,30,{bold:true});y+=50;
+  ALGOS.forEach(a=>{heading(`${a.full}${a.id===algo.id?" (used in this report)":""}`,METH,18);para(a.how,METH,{px:15,lh:24});});
+  para("KDM: implied age_j = (x_j − q_j) / k_j, weight_j = k_j² / s_j², BA = (Σ implied_j·w_j + CA / 7²) / (Σ w_j + 1 / 7²). The standard error is 1 / √(Σ w_j + 1 / 7²); the 95% interval is BA ± 1.96 · SE.",METH,{px:15,lh:24,c:th.dim});
+  heading("Inputs",METH,18);
+  para(`Each biomarker's value is the ${(inpMode?.label||"latest reading").toLowerCase()}${inputs?.stale>0?`; readings older than ${inputs.stale} days are ${inputs.staleMode==="downweight"?"kept at a weight that halves every further "+inputs.stale+" days":"left out"}`:""}. Diastolic pressure counts as its own KDM biomarker.`,METH,{px:15,lh:24});
+  heading("Scores and ranges",METH,18);
+  para(`Each reading scores 0–100 from where it falls in its four reference bands. VO₂ max and body fat use the sex- and decade-specific ACSM norms. ${ethM?.note||""} ${activeRef()?`${refLabel()} replaces the published ranges and KDM parameters it overrides (marked ✎).`:"All ranges are the published defaults."}`,METH,{px:15,lh:24});
+  heading("Trend analytics",METH,18);
+  para(`Rolling means average the readings in the trailing 7 and 30 days. The slope per month is a least-squares fit over the last ${SLOPE_DAYS} days. A change in the 30-day mean counts as real when it beats the minimal detectable change, 1.96 · SEM · √(1/n₁ + 1/n₂). SEM values used: ${MK.filter(id=>SEM[id]&&entries.some(e=>e.metricId===id)).map(id=>`${MB[id].label} ${SEM[id]} ${MB[id].unit}`).join(", ")||"none"}.`,METH,{px:15,lh:24});
+  heading("References",METH,18);
+  REPORT_REFS.forEach((r,i)=>para(`${i+1}. ${r}`,METH,{px:14,lh:22}));
+  y+=10;
+  para("This report is generated from self-reported and device data. It is not a diagnosis and not medical advice.",METH,{px:14,c:th.dim});
+
+  // Footer on every page, now that the page count is known
+  pages.forEach((p,i)=>{
+    g=p;rule(H-72);
+    text(activeRef()?`📐 ${refLabel()}`:"Reference ranges: published defaults (ACSM · ACE · AHA · ADA)",M,H-48,12,{mono:true,c:activeRef()?th.ink("#f0c060"):th.dim});
+    text(`${dateStr} · Not medical advice · page ${i+1} of ${pages.length}`,W-M,H-48,12,{mono:true,c:th.dim},"right");
+  });
+  return pages.map(p=>p.done());
 }
 
 // ── UI Atoms ──────────────────────────────────────────────────────────────
@@ -817,13 +1115,14 @@ function GlowRing({score,size=80}){
 
 function RangeBar({m,compact=false}){
   const tot=m.cMax-m.cMin;
-  const bounds=[m.cMin,...m.ranges.slice(1).map(r=>r.lo),m.cMax];
+  const R=m.over?[...m.ranges,m.over]:m.ranges;
+  const bounds=[m.cMin,...R.slice(1).map(r=>r.lo),m.cMax];
   return <div>
     <div style={{display:"flex",borderRadius:4,overflow:"hidden",height:compact?5:7,marginBottom:3}}>
-      {m.ranges.map((r,i)=><div key={i} style={{width:`${((r.hi-r.lo)/tot)*100}%`,background:r.c,opacity:0.8}}/>)}
+      {R.map((r,i)=><div key={i} style={{width:`${((r.hi-r.lo)/tot)*100}%`,background:r.c,opacity:0.8}}/>)}
     </div>
     <div style={{display:"flex",marginBottom:compact?0:2}}>
-      {m.ranges.map((r,i)=><div key={i} style={{width:`${((r.hi-r.lo)/tot)*100}%`,fontSize:8,color:r.c,overflow:"hidden",whiteSpace:"nowrap"}}>{r.label}</div>)}
+      {R.map((r,i)=><div key={i} style={{width:`${((r.hi-r.lo)/tot)*100}%`,fontSize:8,color:r.c,overflow:"hidden",whiteSpace:"nowrap"}}>{r.label}</div>)}
     </div>
     {!compact&&<div style={{position:"relative",height:13}}>
       {bounds.map((v,i)=>{
@@ -838,33 +1137,155 @@ const CTip=({active,payload})=>{
   if(!active||!payload?.length)return null;
   return <div style={{background:"#0d1117",border:"1px solid #1e2a3a",borderRadius:8,padding:"9px 13px",fontFamily:T.fn,fontSize:12}}>
     <div style={{color:T.br,marginBottom:4}}>{payload[0]?.payload?.date}</div>
-    {payload.map((p,i)=><div key={i} style={{color:p.color||T.gr}}>{p.name}: <b>{p.value}</b></div>)}
+    {payload.map((p,i)=><div key={i} style={{color:p.color||T.gr}}>{p.name}: <b>{Array.isArray(p.value)?p.value.join("–"):p.value}</b></div>)}
   </div>;
 };
 
+// ── Algorithm comparison ──────────────────────────────────────────────────
+// Every algorithm run on the same inputs, side by side, with the reasons they
+// disagree drawn from the data actually in play.
+function AlgoCompare({entries,age,sex,eth,inputs,onPick}){
+  const mi=metricInputs(entries,inputs);
+  const est=Object.fromEntries(ALGOS.map(a=>[a.id,_estimate(a.id,mi,age,sex,eth)]));
+  if(!est.kdm&&!est.score)return null;
+  const{kdm,pheno,score}=est;
+  const lbl=id=>MB[id]?.label||id;
+  const missing=PHENO_IDS.filter(id=>mi.vals[id]==null);
+  const scoreOnly=Object.keys(mi.vals).filter(id=>MB[id]&&!KDM_P[id]);
+  const why=[];
+  if(kdm&&kdm.n<3)why.push(`KDM rests on ${kdm.n} biomarker${kdm.n>1?"s":""}, so it stays close to your chronological age until more are logged; the score average has no such anchor.`);
+  if(kdm&&score&&Math.abs(kdm.ba-score.ba)>=2)why.push(`KDM and the score average are ${Math.abs(kdm.ba-score.ba).toFixed(1)} yrs apart: KDM weights each biomarker by how tightly it tracks age (VO₂ max and blood pressure count most), while the average treats every card alike.`);
+  if(scoreOnly.length)why.push(`${scoreOnly.map(lbl).join(", ")} ${scoreOnly.length>1?"count":"counts"} toward the score average but not KDM — ${scoreOnly.length>1?"their":"its"} link to age is too weak or non-linear for KDM's model.`);
+  if(pheno&&kdm&&Math.abs(pheno.ba-kdm.ba)>=3)why.push(`PhenoAge reads only blood chemistry (inflammation, kidney, liver, immune and red-cell markers) while KDM here is mostly fitness and cardiometabolic measures — a gap means they see different parts of ageing, not that one is wrong.`);
+  if(!pheno)why.push(`PhenoAge needs all nine blood markers; missing: ${missing.map(lbl).join(", ")||"a usable value"}. Most come from one CBC with differential plus a metabolic panel.`);
+  if(Object.keys(mi.wMul).length)why.push("Stale readings are down-weighted by KDM and the score average but count in full for PhenoAge.");
+  const sub={kdm:kdm&&`±${(KDM_Z*kdm.se).toFixed(1)} · ${kdm.n} of ${KDM_N} biomarkers`,
+    pheno:pheno?`${pheno.n} blood markers`:`${PHENO_IDS.length-missing.length} of ${PHENO_IDS.length} markers`,
+    score:score&&`avg score ${score.avg} · ${score.n} metrics`};
+  return <div style={{margin:"0 28px 24px",background:T.card,border:`1px solid ${T.bdr}`,borderRadius:14,padding:"20px 22px"}}>
+    <div style={{fontFamily:T.dp,fontSize:14,fontWeight:800,color:T.br,marginBottom:4}}>Algorithm Comparison</div>
+    <div style={{fontSize:11,color:T.dim,marginBottom:14,lineHeight:1.7}}>The same readings through each bio age algorithm. Click one to use it across the dashboard, snapshot and exports.<RefNote style={{marginTop:4}}/></div>
+    <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fit,minmax(200px,1fr))",gap:10,marginBottom:14}}>
+      {ALGOS.map(a=>{const r=est[a.id],on=algoOf(inputs.algo).id===a.id;
+        return <div key={a.id} onClick={()=>onPick(a.id)} style={{cursor:"pointer",background:on?"#0a1a12":T.bg,border:`1px solid ${on?"rgba(0,255,163,0.35)":T.bdr}`,borderRadius:10,padding:"12px 14px"}}>
+          <div style={{fontSize:9,letterSpacing:"0.15em",textTransform:"uppercase",color:on?T.gr:T.dim}}>{a.label}{on&&" · in use"}</div>
+          <div style={{display:"flex",alignItems:"baseline",gap:6,margin:"4px 0 2px"}}>
+            <span style={{fontFamily:T.dp,fontSize:26,fontWeight:800,color:r?T.br:"#1e2a3a"}}>{r?r.ba.toFixed(1):"–"}</span>
+            {r&&<span style={{fontSize:10,color:r.ba<=age?T.gr:"#ff6b6b"}}>{r.ba<=age?"↓":"↑"} {Math.abs(age-r.ba).toFixed(1)}</span>}
+          </div>
+          <div style={{fontSize:9,color:"#445566",marginBottom:6}}>{sub[a.id]||"no usable readings"}</div>
+          <div style={{fontSize:10,color:T.dim,lineHeight:1.6}}>{a.how}</div>
+        </div>;})}
+    </div>
+    {why.length>0&&<div style={{fontSize:11,color:T.txt,lineHeight:1.7}}>
+      <div style={{fontSize:9,letterSpacing:"0.15em",color:T.dim,marginBottom:4}}>WHY THEY DIFFER</div>
+      {why.map((w,i)=><div key={i}>· {w}</div>)}
+    </div>}
+  </div>;
+}
+
+// ── What-if simulator ─────────────────────────────────────────────────────
+// One slider per biomarker in play, starting from the value the bio age
+// algorithm currently uses. Bio age is re-estimated live for the whole
+// scenario and for each change on its own (its marginal contribution);
+// simulated values count as fresh readings, as in getHypoBioAge.
+function WhatIf({entries,age,sex,eth,inputs,goals,onSaveGoals}){
+  const [sim,setSim]=useState({});
+  const [saved,setSaved]=useState(false);
+  const mi=metricInputs(entries,inputs);
+  const def=id=>{
+    if(id!=="dbp")return getM(id,sex,eth,age);
+    const bp=getM("bp",sex,eth,age);
+    return{...bp.dia,label:"Diastolic BP",unit:bp.unit,dp:0,higherIsBetter:false};
+  };
+  const ids=MK.flatMap(id=>mi.vals[id]==null?[]:id==="bp"&&mi.vals.dbp!=null?[id,"dbp"]:[id]);
+  const cur=id=>+mi.vals[id].toFixed(def(id).dp);
+  const run=ch=>{
+    const wMul={...mi.wMul};Object.keys(ch).forEach(id=>delete wMul[id]);
+    return _estimate(inputs?.algo,{vals:{...mi.vals,...ch},wMul},age,sex,eth)?.ba??null;
+  };
+  const base=run({});
+  if(base==null||!ids.length)return null;
+  const changed=ids.filter(id=>sim[id]!=null&&sim[id]!==cur(id)).map(id=>[id,sim[id]]);
+  const combined=run(Object.fromEntries(changed));
+  const dBA=+(combined-base).toFixed(1);
+  const marginal=Object.fromEntries(changed.map(([id,v])=>[id,+(run({[id]:v})-base).toFixed(1)]));
+  const interaction=+(dBA-Object.values(marginal).reduce((a,b)=>a+b,0)).toFixed(1);
+  const fmt=(id,v)=>{const m=def(id),d=v-cur(id);return`${m.label} ${d>0?"+":"−"}${Math.abs(d).toFixed(m.dp)} ${m.unit}`;};
+  const parts=changed.map(([id,v])=>fmt(id,v));
+  const summary=parts.length>1?`${parts.slice(0,-1).join(", ")} and ${parts[parts.length-1]}`:parts[0];
+  const yrs=d=>`${d>0?"+":d<0?"−":"±"}${Math.abs(d).toFixed(1)} yrs`;
+
+  // bp and its diastolic slider save as one goal (target / secondary)
+  const saveGoals=()=>{
+    const deadline=addDays(todayStr(),GOAL_DAYS),t={};
+    changed.forEach(([id,v])=>{
+      const k=id==="dbp"?"bp":id;
+      t[k]={target:cur(k),...t[k],...(id==="dbp"?{secondary:v}:{target:v}),deadline,created:todayStr(),start:{date:todayStr(),value:cur(k)}};
+    });
+    onSaveGoals(t);setSaved(true);setTimeout(()=>setSaved(false),2000);
+  };
+  const BTN={background:"transparent",color:T.gr,fontFamily:T.fn,fontSize:10,letterSpacing:"0.07em",border:"1px solid rgba(0,255,163,0.3)",borderRadius:7,padding:"6px 12px",cursor:"pointer"};
+
+  return <div style={{background:T.card,border:`1px solid ${T.bdr}`,borderRadius:14,padding:"20px 22px",marginBottom:14}}>
+    <div style={{fontFamily:T.dp,fontSize:14,fontWeight:800,color:T.br,marginBottom:4}}>What-If Simulator</div>
+    <div style={{fontSize:11,color:T.dim,marginBottom:14,lineHeight:1.7}}>Drag any metric to see the combined effect on your {algoOf(inputs?.algo).label} bio age, and what each change contributes on its own.</div>
+    <div style={{display:"flex",alignItems:"baseline",gap:10,flexWrap:"wrap",padding:"10px 14px",background:T.bg,border:`1px solid ${T.bdr}`,borderRadius:10,marginBottom:14}}>
+      <span style={{fontFamily:T.dp,fontSize:26,fontWeight:800,color:dBA<0?T.gr:dBA>0?"#ff6b6b":T.br}}>{combined!=null?combined.toFixed(1):"–"}</span>
+      <span style={{fontSize:11,color:T.dim}}>from {base.toFixed(1)}</span>
+      <span style={{fontSize:11,color:changed.length?T.br:T.dim,flex:1,minWidth:200}}>{changed.length?<>{summary} ⇒ <b style={{color:dBA<0?T.gr:dBA>0?"#ff6b6b":T.br}}>{yrs(dBA)}</b>{Math.abs(interaction)>=0.1&&<span style={{color:T.dim}}> (interaction {yrs(interaction)})</span>}</>:"Move a slider to build a scenario"}</span>
+    </div>
+    {ids.map(id=>{
+      const m=def(id),c=cur(id),v=sim[id]??c,step=Math.pow(10,-m.dp);
+      const sc=id==="dbp"?scoreIn(m,v):getScore(id,v,sex,eth,undefined,age);
+      const mg=marginal[id],goal=goals?.[id==="dbp"?"bp":id];const gv=id==="dbp"?goal?.secondary:goal?.target;
+      return <div key={id} style={{display:"grid",gridTemplateColumns:"minmax(110px,1fr) 3fr minmax(150px,auto)",gap:12,alignItems:"center",padding:"7px 0",borderBottom:`1px solid ${T.bdr}`}}>
+        <div style={{fontSize:11,color:T.br}}>{m.label}<div style={{fontSize:9,color:T.dim}}>now {c} {m.unit}{gv!=null&&<span style={{color:"#f0c060"}}> · 🎯 {gv}</span>}</div></div>
+        <input type="range" min={Math.min(m.cMin,c)} max={Math.max(m.cMax,c)} step={step} value={v} onChange={e=>setSim(p=>({...p,[id]:+e.target.value}))} style={{width:"100%",accentColor:gC(sc)}}/>
+        <div style={{fontSize:11,textAlign:"right"}}>
+          <span style={{color:gC(sc),fontWeight:700}}>{v.toFixed(m.dp)}</span> <span style={{color:T.dim,fontSize:9}}>{m.unit} · {Math.round(sc)}</span>
+          <div style={{fontSize:9,color:mg==null?"#1e2a3a":mg<0?T.gr:mg>0?"#ff6b6b":T.dim}}>{mg==null?"—":`${yrs(mg)} alone`}</div>
+        </div>
+      </div>;
+    })}
+    <div style={{display:"flex",gap:8,marginTop:12,flexWrap:"wrap",alignItems:"center"}}>
+      <button style={{...BTN,opacity:changed.length?1:0.5}} disabled={!changed.length} onClick={saveGoals}>{saved?"✓ Saved":"🎯 Save scenario as goals"}</button>
+      <button style={{...BTN,color:T.dim,borderColor:"#1e2a3a"}} onClick={()=>setSim({})}>Reset</button>
+      <span style={{fontSize:9,color:"#334455"}}>Goals take each changed value as the target, due in {GOAL_DAYS} days.</span>
+    </div>
+  </div>;
+}
+
 // ── Impact & Recommendations Panel ────────────────────────────────────────
-function ImpactPanel({entries,age,sex,eth}){
-  const [open,setOpen]=useState(null);
-  const impacts=MK.map(id=>{
+// Every tracked metric with its score, recommendation and bio age gain at
+// optimal, largest gain first (also the PDF report's ranking page)
+function impactRows(entries,age,sex,eth,inputs){
+  const curBA=getBioAge(entries,age,sex,eth,inputs);
+  return MK.map(id=>{
     const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];
     if(!l)return null;
-    const sc=getScore(id,l.value,sex,eth);
-    const m=getM(id,sex,eth);
+    const sc=entryScore(l,sex,eth,age);
+    const m=getM(id,sex,eth,age);
     // hypothetical bio age if this metric reaches optimal
-    const curBA=getBioAge(entries,age,sex);
-    const hypBA=getHypoBioAge(entries,age,sex,eth,id);
+    const hypBA=getHypoBioAge(entries,age,sex,eth,id,inputs);
     const gain=curBA!=null&&hypBA!=null?+(curBA-hypBA).toFixed(1):0;
     const tier=sc>=72?"good":sc>=45?"fair":"poor";
     const rec=RECS[id]?.[tier]||{action:"",detail:""};
-    return{id,label:m.label,sc,col:gC(sc),statusLabel:gL(sc),currentVal:`${l.value} ${m.unit}`,optRange:`${m.opt.min}–${m.opt.max} ${m.unit}`,gain,...rec};
+    const cat=getCategory(id,l.value,sex,eth,l.secondary,age);
+    return{id,label:m.label,sc,col:gC(sc),statusLabel:`${gL(sc)} · ${cat.label}`,currentVal:`${l.value} ${m.unit}`,optRange:`${m.opt.min}–${m.opt.max} ${m.unit}${m.ageBand?` (age ${m.ageBand})`:""}`,gain,...rec};
   }).filter(Boolean).sort((a,b)=>b.gain-a.gain);
+}
+function ImpactPanel({entries,age,sex,eth,inputs,goals,onSaveGoals}){
+  const [open,setOpen]=useState(null);
+  const impacts=impactRows(entries,age,sex,eth,inputs);
+  const plan=planOrder(impacts,goals,entries,sex,eth,age).slice(0,3);
 
   if(!impacts.length)return null;
   return <div style={{margin:"0 28px 24px"}}>
     {/* Impact table */}
     <div style={{background:T.card,border:`1px solid ${T.bdr}`,borderRadius:14,padding:"20px 22px",marginBottom:14}}>
       <div style={{fontFamily:T.dp,fontSize:14,fontWeight:800,color:T.br,marginBottom:4}}>Bio Age Impact by Metric</div>
-      <div style={{fontSize:11,color:T.dim,marginBottom:18,lineHeight:1.7}}>Ranked by potential bio age gain if each metric reaches optimal. Click any row for your action plan.</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:18,lineHeight:1.7}}>Ranked by potential bio age gain if each metric reaches optimal. Click any row for your action plan.<RefNote style={{marginTop:4}}/></div>
       {impacts.map((r,i)=><div key={r.id}>
         <div onClick={()=>setOpen(open===r.id?null:r.id)} style={{display:"flex",alignItems:"center",gap:12,padding:"11px 0",borderBottom:`1px solid ${T.bdr}`,cursor:"pointer",flexWrap:"wrap"}}>
           <div style={{width:22,height:22,borderRadius:"50%",background:"#0d1a0d",border:`1px solid ${r.col}44`,display:"flex",alignItems:"center",justifyContent:"center",fontSize:10,color:r.col,flexShrink:0,fontWeight:700}}>{i+1}</div>
@@ -891,14 +1312,16 @@ function ImpactPanel({entries,age,sex,eth}){
         </div>}
       </div>)}
     </div>
+    <WhatIf entries={entries} age={age} sex={sex} eth={eth} inputs={inputs} goals={goals} onSaveGoals={onSaveGoals}/>
     {/* 30-day plan */}
     <div style={{background:"#080e18",border:"1px solid #0e2030",borderRadius:14,padding:"20px 22px"}}>
       <div style={{fontFamily:T.dp,fontSize:14,fontWeight:800,color:T.br,marginBottom:16}}>🎯 30-Day Priority Plan</div>
-      {impacts.slice(0,3).map((r,i)=><div key={r.id} style={{display:"flex",gap:12,marginBottom:14}}>
+      {plan.map((r,i)=><div key={r.id} style={{display:"flex",gap:12,marginBottom:14}}>
         <div style={{width:26,height:26,borderRadius:"50%",background:r.col+"18",border:`1px solid ${r.col}44`,display:"flex",alignItems:"center",justifyContent:"center",flexShrink:0,fontSize:12,fontWeight:700,color:r.col}}>{i+1}</div>
         <div>
           <div style={{fontSize:12,color:T.br,fontWeight:600,marginBottom:3}}>{r.label} — <span style={{color:r.col}}>{r.action}</span></div>
           <div style={{fontSize:11,color:"#5588aa",lineHeight:1.7}}>{r.detail}</div>
+          {r.goalSt&&<div style={{marginTop:4,fontSize:10,color:GOAL_C[r.goalSt.status]}}>🎯 Goal {r.goalSt.goal.target}{r.goalSt.goal.secondary!=null&&`/${r.goalSt.goal.secondary}`} by {r.goalSt.goal.deadline} · {r.goalSt.status}</div>}
           {r.gain>0.1&&<div style={{marginTop:4,fontSize:10,color:r.col+"88"}}>↓ Up to {r.gain} yr bio age reduction</div>}
         </div>
       </div>)}
@@ -907,69 +1330,146 @@ function ImpactPanel({entries,age,sex,eth}){
   </div>;
 }
 
+// ── Goal card (metric detail view) ────────────────────────────────────────
+// Pre-filled with the optimal boundary and a GOAL_DAYS deadline; the start
+// point (latest reading when the goal is set) anchors the required trajectory.
+function GoalCard({m,goal,hist,onSave,onRemove}){
+  const lat=hist[hist.length-1];
+  const [f,setF]=useState(()=>({target:goal?.target??(m.higherIsBetter?m.opt.min:m.opt.max),secondary:goal?.secondary??(m.dia?m.dia.opt.max:""),deadline:goal?.deadline??addDays(todayStr(),GOAL_DAYS)}));
+  const st=goal&&goalStatus(goal,hist,m.higherIsBetter);
+  const wk=v=>v==null?"–":`${v>0?"+":v<0?"−":""}${Math.abs(v*7).toFixed(m.dp+1)} ${m.unit}/wk`;
+  const valid=f.target!==""&&isFinite(f.target)&&f.deadline>todayStr()&&(!m.dia||f.secondary===""||isFinite(f.secondary));
+  const save=()=>onSave({target:+f.target,...(m.dia&&f.secondary!==""?{secondary:+f.secondary}:{}),deadline:f.deadline,
+    created:goal?.created??todayStr(),start:goal?.start??(lat?{date:lat.date,value:lat.value}:undefined)});
+  const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:7,color:T.br,fontFamily:T.fn,fontSize:12,padding:"7px 10px",width:110};
+  const BTN={background:"transparent",color:T.gr,fontFamily:T.fn,fontSize:10,letterSpacing:"0.07em",border:"1px solid rgba(0,255,163,0.3)",borderRadius:7,padding:"7px 12px",cursor:"pointer"};
+  return <div style={{background:T.card,border:`1px solid ${goal?"rgba(240,192,96,0.25)":T.bdr}`,borderRadius:12,padding:"16px 20px",marginBottom:14}}>
+    <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:10,flexWrap:"wrap",gap:6}}>
+      <div style={{fontSize:10,letterSpacing:"0.14em",color:T.dim}}>GOAL</div>
+      {st&&<div style={{fontSize:10,color:GOAL_C[st.status],border:`1px solid ${GOAL_C[st.status]}44`,borderRadius:10,padding:"2px 9px"}}>{st.status}</div>}
+    </div>
+    {goal&&<div style={{fontSize:11,color:"#445566",marginBottom:10,lineHeight:1.8}}>
+      🎯 {goal.target}{goal.secondary!=null&&`/${goal.secondary}`} {m.unit} by <span style={{color:T.br}}>{goal.deadline}</span>
+      {st&&st.status!=="achieved"&&<><br/>Trend {wk(st.slope)} · needed {wk(st.need)}{st.projected!=null&&<> · projected {st.projected.toFixed(m.dp)} {m.unit} at deadline</>}</>}
+    </div>}
+    <div style={{display:"flex",gap:8,flexWrap:"wrap",alignItems:"center",fontSize:10,color:T.dim}}>
+      <input type="number" step="any" value={f.target} onChange={e=>setF(p=>({...p,target:e.target.value}))} style={inp} title={`Target (${m.unit})`}/>
+      {m.dia&&<>/ <input type="number" value={f.secondary} onChange={e=>setF(p=>({...p,secondary:e.target.value}))} style={{...inp,width:80}} title="Diastolic target"/></>}
+      {m.unit} by <input type="date" value={f.deadline} onChange={e=>setF(p=>({...p,deadline:e.target.value}))} style={{...inp,width:140}}/>
+      <button style={{...BTN,opacity:valid?1:0.5}} disabled={!valid} onClick={save}>{goal?"Update goal":"Set goal"}</button>
+      {goal&&<button style={{...BTN,color:"#ff6b6b",borderColor:"rgba(255,107,107,0.3)"}} onClick={onRemove}>Remove</button>}
+    </div>
+  </div>;
+}
+
 // ── Snapshot Modal ────────────────────────────────────────────────────────
-function SnapshotModal({entries,sex,eth,bioAge,chronoAge,onClose}){
-  const [period,setPeriod]=useState(1);
+function SnapshotModal({entries,sex,eth,chronoAge,inputs,goals,onClose}){
+  const [range,setRange]=useState({preset:"1m",from:"",to:"",compare:false});
   const [img,setImg]=useState(null);
   const [rendering,setRendering]=useState(false);
   const [renderErr,setRenderErr]=useState(null);
-  const cvRef=useRef(null);
+  const [pdfBusy,setPdfBusy]=useState(false);
+  const [pdfErr,setPdfErr]=useState(null); // kept apart from renderErr: the preview itself is fine
+  const [look,setLook]=useState({theme:"dark",aspect:"landscape",format:"jpeg"});
+  const cvRef=useRef(null); // canvas, or SVG markup for the svg format
+  const rangeErr=snapRangeError(range);
+  const per=rangeErr?null:computeSnapshotPeriod(entries,range);
+  const today=todayStr();
+  const set=patch=>setRange(r=>({...r,...patch}));
+  const fmt=SNAP_FORMATS.find(f=>f.id===look.format);
+  const th=SNAP_THEMES[look.theme];
 
   const render=useCallback(()=>{
+    if(snapRangeError(range))return;
     setRendering(true);
     setRenderErr(null);
     setTimeout(()=>{
       try{
-        const cv=renderSnapshot(entries,sex,eth,bioAge,chronoAge,period);
-        cvRef.current=cv;
-        setImg(cv.toDataURL("image/jpeg",0.92));
+        const out=renderSnapshot(entries,sex,eth,chronoAge,range,inputs,goals,look);
+        cvRef.current=out;
+        setImg(look.format==="svg"?`data:image/svg+xml;charset=utf-8,${encodeURIComponent(out)}`:out.toDataURL(SNAP_FORMATS.find(f=>f.id===look.format).mime,0.92));
       }catch(e){
         console.error("Snapshot render error:",e);
         setRenderErr(e.message||String(e));
       }
       setRendering(false);
     },60);
-  },[entries,sex,eth,bioAge,chronoAge,period]);
+  },[entries,sex,eth,chronoAge,range,inputs,goals,look]);
 
   useEffect(()=>{render();},[render]);
 
-  const fname=`bioage-${period===1?"1mo":period===3?"3mo":"6mo"}-${new Date().toISOString().substring(0,10)}.jpg`;
+  const fname=`bioage-${range.preset==="custom"?`${range.from}_${range.to}`:range.preset}${range.compare?"-vs-prev":""}-${today}.${fmt.ext}`;
 
   const download=()=>{
-    const cv=cvRef.current;if(!cv)return;
+    const out=cvRef.current;if(!out)return;
+    const save=blob=>{
+      if(!blob){openTab();return;}
+      const url=URL.createObjectURL(blob);
+      const a=document.createElement("a");a.href=url;a.download=fname;a.style.display="none";
+      document.body.appendChild(a);a.click();document.body.removeChild(a);
+      setTimeout(()=>URL.revokeObjectURL(url),10000);
+    };
     try{
-      cv.toBlob(blob=>{
-        if(!blob){openTab();return;}
-        const url=URL.createObjectURL(blob);
-        const a=document.createElement("a");a.href=url;a.download=fname;a.style.display="none";
-        document.body.appendChild(a);a.click();document.body.removeChild(a);
-        setTimeout(()=>URL.revokeObjectURL(url),10000);
-      },"image/jpeg",0.92);
+      if(typeof out==="string")save(new Blob([out],{type:fmt.mime}));
+      else out.toBlob(save,fmt.mime,0.92);
     }catch(_){openTab();}
   };
 
+  // Multi-page report: drawn and assembled here, like the JPEG
+  const downloadPDF=async()=>{
+    setPdfBusy(true);setPdfErr(null);
+    await new Promise(r=>setTimeout(r,60));
+    try{
+      const blob=await buildPDF(renderReport(entries,sex,eth,chronoAge,inputs,goals),{title:`BioAge health report ${new Date().toISOString().substring(0,10)}`});
+      const url=URL.createObjectURL(blob);
+      const a=document.createElement("a");a.href=url;a.download=`bioage-report-${new Date().toISOString().substring(0,10)}.pdf`;a.style.display="none";
+      document.body.appendChild(a);a.click();document.body.removeChild(a);
+      setTimeout(()=>URL.revokeObjectURL(url),10000);
+    }catch(e){setPdfErr(e.message||String(e));}
+    setPdfBusy(false);
+  };
+
   const openTab=()=>{
-    const cv=cvRef.current;if(!cv)return;
-    const url=cv.toDataURL("image/jpeg",0.92);
+    if(!img)return;
     const w=window.open("","_blank");
-    if(w)w.document.write(`<html><body style="margin:0;background:#060a10"><img src="${url}" style="max-width:100%"/><p style="color:#aaa;font-family:monospace;padding:8px">Right-click → Save Image As → "${fname}"</p></body></html>`);
+    if(w)w.document.write(`<html><body style="margin:0;background:${th.bg}"><img src="${img}" style="max-width:100%"/><p style="color:${th.dim};font-family:monospace;padding:8px">Right-click → Save Image As → "${fname}"</p></body></html>`);
   };
 
-  const pb=d=>({padding:"7px 18px",borderRadius:7,cursor:"pointer",border:"none",fontFamily:T.fn,fontSize:11,fontWeight:700,letterSpacing:"0.07em",background:period===d?T.gr:"#0d1320",color:period===d?"#030a06":T.dim,boxShadow:period===d?"0 0 12px rgba(0,255,163,0.3)":"none",transition:"all 0.2s"});
+  const pb=d=>({padding:"7px 14px",borderRadius:7,cursor:"pointer",border:"none",fontFamily:T.fn,fontSize:11,fontWeight:700,letterSpacing:"0.07em",background:range.preset===d?T.gr:"#0d1320",color:range.preset===d?"#030a06":T.dim,boxShadow:range.preset===d?"0 0 12px rgba(0,255,163,0.3)":"none",transition:"all 0.2s"});
+  const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:7,color:T.br,fontFamily:T.fn,fontSize:12,padding:"6px 10px",width:140};
+  // Custom starts from the window on screen, so it can be nudged rather than typed
+  const opt=(on,k,v,label)=><button key={v} style={{...pb(null),padding:"5px 11px",fontSize:10,background:on?"#0d2a1e":"#0d1320",color:on?T.gr:T.dim,border:`1px solid ${on?"rgba(0,255,163,0.35)":"#1e2a3a"}`}} onClick={()=>setLook(l=>({...l,[k]:v}))}>{label}</button>;
+  const pick=id=>set(id==="custom"&&range.preset!=="custom"?{preset:id,from:per?.cStr||today,to:per?.eStr||today}:{preset:id});
 
   return <div style={{position:"fixed",inset:0,background:"rgba(0,0,0,0.92)",zIndex:300,display:"flex",alignItems:"center",justifyContent:"center",padding:20}}>
     <div style={{background:T.card,border:"1px solid #1a2a1a",borderRadius:16,width:"100%",maxWidth:800,maxHeight:"93vh",overflowY:"auto",padding:"26px 30px",position:"relative",animation:"fadeUp 0.2s ease"}}>
       <button onClick={onClose} style={{position:"absolute",top:16,right:18,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:20}}>✕</button>
       <div style={{fontFamily:T.dp,fontSize:18,fontWeight:800,color:T.br,marginBottom:4}}>Export Snapshot</div>
-      <div style={{fontSize:11,color:T.dim,marginBottom:18}}>JPEG of all 5 metric trends for the chosen period. Use "Open in New Tab" if the download button doesn't trigger a file dialog.</div>
-      <div style={{display:"flex",gap:8,marginBottom:18}}>
-        <button style={pb(1)} onClick={()=>setPeriod(1)}>1 Month</button>
-        <button style={pb(3)} onClick={()=>setPeriod(3)}>3 Months</button>
-        <button style={pb(6)} onClick={()=>setPeriod(6)}>6 Months</button>
+      <div style={{fontSize:11,color:T.dim,marginBottom:18}}>Your metric trends for the chosen period, as JPEG, PNG or SVG (crisp at any zoom), in a dark, light or ink-saving print theme. Use "Open in New Tab" if the download button doesn't trigger a file dialog. The PDF report is a printable multi-page document for your doctor: bio age and its KDM inputs, every metric's full history and log, the impact ranking and plan, and methods.</div>
+      <div style={{display:"flex",gap:8,marginBottom:12,flexWrap:"wrap"}}>
+        {SNAP_PRESETS.map(p=><button key={p.id} style={pb(p.id)} onClick={()=>pick(p.id)}>{p.label}</button>)}
+      </div>
+      {range.preset==="custom"&&<div style={{display:"flex",gap:8,alignItems:"center",flexWrap:"wrap",marginBottom:12,fontSize:11,color:T.dim}}>
+        From <input type="date" value={range.from} max={today} onChange={e=>set({from:e.target.value})} style={inp}/>
+        to <input type="date" value={range.to} max={today} onChange={e=>set({to:e.target.value})} style={inp}/>
+        {rangeErr&&<span style={{color:"#ff6b6b"}}>{rangeErr}</span>}
+      </div>}
+      <label style={{display:"flex",alignItems:"center",gap:8,fontSize:11,color:T.dim,cursor:"pointer",marginBottom:14}}>
+        <input type="checkbox" checked={range.compare} onChange={e=>set({compare:e.target.checked})}/> Compare with previous period
+        {per?.prev&&<span style={{color:"#445566"}}>({per.prev.cStr} → {per.prev.eStr}, drawn dashed)</span>}
+      </label>
+      <div style={{display:"flex",gap:16,flexWrap:"wrap",alignItems:"center",marginBottom:14,fontSize:10,color:T.dim}}>
+        <span style={{display:"flex",gap:5,alignItems:"center"}}>Theme {Object.entries(SNAP_THEMES).map(([k,t])=>opt(look.theme===k,"theme",k,t.label))}</span>
+        <span style={{display:"flex",gap:5,alignItems:"center"}}>Page {Object.entries(SNAP_ASPECTS).map(([k,a])=>opt(look.aspect===k,"aspect",k,a.label))}</span>
+        <span style={{display:"flex",gap:5,alignItems:"center"}}>Format {SNAP_FORMATS.map(f=>opt(look.format===f.id,"format",f.id,f.label))}</span>
       </div>
-      <div style={{borderRadius:10,overflow:"hidden",border:"1px solid #0e1824",marginBottom:14,minHeight:200,display:"flex",alignItems:"center",justifyContent:"center",background:"#060a10"}}>
+      {per&&!per.hasData&&<div style={{display:"flex",alignItems:"center",gap:10,flexWrap:"wrap",marginBottom:14,padding:"9px 13px",borderRadius:8,border:"1px solid rgba(240,192,96,0.3)",background:"rgba(240,192,96,0.05)",fontSize:11,color:"#f0c060"}}>
+        No readings between {per.cStr} and {per.eStr}.
+        {range.preset!=="all"&&<button onClick={()=>pick("all")} style={{background:"transparent",color:"#f0c060",fontFamily:T.fn,fontSize:10,border:"1px solid rgba(240,192,96,0.4)",borderRadius:7,padding:"5px 10px",cursor:"pointer"}}>Show all time instead</button>}
+      </div>}
+      <div style={{borderRadius:10,overflow:"hidden",border:"1px solid #0e1824",marginBottom:14,minHeight:200,display:"flex",alignItems:"center",justifyContent:"center",background:th.bg}}>
         {rendering
-          ? <div style={{color:T.dim,fontSize:13,fontFamily:T.fn}}><span style={{display:"inline-block",animation:"spin 1s linear infinite",marginRight:8}}>⟳</span>Rendering…</div>
+          ? <div style={{color:th.dim,fontSize:13,fontFamily:T.fn}}><span style={{display:"inline-block",animation:"spin 1s linear infinite",marginRight:8}}>⟳</span>Rendering…</div>
           : renderErr
             ? <div style={{padding:"20px 24px",textAlign:"center"}}>
                 <div style={{color:"#ff6b6b",fontSize:12,fontFamily:T.fn,marginBottom:8}}>⚠ Render error</div>
@@ -980,43 +1480,80 @@ function SnapshotModal({entries,sex,eth,bioAge,chronoAge,onClose}){
               : <div style={{color:T.dim,fontSize:12,fontFamily:T.fn}}>No preview yet</div>}
       </div>
       <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
-        <button onClick={download} disabled={!img||rendering} style={{background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"11px 22px",cursor:"pointer",boxShadow:"0 0 16px rgba(0,255,163,0.3)",opacity:!img||rendering?0.5:1,flex:1}}>⬇ Download JPEG</button>
+        <button onClick={download} disabled={!img||rendering||!!rangeErr} style={{background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"11px 22px",cursor:"pointer",boxShadow:"0 0 16px rgba(0,255,163,0.3)",opacity:!img||rendering||rangeErr?0.5:1,flex:1}}>⬇ Download {fmt.label}</button>
         <button onClick={openTab} disabled={!img||rendering} style={{background:"transparent",color:T.gr,fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.07em",border:"1px solid rgba(0,255,163,0.3)",borderRadius:8,padding:"11px 18px",cursor:"pointer",opacity:!img||rendering?0.5:1}}>↗ Open in New Tab</button>
+        <button onClick={downloadPDF} disabled={pdfBusy||!entries.length} style={{background:"transparent",color:T.gr,fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.07em",border:"1px solid rgba(0,255,163,0.3)",borderRadius:8,padding:"11px 18px",cursor:"pointer",opacity:pdfBusy||!entries.length?0.5:1}}>{pdfBusy?"⟳ Building PDF…":"📄 PDF Report"}</button>
         <button onClick={onClose} style={{background:"transparent",color:T.dim,fontFamily:T.fn,fontSize:11,border:"1px solid #1e2a3a",borderRadius:8,padding:"11px 14px",cursor:"pointer"}}>Close</button>
       </div>
+      {pdfErr&&<div style={{marginTop:10,fontSize:12,color:"#ff6b6b",lineHeight:1.7}}>⚠ PDF report failed: {pdfErr}</div>}
     </div>
   </div>;
 }
 
 // ── Import Panel ──────────────────────────────────────────────────────────
-function ImportPanel({onImport,onClose}){
-  const [step,setStep]=useState("instructions"); // instructions | loading | preview | done
-  const [platform,setPlatform]=useState("apple"); // apple | google
+// history: the user's counted readings, for outlier checks in the review queue
+function ImportPanel({history,onImport,onClose}){
+  const [step,setStep]=useState("instructions"); // instructions | loading | passphrase | mapping | preview | done
+  const [platform,setPlatform]=useState("apple"); // importer id — see registry.js
   const [drag,setDrag]=useState(false);
   const [prog,setProg]=useState(0);
   const [preview,setPreview]=useState(null);
   const [err,setErr]=useState(null);
+  const [partial,setPartial]=useState(null); // per-metric counts streamed from the worker
+  const [locked,setLocked]=useState(null); // encrypted backup awaiting its passphrase
+  const [decide,setDecide]=useState({}); // review queue: entry id → "keep" | "exclude" (default exclude)
+  const [pw,setPw]=useState("");
+  const [mode,setMode]=useState("merge"); // backup restore: merge | replace
+  const [table,setTable]=useState(null); // parsed CSV/TSV {headers,rows}
+  const [mapping,setMapping]=useState(null); // CSV column → field mapping
   const ref=useRef();
-
-  const process=async f=>{
-    setErr(null);setStep("loading");setProg(0);
+  const workerRef=useRef(null);
+
+  // Terminating the worker is the cancel path — it aborts decompression mid-stream
+  // and frees everything the parse was holding.
+  const stopWorker=()=>{workerRef.current?.terminate();workerRef.current=null;};
+  useEffect(()=>()=>workerRef.current?.terminate(),[]);
+
+  // Large exports parse in the worker; small formats (backup, FHIR, CSV) on the page
+  const runWorker=(f,imp)=>{
+    const w=new Worker(new URL("./parseWorker.js",import.meta.url),{type:"module"});
+    workerRef.current=w;
+    w.onmessage=({data:d})=>{
+      if(d.type==="progress"){setProg(d.pct);setPartial(d.counts);}
+      else if(d.type==="done"){stopWorker();setPreview({...d.result,source:imp.label});setStep("preview");}
+      else if(d.type==="error"){stopWorker();setErr(d.message);setStep("instructions");}
+    };
+    w.onerror=e=>{stopWorker();setErr(e.message||"Import failed.");setStep("instructions");};
+    w.postMessage({file:f,id:imp.id});
+  };
+  const runPage=async(f,imp,pass)=>{
     try{
-      // Auto-detect format from ZIP contents — override the tab selection if needed
-      let isGF=false;
-      if(f.name.toLowerCase().endsWith(".zip"))isGF=await isGoogleFitZip(f);
-      if(isGF)setPlatform("google");
-      const r=isGF?await parseGF(f,p=>setProg(p)):await parseAH(f,p=>setProg(p));
-      setPreview({...r,source:isGF?"Google Fit":"Apple Health"});
-      setStep("preview");
-    }catch(e){setErr(e.message);setStep("instructions");}
+      const r=await imp.parse(f,null,{passphrase:pass});
+      if(imp.mapping){setTable(r.table);setMapping(guessMapping(r.table.headers,r.table.rows));setStep("mapping");return;}
+      setPreview({...r,source:imp.label});setMode("merge");setLocked(null);setPw("");setStep("preview");
+    }catch(e){
+      if(e.needsPassphrase){setLocked(f);setErr(pass?e.message:null);setStep("passphrase");}
+      else{setErr(e.message);setStep("instructions");}
+    }
   };
 
+  const process=async(f,pass)=>{
+    stopWorker();setErr(null);
+    // Auto-detect the format — overrides the tab selection if needed
+    const imp=await detectImporter(f);
+    if(!imp){setErr(`Unrecognised file "${f.name}".\n\nSupported: ${IMPORTERS.map(i=>i.label).join(", ")}.`);return;}
+    setPlatform(imp.id);setStep("loading");setProg(0);setPartial(null);
+    if(imp.worker)runWorker(f,imp);else runPage(f,imp,pass);
+  };
+  const cancel=()=>{stopWorker();setProg(0);setPartial(null);setStep("instructions");};
+
   const OL={position:"fixed",inset:0,background:"rgba(0,0,0,0.88)",zIndex:200,display:"flex",alignItems:"center",justifyContent:"center",padding:20};
   const BX={background:T.card,border:"1px solid #1a2a1a",borderRadius:16,width:"100%",maxWidth:580,maxHeight:"90vh",overflowY:"auto",padding:"30px 34px",position:"relative",animation:"fadeUp 0.22s ease"};
   const BB={background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:12,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"11px 26px",cursor:"pointer",boxShadow:"0 0 18px rgba(0,255,163,0.25)",width:"100%",marginTop:18};
   const SB={background:"transparent",color:T.dim,fontFamily:T.fn,fontSize:11,border:"1px solid #1e2a3a",borderRadius:8,padding:"9px 18px",cursor:"pointer",width:"100%",marginTop:8};
-  const ptab=a=>({flex:1,padding:"8px 0",border:"none",cursor:"pointer",fontFamily:T.fn,fontSize:11,letterSpacing:"0.07em",transition:"all 0.18s",
+  const ptab=a=>({flex:"1 0 auto",padding:"8px 10px",border:"none",cursor:"pointer",fontFamily:T.fn,fontSize:11,letterSpacing:"0.07em",transition:"all 0.18s",
     background:platform===a?"#0e2218":"transparent",color:platform===a?T.gr:"#334455",borderBottom:`2px solid ${platform===a?T.gr:"transparent"}`});
+  const imp=importerById(platform);
 
   if(step==="done")return <div style={OL}><div style={BX}><div style={{textAlign:"center",padding:"22px 0"}}>
     <div style={{fontSize:50,marginBottom:10}}>✅</div>
@@ -1024,7 +1561,7 @@ function ImportPanel({onImport,onClose}){
     <div style={{fontSize:12,color:T.dim,marginTop:8,lineHeight:1.8}}>
       {preview?.source&&<span style={{display:"block"}}>Source: <b style={{color:T.br}}>{preview.source}</b></span>}
       {preview?.dSex&&<span>Detected sex: <b style={{color:T.br}}>{preview.dSex}</b> — ranges updated. </span>}
-      Data merged into session.
+      {importerByLabel(preview?.source)?.restore&&mode==="replace"?"Session replaced from backup.":"Data merged into session."}
     </div>
     <button style={{...BB,maxWidth:220,margin:"18px auto 0",display:"block"}} onClick={onClose}>Back to Dashboard</button>
   </div></div></div>;
@@ -1033,79 +1570,184 @@ function ImportPanel({onImport,onClose}){
     <div style={{fontSize:38,display:"inline-block",animation:"spin 1.2s linear infinite",marginBottom:14}}>⟳</div>
     <div style={{fontFamily:T.dp,fontSize:17,fontWeight:700,color:T.gr}}>Parsing Health Data…</div>
     <div style={{color:T.dim,fontSize:12,marginTop:8,marginBottom:18}}>
-      {platform==="google"?"Processing Google Fit JSON files…":"Streaming in 64 KB chunks — large exports take 15–30s."}
+      {imp.busy}
     </div>
     <div style={{background:"#0d1117",borderRadius:5,height:5,overflow:"hidden",width:"100%",maxWidth:280,margin:"0 auto"}}>
       <div style={{height:"100%",background:T.gr,width:`${prog}%`,transition:"width 0.3s",boxShadow:"0 0 7px rgba(0,255,163,0.5)"}}/>
     </div>
     {prog>0&&<div style={{fontSize:11,color:T.dim,marginTop:7}}>{prog}%</div>}
+    {partial&&<div style={{display:"flex",flexWrap:"wrap",justifyContent:"center",gap:6,marginTop:14}}>
+      {MK.filter(id=>CORE.includes(id)||partial[id]).map(id=><span key={id} style={{fontSize:10,padding:"2px 9px",borderRadius:20,color:partial[id]?T.gr:T.dim,background:partial[id]?"rgba(0,255,163,0.08)":"transparent",border:`1px solid ${partial[id]?"rgba(0,255,163,0.2)":"#1e2a3a"}`}}>{MB[id].label} · {partial[id]||0}</span>)}
+    </div>}
+    <button style={{...SB,maxWidth:220,margin:"22px auto 0",display:"block"}} onClick={cancel}>✕ Cancel Import</button>
   </div></div></div>;
 
+  if(step==="passphrase"&&locked)return <div style={OL}><div style={BX}>
+    <button onClick={onClose} style={{position:"absolute",top:16,right:18,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
+    <div style={{fontFamily:T.dp,fontSize:18,fontWeight:800,color:T.br,marginBottom:6}}>Encrypted Backup</div>
+    <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}><b style={{color:T.br}}>{locked.name}</b> is passphrase-protected. Decryption happens in this browser.</div>
+    <input type="password" autoFocus placeholder="Backup passphrase" value={pw} onChange={e=>setPw(e.target.value)} onKeyDown={e=>{if(e.key==="Enter"&&pw)process(locked,pw);}}
+      style={{background:T.bg,border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:13,padding:"9px 13px",width:"100%",boxSizing:"border-box"}}/>
+    {err&&<div style={{marginTop:10,fontSize:12,color:"#ff6b6b"}}>⚠ {err}</div>}
+    <button style={{...BB,opacity:pw?1:0.5}} disabled={!pw} onClick={()=>process(locked,pw)}>Decrypt</button>
+    <button style={SB} onClick={()=>{setLocked(null);setPw("");setErr(null);setStep("instructions");}}>← Start Over</button>
+  </div></div>;
+
+  if(step==="mapping"&&table&&mapping){
+    const mapped=mapRows(table,mapping);
+    const sample=mapRows({rows:table.rows.slice(0,8)},{...mapping,dateOrder:mapped.dateOrder});
+    const sampleBad=Object.fromEntries(sample.rejected.map(r=>[r.line,r.reason]));
+    const set=(k,v)=>setMapping(m=>({...m,[k]:v}));
+    const SEL={background:T.bg,border:"1px solid #1e2a3a",borderRadius:6,color:T.br,fontFamily:T.fn,fontSize:11,padding:"5px 8px",width:"100%"};
+    const FL={date:"Date",metric:"Metric",value:"Value / systolic",diastolic:"Diastolic",unit:"Unit",note:"Note"};
+    return <div style={OL}><div style={BX}>
+      <button onClick={onClose} style={{position:"absolute",top:16,right:18,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
+      <div style={{fontFamily:T.dp,fontSize:18,fontWeight:800,color:T.br,marginBottom:6}}>Map Columns</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>
+        {table.rows.length} rows · {table.headers.length} columns. Match each field to a column in your sheet.
+      </div>
+      <div style={{display:"grid",gridTemplateColumns:"110px 1fr",gap:"8px 12px",alignItems:"center"}}>
+        {CSV_FIELDS.map(f=>[
+          <div key={f+"l"} style={{fontSize:11,color:f==="date"||f==="value"?T.br:T.dim}}>{FL[f]}{(f==="date"||f==="value")&&<span style={{color:T.gr}}> *</span>}</div>,
+          <select key={f} style={SEL} value={mapping[f]} onChange={e=>set(f,+e.target.value)}>
+            <option value={-1}>— none —</option>
+            {table.headers.map((h,i)=><option key={i} value={i}>{h||`Column ${i+1}`}</option>)}
+          </select>,
+        ])}
+        {mapping.metric<0&&[
+          <div key="fml" style={{fontSize:11,color:T.br}}>Every row is<span style={{color:T.gr}}> *</span></div>,
+          <select key="fm" style={SEL} value={mapping.fixedMetric} onChange={e=>set("fixedMetric",e.target.value)}>
+            <option value="">— choose metric —</option>
+            {MK.map(id=><option key={id} value={id}>{MB[id].label}</option>)}
+          </select>,
+        ]}
+        <div style={{fontSize:11,color:T.dim}}>Date format</div>
+        <select style={SEL} value={mapping.dateOrder} onChange={e=>set("dateOrder",e.target.value)}>
+          <option value="auto">Auto ({mapped.dateOrder==="dmy"?"DD/MM/YYYY":"MM/DD/YYYY"} detected)</option>
+          <option value="mdy">MM/DD/YYYY</option>
+          <option value="dmy">DD/MM/YYYY</option>
+        </select>
+      </div>
+      <div style={{fontSize:9,color:T.dim,letterSpacing:"0.1em",margin:"18px 0 6px"}}>FIRST ROWS</div>
+      <div style={{border:"1px solid #0e1824",borderRadius:8,overflow:"hidden"}}>
+        {table.rows.slice(0,8).map((r,i)=>{const e=!sampleBad[i+2]&&sample.entries.shift();return <div key={i} style={{display:"flex",justifyContent:"space-between",gap:10,padding:"6px 10px",fontSize:10,borderBottom:"1px solid #0e1824",background:e?"transparent":"rgba(255,107,107,0.04)"}}>
+          <span style={{color:T.dim,overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap"}}>{r.join(" · ")}</span>
+          <span style={{flexShrink:0,color:e?T.gr:"#ff6b6b"}}>{e?`✓ ${MB[e.metricId].label} ${e.value}${e.secondary?`/${e.secondary}`:""} · ${e.date}`:`✗ ${sampleBad[i+2]}`}</span>
+        </div>;})}
+      </div>
+      <div style={{fontSize:11,color:T.dim,marginTop:12,lineHeight:1.8}}>
+        <b style={{color:T.gr}}>{mapped.entries.length}</b> valid · <b style={{color:mapped.rejected.length?"#ff6b6b":T.dim}}>{mapped.rejected.length}</b> rejected
+        {Object.entries(mapped.conversions).map(([k,n])=><span key={k} style={{display:"block",color:"#60c0f0"}}>↻ {n} converted {k}</span>)}
+      </div>
+      <button style={{...BB,opacity:mapped.entries.length?1:0.5}} disabled={!mapped.entries.length}
+        onClick={()=>{setPreview({entries:mapped.entries,counts:mapped.counts,dSex:null,dDOB:null,source:imp.label,rejectedRows:mapped.rejected});setStep("preview");}}>Continue to Preview</button>
+      <button style={SB} onClick={()=>{setTable(null);setMapping(null);setStep("instructions");}}>← Start Over</button>
+    </div></div>;
+  }
+
+  const pimp=importerByLabel(preview?.source);
+  const isBackup=!!pimp?.restore;
+  const mb=a=>({flex:1,padding:"9px 10px",borderRadius:8,cursor:"pointer",fontFamily:T.fn,fontSize:11,textAlign:"left",lineHeight:1.6,
+    border:`1px solid ${mode===a?"rgba(0,255,163,0.35)":"#1e2a3a"}`,background:mode===a?"#0e2218":"transparent",color:mode===a?T.gr:T.dim});
+
+  // Review queue: implausible values and outliers against the user's history
+  const flags=step==="preview"&&preview?flagReadings(preview.entries,history):{};
+  const flagged=preview?preview.entries.filter(e=>flags[e.id]).sort((a,b)=>a.metricId.localeCompare(b.metricId)||a.date.localeCompare(b.date)):[];
+  const keeps=id=>decide[id]==="keep";
+  const nEx=flagged.filter(e=>!keeps(e.id)).length;
+  const setAll=v=>setDecide(d=>({...d,...Object.fromEntries(flagged.map(e=>[e.id,v]))}));
+  const reviewed=()=>preview.entries.map(e=>flags[e.id]?{...e,flag:flags[e.id].reason,...(keeps(e.id)?{}:{excluded:true})}:e);
+  const QB=on=>({padding:"3px 9px",borderRadius:6,cursor:"pointer",fontFamily:T.fn,fontSize:10,border:`1px solid ${on?"rgba(0,255,163,0.35)":"#1e2a3a"}`,background:on?"#0e2218":"transparent",color:on?T.gr:T.dim});
+
   if(step==="preview"&&preview)return <div style={OL}><div style={BX}>
     <button onClick={onClose} style={{position:"absolute",top:16,right:18,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
     <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:6}}>
       <div style={{fontFamily:T.dp,fontSize:18,fontWeight:800,color:T.br}}>Import Preview</div>
       <span style={{fontSize:9,padding:"2px 8px",borderRadius:4,border:"1px solid rgba(0,255,163,0.25)",color:T.gr,background:"rgba(0,255,163,0.07)",letterSpacing:"0.09em"}}>
-        {preview.source==="Google Fit"?"📊 GOOGLE FIT":"⌘ APPLE HEALTH"}
+        {pimp?.icon} {(pimp?.badge||preview.source).toUpperCase()}
       </span>
     </div>
     <div style={{fontSize:11,color:T.dim,marginBottom:18,lineHeight:1.8}}>
       Found <b style={{color:T.gr}}>{preview.entries.length} readings</b>.
       {preview.dSex&&<span> Sex: <b style={{color:T.br}}>{preview.dSex}</b>.</span>}
       {preview.dDOB&&<span> Age: <b style={{color:T.br}}>{new Date().getFullYear()-new Date(preview.dDOB).getFullYear()}</b>.</span>}
+      {isBackup&&preview.exported&&<span> Exported <b style={{color:T.br}}>{preview.exported.substring(0,10)}</b>.</span>}
+      {isBackup&&preview.profile?.age&&<span> Profile: <b style={{color:T.br}}>{preview.profile.sex||"–"} · age {preview.profile.age}</b>.</span>}
+      {preview.skipped>0&&<span style={{display:"block",color:"#f0c060"}}>⚠ {preview.skipped} Observation{preview.skipped!==1?"s":""} skipped (no date, value or usable unit, or a diastolic with no systolic).</span>}
+      {isBackup&&preview.rejected>0&&<span style={{display:"block",color:"#f0c060"}}>⚠ {preview.rejected} invalid reading{preview.rejected!==1?"s":""} skipped.</span>}
     </div>
-    {MK.map(id=>{const count=preview.counts[id]||0;const s=preview.entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];return <div key={id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"10px 0",borderBottom:"1px solid #0e1824"}}>
+    {MK.filter(id=>CORE.includes(id)||preview.counts[id]).map(id=>{const count=preview.counts[id]||0;const s=preview.entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];return <div key={id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"10px 0",borderBottom:"1px solid #0e1824"}}>
       <div><div style={{fontSize:13,color:T.br}}>{MB[id].label}</div>{s&&<div style={{fontSize:10,color:T.dim}}>Latest: {s.value} · {s.date}</div>}</div>
       <div style={{display:"flex",alignItems:"center",gap:8}}>
         <span style={{fontSize:11,color:T.dim}}>{count} readings</span>
         <span style={{padding:"2px 9px",borderRadius:20,fontSize:10,background:count>0?"rgba(0,255,163,0.08)":"rgba(60,60,80,0.3)",color:count>0?T.gr:T.dim,border:`1px solid ${count>0?"rgba(0,255,163,0.2)":"#1e2a3a"}`}}>{count>0?"✓ Found":"Not found"}</span>
       </div>
     </div>;})}
-    <button style={BB} onClick={()=>{onImport(preview);setStep("done");}}>Confirm Import</button>
-    <button style={SB} onClick={()=>setStep("instructions")}>← Start Over</button>
+    {preview.rejectedRows?.length>0&&<div style={{marginTop:16}}>
+      <div style={{fontSize:11,color:"#f0c060",marginBottom:6}}>⚠ {preview.rejectedRows.length} row{preview.rejectedRows.length!==1?"s":""} will not be imported:</div>
+      <div style={{maxHeight:150,overflowY:"auto",border:"1px solid rgba(255,107,107,0.2)",borderRadius:8}}>
+        {preview.rejectedRows.map(r=><div key={r.line} style={{display:"flex",gap:10,padding:"5px 10px",fontSize:10,borderBottom:"1px solid #0e1824"}}>
+          <span style={{color:T.dim,flexShrink:0}}>Line {r.line}</span>
+          <span style={{color:"#ff6b6b",flex:1}}>{r.reason}</span>
+          <span style={{color:"#334455",overflow:"hidden",textOverflow:"ellipsis",whiteSpace:"nowrap",maxWidth:160}}>{r.row.join(" · ")}</span>
+        </div>)}
+      </div>
+    </div>}
+    {flagged.length>0&&<div style={{marginTop:16}}>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",gap:8,flexWrap:"wrap",marginBottom:6}}>
+        <div style={{fontSize:11,color:"#f0c060"}}>⚑ {flagged.length} reading{flagged.length!==1?"s":""} to review · {nEx} will be excluded</div>
+        <div style={{display:"flex",gap:5}}><button style={QB(false)} onClick={()=>setAll("keep")}>Keep all</button><button style={QB(false)} onClick={()=>setAll("exclude")}>Exclude all</button></div>
+      </div>
+      <div style={{fontSize:10,color:T.dim,marginBottom:6,lineHeight:1.6}}>Excluded readings are still imported and stay in the metric's log, but don't count towards scores or bio age. You can change this later from the log.</div>
+      <div style={{maxHeight:220,overflowY:"auto",border:"1px solid rgba(240,192,96,0.2)",borderRadius:8}}>
+        {flagged.slice(0,200).map(e=><div key={e.id} style={{display:"flex",gap:10,alignItems:"center",padding:"6px 10px",fontSize:10,borderBottom:"1px solid #0e1824"}}>
+          <div style={{flex:1,minWidth:0}}>
+            <div style={{color:T.br}}>{e.date} · {MB[e.metricId].label} <b>{e.value}{e.secondary!=null?`/${e.secondary}`:""}</b> {MB[e.metricId].unit}</div>
+            <div style={{color:flags[e.id].kind==="implausible"?"#ff6b6b":"#f0c060"}}>{flags[e.id].kind==="implausible"?"Implausible":"Outlier"} — {flags[e.id].reason}</div>
+          </div>
+          <button style={QB(keeps(e.id))} onClick={()=>setDecide(d=>({...d,[e.id]:"keep"}))}>Keep</button>
+          <button style={QB(!keeps(e.id))} onClick={()=>setDecide(d=>({...d,[e.id]:"exclude"}))}>Exclude</button>
+        </div>)}
+        {flagged.length>200&&<div style={{padding:"6px 10px",fontSize:10,color:T.dim}}>…and {flagged.length-200} more — use Keep all / Exclude all.</div>}
+      </div>
+    </div>}
+    {isBackup&&<div style={{display:"flex",gap:8,marginTop:16}}>
+      <button style={mb("merge")} onClick={()=>setMode("merge")}><b>Merge</b><br/><span style={{fontSize:10,color:T.dim}}>Add to current session; backup wins on the same reading</span></button>
+      <button style={mb("replace")} onClick={()=>setMode("replace")}><b>Replace</b><br/><span style={{fontSize:10,color:T.dim}}>Discard current readings and restore the saved profile</span></button>
+    </div>}
+    <button style={BB} onClick={()=>{onImport({...preview,entries:reviewed(),mode});setStep("done");}}>{isBackup&&mode==="replace"?"Replace Session":"Confirm Import"}</button>
+    {pimp?.mapping&&table?<button style={SB} onClick={()=>setStep("mapping")}>← Back to Mapping</button>
+      :<button style={SB} onClick={()=>setStep("instructions")}>← Start Over</button>}
   </div></div>;
 
   // ── Instructions screen ──────────────────────────────────────────────────
-  const AH_STEPS=[
-    {t:"Health app → Profile photo → Export All Health Data",d:"Confirm export. Large exports (>500 MB) take 30–60s to prepare."},
-    {t:"Share export.zip to your computer",d:"Tap Share → Save to Files, or AirDrop to Mac."},
-    {t:"Drop the ZIP or XML below",d:"Parsed in 64 KB chunks entirely in your browser."},
-  ];
-  const GF_STEPS=[
-    {t:"Go to takeout.google.com",d:"Sign in with your Google account."},
-    {t:"Deselect all → select Fit only → choose 'All Fit data'",d:"Export format: ZIP. Any file size is supported."},
-    {t:"Download and drop the ZIP below",d:"We'll find all Health data JSON files automatically."},
-  ];
-  const steps=platform==="apple"?AH_STEPS:GF_STEPS;
-
   return <div style={OL}><div style={BX}>
     <button onClick={onClose} style={{position:"absolute",top:16,right:18,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
     <div style={{fontFamily:T.dp,fontSize:20,fontWeight:800,color:T.br,marginBottom:4}}>Import Health Data</div>
     <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>All parsing is local — your data never leaves this device.</div>
 
     {/* Platform tabs */}
-    <div style={{display:"flex",borderBottom:"1px solid #1e2a3a",marginBottom:22,gap:0}}>
-      <button style={ptab("apple")} onClick={()=>setPlatform("apple")}>📱 Apple Health</button>
-      <button style={ptab("google")} onClick={()=>setPlatform("google")}>📊 Google Fit</button>
+    <div style={{display:"flex",flexWrap:"wrap",borderBottom:"1px solid #1e2a3a",marginBottom:22,gap:0}}>
+      {IMPORTERS.map(i=><button key={i.id} style={ptab(i.id)} onClick={()=>setPlatform(i.id)}>{i.tab||i.icon} {i.label}</button>)}
     </div>
 
-    {platform==="google"&&<div style={{marginBottom:14,padding:"9px 13px",background:"rgba(96,192,240,0.04)",border:"1px solid rgba(96,192,240,0.15)",borderRadius:7,fontSize:11,color:"#60c0f0",lineHeight:1.8}}>
-      📌 Google Fit VO₂ Max is device-dependent. If unavailable, log it manually after importing.
+    {imp.tip&&<div style={{marginBottom:14,padding:"9px 13px",background:"rgba(96,192,240,0.04)",border:"1px solid rgba(96,192,240,0.15)",borderRadius:7,fontSize:11,color:"#60c0f0",lineHeight:1.8}}>
+      {imp.tip}
     </div>}
 
-    {steps.map((s,i)=><div key={i} style={{display:"flex",gap:12,marginBottom:14}}>
+    {imp.steps.map((s,i)=><div key={i} style={{display:"flex",gap:12,marginBottom:14}}>
       <div style={{width:24,height:24,borderRadius:"50%",background:"#0e2218",border:"1px solid #00ffa3",color:"#00ffa3",fontSize:10,display:"flex",alignItems:"center",justifyContent:"center",flexShrink:0,fontWeight:700}}>{i+1}</div>
       <div style={{fontSize:12,color:"#8899aa",lineHeight:1.7}}><span style={{color:T.br,display:"block",fontWeight:500}}>{s.t}</span>{s.d}</div>
     </div>)}
 
     <div onDragOver={e=>{e.preventDefault();setDrag(true);}} onDragLeave={()=>setDrag(false)} onDrop={e=>{e.preventDefault();setDrag(false);const f=e.dataTransfer.files[0];if(f)process(f);}} onClick={()=>ref.current?.click()}
       style={{border:`2px dashed ${drag?"#00ffa3":"#1e2a3a"}`,borderRadius:10,padding:"28px 20px",textAlign:"center",cursor:"pointer",background:drag?"rgba(0,255,163,0.04)":"transparent",transition:"all 0.2s",marginTop:4}}>
-      <div style={{fontSize:30,marginBottom:8}}>{platform==="google"?"📊":"⬆"}</div>
+      <div style={{fontSize:30,marginBottom:8}}>{imp.tab||imp.icon}</div>
       <div style={{fontSize:13,color:T.dim}}>
-        Drop your <b style={{color:T.br}}>{platform==="google"?"takeout-*.zip":"export.zip"}</b> here
+        Drop your <b style={{color:T.br}}>{imp.file}</b> here
         <span style={{color:"#00ffa3",display:"block",fontSize:11,marginTop:3}}>or click to browse · format auto-detected</span>
       </div>
-      <input ref={ref} type="file" accept=".zip,.xml" style={{display:"none"}} onChange={e=>{if(e.target.files[0])process(e.target.files[0]);}}/>
+      <input ref={ref} type="file" accept={ACCEPT} style={{display:"none"}} onChange={e=>{if(e.target.files[0])process(e.target.files[0]);}}/>
     </div>
     <div style={{marginTop:10,padding:"9px 13px",background:"rgba(0,100,255,0.03)",borderRadius:7,border:"1px solid rgba(40,60,120,0.2)",fontSize:10,color:T.dim,lineHeight:1.7}}>
       🔒 Privacy: Parsed 100% in-browser via WebStreams API. Nothing is uploaded.
@@ -1115,6 +1757,262 @@ function ImportPanel({onImport,onClose}){
   </div></div>;
 }
 
+// ── Tabular export (CSV for coaches / clinicians) ─────────────────────────
+// Scores, categories and bio age are computed for the profile active at export
+// time, so the sheet matches what the dashboard shows. Excluded readings are
+// listed (marked, with their flag) but, as on the dashboard, never scored: their
+// score and category cells stay blank. Range is the value's own band and stays.
+const entrySource=e=>sourceOf(e)?.label||"Manual";
+function readingsCSV(entries,{age,sex,eth},inputs){
+  const baAt=bioAgeByDate(entries.filter(e=>!e.excluded),age,sex,eth,inputs);
+  const rows=[...entries].sort((a,b)=>a.date.localeCompare(b.date)||a.metricId.localeCompare(b.metricId)).map(e=>{
+    const sc=e.excluded?null:entryScore(e,sex,eth,age);const src=entrySource(e);
+    return[e.date,MB[e.metricId]?.label||e.metricId,e.value,e.secondary??"",MB[e.metricId]?.unit||"",src,src===e.note?"":e.note||"",
+      sc!=null?Math.round(sc):"",sc!=null?gL(sc):"",getCategory(e.metricId,e.value,sex,eth,e.secondary,age)?.label??"",baAt[e.date]??"",e.excluded?"yes":"",e.flag||""];
+  });
+  return toCSV(["date","metric","value","diastolic","unit","source","note","score","category","range","bio_age","excluded","flag"],rows);
+}
+function trendCSV(entries,{age,sex,eth},inputs){
+  return toCSV(["month","bio_age","ci95_low","ci95_high","chrono_age","years_younger","algorithm"],getBioTrend(entries.filter(e=>!e.excluded),age,sex,eth,inputs).map(p=>[p.month,p["Bio Age"],...(p["95% CI"]||["",""]),p.Chrono,+(p.Chrono-p["Bio Age"]).toFixed(1),algoOf(inputs?.algo).label]));
+}
+
+// ── Export Modal (session backup / CSV) ───────────────────────────────────
+function ExportModal({entries,profile,inputs,onClose}){
+  const [fmt,setFmt]=useState("backup"); // backup | csv | fhir
+  const [encrypt,setEncrypt]=useState(false);
+  const [pw,setPw]=useState("");
+  const [pw2,setPw2]=useState("");
+  const [busy,setBusy]=useState(false);
+  const [err,setErr]=useState(null);
+  const today=new Date().toISOString().substring(0,10);
+  const fname=`bioage-backup-${today}.json`;
+  const notFHIR=entries.filter(e=>!inFHIRExport(e));
+  const nExcl=entries.filter(e=>e.excluded&&inFHIRExport(e)).length;
+
+  const save=(blob,name)=>{
+    const url=URL.createObjectURL(blob);
+    const a=document.createElement("a");a.href=url;a.download=name;a.style.display="none";
+    document.body.appendChild(a);a.click();document.body.removeChild(a);
+    setTimeout(()=>URL.revokeObjectURL(url),10000);
+  };
+  const download=async()=>{
+    if(encrypt&&pw.length<8){setErr("Passphrase must be at least 8 characters.");return;}
+    if(encrypt&&pw!==pw2){setErr("Passphrases don't match.");return;}
+    setBusy(true);setErr(null);
+    try{
+      const bundle=await buildBackup(entries,profile,encrypt?pw:null);
+      save(new Blob([JSON.stringify(bundle)],{type:"application/json"}),fname);
+    }catch(e){setErr(e.message||String(e));}
+    setBusy(false);
+  };
+  // Leading BOM so Excel opens the UTF-8 (₂, ≥) correctly
+  const saveCSV=(text,name)=>save(new Blob(["\uFEFF"+text],{type:"text/csv;charset=utf-8"}),name);
+  const tab=a=>({flex:1,padding:"7px 0",border:"none",cursor:"pointer",fontFamily:T.fn,fontSize:11,letterSpacing:"0.07em",
+    background:fmt===a?"#0e2218":"transparent",color:fmt===a?T.gr:"#334455",borderBottom:`2px solid ${fmt===a?T.gr:"transparent"}`});
+  const DB={background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"11px 22px",cursor:"pointer",boxShadow:"0 0 16px rgba(0,255,163,0.3)",opacity:busy||!entries.length?0.5:1,width:"100%",marginTop:14};
+
+  const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:13,padding:"9px 13px",width:"100%",boxSizing:"border-box",marginBottom:9};
+  return <div style={{position:"fixed",inset:0,background:"rgba(0,0,0,0.88)",zIndex:200,display:"flex",alignItems:"center",justifyContent:"center",padding:20}}>
+    <div style={{background:T.card,border:"1px solid #1a2a1a",borderRadius:16,width:"100%",maxWidth:460,padding:"26px 30px",position:"relative",animation:"fadeUp 0.2s ease"}}>
+      <button onClick={onClose} style={{position:"absolute",top:14,right:16,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,marginBottom:12}}>Export Data</div>
+      <div style={{display:"flex",borderBottom:"1px solid #1e2a3a",marginBottom:14}}>
+        <button style={tab("backup")} onClick={()=>setFmt("backup")}>💾 Backup</button>
+        <button style={tab("csv")} onClick={()=>setFmt("csv")}>📄 Spreadsheet</button>
+        <button style={tab("fhir")} onClick={()=>setFmt("fhir")}>🏥 FHIR</button>
+      </div>
+      {fmt==="fhir"?<>
+        <div style={{fontSize:11,color:T.dim,lineHeight:1.8}}>
+          An HL7 FHIR R4 Bundle with one LOINC-coded Observation per reading ({entries.length-notFHIR.length}) — for clinic systems and other health tools. Re-importing it here merges onto the same readings.
+        </div>
+        {nExcl>0&&<div style={{fontSize:11,color:"#f0c060",lineHeight:1.8,marginTop:8}}>
+          ⚑ {nExcl} reading{nExcl!==1?"s":""} you excluded from scoring {nExcl!==1?"are":"is"} included but marked “Excluded from scoring” with the flag reason, so a clinician doesn't take {nExcl!==1?"them":"it"} at face value. Re-importing keeps {nExcl!==1?"them":"it"} excluded.
+        </div>}
+        {notFHIR.length>0&&<div style={{fontSize:11,color:"#f0c060",lineHeight:1.8,marginTop:8}}>
+          ⚠ {notFHIR.length} {[...new Set(notFHIR.map(e=>MB[e.metricId]?.label||e.metricId))].join(" / ")} reading{notFHIR.length!==1?"s":""} left out — grip strength and walking speed have no LOINC code in wide use. The Spreadsheet tab's Readings CSV includes them.
+        </div>}
+        <button onClick={()=>save(new Blob([JSON.stringify(buildFHIRBundle(entries,profile),null,2)],{type:"application/fhir+json"}),`bioage-fhir-${today}.json`)} disabled={notFHIR.length===entries.length} style={{...DB,opacity:notFHIR.length===entries.length?0.5:1}}>⬇ Download FHIR Bundle</button>
+      </>:fmt==="csv"?<>
+        <div style={{fontSize:11,color:T.dim,marginBottom:6,lineHeight:1.8}}>
+          CSV files for a coach or doctor — open in Excel, Numbers or Google Sheets.
+        </div>
+        <div style={{fontSize:11,color:"#8899aa",lineHeight:1.8}}>
+          <b style={{color:T.br}}>Readings</b> — one row per reading ({entries.length}): date, metric, value, diastolic, unit, source, note, score, category and range (e.g. AHA stage) for your current profile, bio age as of that date, and whether the reading is excluded from scoring (with the reason it was flagged; excluded readings have no score or category).<br/>
+          <b style={{color:T.br}}>Monthly trend</b> — bio age vs chronological age for the last 12 months.
+        </div>
+        <button onClick={()=>saveCSV(readingsCSV(entries,profile,inputs),`bioage-readings-${today}.csv`)} disabled={!entries.length} style={DB}>⬇ Readings CSV</button>
+        <button onClick={()=>saveCSV(trendCSV(entries,profile,inputs),`bioage-trend-${today}.csv`)} disabled={!entries.length} style={{...DB,background:"transparent",color:T.gr,border:"1px solid rgba(0,255,163,0.3)",boxShadow:"none",marginTop:8}}>⬇ Monthly Trend CSV</button>
+      </>:<>
+        <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>
+          Save all <b style={{color:T.gr}}>{entries.length} readings</b> plus your age, sex and ethnicity to a backup file. Restore it any time from ⬆ Import — the file is created in your browser and never uploaded.
+        </div>
+        <label style={{display:"flex",alignItems:"center",gap:8,fontSize:12,color:T.br,cursor:"pointer",marginBottom:12}}>
+          <input type="checkbox" checked={encrypt} onChange={e=>setEncrypt(e.target.checked)}/> Encrypt with a passphrase
+        </label>
+        {encrypt&&<>
+          <input type="password" placeholder="Passphrase (8+ characters)" value={pw} onChange={e=>setPw(e.target.value)} style={inp}/>
+          <input type="password" placeholder="Confirm passphrase" value={pw2} onChange={e=>setPw2(e.target.value)} style={inp}/>
+          <div style={{fontSize:10,color:"#f0c060",marginBottom:4}}>Without the passphrase the backup cannot be restored.</div>
+      </>}
+      {err&&<div style={{marginTop:8,fontSize:12,color:"#ff6b6b"}}>⚠ {err}</div>}
+      <button onClick={download} disabled={busy||!entries.length} style={DB}>{busy?"Preparing…":"⬇ Download Backup"}</button>
+      </>}
+      <button onClick={onClose} style={{background:"transparent",color:T.dim,fontFamily:T.fn,fontSize:11,border:"1px solid #1e2a3a",borderRadius:8,padding:"9px 18px",cursor:"pointer",width:"100%",marginTop:8}}>Close</button>
+    </div>
+  </div>;
+}
+
+// ── Share links (summary in the URL fragment) ─────────────────────────────
+// pick: {ba,age,profile,values,ids:[metricId…]} — only picked fields are written
+function shareSummary(entries,{age,sex,eth},inputs,pick){
+  const s={at:todayStr()};
+  const ci=pick.ba&&getBioAgeCI(entries,age,sex,eth,inputs);
+  if(ci){s.ba=+ci.ba.toFixed(1);s.algo=algoOf(inputs?.algo).id;if(ci.se!=null)s.ci=[ci.lo,ci.hi];}
+  if(pick.age)s.age=age;
+  if(pick.profile){s.sex=sex;s.eth=eth;}
+  const ms={};
+  pick.ids.forEach(id=>{
+    const l=entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0];if(!l)return;
+    ms[id]={s:Math.round(entryScore(l,sex,eth,age)),c:getCategory(id,l.value,sex,eth,l.secondary,age).label};
+    if(pick.values){ms[id].v=roundForShare(l.value);if(l.secondary!=null)ms[id].v2=roundForShare(l.secondary);}
+  });
+  if(Object.keys(ms).length)s.metrics=ms;
+  if(Object.keys(ms).length&&activeRef())s.ref=true;
+  return s;
+}
+
+function ShareModal({entries,profile,inputs,onClose}){
+  const ids=MK.filter(id=>entries.some(e=>e.metricId===id));
+  // Nothing is shared until ticked — the link holds exactly what is on screen
+  const [pick,setPick]=useState({ba:false,age:false,profile:false,values:false,ids:[]});
+  const [encrypt,setEncrypt]=useState(false);
+  const [pw,setPw]=useState("");
+  const [link,setLink]=useState(null);
+  const [copied,setCopied]=useState(false);
+  const [busy,setBusy]=useState(false);
+  const [err,setErr]=useState(null);
+  const set=patch=>{setPick(p=>({...p,...patch}));setLink(null);};
+  const toggle=id=>set({ids:pick.ids.includes(id)?pick.ids.filter(x=>x!==id):[...pick.ids,id]});
+  const empty=!pick.ba&&!pick.age&&!pick.ids.length;
+
+  const create=async()=>{
+    if(encrypt&&pw.length<8){setErr("Passphrase must be at least 8 characters.");return;}
+    setBusy(true);setErr(null);
+    try{setLink(await buildShareLink(shareSummary(entries,profile,inputs,pick),encrypt?pw:null));}
+    catch(e){setErr(e.message||String(e));}
+    setBusy(false);
+  };
+  const copy=()=>navigator.clipboard?.writeText(link).then(()=>{setCopied(true);setTimeout(()=>setCopied(false),2000);},()=>setErr("Copy failed — select the link and copy it by hand."));
+
+  const row={display:"flex",alignItems:"center",gap:8,fontSize:12,color:T.br,cursor:"pointer",marginBottom:8};
+  const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:12,padding:"9px 13px",width:"100%",boxSizing:"border-box",marginBottom:9};
+  const DB={background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"11px 22px",cursor:"pointer",boxShadow:"0 0 16px rgba(0,255,163,0.3)",opacity:busy||empty?0.5:1,width:"100%",marginTop:6};
+  return <div style={{position:"fixed",inset:0,background:"rgba(0,0,0,0.88)",zIndex:200,display:"flex",alignItems:"center",justifyContent:"center",padding:20}}>
+    <div style={{background:T.card,border:"1px solid #1a2a1a",borderRadius:16,width:"100%",maxWidth:480,maxHeight:"93vh",overflowY:"auto",padding:"26px 30px",position:"relative",animation:"fadeUp 0.2s ease"}}>
+      <button onClick={onClose} style={{position:"absolute",top:14,right:16,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,marginBottom:8}}>Share a Summary Link</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>
+        The summary travels inside the link itself (after the #), so it never reaches a server. Anyone with the link can read it — tick only what you want to show.
+      </div>
+      <label style={row}><input type="checkbox" checked={pick.ba} onChange={e=>set({ba:e.target.checked})}/> Bio age, with its interval and algorithm</label>
+      <label style={row}><input type="checkbox" checked={pick.age} onChange={e=>set({age:e.target.checked})}/> Chronological age</label>
+      <label style={row}><input type="checkbox" checked={pick.profile} onChange={e=>set({profile:e.target.checked})}/> Sex and ethnicity <span style={{fontSize:10,color:T.dim}}>(lets the viewer show range bars)</span></label>
+      <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",fontSize:10,letterSpacing:"0.14em",color:T.dim,margin:"14px 0 8px"}}>
+        METRIC CATEGORIES
+        <span style={{display:"flex",gap:10,letterSpacing:0}}>
+          <button onClick={()=>set({ids})} style={{background:"none",border:"none",color:T.gr,cursor:"pointer",fontFamily:T.fn,fontSize:10,padding:0}}>All</button>
+          <button onClick={()=>set({ids:[]})} style={{background:"none",border:"none",color:T.dim,cursor:"pointer",fontFamily:T.fn,fontSize:10,padding:0}}>None</button>
+        </span>
+      </div>
+      {ids.length?<div style={{display:"grid",gridTemplateColumns:"1fr 1fr",gap:"0 12px"}}>
+        {ids.map(id=><label key={id} style={{...row,fontSize:11}}><input type="checkbox" checked={pick.ids.includes(id)} onChange={()=>toggle(id)}/> {MB[id].label}</label>)}
+      </div>:<div style={{fontSize:11,color:T.dim,marginBottom:8}}>No readings logged yet.</div>}
+      <label style={{...row,opacity:pick.ids.length?1:0.5}}><input type="checkbox" disabled={!pick.ids.length} checked={pick.values} onChange={e=>set({values:e.target.checked})}/> Include rounded values <span style={{fontSize:10,color:T.dim}}>(e.g. 97 mg/dL, not 96.6)</span></label>
+      <label style={{...row,marginTop:12}}><input type="checkbox" checked={encrypt} onChange={e=>{setEncrypt(e.target.checked);setLink(null);}}/> Protect with a passphrase</label>
+      {encrypt&&<>
+        <input type="password" placeholder="Passphrase (8+ characters)" value={pw} onChange={e=>{setPw(e.target.value);setLink(null);}} style={inp}/>
+        <div style={{fontSize:10,color:"#f0c060",marginBottom:8}}>Send the passphrase separately from the link.</div>
+      </>}
+      {err&&<div style={{marginBottom:8,fontSize:12,color:"#ff6b6b"}}>⚠ {err}</div>}
+      {link?<>
+        <input readOnly value={link} onFocus={e=>e.target.select()} style={{...inp,fontSize:10,color:"#8899aa"}}/>
+        <button onClick={copy} style={DB}>{copied?"✓ Copied":"⧉ Copy Link"}</button>
+        <div style={{fontSize:10,color:T.dim,marginTop:6}}>{link.length} characters · read-only view, opens in any browser</div>
+      </>:<button onClick={create} disabled={busy||empty} style={DB}>{busy?"Encrypting…":"🔗 Create Link"}</button>}
+      <button onClick={onClose} style={{background:"transparent",color:T.dim,fontFamily:T.fn,fontSize:11,border:"1px solid #1e2a3a",borderRadius:8,padding:"9px 18px",cursor:"pointer",width:"100%",marginTop:8}}>Close</button>
+    </div>
+  </div>;
+}
+
+// Read-only page for an opened share link. Mount with key={frag}.
+function ShareViewer({frag,onExit}){
+  const [sum,setSum]=useState(null);
+  const [err,setErr]=useState(null);
+  const [locked,setLocked]=useState(isEncryptedShare(frag));
+  const [pw,setPw]=useState("");
+  const [busy,setBusy]=useState(false);
+  useEffect(()=>{if(!isEncryptedShare(frag))readShare(frag).then(setSum,e=>setErr(e.message||String(e)));},[frag]);
+  const unlock=async()=>{
+    setBusy(true);setErr(null);
+    try{setSum(await readShare(frag,pw));setLocked(false);}
+    catch(e){setErr(e.message||String(e));}
+    setBusy(false);
+  };
+  const algo=sum?.algo&&algoOf(sum.algo);
+  const delta=sum?.ba!=null&&sum.age!=null?+(sum.age-sum.ba).toFixed(1):null;
+  // Range bars need the sender's sex, and the default ranges they were scored on
+  const bars=sum?.sex&&!sum.ref&&!activeRef();
+  return <div style={{minHeight:"100vh",background:T.bg,fontFamily:T.fn,color:T.txt}}>
+    <style>{FONTS}</style>
+    <nav style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"12px 22px",borderBottom:`1px solid ${T.bdr}`,flexWrap:"wrap",gap:7}}>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br}}><span style={{color:T.gr}}>BIO</span>AGE <span style={{fontFamily:T.fn,fontSize:10,fontWeight:400,color:T.dim,letterSpacing:"0.14em",marginLeft:6}}>SHARED SUMMARY · READ-ONLY</span></div>
+      <button onClick={onExit} style={{padding:"6px 11px",borderRadius:7,fontSize:10,letterSpacing:"0.07em",cursor:"pointer",fontFamily:T.fn,background:"transparent",color:T.gr,border:"1px solid rgba(0,255,163,0.25)"}}>Open my own dashboard →</button>
+    </nav>
+    <div style={{maxWidth:900,margin:"0 auto",padding:"28px 26px"}}>
+      {locked?<div style={{maxWidth:380,margin:"40px auto",background:T.card,border:`1px solid ${T.bdr}`,borderRadius:13,padding:"22px 26px"}}>
+        <div style={{fontFamily:T.dp,fontSize:15,fontWeight:700,color:T.br,marginBottom:8}}>🔒 Passphrase-protected</div>
+        <div style={{fontSize:11,color:T.dim,marginBottom:12,lineHeight:1.7}}>Ask the sender for the passphrase. It is checked here in your browser.</div>
+        <input type="password" value={pw} autoFocus onChange={e=>setPw(e.target.value)} onKeyDown={e=>e.key==="Enter"&&pw&&unlock()} placeholder="Passphrase"
+          style={{background:T.bg,border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:13,padding:"9px 13px",width:"100%",boxSizing:"border-box",marginBottom:9}}/>
+        {err&&<div style={{fontSize:12,color:"#ff6b6b",marginBottom:8}}>⚠ {err}</div>}
+        <button onClick={unlock} disabled={busy||!pw} style={{background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"10px 20px",cursor:"pointer",width:"100%",opacity:busy||!pw?0.5:1}}>{busy?"Unlocking…":"Unlock"}</button>
+      </div>
+      :err?<div style={{textAlign:"center",marginTop:60,fontSize:12,color:"#ff6b6b"}}>⚠ {err}</div>
+      :!sum?<div style={{textAlign:"center",marginTop:60,fontSize:12,color:T.dim}}>Reading link…</div>
+      :<>
+        <div style={{display:"flex",alignItems:"flex-end",justifyContent:"space-between",flexWrap:"wrap",gap:18,paddingBottom:20,borderBottom:`1px solid ${T.bdr}`,marginBottom:20}}>
+          <div>
+            {sum.ba!=null&&<>
+              <div style={{fontSize:10,letterSpacing:"0.2em",color:T.dim,textTransform:"uppercase",marginBottom:3}}>Estimated Biological Age · {algo.label}</div>
+              <div style={{fontFamily:T.dp,fontSize:56,fontWeight:900,color:T.gr,lineHeight:1,textShadow:"0 0 36px rgba(0,255,163,0.33)"}}>{sum.ba.toFixed(1)}</div>
+              {sum.ci&&<div style={{marginTop:5,fontSize:10,color:T.dim}}>95% range {sum.ci[0]}–{sum.ci[1]}</div>}
+            </>}
+            {delta!==null&&<div style={{display:"inline-block",marginTop:9,padding:"4px 11px",borderRadius:20,fontSize:11,background:delta>0?"rgba(0,255,163,0.08)":"rgba(255,107,107,0.08)",border:`1px solid ${delta>0?"rgba(0,255,163,0.25)":"rgba(255,107,107,0.25)"}`,color:delta>0?T.gr:"#ff6b6b"}}>{delta>0?`↓ ${delta} yrs younger`:`↑ ${Math.abs(delta)} yrs older`} than chronological</div>}
+            <div style={{marginTop:7,fontSize:10,color:"#445566"}}>{[sum.sex&&(sum.sex==="female"?"♀ Female":"♂ Male"),sum.eth&&ETHNICITIES.find(e=>e.id===sum.eth)?.label,sum.age!=null&&`Age ${sum.age}`].filter(Boolean).join(" · ")}</div>
+          </div>
+          <div style={{fontSize:10,color:T.dim,textAlign:"right",lineHeight:1.8}}>As of {sum.at}{sum.ref&&<div style={{color:"#f0c060"}}>📐 Scored against the sender's custom reference ranges</div>}</div>
+        </div>
+        {sum.metrics&&<div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(250px,1fr))",gap:12}}>
+          {Object.entries(sum.metrics).map(([id,x])=>{const m=bars?getM(id,sum.sex,sum.eth||"general",sum.age):MB[id];return <div key={id} style={{background:T.card,border:`1px solid ${gC(x.s)}22`,borderRadius:12,padding:"14px 16px"}}>
+            <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:10,marginBottom:bars?10:0}}>
+              <div>
+                <div style={{fontSize:10,letterSpacing:"0.12em",color:T.dim,textTransform:"uppercase",marginBottom:4}}>{MB[id].label}</div>
+                {x.v!=null&&<div style={{fontFamily:T.dp,fontSize:22,fontWeight:800,color:T.br}}>{x.v}{x.v2!=null&&`/${x.v2}`} <span style={{fontFamily:T.fn,fontSize:10,fontWeight:400,color:T.dim}}>{MB[id].unit}</span></div>}
+                <div style={{fontSize:11,color:gC(x.s),marginTop:2}}>{x.c}</div>
+              </div>
+              <div style={{position:"relative",width:50,height:50}}><GlowRing score={x.s} size={50}/>
+                <div style={{position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",fontSize:11,fontWeight:700,color:gC(x.s)}}>{x.s}</div>
+              </div>
+            </div>
+            {bars&&<RangeBar m={m} compact/>}
+          </div>;})}
+        </div>}
+        <div style={{marginTop:24,fontSize:10,color:"#334455",lineHeight:1.8}}>Shared from BioAge. This summary was read from the link itself — nothing was sent to a server. Values are rounded. Not medical advice.</div>
+      </>}
+    </div>
+  </div>;
+}
+
 // ── Ethnicity Modal ───────────────────────────────────────────────────────
 function EthModal({eth,setEth,onClose}){
   return <div style={{position:"fixed",inset:0,background:"rgba(0,0,0,0.88)",zIndex:200,display:"flex",alignItems:"center",justifyContent:"center",padding:20}}>
@@ -1139,6 +2037,168 @@ function EthModal({eth,setEth,onClose}){
   </div>;
 }
 
+// ── Reference Profile Modal (custom ranges / KDM parameters) ──────────────
+// Edits a draft; Apply validates the whole profile before it goes live.
+const RefNote=({style})=>activeRef()?<div style={{fontSize:9,color:"#f0c060",...style}}>📐 {refLabel()} — scores use overridden ranges</div>:null;
+// One overridable section: checkbox seeds the override from defaults / clears it
+const RefSec=({title,on,onToggle,children})=><div style={{borderTop:`1px solid ${T.bdr}`,padding:"10px 0"}}>
+  <label style={{display:"flex",alignItems:"center",gap:7,fontSize:10,color:on?T.gr:T.dim,cursor:"pointer",letterSpacing:"0.1em"}}>
+    <input type="checkbox" checked={on} onChange={onToggle}/>{title}
+  </label>
+  {on&&<div style={{marginTop:8}}>{children}</div>}
+</div>;
+function RefModal({onApply,onClose}){
+  const [draft,setDraft]=useState(()=>JSON.parse(JSON.stringify(activeRef()||{name:"",metrics:{}})));
+  const [sex,setSex]=useState("female");
+  const [mid,setMid]=useState("glucose");
+  const [err,setErr]=useState(null);
+  const fileRef=useRef(null);
+  const def=id=>{const b=MB[id];return b[sex]||b.female;};
+  const kdmDef=id=>KDM_P[id][sex]||KDM_P[id].female;
+  const ov=id=>draft.metrics[id]?.[sex]||{};
+  // key: "opt" | "ranges" | "kdm"; val undefined removes the override
+  const setOv=(id,key,val)=>setDraft(d=>{
+    const metrics={...d.metrics},bySex={...metrics[id]},o={...bySex[sex]};
+    if(val===undefined)delete o[key];else o[key]=val;
+    if(Object.keys(o).length)bySex[sex]=o;else delete bySex[sex];
+    if(Object.keys(bySex).length)metrics[id]=bySex;else delete metrics[id];
+    return{...d,metrics};
+  });
+  const n=v=>v===""?NaN:+v;
+  const shown=v=>Number.isFinite(v)?v:"";
+  const o=ov(mid),d=def(mid);
+  const errs=overrideErrors(mid,sex,o);
+  const dbpErrs=mid==="bp"?overrideErrors("dbp",sex,ov("dbp")):[];
+  const allErrs=profileErrors(draft);
+  const overridden=Object.entries(draft.metrics).flatMap(([id,b])=>Object.keys(b).map(sx=>`${id==="dbp"?"Diastolic":MB[id]?.label} ${sx==="female"?"♀":"♂"}`));
+
+  const save=()=>{
+    const url=URL.createObjectURL(new Blob([JSON.stringify(buildRefProfile(draft),null,2)],{type:"application/json"}));
+    const a=document.createElement("a");a.href=url;a.download=`bioage-reference-${(draft.name||"profile").replace(/[^\w-]+/g,"-").toLowerCase()}.json`;a.style.display="none";
+    document.body.appendChild(a);a.click();document.body.removeChild(a);
+    setTimeout(()=>URL.revokeObjectURL(url),10000);
+  };
+  const load=async f=>{
+    setErr(null);
+    try{setDraft(parseRefProfile(await f.text()));}catch(e){setErr(e.message||String(e));}
+  };
+  const apply=()=>{
+    if(allErrs.length){setErr(allErrs.join("\n"));return;}
+    onApply(Object.keys(draft.metrics).length?{name:draft.name||"Untitled",metrics:draft.metrics}:null);
+  };
+
+  const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:6,color:T.br,fontFamily:T.fn,fontSize:11,padding:"5px 7px",width:"100%",boxSizing:"border-box"};
+  const tog=a=>({flex:1,padding:"6px 0",border:"none",cursor:"pointer",fontFamily:T.fn,fontSize:10,background:a?"#0e2218":"transparent",color:a?T.gr:"#334455"});
+  const BTN={background:"transparent",color:T.gr,fontFamily:T.fn,fontSize:10,letterSpacing:"0.07em",border:"1px solid rgba(0,255,163,0.3)",borderRadius:7,padding:"7px 12px",cursor:"pointer"};
+  const kdmSec=(id,title)=>{const k=ov(id).kdm,dk=kdmDef(id);
+    return <RefSec title={title} on={!!k} onToggle={()=>setOv(id,"kdm",k?undefined:{k:dk.k,q:dk.q,s:dk.s})}>
+      {k&&<div style={{display:"grid",gridTemplateColumns:"repeat(3,1fr)",gap:6}}>
+        {[["k","slope / yr"],["q","intercept"],["s","residual SD"]].map(([f,l])=><div key={f}>
+          <div style={{fontSize:8,color:T.dim,marginBottom:2}}>{f} · {l} <span style={{color:"#1e3040"}}>(default {dk[f]})</span></div>
+          <input type="number" step="any" value={shown(k[f])} onChange={e=>setOv(id,"kdm",{...k,[f]:n(e.target.value)})} style={inp}/>
+        </div>)}
+      </div>}
+    </RefSec>;};
+
+  return <div style={{position:"fixed",inset:0,background:"rgba(0,0,0,0.88)",zIndex:200,display:"flex",alignItems:"center",justifyContent:"center",padding:20}}>
+    <div style={{background:T.card,border:"1px solid #1a2a1a",borderRadius:16,width:"100%",maxWidth:560,maxHeight:"90vh",overflowY:"auto",padding:"26px 30px",position:"relative",animation:"fadeUp 0.2s ease"}}>
+      <button onClick={onClose} style={{position:"absolute",top:14,right:16,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,marginBottom:6}}>Reference Profile</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:14,lineHeight:1.8}}>Override the optimal target, range bands or KDM parameters per metric and sex. Custom bands replace the age-stratified norms; ethnicity adjustments still apply. Every scored view flags an active profile.</div>
+      <input placeholder="Profile name (e.g. Clinic 2025)" value={draft.name} onChange={e=>setDraft(p=>({...p,name:e.target.value}))} style={{...inp,fontSize:12,padding:"8px 11px",marginBottom:10}}/>
+      <div style={{display:"flex",gap:8,marginBottom:6}}>
+        <div style={{display:"flex",background:"#0a0e16",border:"1px solid #1e2a3a",borderRadius:7,overflow:"hidden",width:160}}>
+          {["female","male"].map(x=><button key={x} style={tog(sex===x)} onClick={()=>setSex(x)}>{x==="female"?"♀ Female":"♂ Male"}</button>)}
+        </div>
+        <select value={mid} onChange={e=>setMid(e.target.value)} style={{...inp,flex:1,width:"auto"}}>
+          {MK.map(id=><option key={id} value={id}>{MB[id].label}{draft.metrics[id]?" ✎":""}</option>)}
+        </select>
+      </div>
+      <RefSec title={`OPTIMAL (default ${d.opt.min}–${d.opt.max} ${MB[mid].unit})`} on={!!o.opt} onToggle={()=>setOv(mid,"opt",o.opt?undefined:{...d.opt})}>
+        {o.opt&&<div style={{display:"flex",gap:6}}>
+          {["min","max"].map(f=><input key={f} type="number" step="any" placeholder={f} value={shown(o.opt[f])} onChange={e=>setOv(mid,"opt",{...o.opt,[f]:n(e.target.value)})} style={inp}/>)}
+        </div>}
+      </RefSec>
+      <RefSec title={`RANGE BANDS (${d.ranges.length}, low → high)`} on={!!o.ranges} onToggle={()=>setOv(mid,"ranges",o.ranges?undefined:d.ranges.map(({label,lo,hi})=>({label,lo,hi})))}>
+        {o.ranges?.map((r,i)=><div key={i} style={{display:"grid",gridTemplateColumns:"10px 2fr 1fr 1fr",gap:6,alignItems:"center",marginBottom:5}}>
+          <div style={{width:8,height:8,borderRadius:2,background:d.ranges[i]?.c}}/>
+          <input value={r.label} onChange={e=>setOv(mid,"ranges",o.ranges.map((x,j)=>j===i?{...x,label:e.target.value}:x))} style={inp}/>
+          {["lo","hi"].map(f=><input key={f} type="number" step="any" value={shown(r[f])} onChange={e=>setOv(mid,"ranges",o.ranges.map((x,j)=>j===i?{...x,[f]:n(e.target.value)}:x))} style={inp}/>)}
+        </div>)}
+      </RefSec>
+      {KDM_P[mid]&&kdmSec(mid,mid==="bp"?"KDM PARAMETERS · SYSTOLIC":"KDM PARAMETERS")}
+      {mid==="bp"&&kdmSec("dbp","KDM PARAMETERS · DIASTOLIC")}
+      {[...errs,...dbpErrs].length>0&&<div style={{fontSize:10,color:"#ff6b6b",lineHeight:1.7,marginBottom:8}}>{[...errs,...dbpErrs].map((e,i)=><div key={i}>⚠ {e}</div>)}</div>}
+      <div style={{fontSize:10,color:T.dim,margin:"6px 0 12px",lineHeight:1.7}}>{overridden.length?<>Overrides: <span style={{color:"#f0c060"}}>{overridden.join(" · ")}</span></>:"No overrides — published defaults in use."}</div>
+      {err&&<div style={{fontSize:10,color:"#ff6b6b",whiteSpace:"pre-line",lineHeight:1.7,marginBottom:10}}>{err}</div>}
+      <div style={{display:"flex",gap:8,flexWrap:"wrap"}}>
+        <button onClick={apply} disabled={allErrs.length>0} style={{...BTN,background:T.gr,color:"#030a06",fontWeight:700,border:"none",opacity:allErrs.length?0.5:1}}>Apply</button>
+        <button onClick={save} disabled={!overridden.length} style={{...BTN,opacity:overridden.length?1:0.5}}>⬇ Save JSON</button>
+        <button onClick={()=>fileRef.current?.click()} style={BTN}>⬆ Load JSON</button>
+        <button onClick={()=>{setDraft({name:"",metrics:{}});setErr(null);}} style={{...BTN,color:"#ff6b6b",borderColor:"rgba(255,107,107,0.3)"}}>Reset to defaults</button>
+      </div>
+      <input ref={fileRef} type="file" accept=".json" style={{display:"none"}} onChange={e=>{if(e.target.files[0])load(e.target.files[0]);e.target.value="";}}/>
+    </div>
+  </div>;
+}
+
+// ── Vault Modal (Remember on this device) ─────────────────────────────────
+// mode: "setup" (opt in) | "unlock" (saved data found) | "manage" (vault open)
+function VaultModal({mode,onEnable,onUnlock,onLock,onWipe,onClose}){
+  const [pw,setPw]=useState("");
+  const [pw2,setPw2]=useState("");
+  const [busy,setBusy]=useState(false);
+  const [err,setErr]=useState(null);
+  const [confirmWipe,setConfirmWipe]=useState(false);
+  const run=async fn=>{setBusy(true);setErr(null);try{await fn();}catch(e){setErr(e.message||String(e));}setBusy(false);};
+
+  const enable=()=>{
+    if(pw.length<8){setErr("Passphrase must be at least 8 characters.");return;}
+    if(pw!==pw2){setErr("Passphrases don't match.");return;}
+    run(()=>onEnable(pw));
+  };
+
+  const OL={position:"fixed",inset:0,background:"rgba(0,0,0,0.88)",zIndex:250,display:"flex",alignItems:"center",justifyContent:"center",padding:20};
+  const BX={background:T.card,border:"1px solid #1a2a1a",borderRadius:16,width:"100%",maxWidth:460,padding:"26px 30px",position:"relative",animation:"fadeUp 0.2s ease"};
+  const BB={background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:12,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"11px 26px",cursor:"pointer",boxShadow:"0 0 18px rgba(0,255,163,0.25)",width:"100%",marginTop:14,opacity:busy?0.5:1};
+  const SB={background:"transparent",color:T.dim,fontFamily:T.fn,fontSize:11,border:"1px solid #1e2a3a",borderRadius:8,padding:"9px 18px",cursor:"pointer",width:"100%",marginTop:8};
+  const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:13,padding:"9px 13px",width:"100%",boxSizing:"border-box",marginBottom:9};
+  const wipeBtn=<button style={{...SB,color:"#ff6b6b",borderColor:confirmWipe?"rgba(255,107,107,0.5)":"rgba(255,107,107,0.2)"}} disabled={busy}
+    onClick={()=>confirmWipe?run(onWipe):setConfirmWipe(true)}>{confirmWipe?"Yes — permanently wipe saved data":"🗑 Wipe all local data"}</button>;
+
+  return <div style={OL}><div style={BX}>
+    <button onClick={onClose} style={{position:"absolute",top:14,right:16,background:"none",border:"none",color:T.dim,cursor:"pointer",fontSize:18}}>✕</button>
+    {mode==="setup"&&<>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,marginBottom:6}}>Remember on This Device</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>
+        Keep your readings between sessions without re-importing. Data is encrypted with a key derived from your passphrase (PBKDF2 + AES-GCM) and stored in this browser only — it is never uploaded.
+        <span style={{display:"block",marginTop:6,color:"#f0c060"}}>There is no recovery: a forgotten passphrase means the saved data must be wiped.</span>
+      </div>
+      <input type="password" placeholder="Passphrase (8+ characters)" value={pw} onChange={e=>setPw(e.target.value)} style={inp} autoFocus/>
+      <input type="password" placeholder="Confirm passphrase" value={pw2} onChange={e=>setPw2(e.target.value)} onKeyDown={e=>{if(e.key==="Enter")enable();}} style={inp}/>
+      <button style={BB} disabled={busy} onClick={enable}>{busy?"Encrypting…":"🔒 Encrypt & Remember"}</button>
+      <button style={SB} onClick={onClose}>Keep session-only</button>
+    </>}
+    {mode==="unlock"&&<>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,marginBottom:6}}>Unlock Saved Data</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>Your readings are saved on this device, encrypted. Enter your passphrase to load them.</div>
+      <input type="password" placeholder="Passphrase" value={pw} onChange={e=>setPw(e.target.value)} onKeyDown={e=>{if(e.key==="Enter"&&pw)run(()=>onUnlock(pw));}} style={inp} autoFocus/>
+      <button style={BB} disabled={busy||!pw} onClick={()=>run(()=>onUnlock(pw))}>{busy?"Unlocking…":"Unlock"}</button>
+      <button style={SB} onClick={onClose}>Continue without saved data</button>
+      <div style={{marginTop:16,fontSize:10,color:T.dim}}>Forgot your passphrase? Saved data can't be recovered, only removed.</div>
+      {wipeBtn}
+    </>}
+    {mode==="manage"&&<>
+      <div style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,marginBottom:6}}>Saved on This Device</div>
+      <div style={{fontSize:11,color:T.dim,marginBottom:16,lineHeight:1.8}}>Every change is re-encrypted and saved locally. The key is held in memory only — closing the tab or locking requires the passphrase again.</div>
+      <button style={BB} disabled={busy} onClick={()=>run(onLock)}>🔒 Lock Now</button>
+      {wipeBtn}
+      <div style={{marginTop:10,fontSize:10,color:T.dim,lineHeight:1.7}}>Wiping deletes the encrypted store and saved preferences. Readings already open stay in this tab until it closes.</div>
+    </>}
+    {err&&<div style={{marginTop:12,padding:"11px 13px",background:"rgba(255,107,107,0.06)",border:"1px solid rgba(255,107,107,0.2)",borderRadius:7,fontSize:12,color:"#ff6b6b",lineHeight:1.7}}>⚠ {err}</div>}
+  </div></div>;
+}
+
 // ── Landing Page (About tab) ──────────────────────────────────────────────
 const LP_CSS=`
 .lp{font-family:'DM Sans',sans-serif;color:#e0eeff;background:#060a10;min-height:100vh;overflow-x:hidden;}
@@ -1433,10 +2493,32 @@ function FAQ(){
       q:"How is bio age actually calculated — and why are some metrics weighted more than others?",
       a:<>
         <p>The formula used here is based on the <span className="faq-hl">Klemera-Doubal Method (KDM)</span>, which is the most well-validated algorithm for computing biological age from clinical biomarkers. It consistently outperforms simpler approaches like averaging scores or using principal component analysis. <a className="faq-cite" href="https://pubmed.ncbi.nlm.nih.gov/16318865/" target="_blank" rel="noopener">Klemera & Doubal 2006 ↗</a></p>
-        <p>Here's the core idea in plain English: each of the five metrics is first modelled against how it typically changes with age in the general population. For example, VO₂ Max (cardiorespiratory fitness) tends to decline by about 0.38–0.46 mL/kg/min every year in adults. Blood pressure tends to rise by about 0.45 mmHg per year. These age-tracking curves come from large population studies including NHANES III, the FRIEND Registry, and ACSM/AHA/ADA reference data.</p>
+        <p>Here's the core idea in plain English: each biomarker is first modelled against how it typically changes with age in the general population. For example, VO₂ Max (cardiorespiratory fitness) tends to decline by about 0.38–0.46 mL/kg/min every year in adults. Systolic blood pressure tends to rise by about 0.45 mmHg per year, diastolic by about 0.15 — diastolic counts as its own, lightly weighted biomarker. These age-tracking curves come from large population studies including NHANES III, the FRIEND Registry, and ACSM/AHA/ADA reference data.</p>
         <p>Your individual reading is then compared to that curve: <span className="faq-hl">what age does your VO₂ Max value imply? What age does your glucose imply?</span> Each metric produces its own "implied age". Those implied ages are combined into one number — but not with equal weight. A metric is given more influence if it tracks age more precisely in the population (smaller variability around the regression line), and less influence if it's noisier.</p>
         <p>This is why <span className="faq-hl">VO₂ Max carries the most weight</span>: it is the single strongest predictor of all-cause mortality ever measured in a large population study, outperforming blood pressure, cholesterol, diabetes, and even smoking. A one-unit improvement in VO₂ Max reduces all-cause mortality risk by roughly 13%. <a className="faq-cite" href="https://jamanetwork.com/journals/jamanetworkopen/fullarticle/2707428" target="_blank" rel="noopener">Mandsager 2018 ↗</a></p>
-        <p>Finally, the formula anchors the estimate toward your actual chronological age when data is sparse — so if you've only logged two of the five metrics, the result is appropriately conservative rather than wildly skewed.</p>
+        <p>Finally, the formula anchors the estimate toward your actual chronological age when data is sparse — so if you've only logged a couple of biomarkers, the result is appropriately conservative rather than wildly skewed.</p>
+        <p>The ± range next to your bio age is the 95% interval KDM itself implies: each biomarker's residual spread around the population age curve sets how precisely it pins down age, and those precisions add up. Each of these biomarkers tracks age only loosely across the population, so the interval is honest but wide — about ±12 years — and narrows as more metrics are logged. Treat changes in your bio age over time as more meaningful than any single reading. The dashboard shows how many biomarkers the estimate is based on, and the trajectory chart shades the same interval.</p>
+        <p>By default each metric enters with its latest reading, so one noisy glucose strip or post-coffee heart rate moves the whole estimate. Under <b>Inputs</b> you can use the median of the last N days of readings instead, or a recency-weighted mean whose weights halve every N days. <b>Stale</b> drops metrics whose newest reading is older than the chosen limit, or keeps them at a weight that halves for every further period, which widens the interval. The setting applies everywhere bio age appears: dashboard, trajectory, impact ranking, snapshot and CSV export.</p>
+      </>
+    },
+    {
+      id:"algorithms",
+      q:"KDM, PhenoAge or score average — which algorithm should I pick?",
+      a:<>
+        <p>The <b>Algorithm</b> selector next to your age switches how bio age is computed. Whichever you choose is named on the dashboard, the trajectory chart, the snapshot image and the trend CSV, and the Algorithm Comparison panel always shows all three side by side from the same readings.</p>
+        <p><span className="faq-hl">KDM (default)</span> is the method described above. It works with whatever mix of fitness, cardiometabolic and lab biomarkers you have and is the only one that reports an uncertainty range.</p>
+        <p><span className="faq-hl">PhenoAge</span> is Levine's 2018 blood-based clock: albumin, creatinine, fasting glucose, CRP, lymphocyte %, MCV, RDW, alkaline phosphatase and white cell count, combined with your age in a mortality model trained on NHANES III and validated on 10-year survival. It only runs once all nine are logged — typically one complete blood count with differential plus a comprehensive metabolic panel. <a className="faq-cite" href="https://pubmed.ncbi.nlm.nih.gov/29676998/" target="_blank" rel="noopener">Levine 2018 ↗</a></p>
+        <p><span className="faq-hl">Score average</span> is the simple, transparent option: the mean of your 0–100 metric scores, with every 4 points above or below 60 counting as a year younger or older, capped at ±15. You can check it by hand from the cards, but it weighs every metric equally regardless of how well it predicts ageing.</p>
+        <p>Expect the numbers to differ. PhenoAge sees only blood chemistry, while KDM here leans on fitness and blood pressure, so they measure different aspects of ageing. KDM also pulls toward your real age when data is thin. The comparison panel lists the reasons that apply to your readings.</p>
+      </>
+    },
+    {
+      id:"reference",
+      q:"Can I use my clinic's own reference ranges?",
+      a:<>
+        <p>Yes. <b>📐 Reference</b> in the dashboard menu opens the reference profile editor. For any metric and sex you can override the optimal target, the four range bands and, for biomarkers used by KDM, the population slope, intercept and residual spread. Bands must run low to high with no gaps or overlaps. The editor flags problems as you type and won't apply an invalid profile.</p>
+        <p>A custom profile replaces the published defaults, including the age-stratified VO₂ max, body fat and grip norms for any metric you override. Ethnicity adjustments still apply on top. Profiles are saved and loaded as JSON files, so a team can share one.</p>
+        <p>While a profile is active, the menu button turns amber, overridden cards are marked <span className="faq-hl">✎ custom</span>, and the dashboard, metric pages, impact plan and the snapshot footer all name the profile in use.</p>
       </>
     },
     {
@@ -1460,7 +2542,10 @@ function FAQ(){
       q:"How is my priority action plan personalised for me?",
       a:<>
         <p>The priority ranking isn't generic advice — it's computed specifically from your data. Here's how it works:</p>
-        <p>For each metric where you have data, the app asks: <span className="faq-hl">"If this one metric improved to its optimal target, how many years younger would my bio age become?"</span> It computes this by running the KDM bio age formula twice — once with your actual readings, and once with that one metric swapped to its optimal value while everything else stays the same. The difference is your potential gain in years for that metric.</p>
+        <p>For each metric where you have data, the app asks: <span className="faq-hl">"If this one metric improved to its optimal target, how many years younger would my bio age become?"</span> It computes this by running the selected bio age algorithm twice — once with your actual readings, and once with that one metric swapped to its optimal value while everything else stays the same. The difference is your potential gain in years for that metric.</p>
+        <p>The <span className="faq-hl">What-If Simulator</span> below the ranking goes further: drag a slider for any metric you track and bio age is recomputed live for the whole scenario, for example "Resting Heart Rate −5 bpm and Body Fat −3 % ⇒ −2.1 yrs". Next to each slider is what that change would be worth on its own. With PhenoAge, changes can also interact, and the gap is shown. A scenario you like can be saved as goals, with each changed value as the target.</p>
+        <p><span className="faq-hl">Goals</span> can also be set on any metric's page: a target value, pre-filled from the optimal range, and a deadline. The chart then draws the goal line and the straight path from your reading when you set it to the target at the deadline. The status is <b>on track</b> when the trend of your last 60 days of readings would reach the target by the deadline, and <b>behind</b> otherwise. Unmet goals move to the top of the 30-day plan, with the ones running behind first.</p>
+        <p>Each metric card reads its <span className="faq-hl">trend</span> from all of your readings, not just the last two. It shows the 7-day and 30-day rolling means and a regression slope per month over the last 90 days. It also checks whether your 30-day mean has moved by more than the <b>minimal detectable change</b> for that test, which is 1.96 × measurement error × √(1/n₁ + 1/n₂). A move smaller than that reads <b>within noise</b>. A blood pressure reading wobbles by about 7 mmHg from one day to the next, so a 4 mmHg drop in a single reading is not yet a real change.</p>
         <p>The metric with the largest potential gain is ranked #1 in your Impact Plan. This means if your glucose is in the pre-diabetic range and your VO₂ Max is already excellent, glucose will appear at the top — even though in a general population sense, VO₂ Max is considered the most important metric. The ranking is always your ranking, not a generic one.</p>
         <p>The recommendations for each metric come in three tiers based on your current score — Good, Fair, or Needs Work — with protocols sourced from:</p>
         <ul>
@@ -1558,7 +2643,7 @@ function LandingPage({onEnterApp}){
         <h2>Everything you need.<br/>Nothing you don't.</h2>
         <p className="lp-sub">Built for people who want real insight from their health data — without subscriptions, accounts, or privacy trade-offs.</p>
         <div className="lp-feats">
-          {[["🧬","Biological Age Estimate","A single number derived from 5 biomarkers using the Klemera-Doubal Method (KDM) — the most validated biological age algorithm in peer-reviewed literature. Bio age can be younger OR older than your chronological age, and anchors correctly when data is sparse.","Core metric"],
+          {[["🧬","Biological Age Estimate",`A single number from up to ${KDM_N} biomarkers using the Klemera-Doubal Method (KDM) — or switch to Levine's PhenoAge blood clock or a simple score average, and compare all three side by side. Bio age can be younger OR older than your chronological age, anchors toward your real age when data is sparse, and KDM shows a 95% interval.`,"Core metric"],
             ["📊","Trend Tracking","Monthly bio age trajectory over 12 months. Per-metric sparklines show whether you're improving or declining — with optimal reference lines on every chart.","Visual analytics"],
             ["📱","iOS Import — Apple Health","Drop your export.zip into the browser. The streaming parser handles files of any size — even 600 MB+ exports — in 64 KB chunks. Nothing is uploaded.","Zero upload"],
             ["📊","Android Import — Google Fit","Drop your Google Takeout ZIP. BioAge automatically detects the format, walks the Fit/All Data JSON files, and merges your readings in seconds.","New"],
@@ -1570,19 +2655,19 @@ function LandingPage({onEnterApp}){
       </div>
     </div>
 
-    {/* The 5 metrics */}
+    {/* The core five metrics */}
     <div className="lp-sec" style={{background:"rgba(8,12,20,.55)",padding:"88px 24px",maxWidth:"100%"}}>
       <div style={{maxWidth:1080,margin:"0 auto"}}>
-        <div className="lp-lbl">The Five Metrics</div>
-        <h2>Why these five?</h2>
-        <p className="lp-sub">The most predictive, routinely measurable biomarkers for longevity — each independently validated across decades of clinical research.</p>
+        <div className="lp-lbl">The Core Five</div>
+        <h2>Why start with these five?</h2>
+        <p className="lp-sub">Of the {MK.length} metrics BioAge tracks, these are the most predictive ones you can measure at home — each independently validated across decades of clinical research, and always on the dashboard.</p>
         <div className="lp-mtbl">
           {[
             ["VO₂ Max","mL/kg/min · ACSM","#00ffa3","The maximum oxygen your body can use during intense exercise. The single strongest predictor of long-term survival — stronger than blood pressure, cholesterol, or smoking. Each 1-unit improvement reduces all-cause mortality risk by ~13%.","Apple Watch (outdoor run) · 12-min Cooper Run · Lab VO₂ Max test"],
             ["Resting Heart Rate","bpm · AHA","#f0c060","How many times your heart beats per minute at complete rest. A lower RHR means your heart pumps more blood per beat. RHR above 76 bpm is associated with significantly higher cardiovascular risk.","Apple Watch · Wear OS watch · 60-sec morning wrist count"],
-            ["Blood Pressure","mmHg systolic · AHA 2017","#ff6b6b","The pressure blood exerts against artery walls. High BP silently damages arteries and organs for years. Keeping systolic below 120 mmHg dramatically reduces risk of heart attack, stroke, and kidney disease.","Omron/Withings cuff — syncs to Apple Health or Google Fit"],
+            ["Blood Pressure","mmHg systolic / diastolic · AHA 2017","#ff6b6b","The pressure blood exerts against artery walls. High BP silently damages arteries and organs for years. Keeping it below 120/80 mmHg dramatically reduces risk of heart attack, stroke, and kidney disease. The AHA category is the worse of the two numbers — 118/92 is Stage 2, not Normal.","Omron/Withings cuff — syncs to Apple Health or Google Fit"],
             ["Fasting Glucose","mg/dL · ADA + Attia","#7feba1","Blood sugar after 8+ hrs without eating. Chronically elevated glucose accelerates cellular ageing even below the diabetic threshold. Optimal target 60–85 mg/dL — tighter than standard clinical guidelines.","ReliOn glucometer → Apple Health or Google Fit sync · CGM"],
-            ["Body Fat %","% · ACE by sex","#a78bfa","The proportion of body weight that is fat. Excess fat — especially visceral fat — drives insulin resistance and inflammation. Unlike BMI, body fat % correctly separates muscle from fat mass.","Smart scale (Withings/Renpho) → Apple Health or Google Fit sync"],
+            ["Body Fat %","% · ACE by sex, ACSM by age","#a78bfa","The proportion of body weight that is fat. Excess fat — especially visceral fat — drives insulin resistance and inflammation. Unlike BMI, body fat % correctly separates muscle from fat mass.","Smart scale (Withings/Renpho) → Apple Health or Google Fit sync"],
           ].map(([n,u,c,w,s])=>
             <div key={n} className="lp-mrow">
               <div><div className="lp-mn" style={{color:c}}>{n}</div><div className="lp-mu">{u}</div></div>
@@ -1590,6 +2675,7 @@ function LandingPage({onEnterApp}){
               <div className="lp-ms">{s}</div>
             </div>)}
         </div>
+        <p className="lp-sub" style={{marginTop:18}}>Have more data? {MK.filter(id=>!CORE.includes(id)).map(id=>MB[id].label).join(", ")} are tracked too — each with its own ranges and plan, and HRV, waist, HbA1c, grip strength and walking speed also feed the bio age estimate. Log a full blood panel and you can switch to Levine's PhenoAge. Their cards appear once you log or import a reading.</p>
       </div>
     </div>
 
@@ -1603,9 +2689,9 @@ function LandingPage({onEnterApp}){
         <div>
           <h3>Your health data never leaves your device</h3>
           <p>BioAge runs entirely in your browser. Apple Health ZIPs are decompressed via the browser's built-in DecompressionStream API; Google Fit ZIPs are parsed file-by-file in memory — no data is ever sent to a server. There are no accounts, no databases, and no analytics on your health information.</p>
-          <p style={{marginTop:10}}>Health entries are <b style={{color:"#e0eeff"}}>session-only</b>: they live in memory while the tab is open and are permanently gone the moment you close it.</p>
+          <p style={{marginTop:10}}>Health entries are <b style={{color:"#e0eeff"}}>session-only</b>: they live in memory while the tab is open and are permanently gone the moment you close it — unless you choose <b style={{color:"#e0eeff"}}>Remember on this device</b>, which keeps them in your browser encrypted with a passphrase only you know.</p>
           <div className="lp-ptags">
-            {["Zero upload","No accounts","No server storage","Session-only health data","No health analytics"].map(t=><span key={t} className="lp-ptag">{t}</span>)}
+            {["Zero upload","No accounts","No server storage","Session-only by default","Opt-in encrypted storage","No health analytics"].map(t=><span key={t} className="lp-ptag">{t}</span>)}
           </div>
         </div>
       </div>
@@ -1656,85 +2742,180 @@ function LandingPage({onEnterApp}){
 }
 
 // ── Main App ──────────────────────────────────────────────────────────────
+// Log form → reading, flagged the same way as the import review queue
+const formReading=f=>({metricId:f.metricId,value:+f.value,secondary:f.secondary?+f.secondary:undefined,date:f.date});
+function loggedReading(f,history){
+  const e={id:Date.now()+"",...formReading(f),note:f.note};
+  const fl=flagReadings([e],history)[e.id];
+  return fl?{...e,flag:fl.reason,...(!f.keep&&{excluded:true})}:e;
+}
+
 export default function BioAgeTracker(){
-  // Entries are session-only — start empty every time, never stored between sessions
+  // Entries are session-only unless the user opts into the encrypted on-device vault
   const [entries,setEntries]=useState([]);
   const [view,setView]=useState("about");
   const [activeMid,setActiveMid]=useState(null);
   const [age,setAge]=useState(40);
   const [sex,setSex]=useState("female");
   const [eth,setEth]=useState("general");
+  const [inputs,setInputs]=useState(INPUT_DEFAULT); // bio age input strategy
   const [showLog,setShowLog]=useState(false);
+  const [showAllMetrics,setShowAllMetrics]=useState(false);
   const [showImport,setShowImport]=useState(false);
   const [showSnap,setShowSnap]=useState(false);
   const [showEth,setShowEth]=useState(false);
+  const [showExport,setShowExport]=useState(false);
+  const [showRef,setShowRef]=useState(false);
+  const [showShare,setShowShare]=useState(false);
+  // An opened share link (#share=…) shows the read-only viewer instead of the app
+  const [shareFrag,setShareFrag]=useState(()=>shareFragment(window.location.hash));
+  const [refProf,setRefProf]=useState(null); // mirrors activeRef() so views re-render
+  const [goals,setGoals]=useState({}); // {metricId:{target,secondary?,deadline,created}}
   const [saved,setSaved]=useState(false);
-  const [form,setForm]=useState({metricId:"vo2max",value:"",secondary:"",date:new Date().toISOString().split("T")[0],note:""});
+  const [vaultState,setVaultState]=useState("off"); // off | locked | on
+  const [showVault,setShowVault]=useState(false);
+  const vaultRef=useRef(null); // {key,salt} while unlocked — never persisted
+  const [vaultErr,setVaultErr]=useState(null); // last vault write failed: the vault is behind this tab
+  const vaultSeq=useRef(0); // only the newest write reports, so a slow older one can't mask it
+  const [form,setForm]=useState({metricId:"vo2max",value:"",secondary:"",date:new Date().toISOString().split("T")[0],note:"",keep:false});
 
   useEffect(()=>{(async()=>{try{
     // Only restore display preferences — health entries are never persisted
     const a=await window.storage?.get("ba6_age");if(a?.value)setAge(+a.value);
     const s=await window.storage?.get("ba6_sex");if(s?.value)setSex(s.value);
     const e=await window.storage?.get("ba6_eth");if(e?.value)setEth(e.value);
+    const i=await window.storage?.get("ba6_inputs");if(i?.value)setInputs({...INPUT_DEFAULT,...JSON.parse(i.value)});
+    const gl=await window.storage?.get("ba6_goals");if(gl?.value)setGoals(JSON.parse(gl.value));
+    const r=await window.storage?.get("ba6_ref");if(r?.value&&!profileErrors(JSON.parse(r.value)).length){setActiveRef(JSON.parse(r.value));setRefProf(activeRef());}
   }catch{}})();},[]);
-
-  // persist() only updates React state — no storage write. Entries are session-only.
-  const persist=useCallback(e=>{setEntries(e);},[]);
-
-  const handleImport=({entries:ne,dSex,dDOB})=>{
-    const manual=entries.filter(e=>e.note!=="Apple Health"&&e.note!=="Google Fit");
-    const merged=[...manual];
-    ne.forEach(x=>{const i=merged.findIndex(e=>e.metricId===x.metricId&&e.date===x.date);if(i>=0)merged[i]=x;else merged.push(x);});
-    persist(merged);
+  const saveGoals=patch=>setGoals(g=>{const n={...g,...patch};window.storage?.set("ba6_goals",JSON.stringify(n));return n;});
+  const removeGoal=id=>setGoals(g=>{const n={...g};delete n[id];window.storage?.set("ba6_goals",JSON.stringify(n));return n;});
+  const applyRef=p=>{
+    setActiveRef(p);setRefProf(activeRef());setShowRef(false);
+    if(activeRef())window.storage?.set("ba6_ref",JSON.stringify(activeRef()));else window.storage?.delete?.("ba6_ref");
+  };
+  const setInput=patch=>setInputs(p=>{const n={...p,...patch};window.storage?.set("ba6_inputs",JSON.stringify(n));return n;});
+  useEffect(()=>{
+    const onHash=()=>setShareFrag(shareFragment(window.location.hash));
+    window.addEventListener("hashchange",onHash);return()=>window.removeEventListener("hashchange",onHash);
+  },[]);
+  // Saved vault found → start on the unlock screen
+  useEffect(()=>{vaultExists().then(x=>{if(x){setVaultState("locked");setShowVault(true);}});},[]);
+
+  // persist() updates React state, and re-encrypts to the vault only when the user opted in
+  const persist=useCallback(e=>{
+    setEntries(e);
+    if(!vaultRef.current)return;
+    const n=++vaultSeq.current;
+    saveVault(vaultRef.current,e).then(()=>{if(n===vaultSeq.current)setVaultErr(null);},
+      err=>{if(n===vaultSeq.current)setVaultErr(err?.message||String(err));});
+  },[]);
+
+  const enableVault=async pw=>{vaultRef.current=await createVault(pw,entries);setVaultState("on");setShowVault(false);};
+  const unlock=async pw=>{
+    const{session,entries:stored}=await unlockVault(pw);
+    vaultRef.current=session;
+    // Keep anything added this session before unlocking
+    const ids=new Set(stored.map(e=>e.id));
+    persist([...stored,...entries.filter(e=>!ids.has(e.id))]);
+    setVaultState("on");setShowVault(false);
+  };
+  const lockVault=async()=>{vaultRef.current=null;vaultSeq.current++;setVaultErr(null);setEntries([]);setVaultState("locked");setShowVault(false);};
+  const wipeLocal=async()=>{
+    await wipeVault();vaultRef.current=null;vaultSeq.current++;setVaultErr(null);
+    ["ba6_age","ba6_sex","ba6_eth","ba6_inputs","ba6_ref","ba6_goals"].forEach(k=>window.storage?.delete?.(k));
+    setVaultState("off");setShowVault(false);
+  };
+  const vaultModal=showVault&&<VaultModal mode={vaultState==="on"?"manage":vaultState==="locked"?"unlock":"setup"}
+    onEnable={enableVault} onUnlock={unlock} onLock={lockVault} onWipe={wipeLocal} onClose={()=>setShowVault(false)}/>;
+
+  const handleImport=({entries:ne,dSex,dDOB,source,mode,profile})=>{
+    const imp=importerByLabel(source);
+    if(imp?.restore&&mode==="replace"){
+      persist(ne);
+      if(profile?.age){setAge(profile.age);window.storage?.set("ba6_age",String(profile.age));}
+      if(profile?.sex){setSex(profile.sex);window.storage?.set("ba6_sex",profile.sex);}
+      if(ETHNICITIES.some(x=>x.id===profile?.eth)){setEth(profile.eth);window.storage?.set("ba6_eth",profile.eth);}
+      return;
+    }
+    // Merge rule comes from the registry: device exports replace that source's
+    // earlier import; everything else adds by id, so re-importing is a no-op.
+    if(imp?.merge==="device"){
+      const merged=entries.filter(e=>sourceOf(e)!==imp);
+      ne.forEach(x=>{const i=merged.findIndex(e=>e.metricId===x.metricId&&e.date===x.date);if(i>=0)merged[i]=x;else merged.push(x);});
+      persist(merged);
+    }else{
+      const ids=new Set(ne.map(e=>e.id));
+      persist([...entries.filter(e=>!ids.has(e.id)),...ne]);
+    }
     if(dSex){setSex(dSex);window.storage?.set("ba6_sex",dSex);}
     if(dDOB){const _t=new Date(),_d=new Date(dDOB);const _had=_t.getMonth()>_d.getMonth()||((_t.getMonth()===_d.getMonth())&&_t.getDate()>=_d.getDate());const y=_t.getFullYear()-_d.getFullYear()-(_had?0:1);setAge(y);window.storage?.set("ba6_age",String(y));}
   };
 
-  const getLatest=id=>entries.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0]||null;
-  const getHistory=id=>entries.filter(e=>e.metricId===id).sort((a,b)=>a.date.localeCompare(b.date));
-
+  // Excluded readings (implausible or outliers, see quality.js) stay in the log
+  // but never reach scoring: everything scored reads `scored`, not `entries`.
+  const scored=entries.filter(e=>!e.excluded);
+  const getLatest=id=>scored.filter(e=>e.metricId===id).sort((a,b)=>b.date.localeCompare(a.date))[0]||null;
+  const getHistory=id=>scored.filter(e=>e.metricId===id).sort((a,b)=>a.date.localeCompare(b.date));
+  const toggleExcluded=id=>persist(entries.map(e=>{
+    if(e.id!==id)return e;
+    const{excluded,...rest}=e;return excluded?rest:{...e,excluded:true};
+  }));
+
+  // The log form runs the same checks as the import review queue
+  const formFlag=form.value!==""?flagReadings([{id:"form",...formReading(form)}],scored).form:null;
   const logEntry=()=>{
     if(!form.value)return;
-    persist([...entries,{id:Date.now()+"",metricId:form.metricId,value:+form.value,secondary:form.secondary?+form.secondary:undefined,date:form.date,note:form.note}]);
+    persist([...entries,loggedReading(form,scored)]);
     setSaved(true);setTimeout(()=>setSaved(false),2000);
-    setForm(f=>({...f,value:"",secondary:"",note:""}));
+    setForm(f=>({...f,value:"",secondary:"",note:"",keep:false}));
   };
 
-  const bioAge=getBioAge(entries,age,sex);
+  const bioCI=getBioAgeCI(scored,age,sex,eth,inputs);
+  const algo=algoOf(inputs.algo);
+  const bioAge=bioCI?.ba??null;
   const delta=bioAge?+(age-bioAge).toFixed(1):null;
-  const scores=MK.map(id=>{const l=getLatest(id);return l?getScore(id,l.value,sex,eth):null;}).filter(Boolean);
+  const scores=MK.map(id=>{const l=getLatest(id);return l?entryScore(l,sex,eth,age):null;}).filter(Boolean);
   const overall=scores.length?Math.round(scores.reduce((a,b)=>a+b,0)/scores.length):null;
-  const importCount=entries.filter(e=>e.note==="Apple Health"||e.note==="Google Fit").length;
-  const importSource=entries.some(e=>e.note==="Google Fit")?"Google Fit":entries.some(e=>e.note==="Apple Health")?"Apple Health":null;
+  const imported=entries.filter(isDeviceEntry);
+  const importCount=imported.length;
+  const importSource=importCount?sourceOf(imported[importCount-1]):null;
   const ethDef=ETHNICITIES.find(e=>e.id===eth);
 
-  // Monthly bio age trajectory — one point per month for last 12 months
-  const bioTrend=(()=>{
-    const pts=[];const now=new Date();
-    for(let i=11;i>=0;i--){
-      const d=new Date(now.getFullYear(),now.getMonth()-i,1);
-      const eom=new Date(d.getFullYear(),d.getMonth()+1,0); // last day of month
-      const eStr=eom.toISOString().substring(0,10);
-      const label=d.toLocaleDateString("en-US",{month:"short",year:"2-digit"});
-      const ba=getBioAge(entries.filter(e=>e.date<=eStr),age,sex);
-      if(ba)pts.push({date:label,"Bio Age":+ba.toFixed(1),Chrono:age});
-    }
-    return pts;
-  })();
+  const bioTrend=getBioTrend(scored,age,sex,eth,inputs);
+  // Core five always; other biomarkers once they have data (or on request)
+  const cardIds=MK.filter(id=>showAllMetrics||CORE.includes(id)||entries.some(e=>e.metricId===id));
+  const hiddenIds=MK.filter(id=>!cardIds.includes(id));
 
   const NB=a=>({padding:"6px 11px",borderRadius:7,fontSize:10,letterSpacing:"0.07em",cursor:"pointer",border:"none",fontFamily:T.fn,background:a?"#0e2218":"transparent",color:a?T.gr:"#445566",transition:"all 0.2s"});
   const inp={background:T.bg,border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:13,padding:"9px 13px",flex:1,minWidth:100};
+  const SEL={background:"#0d1117",border:"1px solid #1e2a3a",borderRadius:6,color:T.br,fontFamily:T.fn,fontSize:10,padding:"4px 6px"};
   const BB2={background:T.gr,color:"#030a06",fontFamily:T.fn,fontWeight:700,fontSize:11,letterSpacing:"0.09em",border:"none",borderRadius:8,padding:"9px 18px",cursor:"pointer",boxShadow:"0 0 16px rgba(0,255,163,0.22)"};
 
+  // ── Shared summary (read-only) ──
+  if(shareFrag)return <ShareViewer key={shareFrag} frag={shareFrag} onExit={()=>{window.history.replaceState(null,"",window.location.pathname+window.location.search);setShareFrag(null);setView("dashboard");}}/>;
+
   // ── Detail view ──
   if(view==="metric"&&activeMid){
-    const m=getM(activeMid,sex,eth);
+    const m=getM(activeMid,sex,eth,age);
     const hist=getHistory(activeMid);
+    const log=entries.filter(e=>e.metricId===activeMid).sort((a,b)=>b.date.localeCompare(a.date));
     const lat=getLatest(activeMid);
-    const sc=lat?getScore(activeMid,lat.value,sex,eth):null;
+    const sc=lat?entryScore(lat,sex,eth,age):null;
+    const cat=lat?getCategory(activeMid,lat.value,sex,eth,lat.secondary,age):null;
     const col=sc?gC(sc):"#334455";
     const refLine=m.higherIsBetter?m.opt.min:m.opt.max;
-    const cd=hist.map(e=>({date:e.date,[m.label]:e.value,...(e.secondary?{Diastolic:e.secondary}:{})}));
+    const goal=goals[activeMid];
+    const ts=trendStats(hist,activeMid),r7=rollingMean(hist,7),r30=rollingMean(hist,30);
+    const cd=hist.map((e,i)=>({date:e.date,[m.label]:e.value,...(e.secondary?{Diastolic:e.secondary}:{}),
+      "7-day mean":+r7[i].toFixed(m.dp+1),"30-day mean":+r30[i].toFixed(m.dp+1)}));
+    // Required trajectory: straight from the goal's start reading to target at the deadline
+    if(goal?.start&&goal.deadline>goal.start.date){
+      const{date:d0,value:v0}=goal.start,span=daysBetween(d0,goal.deadline);
+      [d0,goal.deadline].forEach(d=>{if(!cd.some(r=>r.date===d))cd.push({date:d});});
+      cd.sort((a,b)=>a.date.localeCompare(b.date));
+      cd.forEach(r=>{if(r.date>=d0&&r.date<=goal.deadline)r["Goal path"]=+(v0+(goal.target-v0)*daysBetween(d0,r.date)/span).toFixed(m.dp);});
+    }
     return <div style={{minHeight:"100vh",background:T.bg,fontFamily:T.fn,color:T.txt}}>
       <style>{FONTS}</style>
       <nav style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"14px 26px",borderBottom:`1px solid ${T.bdr}`,background:"rgba(6,10,16,0.97)",position:"sticky",top:0,zIndex:100}}>
@@ -1757,14 +2938,24 @@ export default function BioAgeTracker(){
         <div style={{background:T.card,border:`1px solid ${T.bdr}`,borderRadius:12,padding:"16px 20px",marginBottom:14}}>
           <div style={{display:"flex",justifyContent:"space-between",marginBottom:12,flexWrap:"wrap",gap:6}}>
             <div style={{fontSize:10,letterSpacing:"0.14em",color:T.dim}}>REFERENCE RANGES</div>
-            <div style={{fontSize:9,color:"#1e3040"}}>Source: {m.source} · {sex==="female"?"♀":"♂"} · {ethDef?.label}</div>
+            <div style={{fontSize:9,color:m.custom?"#f0c060":"#1e3040"}}>Source: {m.custom?refLabel():m.source} · {sex==="female"?"♀":"♂"}{m.ageBand&&` ${m.ageBand}`} · {ethDef?.label}</div>
           </div>
+          {!m.custom&&<RefNote style={{marginBottom:8}}/>}
+          {m.dia&&<div style={{fontSize:9,letterSpacing:"0.12em",color:T.dim,marginBottom:5}}>SYSTOLIC</div>}
           <RangeBar m={m}/>
-          <div style={{marginTop:12,fontSize:11,color:"#445566"}}>🎯 Optimal: <span style={{color:T.gr}}>{m.opt.min}–{m.opt.max} {m.unit}</span></div>
+          {m.dia&&<><div style={{fontSize:9,letterSpacing:"0.12em",color:T.dim,margin:"10px 0 5px"}}>DIASTOLIC</div><RangeBar m={m.dia}/></>}
+          {cat&&m.dia&&<div style={{marginTop:12,fontSize:11,color:"#445566"}}>Latest {lat.value}{lat.secondary?`/${lat.secondary}`:""} {m.unit}: <span style={{color:cat.c,fontWeight:600}}>{cat.label}</span>
+            {cat.dia&&<span style={{color:"#334455"}}> · systolic {cat.sys.label}, diastolic {cat.dia.label}{cat.by?` — ${cat.by} sets the category`:""}</span>}</div>}
+          {lat&&m.pct&&<div style={{marginTop:12,fontSize:11,color:"#445566"}}>👥 {peerText(peerRank(m,lat.value),m,sex)} <span style={{color:"#223344"}}>(p10–p90: {m.pct[0]}–{m.pct[4]} {m.unit})</span></div>}
+          <div style={{marginTop:12,fontSize:11,color:"#445566"}}>🎯 Optimal: <span style={{color:T.gr}}>{m.opt.min}–{m.opt.max}{m.dia?` / ${m.dia.opt.min}–${m.dia.opt.max}`:""} {m.unit}</span></div>
           <div style={{fontSize:11,color:"#223344",marginTop:5}}>📱 {m.howTo}</div>
         </div>
+        <GoalCard key={`${activeMid}${goal?.deadline??""}${goal?.target??""}`} m={m} goal={goal} hist={hist} onSave={g=>saveGoals({[activeMid]:g})} onRemove={()=>removeGoal(activeMid)}/>
         {cd.length>0&&<div style={{background:T.card,border:`1px solid ${T.bdr}`,borderRadius:12,padding:"16px 20px",marginBottom:14}}>
-          <div style={{fontSize:10,letterSpacing:"0.14em",color:T.dim,marginBottom:12}}>TREND</div>
+          <div style={{display:"flex",justifyContent:"space-between",marginBottom:12,flexWrap:"wrap",gap:6}}>
+            <div style={{fontSize:10,letterSpacing:"0.14em",color:T.dim}}>TREND</div>
+            {ts&&<div style={{fontSize:10,color:"#445566"}}>7d {ts.r7.toFixed(m.dp)} ({ts.n7}) · 30d {ts.r30.toFixed(m.dp)} ({ts.n30}){ts.slopeMo!=null&&<> · <span style={{color:ts.real?(improving(ts.slopeMo,m)?T.gr:"#ff6b6b"):"#445566"}}>{slopeText(ts.slopeMo,m)}</span></>}{ts.change!=null&&<> · {changeText(ts,m)}</>}</div>}
+          </div>
           <ResponsiveContainer width="100%" height={210}>
             <AreaChart data={cd} margin={{top:4,right:4,left:-20,bottom:0}}>
               <defs><linearGradient id="ag" x1="0" y1="0" x2="0" y2="1">
@@ -1776,20 +2967,31 @@ export default function BioAgeTracker(){
               <Tooltip content={<CTip/>}/>
               <ReferenceLine y={refLine} stroke={T.gr} strokeDasharray="4 4" strokeOpacity={0.45}
                 label={{value:`Optimal boundary: ${refLine}`,fill:"#00ffa333",fontSize:9,fontFamily:T.fn,position:m.higherIsBetter?"insideTopLeft":"insideBottomLeft"}}/>
-              <Area type="monotone" dataKey={m.label} stroke={col} fill="url(#ag)" strokeWidth={2} dot={{fill:col,r:3,strokeWidth:0}}/>
-              {m.secondary&&<Line type="monotone" dataKey="Diastolic" stroke="#7feba1" strokeWidth={1.5} dot={{fill:"#7feba1",r:2.5}}/>}
+              {goal&&<ReferenceLine y={goal.target} stroke="#f0c060" strokeDasharray="2 4" strokeOpacity={0.6}
+                label={{value:`Goal ${goal.target} by ${goal.deadline}`,fill:"#f0c06066",fontSize:9,fontFamily:T.fn,position:"insideTopRight"}}/>}
+              <Area type="monotone" dataKey={m.label} stroke={col} fill="url(#ag)" strokeWidth={2} dot={{fill:col,r:3,strokeWidth:0}} connectNulls/>
+              <Line type="monotone" dataKey="7-day mean" stroke="#5599aa" strokeWidth={1.5} dot={false} connectNulls/>
+              <Line type="monotone" dataKey="30-day mean" stroke="#8866cc" strokeWidth={1.5} strokeDasharray="4 3" dot={false} connectNulls/>
+              {goal?.start&&<Line type="linear" dataKey="Goal path" stroke="#f0c060" strokeWidth={1.5} strokeDasharray="6 4" dot={false} connectNulls/>}
+              {m.secondary&&<Line type="monotone" dataKey="Diastolic" stroke="#7feba1" strokeWidth={1.5} dot={{fill:"#7feba1",r:2.5}} connectNulls/>}
             </AreaChart>
           </ResponsiveContainer>
         </div>}
         <div style={{background:T.card,border:`1px solid ${T.bdr}`,borderRadius:12,padding:"16px 20px"}}>
           <div style={{fontSize:10,letterSpacing:"0.14em",color:T.dim,marginBottom:10}}>LOG HISTORY</div>
-          {[...hist].reverse().map(e=>{const s2=getScore(activeMid,e.value,sex,eth);const c2=gC(s2);return <div key={e.id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"8px 0",borderBottom:"1px solid #0a1218",fontSize:12,gap:8,flexWrap:"wrap"}}>
+          {log.map(e=>{const s2=entryScore(e,sex,eth,age);const c2=e.excluded?"#445566":gC(s2);return <div key={e.id} style={{display:"flex",justifyContent:"space-between",alignItems:"center",padding:"8px 0",borderBottom:"1px solid #0a1218",fontSize:12,gap:8,flexWrap:"wrap",opacity:e.excluded?0.6:1}} title={e.flag||undefined}>
             <span style={{color:T.dim}}>{e.date}</span>
             <span style={{color:c2,fontWeight:600}}>{e.value} {m.unit}{e.secondary?` / ${e.secondary}`:""}</span>
-            <span style={{color:"#223344",flex:1}}>{e.note==="Apple Health"?<span style={{fontSize:9,color:"#007744",background:"rgba(0,100,60,0.15)",border:"1px solid rgba(0,150,80,0.2)",borderRadius:4,padding:"2px 7px"}}>⌘ Apple Health</span>:e.note==="Google Fit"?<span style={{fontSize:9,color:"#337755",background:"rgba(0,100,60,0.12)",border:"1px solid rgba(0,180,100,0.18)",borderRadius:4,padding:"2px 7px"}}>📊 Google Fit</span>:(e.note||"—")}</span>
-            <span style={{color:c2,fontSize:10}}>{gL(s2)}</span>
+            <span style={{color:"#223344",flex:1}}>{(()=>{const si=sourceOf(e);const dev=si?.merge==="device";return <>
+              {si&&<span style={{fontSize:9,color:"#007744",background:"rgba(0,100,60,0.15)",border:"1px solid rgba(0,150,80,0.2)",borderRadius:4,padding:"2px 7px",marginRight:6}}>{si.icon} {si.label}</span>}
+              {dev?"":(e.note||(si?"":"—"))}
+            </>;})()}</span>
+            <span style={{color:c2,fontSize:10,textDecoration:e.excluded?"line-through":"none"}}>{gL(s2)}{m.dia&&e.secondary?` · ${getCategory(activeMid,e.value,sex,eth,e.secondary,age).label}`:""}</span>
+            {(e.flag||e.excluded)&&<button onClick={()=>toggleExcluded(e.id)} title={e.flag}
+              style={{background:"transparent",border:`1px solid ${e.excluded?"rgba(240,192,96,0.35)":"#1e2a3a"}`,borderRadius:6,padding:"2px 8px",cursor:"pointer",fontFamily:T.fn,fontSize:9,color:e.excluded?"#f0c060":T.dim}}>
+              {e.excluded?"⚑ Excluded · count it":"⚑ Exclude"}</button>}
           </div>;})}
-          {!hist.length&&<div style={{fontSize:12,color:"#1e2a3a"}}>No entries yet.</div>}
+          {!log.length&&<div style={{fontSize:12,color:"#1e2a3a"}}>No entries yet.</div>}
         </div>
       </div>
     </div>;
@@ -1798,8 +3000,9 @@ export default function BioAgeTracker(){
   // ── About / Landing Page tab ─────────────────────────────────────────────
   if(view==="about")return <div style={{minHeight:"100vh",background:T.bg,fontFamily:T.fn,color:T.txt}}>
     <style>{FONTS}</style>
-    {showImport&&<ImportPanel onImport={handleImport} onClose={()=>setShowImport(false)}/>}
+    {showImport&&<ImportPanel history={scored} onImport={handleImport} onClose={()=>setShowImport(false)}/>}
     {showEth&&<EthModal eth={eth} setEth={e=>{setEth(e);window.storage?.set("ba6_eth",e);}} onClose={()=>setShowEth(false)}/>}
+    {vaultModal}
     <nav style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"12px 22px",borderBottom:`1px solid ${T.bdr}`,background:"rgba(6,10,16,0.97)",backdropFilter:"blur(12px)",position:"sticky",top:0,zIndex:100,flexWrap:"wrap",gap:7}}>
       <button style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,background:"none",border:"none",cursor:"pointer",padding:0}} onClick={()=>setView("dashboard")}><span style={{color:T.gr}}>BIO</span>AGE</button>
       <div style={{display:"flex",gap:5,alignItems:"center",flexWrap:"wrap"}}>
@@ -1814,9 +3017,13 @@ export default function BioAgeTracker(){
   // ── Dashboard ─────────────────────────────────────────────────────────
   return <div style={{minHeight:"100vh",background:T.bg,fontFamily:T.fn,color:T.txt}}>
     <style>{FONTS}</style>
-    {showImport&&<ImportPanel onImport={handleImport} onClose={()=>setShowImport(false)}/>}
-    {showSnap&&<SnapshotModal entries={entries} sex={sex} eth={eth} bioAge={bioAge} chronoAge={age} onClose={()=>setShowSnap(false)}/>}
+    {showImport&&<ImportPanel history={scored} onImport={handleImport} onClose={()=>setShowImport(false)}/>}
+    {showExport&&<ExportModal entries={entries} profile={{age,sex,eth}} inputs={inputs} onClose={()=>setShowExport(false)}/>}
+    {showSnap&&<SnapshotModal entries={scored} sex={sex} eth={eth} chronoAge={age} inputs={inputs} goals={goals} onClose={()=>setShowSnap(false)}/>}
+    {showShare&&<ShareModal entries={scored} profile={{age,sex,eth}} inputs={inputs} onClose={()=>setShowShare(false)}/>}
     {showEth&&<EthModal eth={eth} setEth={e=>{setEth(e);window.storage?.set("ba6_eth",e);}} onClose={()=>setShowEth(false)}/>}
+    {showRef&&<RefModal onApply={applyRef} onClose={()=>setShowRef(false)}/>}
+    {vaultModal}
 
     <nav style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"12px 22px",borderBottom:`1px solid ${T.bdr}`,background:"rgba(6,10,16,0.97)",backdropFilter:"blur(12px)",position:"sticky",top:0,zIndex:100,flexWrap:"wrap",gap:7}}>
       <button style={{fontFamily:T.dp,fontSize:17,fontWeight:800,color:T.br,background:"none",border:"none",cursor:"pointer",padding:0}} onClick={()=>setView("dashboard")}><span style={{color:T.gr}}>BIO</span>AGE</button>
@@ -1825,25 +3032,61 @@ export default function BioAgeTracker(){
           {["female","male"].map(s=><button key={s} onClick={()=>{setSex(s);window.storage?.set("ba6_sex",s);}} style={{padding:"5px 10px",border:"none",cursor:"pointer",fontFamily:T.fn,fontSize:10,background:sex===s?"#0e2218":"transparent",color:sex===s?T.gr:"#334455",transition:"all 0.2s"}}>{s==="female"?"♀ Female":"♂ Male"}</button>)}
         </div>
         <button style={NB(eth!=="general")} onClick={()=>setShowEth(true)}>🌐 {eth==="general"?"Ethnicity":ethDef?.label}</button>
-        {importCount>0&&<div style={{fontSize:10,color:T.gr,background:"rgba(0,255,163,0.08)",border:"1px solid rgba(0,255,163,0.18)",borderRadius:20,padding:"3px 9px"}}>{importSource==="Google Fit"?"📊":"⌘"} {importCount}</div>}
+        <button style={{...NB(!!refProf),...(refProf&&{color:"#f0c060"})}} onClick={()=>setShowRef(true)} title={refProf?refLabel():"Custom reference ranges and KDM parameters"}>📐 {refProf?refProf.name:"Reference"}</button>
+        {importCount>0&&<div style={{fontSize:10,color:T.gr,background:"rgba(0,255,163,0.08)",border:"1px solid rgba(0,255,163,0.18)",borderRadius:20,padding:"3px 9px"}}>{importSource?.icon} {importCount}</div>}
+        <button style={{...NB(vaultState==="on"),...(vaultErr&&{color:"#ff6b6b",background:"rgba(255,107,107,0.08)"})}} onClick={()=>setShowVault(true)} title={vaultErr||undefined}>{vaultErr?"⚠ Not saved":vaultState==="on"?"🔒 Saved":vaultState==="locked"?"🔒 Unlock":"🔒 Remember"}</button>
         <button style={NB(false)} onClick={()=>setShowSnap(true)}>📸 Snapshot</button>
+        <button style={NB(false)} onClick={()=>setShowShare(true)}>🔗 Share</button>
+        <button style={NB(false)} onClick={()=>setShowExport(true)}>💾 Export</button>
         <button style={NB(false)} onClick={()=>setShowImport(true)}>⬆ Import</button>
         <button style={NB(view==="about")} onClick={()=>setView(v=>v==="about"?"dashboard":"about")}>ℹ About</button>
         <button style={NB(false)} onClick={()=>setShowLog(f=>!f)}>{showLog?"✕":"+ Log"}</button>
       </div>
     </nav>
+    {vaultErr&&<div style={{display:"flex",alignItems:"center",justifyContent:"space-between",gap:12,flexWrap:"wrap",padding:"10px 22px",background:"rgba(255,107,107,0.06)",borderBottom:"1px solid rgba(255,107,107,0.2)",fontSize:12,color:"#ff6b6b",lineHeight:1.7}}>
+      <span>⚠ Couldn't save to your vault — changes since the last save are only in this tab and will be lost on reload. <span style={{color:"#8899aa"}}>{vaultErr}</span></span>
+      <button onClick={()=>persist(entries)} style={{background:"transparent",color:"#ff6b6b",border:"1px solid rgba(255,107,107,0.4)",borderRadius:6,padding:"5px 12px",fontFamily:T.fn,fontSize:10,letterSpacing:"0.07em",cursor:"pointer"}}>↻ Retry save</button>
+    </div>}
 
     {/* Hero */}
     <div style={{display:"flex",alignItems:"center",justifyContent:"space-between",padding:"28px 26px 20px",borderBottom:`1px solid ${T.bdr}`,flexWrap:"wrap",gap:18}}>
       <div>
-        <div style={{fontSize:10,letterSpacing:"0.2em",color:T.dim,textTransform:"uppercase",marginBottom:3}}>Estimated Biological Age</div>
-        <div style={{fontFamily:T.dp,fontSize:56,fontWeight:900,color:T.gr,lineHeight:1,textShadow:"0 0 36px rgba(0,255,163,0.33)"}}>{bioAge?bioAge.toFixed(1):"–"}</div>
+        <div style={{fontSize:10,letterSpacing:"0.2em",color:T.dim,textTransform:"uppercase",marginBottom:3}}>Estimated Biological Age · {algo.label}</div>
+        <div style={{display:"flex",alignItems:"baseline",gap:8}}>
+          <div style={{fontFamily:T.dp,fontSize:56,fontWeight:900,color:T.gr,lineHeight:1,textShadow:"0 0 36px rgba(0,255,163,0.33)"}}>{bioAge?bioAge.toFixed(1):"–"}</div>
+          {bioCI?.se!=null&&<div style={{fontSize:16,color:"#3a8a6a"}} title={`95% interval ${bioCI.lo}–${bioCI.hi} (SE ${bioCI.se} yrs)`}>± {(KDM_Z*bioCI.se).toFixed(1)}</div>}
+        </div>
+        {bioCI?.se!=null&&<div style={{marginTop:5,fontSize:10,color:T.dim}}>95% range {bioCI.lo}–{bioCI.hi} · based on <b style={{color:bioCI.n>=KDM_N?T.gr:bioCI.n>=3?"#f0c060":"#ff6b6b"}}>{bioCI.n} of {KDM_N}</b> biomarkers</div>}
+        {algo.id==="pheno"&&<div style={{marginTop:5,fontSize:10,color:T.dim}}>{bioCI?`From all ${PHENO_IDS.length} PhenoAge blood markers · no interval`:`Needs ${PHENO_IDS.filter(id=>!scored.some(e=>e.metricId===id)).map(id=>MB[id].label).join(", ")||"a recent reading of every panel marker"}`}</div>}
+        {algo.id==="score"&&bioCI&&<div style={{marginTop:5,fontSize:10,color:T.dim}}>Average score {bioCI.avg} over {bioCI.n} metrics · no interval</div>}
         {delta!==null&&<div style={{display:"inline-block",marginTop:9,padding:"4px 11px",borderRadius:20,fontSize:11,background:delta>0?"rgba(0,255,163,0.08)":"rgba(255,107,107,0.08)",border:`1px solid ${delta>0?"rgba(0,255,163,0.25)":"rgba(255,107,107,0.25)"}`,color:delta>0?T.gr:"#ff6b6b"}}>{delta>0?`↓ ${delta} yrs younger`:`↑ ${Math.abs(delta)} yrs older`} than chronological</div>}
         <div style={{marginTop:7,fontSize:10,color:"#1e3040"}}>{sex==="female"?"♀ Female":"♂ Male"} · {ethDef?.label} · Age {age}</div>
+        <RefNote style={{marginTop:4}}/>
       </div>
       <div style={{display:"flex",flexDirection:"column",alignItems:"flex-end",gap:9}}>
         <div style={{fontSize:10,letterSpacing:"0.14em",color:T.dim}}>YOUR AGE</div>
         <input type="number" value={age} style={{background:"#0d1117",border:"1px solid #1e2a3a",borderRadius:8,color:T.br,fontFamily:T.fn,fontSize:13,padding:"7px 11px",width:100,textAlign:"center"}} onChange={e=>{setAge(+e.target.value);window.storage?.set("ba6_age",e.target.value);}}/>
+        <div style={{display:"flex",alignItems:"center",gap:5,fontSize:10,color:T.dim}} title="How readings feed the bio age estimate — applies to the hero, trajectory, impact panel, snapshot and CSV export">
+          <span style={{letterSpacing:"0.14em"}}>INPUTS</span>
+          <select value={inputs.mode} onChange={e=>setInput({mode:e.target.value})} style={SEL}>
+            {INPUT_MODES.map(m=><option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+          {inputs.mode==="median"&&<><input type="number" min={1} value={inputs.days} onChange={e=>setInput({days:Math.max(1,+e.target.value||1)})} style={{...SEL,width:44}}/>d</>}
+          {inputs.mode==="ewma"&&<>½ <input type="number" min={1} value={inputs.halfLife} onChange={e=>setInput({halfLife:Math.max(1,+e.target.value||1)})} style={{...SEL,width:44}}/>d</>}
+        </div>
+        <div style={{display:"flex",alignItems:"center",gap:5,fontSize:10,color:T.dim}} title={algo.how}>
+          <span style={{letterSpacing:"0.14em"}}>ALGORITHM</span>
+          <select value={algo.id} onChange={e=>setInput({algo:e.target.value})} style={SEL}>
+            {ALGOS.map(a=><option key={a.id} value={a.id}>{a.label}</option>)}
+          </select>
+        </div>
+        <div style={{display:"flex",alignItems:"center",gap:5,fontSize:10,color:T.dim}}>
+          <span style={{letterSpacing:"0.14em"}}>STALE</span>
+          <select value={inputs.stale?`${inputs.staleMode}:${inputs.stale}`:"0"} onChange={e=>{const[staleMode,d]=e.target.value.split(":");setInput(d?{staleMode,stale:+d}:{stale:0});}} style={SEL}>
+            <option value="0">Use all readings</option>
+            {[90,180,365].flatMap(d=>[["drop","Drop"],["downweight","Down-weight"]].map(([k,l])=><option key={k+d} value={`${k}:${d}`}>{l} if older than {d===365?"1 yr":`${d} d`}</option>))}
+          </select>
+        </div>
         {overall&&<div style={{display:"flex",alignItems:"center",gap:9}}>
           <div style={{position:"relative",width:50,height:50}}><GlowRing score={overall} size={50}/>
             <div style={{position:"absolute",inset:0,display:"flex",alignItems:"center",justifyContent:"center",fontSize:11,fontWeight:700,color:gC(overall)}}>{overall}</div>
@@ -1875,18 +3118,23 @@ export default function BioAgeTracker(){
         <input type="text" placeholder="Note (optional)" value={form.note} onChange={e=>setForm(f=>({...f,note:e.target.value}))} style={{...inp,flex:2}}/>
         <button style={BB2} onClick={logEntry}>{saved?"✓ Saved":"Save"}</button>
       </div>
+      {formFlag&&<div style={{marginTop:10,fontSize:11,color:formFlag.kind==="implausible"?"#ff6b6b":"#f0c060",lineHeight:1.7}}>
+        ⚑ {formFlag.reason} It will be saved to the log but not scored.
+        <label style={{display:"inline-flex",alignItems:"center",gap:6,marginLeft:10,color:T.br,cursor:"pointer"}}><input type="checkbox" checked={!!form.keep} onChange={e=>setForm(f=>({...f,keep:e.target.checked}))}/> Count it anyway</label>
+      </div>}
     </div>}
 
     {/* Metric Cards */}
     <div style={{display:"grid",gridTemplateColumns:"repeat(auto-fill,minmax(280px,1fr))",gap:14,padding:"18px 26px"}}>
-      {MK.map(id=>{
-        const m=getM(id,sex,eth);const lat=getLatest(id);const hist=getHistory(id);
-        const sc=lat?getScore(id,lat.value,sex,eth):null;const col=sc?gC(sc):"#1e2a3a";
-        const trend=hist.length>=2?hist[hist.length-1].value-hist[hist.length-2].value:null;
-        const tg=m.higherIsBetter?trend>0:trend<0;
-        const ahN=hist.filter(e=>e.note==="Apple Health").length;
-        const gfN=hist.filter(e=>e.note==="Google Fit").length;
-        const srcN=ahN+gfN;const srcLabel=gfN>0?"📊":"⌘";
+      {cardIds.map(id=>{
+        const m=getM(id,sex,eth,age);const lat=getLatest(id);const hist=getHistory(id);
+        const sc=lat?entryScore(lat,sex,eth,age):null;const col=sc?gC(sc):"#1e2a3a";
+        const cat=lat?getCategory(id,lat.value,sex,eth,lat.secondary,age):null;
+        const ts=trendStats(hist,id);
+        const tCol=ts?.slopeMo==null?T.dim:!ts.real?"#445566":improving(ts.slopeMo,m)?T.gr:"#ff6b6b";
+        const devHist=hist.filter(isDeviceEntry);
+        const srcN=devHist.length;const srcLabel=srcN?sourceOf(devHist[srcN-1]).icon:"";
+        const gs=goalStatus(goals[id],hist,m.higherIsBetter);
         return <div key={id} style={{background:T.card,border:`1px solid ${T.bdr}`,borderRadius:13,padding:"18px 20px",cursor:"pointer",transition:"border 0.2s,box-shadow 0.2s",position:"relative",overflow:"hidden"}}
           onClick={()=>{setActiveMid(id);setView("metric");}}
           onMouseEnter={e=>{e.currentTarget.style.border=`1px solid ${col}44`;e.currentTarget.style.boxShadow=`0 0 24px ${col}08`;}}
@@ -1909,9 +3157,12 @@ export default function BioAgeTracker(){
           </div>
           {sc?<div style={{display:"inline-flex",alignItems:"center",gap:5,fontSize:9,letterSpacing:"0.07em",color:col,marginBottom:8}}>
             <div style={{width:5,height:5,borderRadius:"50%",background:col,boxShadow:`0 0 5px ${col}`}}/>
-            {gL(sc)}{trend!==null&&<span style={{marginLeft:4,color:tg?T.gr:"#ff6b6b"}}>{tg?"↗":"↘"} {Math.abs(trend).toFixed(m.dp)}</span>}
+            {gL(sc)}{cat&&<span style={{marginLeft:4,color:cat.c}}>· {cat.label}{m.ageBand&&` for ${m.ageBand}`}</span>}{m.custom&&<span style={{marginLeft:4,color:"#f0c060"}} title={refLabel()}>✎ custom</span>}{ts?.slopeMo!=null&&<span style={{marginLeft:4,color:tCol}} title={ts.real?"Change exceeds measurement noise":"Change is within measurement noise"}>{slopeText(ts.slopeMo,m)}</span>}
           </div>:<div style={{fontSize:10,color:"#1e2a3a",marginBottom:8}}>No data — log or import Apple Health / Google Fit</div>}
           {lat&&<RangeBar m={m} compact={true}/>}
+          {lat&&m.pct&&<div style={{fontSize:9,color:"#334455",marginTop:4}}>{peerText(peerRank(m,lat.value),m,sex)}</div>}
+          {ts&&hist.length>1&&<div style={{fontSize:9,color:"#334455",marginTop:4}}>7d {ts.r7.toFixed(m.dp)} · 30d {ts.r30.toFixed(m.dp)}{ts.change!=null&&<span style={{color:ts.real?tCol:"#334455"}}> · {changeText(ts,m)}</span>}</div>}
+          {gs&&<div style={{fontSize:9,color:GOAL_C[gs.status],marginTop:4}}>🎯 {goals[id].target} by {goals[id].deadline} · {gs.status}</div>}
           {hist.length>1&&<div style={{marginTop:7,height:28}}>
             <ResponsiveContainer width="100%" height={28}>
               <LineChart data={hist.slice(-8).map(e=>({v:e.value}))}>
@@ -1923,14 +3174,21 @@ export default function BioAgeTracker(){
         </div>;
       })}
     </div>
+    {(hiddenIds.length>0||showAllMetrics)&&<div style={{display:"flex",alignItems:"center",gap:7,flexWrap:"wrap",padding:"0 26px 14px",fontSize:10,color:T.dim}}>
+      <button style={NB(showAllMetrics)} onClick={()=>setShowAllMetrics(v=>!v)}>{showAllMetrics?"− Hide empty biomarkers":`+ ${hiddenIds.length} more biomarkers`}</button>
+      {!showAllMetrics&&hiddenIds.map(id=><span key={id} style={{cursor:"pointer"}} onClick={()=>{setForm(f=>({...f,metricId:id}));setShowLog(true);}}>{MB[id].label}</span>).reduce((a,el,i)=>i?[...a," · ",el]:[el],[])}
+    </div>}
 
     {/* Impact + Recs */}
-    <ImpactPanel entries={entries} age={age} sex={sex} eth={eth}/>
+    <ImpactPanel entries={scored} age={age} sex={sex} eth={eth} inputs={inputs} goals={goals} onSaveGoals={saveGoals}/>
+
+    {/* Algorithm comparison */}
+    <AlgoCompare entries={scored} age={age} sex={sex} eth={eth} inputs={inputs} onPick={id=>setInput({algo:id})}/>
 
     {/* Bio Age Trajectory */}
     {bioTrend.length>1&&<div style={{margin:"0 26px 26px",background:T.card,border:`1px solid ${T.bdr}`,borderRadius:13,padding:"18px 22px"}}>
       <div style={{fontFamily:T.dp,fontSize:13,fontWeight:700,color:T.br,marginBottom:3}}>Biological Age Trajectory</div>
-      <div style={{fontSize:11,color:"#223344",marginBottom:12}}>Bio age vs. chronological age over time</div>
+      <div style={{fontSize:11,color:"#223344",marginBottom:12}}>{algo.label} bio age vs. chronological age over time{algo.id==="kdm"&&" · shaded band = 95% interval"}</div>
       <ResponsiveContainer width="100%" height={185}>
         <AreaChart data={bioTrend} margin={{top:4,right:4,left:-20,bottom:0}}>
           <defs><linearGradient id="btg" x1="0" y1="0" x2="0" y2="1">
@@ -1940,6 +3198,7 @@ export default function BioAgeTracker(){
           <XAxis dataKey="date" tick={{fill:T.dim,fontSize:10,fontFamily:T.fn}}/>
           <YAxis tick={{fill:T.dim,fontSize:10,fontFamily:T.fn}}/>
           <Tooltip content={<CTip/>}/>
+          <Area type="monotone" dataKey="95% CI" stroke="none" fill={T.gr} fillOpacity={0.08} activeDot={false}/>
           <Area type="monotone" dataKey="Bio Age" stroke={T.gr} fill="url(#btg)" strokeWidth={2} dot={{fill:T.gr,r:3}}/>
           <Line type="monotone" dataKey="Chrono" stroke="#1e3a4a" strokeWidth={1.5} strokeDasharray="5 4" dot={false}/>
         </AreaChart>
@@ -1947,8 +3206,9 @@ export default function BioAgeTracker(){
     </div>}
 
     <div style={{padding:"0 26px 28px",fontSize:9,color:"#1a2530",lineHeight:2}}>
-      VO₂ Max: ACSM by sex/age · Body Fat: ACE by sex · RHR: AHA · BP: AHA 2017 · Glucose: ADA + Attia · Ethnicity: WHO 2004, ADA, Lancet 2020 · Not medical advice
+      VO₂ Max: ACSM by sex/age · Body Fat: ACE by sex, ACSM by age · RHR: AHA · BP: AHA 2017 · Glucose: ADA + Attia · Ethnicity: WHO 2004, ADA, Lancet 2020 · Not medical advice
     </div>
-    <Analytics />
+    {/* never report a share fragment, in case one was opened in this tab */}
+    <Analytics beforeSend={e=>({...e,url:e.url.split("#")[0]})}/>
   </div>;
 }
@@ -0,0 +1,84 @@
+// ── Session backup (versioned JSON bundle) ────────────────────────────────
+// "Export data" writes the full session — entries plus the age/sex/ethnicity
+// profile — to a self-describing JSON file; ImportPanel recognises it as a
+// third format next to Apple Health and Google Fit. Optionally the payload is
+// AES-GCM encrypted under a PBKDF2 passphrase key (same scheme as the vault).
+//
+// Plain:     {format,version,exported,profile:{age,sex,eth},entries:[…]}
+// Encrypted: {format,version,exported,encrypted:{kdf,iter,salt,iv,ct}}  (base64 fields)
+import { MK } from "./metrics.js";
+import { deriveKey, PBKDF2_ITER } from "./vault.js";
+
+export const BACKUP_FORMAT="bioage-backup";
+export const BACKUP_V=1;
+
+const b64=u8=>{let s="";u8.forEach(b=>{s+=String.fromCharCode(b);});return btoa(s);};
+const unb64=s=>Uint8Array.from(atob(s),c=>c.charCodeAt(0));
+
+export async function buildBackup(entries,profile,passphrase){
+  const exported=new Date().toISOString();
+  const payload={profile,entries};
+  if(!passphrase)return{format:BACKUP_FORMAT,version:BACKUP_V,exported,...payload};
+  const salt=crypto.getRandomValues(new Uint8Array(16)),iv=crypto.getRandomValues(new Uint8Array(12));
+  const key=await deriveKey(passphrase,salt,PBKDF2_ITER);
+  const ct=await crypto.subtle.encrypt({name:"AES-GCM",iv},key,new TextEncoder().encode(JSON.stringify(payload)));
+  return{format:BACKUP_FORMAT,version:BACKUP_V,exported,encrypted:{kdf:"PBKDF2-SHA256",iter:PBKDF2_ITER,salt:b64(salt),iv:b64(iv),ct:b64(new Uint8Array(ct))}};
+}
+
+// Cheap sniff — the format marker is always in the first few hundred bytes
+export async function isBackupFile(file){
+  if(!file.name.toLowerCase().endsWith(".json"))return false;
+  const head=await file.slice(0,512).text();
+  return head.includes(`"format":"${BACKUP_FORMAT}"`)||head.includes(`"format": "${BACKUP_FORMAT}"`);
+}
+
+// Validate one entry; returns a normalised copy or null
+const DATE_RE=/^\d{4}-\d{2}-\d{2}$/;
+const num=v=>typeof v==="number"&&isFinite(v);
+function checkEntry(e){
+  if(!e||typeof e!=="object")return null;
+  if(typeof e.id!=="string"||!e.id)return null;
+  if(!MK.includes(e.metricId)||!num(e.value)||typeof e.date!=="string"||!DATE_RE.test(e.date))return null;
+  if(e.secondary!=null&&!num(e.secondary))return null;
+  if(e.note!=null&&typeof e.note!=="string")return null;
+  const out={id:e.id,metricId:e.metricId,value:e.value,date:e.date,note:e.note??""};
+  if(e.secondary!=null)out.secondary=e.secondary;
+  // review decisions from quality.js survive a round trip
+  if(typeof e.flag==="string"&&e.flag)out.flag=e.flag;
+  if(e.excluded===true)out.excluded=true;
+  return out;
+}
+function checkProfile(p){
+  if(!p||typeof p!=="object")return{};
+  const out={};
+  if(Number.isInteger(p.age)&&p.age>0&&p.age<=120)out.age=p.age;
+  if(p.sex==="female"||p.sex==="male")out.sex=p.sex;
+  if(typeof p.eth==="string")out.eth=p.eth;
+  return out;
+}
+
+// Parse + validate a backup file. Encrypted bundles without a passphrase throw
+// an error with .needsPassphrase set so the caller can prompt and retry.
+// Returns the importer shape plus {profile,exported,rejected}.
+export async function parseBackup(file,passphrase){
+  let data;
+  try{data=JSON.parse(await file.text());}catch{throw new Error("Backup file is not valid JSON.");}
+  if(data?.format!==BACKUP_FORMAT)throw new Error("Not a BioAge backup file.");
+  if(data.version!==BACKUP_V)throw new Error(`Unsupported backup version ${data.version}. This app reads version ${BACKUP_V}.`);
+  let payload=data;
+  if(data.encrypted){
+    if(!passphrase){const e=new Error("This backup is passphrase-protected.");e.needsPassphrase=true;throw e;}
+    const{iter,salt,iv,ct}=data.encrypted;
+    const key=await deriveKey(passphrase,unb64(salt),iter);
+    let pt;
+    try{pt=await crypto.subtle.decrypt({name:"AES-GCM",iv:unb64(iv)},key,unb64(ct));}
+    catch{const e=new Error("Wrong passphrase.");e.needsPassphrase=true;throw e;}
+    payload=JSON.parse(new TextDecoder().decode(pt));
+  }
+  if(!Array.isArray(payload.entries))throw new Error("Backup is missing its entries list.");
+  const entries=payload.entries.map(checkEntry).filter(Boolean);
+  const rejected=payload.entries.length-entries.length;
+  if(!entries.length)throw new Error("Backup contains no valid readings.");
+  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
+  return{entries,counts,dSex:null,dDOB:null,profile:checkProfile(payload.profile),exported:data.exported||null,rejected};
+}
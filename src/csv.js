@@ -0,0 +1,232 @@
+// ── CSV / TSV import (clinic & lab spreadsheets) ──────────────────────────
+// Three stages, each pure so ImportPanel can re-run them as the user edits the
+// column mapping:
+//   parseDelimited(text)        → {headers,rows}   (delimiter auto-detected)
+//   guessMapping(headers,rows)  → initial mapping from header names
+//   mapRows(table,mapping)      → {entries,rejected:[{row,line,reason}],counts}
+// Rows are checked against the metric definitions in MB: known metric, a unit
+// we can convert to MB's unit, a numeric value rounded to MB's dp, and a
+// diastolic only where the metric carries one.
+// toCSV() is the export side — the readings / trend sheets in ExportModal.
+import { MB, MK } from "./metrics.js";
+
+export const CSV_FIELDS=["date","metric","value","diastolic","unit","note"];
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF/LF. Delimiter is whichever
+// of tab / semicolon / comma appears most in the header line.
+export function parseDelimited(text){
+  text=text.replace(/^\uFEFF/,"");
+  const first=text.slice(0,text.search(/\r?\n|$/));
+  const delim=["\t",";",","].map(d=>[d,first.split(d).length]).sort((a,b)=>b[1]-a[1])[0][0];
+  const out=[];let row=[],cell="",q=false;
+  for(let i=0;i<text.length;i++){
+    const c=text[i];
+    if(q){
+      if(c==='"'){if(text[i+1]==='"'){cell+='"';i++;}else q=false;}
+      else cell+=c;
+    }else if(c==='"'&&cell==="")q=true;
+    else if(c===delim){row.push(cell);cell="";}
+    else if(c==="\n"||c==="\r"){
+      if(c==="\r"&&text[i+1]==="\n")i++;
+      row.push(cell);cell="";
+      if(row.some(v=>v.trim()!==""))out.push(row);
+      row=[];
+    }else cell+=c;
+  }
+  row.push(cell);if(row.some(v=>v.trim()!==""))out.push(row);
+  if(!out.length)throw new Error("The file is empty.");
+  const headers=out[0].map(h=>h.trim());
+  return{headers,rows:out.slice(1).map(r=>r.map(v=>v.trim())),delim};
+}
+
+// File → table, rejecting sheets with nothing below the header
+export async function readTable(file){
+  const t=parseDelimited(await file.text());
+  if(!t.rows.length)throw new Error("No data rows found below the header line.");
+  return t;
+}
+
+// Metric names as they appear in lab portals and hand-made sheets
+const METRIC_ALIASES={
+  vo2max:["vo2max","vo2","vo₂max","vo2peak","maxoxygenuptake","cardiofitness"],
+  rhr:["rhr","restingheartrate","restinghr","restingpulse","heartrate","pulse","hr"],
+  bp:["bp","bloodpressure","systolic","sbp","sys"],
+  glucose:["glucose","fastingglucose","bloodglucose","fastingbloodglucose","fbg","fpg","bloodsugar"],
+  bodyfat:["bodyfat","bodyfatpercentage","bodyfatpct","bf","fat","fatmass"],
+  hrv:["hrv","sdnn","hrvsdnn","heartratevariability","heartratevariabilitysdnn"],
+  waist:["waist","waistcircumference","waistcirc","abdominalcircumference"],
+  hba1c:["hba1c","a1c","hemoglobina1c","haemoglobina1c","glycatedhemoglobin","glycatedhaemoglobin","glycohemoglobin"],
+  ldl:["ldl","ldlc","ldlcholesterol","ldlcalculated","ldlcalc","ldldirect"],
+  hdl:["hdl","hdlc","hdlcholesterol"],
+  tg:["tg","trig","triglycerides","triglyceride","trigs"],
+  crp:["crp","hscrp","hscrpquantitative","creactiveprotein","highsensitivitycrp","hscreactiveprotein"],
+  grip:["grip","gripstrength","handgrip","handgripstrength","dynamometer"],
+  gait:["gait","gaitspeed","walkingspeed","walkspeed"],
+  sleep:["sleep","sleepduration","sleephours","timeasleep","asleep","totalsleep"],
+  albumin:["albumin","alb","serumalbumin"],
+  creatinine:["creatinine","creat","crea","serumcreatinine"],
+  lymph:["lymph","lymphocytes","lymphocyte","lymphs","lymphocytepercent","lymphpct","lymphocytespct"],
+  mcv:["mcv","meancorpuscularvolume","meancellvolume"],
+  rdw:["rdw","rdwcv","redcelldistributionwidth","redbloodcelldistributionwidth"],
+  alp:["alp","alkp","alkalinephosphatase","alkphos"],
+  wbc:["wbc","whitebloodcells","whitebloodcellcount","whitecellcount","leukocytes","leucocytes"],
+};
+const norm=s=>String(s||"").toLowerCase().replace(/%/g,"").replace(/[^a-z0-9₂]/g,"");
+export function matchMetric(s){
+  const n=norm(s);if(!n)return null;
+  if(MB[n])return n;
+  return MK.find(id=>METRIC_ALIASES[id]?.includes(n)||norm(MB[id].label)===n)||null;
+}
+
+const HEADER_HINTS={
+  date:/^(date|day|time|timestamp|collected|measured|datetime|observation ?date|result ?date)/i,
+  metric:/^(metric|test|analyte|measure(ment)?|type|name|component|parameter)/i,
+  value:/^(value|result|reading|amount|systolic|sys)/i,
+  diastolic:/^(diastolic|dia|dbp)/i,
+  unit:/^(unit|units|uom)/i,
+  note:/^(note|notes|comment|comments|remarks?|source|location)/i,
+};
+// mapping: {date,metric,value,diastolic,unit,note} → column index (-1 = none),
+// plus fixedMetric (used when there is no metric column) and dateOrder.
+export function guessMapping(headers,rows){
+  const m={date:-1,metric:-1,value:-1,diastolic:-1,unit:-1,note:-1,fixedMetric:"",dateOrder:"auto"};
+  const used=new Set();
+  CSV_FIELDS.forEach(f=>{
+    const i=headers.findIndex((h,j)=>!used.has(j)&&HEADER_HINTS[f].test(h));
+    if(i>=0){m[f]=i;used.add(i);}
+  });
+  // Single-metric sheets: a header like "Glucose (mmol/L)" is the value column
+  if(m.metric<0){
+    const i=headers.findIndex((h,j)=>!used.has(j)&&matchMetric(h.replace(/\(.*\)/,"")));
+    if(i>=0){m.fixedMetric=matchMetric(headers[i].replace(/\(.*\)/,""));if(m.value<0){m.value=i;used.add(i);}}
+  }
+  if(m.value<0){
+    const i=headers.findIndex((_,j)=>!used.has(j)&&rows.slice(0,20).some(r=>/^\d/.test(r[j]||"")));
+    if(i>=0)m.value=i;
+  }
+  return m;
+}
+
+// Dates: ISO (yyyy-mm-dd[ time]), yyyy/mm/dd, and dd/mm/yyyy vs mm/dd/yyyy —
+// the latter resolved column-wide (any first part > 12 ⇒ day-first).
+export function detectDateOrder(values){
+  let dmy=false,mdy=false;
+  values.forEach(v=>{const p=String(v).match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/);if(!p)return;if(+p[1]>12)dmy=true;if(+p[2]>12)mdy=true;});
+  return dmy&&!mdy?"dmy":"mdy";
+}
+export function parseDate(s,order){
+  s=String(s||"").trim();let y,mo,d;
+  let p=s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if(p){[y,mo,d]=[+p[1],+p[2],+p[3]];}
+  else if((p=s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/))){
+    y=+p[3];if(y<100)y+=2000;
+    [mo,d]=order==="dmy"?[+p[2],+p[1]]:[+p[1],+p[2]];
+  }else{
+    const t=Date.parse(s);if(isNaN(t))return null;
+    return new Date(t).toISOString().substring(0,10);
+  }
+  const dt=new Date(Date.UTC(y,mo-1,d));
+  if(dt.getUTCFullYear()!==y||dt.getUTCMonth()!==mo-1||dt.getUTCDate()!==d)return null;
+  return dt.toISOString().substring(0,10);
+}
+
+// Unit normalisation to MB units (shared with fhir.js). An empty unit falls back
+// to the same value heuristics the Apple Health / Google Fit parsers use.
+const GLUCOSE_MMOL=18.0182;
+export function convertUnit(id,val,unit){
+  const u=String(unit||"").toLowerCase().replace(/[\s[\]]/g,""); // UCUM "mm[Hg]" → "mmhg"
+  if(id==="glucose"){
+    if(u.includes("mmol"))return{val:Math.round(val*GLUCOSE_MMOL),conv:"mmol/L → mg/dL"};
+    if(!u&&val<25)return{val:Math.round(val*GLUCOSE_MMOL),conv:"mmol/L (detected) → mg/dL"};
+    if(!u||u.includes("mg/dl")||u==="mg")return{val};
+    return{err:`unit "${unit}" is not a glucose unit`};
+  }
+  if(id==="bodyfat"){
+    if(u==="fraction"||u==="ratio"||(!u&&val<=1))return{val:val*100,conv:"fraction → %"};
+    if(!u||u==="%"||u.includes("percent")||u==="pct")return{val};
+    return{err:`unit "${unit}" is not a percentage`};
+  }
+  if(id==="bp"){
+    if(u.includes("kpa"))return{val:val*7.50062,conv:"kPa → mmHg"};
+    if(!u||u.includes("mmhg"))return{val};
+    return{err:`unit "${unit}" is not a pressure unit`};
+  }
+  if(id==="rhr"){
+    if(!u||u.includes("bpm")||u.includes("/min")||u.includes("beats"))return{val};
+    return{err:`unit "${unit}" is not beats per minute`};
+  }
+  if(id==="vo2max"){
+    if(!u||u.replace("·","/").includes("ml/kg/min")||u.includes("ml/(kg"))return{val};
+    return{err:`unit "${unit}" is not mL/kg/min`};
+  }
+  const t=UNITS[id];if(!t)return{val};
+  if(!u||t.base.test(u))return{val};
+  const c=t.conv?.find(([re])=>re.test(u));
+  return c?{val:c[1](val),conv:c[2]}:{err:`unit "${unit}" is not ${t.name}`};
+}
+// The additional biomarkers: base-unit pattern, plus [unit pattern, convert, note] rows
+const UNITS={
+  hrv:  {name:"milliseconds",base:/^ms$|^msec|millisec/},
+  waist:{name:"a length",base:/^cm$|centimet/,conv:[[/^(in|inch|inches|in_i)$/,v=>v*2.54,"in → cm"],[/^mm$/,v=>v/10,"mm → cm"],[/^m$/,v=>v*100,"m → cm"]]},
+  hba1c:{name:"% or mmol/mol",base:/^%|percent|ngsp/,conv:[[/mmol\/mol|ifcc/,v=>v/10.929+2.15,"mmol/mol → %"]]},
+  ldl:  {name:"a cholesterol unit",base:/mg\/dl/,conv:[[/mmol/,v=>v*38.67,"mmol/L → mg/dL"]]},
+  hdl:  {name:"a cholesterol unit",base:/mg\/dl/,conv:[[/mmol/,v=>v*38.67,"mmol/L → mg/dL"]]},
+  tg:   {name:"a triglyceride unit",base:/mg\/dl/,conv:[[/mmol/,v=>v*88.57,"mmol/L → mg/dL"]]},
+  crp:  {name:"mg/L",base:/^mg\/l$/,conv:[[/mg\/dl/,v=>v*10,"mg/dL → mg/L"]]},
+  grip: {name:"kg",base:/^kg$|^kgf$|kilogram/,conv:[[/^(lb|lbs|lb_av)$/,v=>v*0.45359,"lb → kg"],[/^n$/,v=>v/9.80665,"N → kg"]]},
+  gait: {name:"a speed",base:/^m\/s$/,conv:[[/^km\/h/,v=>v/3.6,"km/h → m/s"],[/^(mph|mi\/h)/,v=>v*0.44704,"mph → m/s"]]},
+  sleep:{name:"hours",base:/^h$|^hr|^hour/,conv:[[/^min/,v=>v/60,"min → h"]]},
+  albumin:{name:"g/dL or g/L",base:/^g\/dl$/,conv:[[/^g\/l$/,v=>v/10,"g/L → g/dL"]]},
+  creatinine:{name:"mg/dL or µmol/L",base:/^mg\/dl$/,conv:[[/mol\/l/,v=>v/88.42,"µmol/L → mg/dL"]]},
+  lymph:{name:"a percentage",base:/^%$|percent/},
+  mcv:  {name:"fL",base:/^fl$|femtolit|^um3$|^µm3$/},
+  rdw:  {name:"a percentage",base:/^%$|percent/},
+  alp:  {name:"U/L",base:/^(u|iu)\/l$/},
+  wbc:  {name:"10³/µL",base:/^(x?10[\^*]?[39]|k|thou)\/(µ|u|mc)?l$/},
+};
+
+export function mapRows({rows},mapping){
+  const col=(r,f)=>mapping[f]>=0?(r[mapping[f]]??""):"";
+  const order=mapping.dateOrder==="auto"?detectDateOrder(rows.map(r=>col(r,"date"))):mapping.dateOrder;
+  const today=new Date().toISOString().substring(0,10);
+  const entries=[],rejected=[],conversions={};
+  rows.forEach((r,i)=>{
+    const line=i+2; // 1-based, after the header row
+    const bad=reason=>rejected.push({line,row:r,reason});
+    const date=parseDate(col(r,"date"),order);
+    if(!date)return bad(mapping.date<0?"no date column mapped":`unreadable date "${col(r,"date")}"`);
+    if(date>today)return bad(`date ${date} is in the future`);
+    const id=mapping.metric>=0?matchMetric(col(r,"metric")):mapping.fixedMetric||null;
+    if(!id)return bad(mapping.metric>=0?`unknown metric "${col(r,"metric")}"`:"no metric column or fixed metric chosen");
+    const m=MB[id];
+    let raw=col(r,"value").replace(",",".");let rawDia=col(r,"diastolic").replace(",",".");
+    // "120/80" in a single value cell
+    const pair=raw.match(/^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+    if(pair&&m.secondary){raw=pair[1];if(!rawDia)rawDia=pair[2];}
+    const v=parseFloat(raw);
+    if(raw===""||isNaN(v))return bad(`value "${col(r,"value")}" is not a number`);
+    if(v<=0)return bad("value must be positive");
+    const c=convertUnit(id,v,col(r,"unit"));
+    if(c.err)return bad(c.err);
+    if(c.conv)conversions[c.conv]=(conversions[c.conv]||0)+1;
+    const value=parseFloat(c.val.toFixed(m.dp));
+    let secondary;
+    if(rawDia!==""){
+      if(!m.secondary)return bad(`${m.label} has no diastolic value`);
+      const d=parseFloat(rawDia);
+      if(isNaN(d))return bad(`diastolic "${rawDia}" is not a number`);
+      const dc=convertUnit(id,d,col(r,"unit"));
+      secondary=Math.round(dc.val);
+      if(secondary>=value)return bad(`diastolic ${secondary} ≥ systolic ${value}`);
+    }
+    entries.push({id:`csv_${id}_${date}_${value}${secondary?`_${secondary}`:""}`,metricId:id,value,...(secondary?{secondary}:{}),date,note:col(r,"note")});
+  });
+  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
+  return{entries,rejected,counts,conversions,dateOrder:order};
+}
+
+// Serialise a header + rows to RFC 4180 CSV (CRLF, quoted only when needed)
+export function toCSV(header,rows){
+  const q=v=>{const t=v==null?"":String(v);return /[",\r\n]/.test(t)?`"${t.replace(/"/g,'""')}"`:t;};
+  return[header,...rows].map(r=>r.map(q).join(",")).join("\r\n")+"\r\n";
+}
@@ -0,0 +1,169 @@
+// ── HL7 FHIR R4 Observation import / export ───────────────────────────────
+// Patient-portal downloads arrive as a Bundle (or a bare Observation, or
+// bulk-data NDJSON). Observations are matched to metric ids by LOINC code;
+// values go through the same unit normalisation as CSV import. A Patient
+// resource, if present, supplies sex and date of birth like Apple Health does.
+//
+// Export writes a "collection" Bundle: one Patient (gender only) and one
+// Observation per entry, with the entry id kept as an identifier so a bundle
+// re-imported here merges back onto the same readings instead of duplicating.
+// A reading excluded in review keeps its value but is tagged (meta.tag) and
+// says so in interpretation text; its flag reason rides in an extension, and
+// import restores both so it stays out of scoring.
+import { MB } from "./metrics.js";
+import { convertUnit } from "./csv.js";
+
+const LOINC="http://loinc.org";
+const ENTRY_ID_SYS="urn:bioage:entry";
+const QUALITY_SYS="urn:bioage:quality",FLAG_EXT="urn:bioage:flag";
+const BP_PANEL="85354-9",BP_SYS="8480-6",BP_DIA="8462-4";
+export const FHIR_LOINC={
+  "8867-4":"rhr",
+  [BP_PANEL]:"bp",[BP_SYS]:"bp",[BP_DIA]:"bp",
+  "1558-6":"glucose",
+  "41982-0":"bodyfat",
+  "60842-2":"vo2max",
+  "80404-7":"hrv",
+  "8280-0":"waist",
+  "4548-4":"hba1c","17856-6":"hba1c",
+  "13457-7":"ldl","18262-6":"ldl","2089-1":"ldl",
+  "2085-9":"hdl",
+  "2571-8":"tg",
+  "30522-7":"crp",
+  "93832-4":"sleep",
+  "1751-7":"albumin","61151-7":"albumin",
+  "2160-0":"creatinine","38483-4":"creatinine",
+  "736-9":"lymph",
+  "787-2":"mcv",
+  "788-0":"rdw","30385-9":"rdw",
+  "6768-6":"alp",
+  "6690-2":"wbc","26464-8":"wbc",
+};
+// Metric ids FHIR import understands, in FHIR_LOINC order — drives the import help text
+export const FHIR_METRICS=[...new Set(Object.values(FHIR_LOINC))];
+const codesOf=mid=>Object.keys(FHIR_LOINC).filter(c=>FHIR_LOINC[c]===mid).join(" / ");
+// Export side: LOINC code, display, UCUM unit and observation category (vital-signs, laboratory, activity)
+const OUT={
+  rhr:    {code:"8867-4", display:"Heart rate --resting",ucum:"/min",cat:"vital-signs"},
+  bp:     {code:BP_PANEL, display:"Blood pressure panel with all children optional",ucum:"mm[Hg]",cat:"vital-signs"},
+  glucose:{code:"1558-6", display:"Fasting glucose [Mass/volume] in Serum or Plasma",ucum:"mg/dL",cat:"laboratory"},
+  bodyfat:{code:"41982-0",display:"Percentage of body fat Measured",ucum:"%",cat:"vital-signs"},
+  vo2max: {code:"60842-2",display:"Oxygen consumption (VO2) [Volume/Time/Mass] maximum",ucum:"mL/(kg.min)",cat:"vital-signs"},
+  hrv:    {code:"80404-7",display:"R-R interval.standard deviation (Heart rate variability)",ucum:"ms",cat:"vital-signs"},
+  waist:  {code:"8280-0", display:"Waist Circumference at umbilicus by Tape measure",ucum:"cm",cat:"vital-signs"},
+  hba1c:  {code:"4548-4", display:"Hemoglobin A1c/Hemoglobin.total in Blood",ucum:"%",cat:"laboratory"},
+  ldl:    {code:"13457-7",display:"Cholesterol in LDL [Mass/volume] in Serum or Plasma by calculation",ucum:"mg/dL",cat:"laboratory"},
+  hdl:    {code:"2085-9", display:"Cholesterol in HDL [Mass/volume] in Serum or Plasma",ucum:"mg/dL",cat:"laboratory"},
+  tg:     {code:"2571-8", display:"Triglyceride [Mass/volume] in Serum or Plasma",ucum:"mg/dL",cat:"laboratory"},
+  crp:    {code:"30522-7",display:"C reactive protein [Mass/volume] in Serum or Plasma by High sensitivity method",ucum:"mg/L",cat:"laboratory"},
+  sleep:  {code:"93832-4",display:"Sleep duration",ucum:"h",cat:"activity"},
+  albumin:{code:"1751-7", display:"Albumin [Mass/volume] in Serum or Plasma",ucum:"g/dL",cat:"laboratory"},
+  creatinine:{code:"2160-0",display:"Creatinine [Mass/volume] in Serum or Plasma",ucum:"mg/dL",cat:"laboratory"},
+  lymph:  {code:"736-9",  display:"Lymphocytes/100 leukocytes in Blood by Automated count",ucum:"%",cat:"laboratory"},
+  mcv:    {code:"787-2",  display:"MCV [Entitic volume] by Automated count",ucum:"fL",cat:"laboratory"},
+  rdw:    {code:"788-0",  display:"Erythrocyte distribution width [Ratio] by Automated count",ucum:"%",cat:"laboratory"},
+  alp:    {code:"6768-6", display:"Alkaline phosphatase [Enzymatic activity/volume] in Serum or Plasma",ucum:"U/L",cat:"laboratory"},
+  wbc:    {code:"6690-2", display:"Leukocytes [#/volume] in Blood by Automated count",ucum:"10*3/uL",cat:"laboratory"},
+};
+// Grip strength and walking speed have no widely used LOINC code yet, so they
+// are dropped from exported bundles on purpose; the export tab counts what was
+// left out and points to the CSV export, which carries them.
+export const inFHIRExport=e=>!!OUT[e.metricId];
+
+const loincOf=cc=>(cc?.coding||[]).filter(c=>!c.system||c.system===LOINC).map(c=>c.code);
+const qty=q=>q&&typeof q.value==="number"&&isFinite(q.value)?{val:q.value,unit:q.code||q.unit||""}:null;
+
+// Sniff the first bytes for a FHIR resourceType — cheap, like isBackupFile
+export async function isFHIRFile(file){
+  const n=file.name.toLowerCase();
+  if(!n.endsWith(".json")&&!n.endsWith(".ndjson"))return false;
+  const head=await file.slice(0,2048).text();
+  return /"resourceType"\s*:\s*"(Bundle|Observation|Patient)"/.test(head);
+}
+
+export async function parseFHIR(file){
+  const text=await file.text();
+  let resources;
+  try{
+    if(file.name.toLowerCase().endsWith(".ndjson"))resources=text.split(/\r?\n/).filter(l=>l.trim()).map(l=>JSON.parse(l));
+    else{
+      const root=JSON.parse(text);
+      resources=root.resourceType==="Bundle"?(root.entry||[]).map(e=>e.resource).filter(Boolean):[root];
+    }
+  }catch{throw new Error("This file is not valid FHIR JSON.");}
+
+  let dSex=null,dDOB=null,skipped=0;
+  const entries=[],bpS={},bpD={};
+  const push=(o,mid,date,value,secondary)=>{
+    const m=MB[mid];
+    const own=(o.identifier||[]).find(i=>i.system===ENTRY_ID_SYS)?.value;
+    const flag=(o.extension||[]).find(x=>x.url===FLAG_EXT)?.valueString;
+    const excluded=(o.meta?.tag||[]).some(t=>t.system===QUALITY_SYS&&t.code==="excluded");
+    entries.push({id:own||`fhir_${mid}_${date}_${o.id||entries.length}`,metricId:mid,value:parseFloat(value.toFixed(m.dp)),
+      ...(secondary?{secondary:Math.round(secondary)}:{}),date,note:(o.note||[]).map(n=>n.text).filter(Boolean).join(" · "),
+      ...(typeof flag==="string"&&flag?{flag}:{}),...(excluded?{excluded:true}:{})});
+  };
+  const norm=(mid,q)=>{const c=convertUnit(mid,q.val,q.unit);if(c.err){skipped++;return null;}return c.val;};
+
+  resources.forEach(r=>{
+    if(r.resourceType==="Patient"){
+      if(r.gender==="female"||r.gender==="male")dSex=r.gender;
+      if(/^\d{4}-\d{2}-\d{2}$/.test(r.birthDate||""))dDOB=r.birthDate;
+      return;
+    }
+    if(r.resourceType!=="Observation"||r.status==="entered-in-error"||r.status==="cancelled")return;
+    const codes=loincOf(r.code);const code=codes.find(c=>FHIR_LOINC[c]);if(!code)return;
+    const mid=FHIR_LOINC[code];
+    const at=r.effectiveDateTime||r.effectivePeriod?.start||r.effectiveInstant||r.issued||"",date=at.substring(0,10);
+    if(!/^\d{4}-\d{2}-\d{2}$/.test(date)){skipped++;return;}
+    if(code===BP_PANEL){
+      const comp=c=>qty((r.component||[]).find(x=>loincOf(x.code).includes(c))?.valueQuantity);
+      const s=comp(BP_SYS),d=comp(BP_DIA);
+      if(!s){skipped++;return;}
+      const sv=norm("bp",s),dv=d?norm("bp",d):null;
+      if(sv!=null)push(r,"bp",date,sv,dv);
+      return;
+    }
+    const q=qty(r.valueQuantity);if(!q){skipped++;return;}
+    const v=norm(mid,q);if(v==null)return;
+    // Stand-alone systolic / diastolic Observations are paired by their full
+    // timestamp, in file order when several share one
+    if(code===BP_SYS)(bpS[at]=bpS[at]||[]).push({r,date,v});
+    else if(code===BP_DIA)(bpD[at]=bpD[at]||[]).push(v);
+    else push(r,mid,date,v);
+  });
+  // A systolic without its diastolic still counts; a diastolic alone can't
+  Object.entries(bpS).forEach(([at,list])=>list.forEach(({r,date,v},i)=>push(r,"bp",date,v,bpD[at]?.[i])));
+  Object.entries(bpD).forEach(([at,list])=>{skipped+=Math.max(0,list.length-(bpS[at]?.length||0));});
+
+  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
+  if(!entries.length)throw new Error(`No supported Observations found.\n\nExpected LOINC codes — ${FHIR_METRICS.map(mid=>`${MB[mid].label} ${codesOf(mid)}`).join(", ")}.`);
+  return{entries,counts,dSex,dDOB,skipped};
+}
+
+export function buildFHIRBundle(entries,profile){
+  const pid=`urn:uuid:${crypto.randomUUID()}`;
+  const q=(v,ucum)=>({value:v,unit:ucum,system:"http://unitsofmeasure.org",code:ucum});
+  const cc=(code,display)=>({coding:[{system:LOINC,code,display}],text:display});
+  const obs=entries.filter(inFHIRExport).map(e=>{
+    const o=OUT[e.metricId];
+    const r={resourceType:"Observation",status:"final",
+      identifier:[{system:ENTRY_ID_SYS,value:String(e.id)}],
+      category:[{coding:[{system:"http://terminology.hl7.org/CodeSystem/observation-category",code:o.cat}]}],
+      code:cc(o.code,o.display),subject:{reference:pid},effectiveDateTime:e.date};
+    if(e.metricId==="bp"){
+      r.component=[{code:cc(BP_SYS,"Systolic blood pressure"),valueQuantity:q(e.value,o.ucum)}];
+      if(e.secondary)r.component.push({code:cc(BP_DIA,"Diastolic blood pressure"),valueQuantity:q(e.secondary,o.ucum)});
+    }else r.valueQuantity=q(e.value,o.ucum);
+    if(e.note)r.note=[{text:e.note}];
+    if(e.flag)r.extension=[{url:FLAG_EXT,valueString:e.flag}];
+    if(e.excluded){
+      r.meta={tag:[{system:QUALITY_SYS,code:"excluded",display:"Excluded from scoring"}]};
+      r.interpretation=[{text:`Excluded from scoring after review${e.flag?` — ${e.flag}`:""}. Treat this value with caution.`}];
+    }
+    return{fullUrl:`urn:uuid:${crypto.randomUUID()}`,resource:r};
+  });
+  const patient={resourceType:"Patient",...(profile?.sex?{gender:profile.sex}:{})};
+  return{resourceType:"Bundle",type:"collection",timestamp:new Date().toISOString(),
+    entry:[{fullUrl:pid,resource:patient},...obs]};
+}
@@ -0,0 +1,401 @@
+import { MB } from "./metrics.js";
+import { listZipEntries, openZipEntry } from "./zip.js";
+import { parseDelimited } from "./csv.js";
+
+// ── Apple Health streaming parser ─────────────────────────────────────────
+export const AHT={
+  HKQuantityTypeIdentifierVO2Max:"vo2max",
+  HKQuantityTypeIdentifierRestingHeartRate:"rhr",
+  HKQuantityTypeIdentifierBloodPressureSystolic:"bp_sys",
+  HKQuantityTypeIdentifierBloodPressureDiastolic:"bp_dia",
+  HKQuantityTypeIdentifierBloodGlucose:"glucose",
+  HKQuantityTypeIdentifierBodyFatPercentage:"bodyfat",
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN:"hrv",
+  HKQuantityTypeIdentifierWaistCircumference:"waist",
+  HKQuantityTypeIdentifierWalkingSpeed:"gait",
+  HKCategoryTypeIdentifierSleepAnalysis:"sleep",
+};
+// "2024-03-01 23:10:00 -0800" → ms (Apple's dates are not ISO 8601)
+const ahTime=t=>{const m=String(t).match(/^(\S+) (\S+) ([+-]\d\d)(\d\d)$/);return m?Date.parse(`${m[1]}T${m[2]}${m[3]}:${m[4]}`):Date.parse(t);};
+export async function parseAH(file,onProgress){
+  // ── Shared record processing (same for ZIP and raw XML paths) ────────────
+  const attr=(n,t)=>{const m=t.match(new RegExp(`\\b${n}="([^"]*)"`));return m?m[1]:null;};
+  const bpS={},bpD={},byMD={},sleepBy={};let dSex=null,dDOB=null;
+  // Partial per-metric day counts, reported alongside progress while streaming
+  const tally=()=>{const c={};Object.entries(byMD).forEach(([mid,d])=>{c[mid]=Object.keys(d).length;});const nb=Object.keys(bpS).length;if(nb)c.bp=nb;const ns=Object.keys(sleepBy).length;if(ns)c.sleep=ns;return c;};
+  let lastPct=-1;
+  const report=pct=>{if(onProgress&&pct!==lastPct){lastPct=pct;onProgress(pct,tally());}};
+  const proc=buf=>{
+    const re=/<Record\b[^>]*?(?:\/>|>[\s\S]*?<\/Record>)/g;let m,last=0;
+    while((m=re.exec(buf))!==null){
+      const rec=m[0];const type=attr("type",rec);const mid=AHT[type];last=m.index+m[0].length;if(!mid)continue;
+      if(mid==="sleep"){
+        // Asleep* stages (not InBed / Awake), summed per source per wake-up day;
+        // watch and phone overlap, so the night's value is the larger source total
+        if(!/Asleep/.test(attr("value",rec)||""))continue;
+        const st=attr("startDate",rec),en=attr("endDate",rec);const h=(ahTime(en)-ahTime(st))/36e5;
+        if(!en||!(h>0))continue;
+        const day=en.substring(0,10),src=attr("sourceName",rec)||"";
+        if(!sleepBy[day])sleepBy[day]={};sleepBy[day][src]=(sleepBy[day][src]||0)+h;
+        continue;
+      }
+      const rv=parseFloat(attr("value",rec));const unit=(attr("unit",rec)||"").toLowerCase();
+      const rd=attr("startDate",rec)||attr("creationDate",rec)||"";if(!rd||isNaN(rv))continue;
+      const date=rd.substring(0,10);let val=rv;
+      if(type==="HKQuantityTypeIdentifierBodyFatPercentage"&&val<=1)val=parseFloat((val*100).toFixed(2));
+      if(type==="HKQuantityTypeIdentifierBloodGlucose"&&(unit.includes("mmol")||val<25))val=Math.round(val*18.0182);
+      if(mid==="waist"&&unit==="in")val*=2.54;
+      else if(mid==="waist"&&unit==="m")val*=100;
+      if(mid==="gait")val=unit.startsWith("km")?val/3.6:unit.startsWith("mi")?val*0.44704:val; // km/hr, mi/hr → m/s
+      if(mid==="bp_sys")bpS[date]=val;
+      else if(mid==="bp_dia")bpD[date]=val;
+      else{if(!byMD[mid])byMD[mid]={};if(!byMD[mid][date])byMD[mid][date]=[];byMD[mid][date].push(val);}
+    }
+    return last;
+  };
+  const exMeta=t=>{
+    const sx=t.match(/HKCharacteristicTypeIdentifierBiologicalSex="([^"]*)"/);
+    if(sx){if(sx[1].includes("Female"))dSex="female";else if(sx[1].includes("Male"))dSex="male";}
+    const db=t.match(/HKCharacteristicTypeIdentifierDateOfBirth="(\d{4}-\d{2}-\d{2})"/);
+    if(db)dDOB=db[1];
+  };
+
+  // Streamed text → proc(), carrying any partial <Record> across chunk edges
+  const consume=async(stream,pct)=>{
+    const reader=stream.pipeThrough(new TextDecoderStream("utf-8")).getReader();
+    let textBuf="",firstChunk=true;
+    while(true){
+      const{value,done}=await reader.read();
+      if(done)break;
+      if(firstChunk){exMeta(value);firstChunk=false;}
+      textBuf+=value;
+      const le=proc(textBuf);
+      // Keep only the unfinished <Record> after the last one processed (or a
+      // short tail, in case "<Record" itself is split) — nothing is counted twice,
+      // which matters for sleep, where a night is a sum of records
+      const ti=textBuf.indexOf("<Record",le);
+      textBuf=ti!==-1?textBuf.slice(ti):textBuf.slice(-16);
+      report(pct());
+    }
+    if(textBuf)proc(textBuf);
+  };
+
+  if(file.name.toLowerCase().endsWith(".zip")){
+    // ── Native ZIP parser — no JSZip, no size validation, no external deps ──
+    // Root cause of "uncompressed data size mismatch": iOS writes sizes as 0 in
+    // local file headers (uses data descriptors, ZIP flag bit 3). JSZip validates
+    // decompressed length against those zero values → mismatch error.
+    // Fix: read authoritative sizes from the central directory, decompress with
+    // the native browser DecompressionStream API, stream chunks to proc().
+    // The archive itself is never loaded — see zip.js.
+    const dir=await listZipEntries(file);
+    const entry=ahExportEntry(dir);
+    if(!entry)throw new Error("Could not find export.xml inside the ZIP.\n\nPlease export from: iPhone Health app → Profile photo → Export All Health Data.");
+    let read=0;
+    const stream=await openZipEntry(file,entry,n=>{read=n;});
+    await consume(stream,()=>Math.min(99,Math.round((read/Math.max(1,entry.compSize))*100)));
+  }else{
+    // Raw XML file — same chunked path, straight off disk
+    let read=0;
+    const counted=file.stream().pipeThrough(new TransformStream({transform(c,ctl){read+=c.length;ctl.enqueue(c);}}));
+    await consume(counted,()=>Math.min(99,Math.round((read/Math.max(1,file.size))*100)));
+  }
+
+  Object.entries(sleepBy).forEach(([day,bySrc])=>{if(!byMD.sleep)byMD.sleep={};byMD.sleep[day]=[Math.max(...Object.values(bySrc))];});
+  new Set([...Object.keys(bpS),...Object.keys(bpD)]).forEach(date=>{if(bpS[date]){if(!byMD.bp)byMD.bp={};byMD.bp[date]=[{sys:bpS[date],dia:bpD[date]||null}];}});
+  const entries=[];
+  Object.entries(byMD).forEach(([mid,byDate])=>{
+    Object.entries(byDate).forEach(([date,vals])=>{
+      if(mid==="bp"){vals.forEach(v=>{if(v.sys)entries.push({id:`ah_bp_${date}_${v.sys}`,metricId:"bp",value:Math.round(v.sys),secondary:v.dia?Math.round(v.dia):undefined,date,note:"Apple Health"});});}
+      else{const avg=vals.reduce((a,b)=>a+b,0)/vals.length;entries.push({id:`ah_${mid}_${date}`,metricId:mid,value:parseFloat(avg.toFixed(MB[mid]?.dp??1)),date,note:"Apple Health"});}
+    });
+  });
+  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
+  if(!entries.length)throw new Error("No matching records found. Export must contain VO₂Max, RHR, BP, Glucose, Body Fat, HRV, Waist, Walking Speed or Sleep.");
+  return{entries,counts,dSex,dDOB};
+}
+
+// The export.xml entry of an Apple Health ZIP, shared by detect and parse so
+// they can't disagree. The folder may have been renamed when re-zipped;
+// macOS resource forks (__MACOSX/…) are never the export.
+function ahExportEntry(dir){
+  const hits=dir.filter(e=>!e.dir&&!e.name.startsWith("__MACOSX/")&&(e.name==="export.xml"||e.name.endsWith("/export.xml")));
+  return hits.find(e=>e.name==="apple_health_export/export.xml")||hits.sort((a,b)=>a.name.length-b.name.length)[0]||null;
+}
+
+// Detect an Apple Health export ZIP by its export.xml entry (central directory only)
+export async function isAppleHealthZip(file){
+  try{return !!ahExportEntry(await listZipEntries(file));}
+  catch{return false;}
+}
+
+// ── Google Fit Takeout parser ─────────────────────────────────────────────
+// Handles Google Takeout ZIPs:  Takeout/Fit/All Data/*.json
+// Each file has a "Data Points" array; each point has dataTypeName + fitValue[].
+export const GFT={
+  "com.google.heart_rate.bpm":"rhr",
+  "com.google.blood_pressure":"bp",
+  "com.google.blood_glucose.level":"glucose",
+  "com.google.body.fat.percentage":"bodyfat",
+  "com.google.fitness.vo2max":"vo2max",
+  "com.google.vo2max":"vo2max",
+  "com.google.sleep.segment":"sleep",
+};
+// Of the newer metrics only sleep has a Fit data type. There is none for HRV,
+// waist, grip strength or the lab panel, and com.google.speed is the speed of
+// any activity rather than usual walking speed, so those come from Apple Health,
+// CSV or FHIR. Sleep segments carry a stage (intVal); these ones are asleep
+// (1 awake and 3 out of bed are not).
+const GF_ASLEEP=new Set([2,4,5,6]); // sleep, light, deep, REM
+// A Google Fit data file: JSON in a Fit/ (or re-zipped "All Data/") folder,
+// shared by detect and parse. A whole path segment, so Fitbit's Takeout/Fitbit/
+// folder and MyFitbitData daily files never match and detection doesn't depend
+// on Fitbit being tried first.
+const isFitJSON=lname=>lname.endsWith(".json")&&/(^|\/)(fit|all data)\//.test(lname);
+
+// Detect whether a ZIP is a Google Fit Takeout (returns bool).
+// Peeks at central-directory filenames without decompressing. Local headers are
+// not trustworthy here: flag-bit-3 archives write 0 for the compressed size.
+export async function isGoogleFitZip(file){
+  try{return(await listZipEntries(file)).some(e=>isFitJSON(e.name.toLowerCase()));}
+  catch{return false;}
+}
+export async function parseGF(file,onProgress){
+  const byMD={},bpByDate={},sleepBy={};
+  const tally=()=>{const c={};Object.entries(byMD).forEach(([mid,d])=>{c[mid]=Object.keys(d).length;});const nb=Object.keys(bpByDate).length;if(nb)c.bp=nb;const ns=Object.keys(sleepBy).length;if(ns)c.sleep=ns;return c;};
+  const msFromNano=ns=>{
+    if(typeof BigInt!=="undefined"){try{return Number(BigInt(String(ns))/1000000n);}catch{}}
+    return Math.floor(Number(ns)/1000000);
+  };
+  const procJSON=(json,fname)=>{
+    let data;try{data=JSON.parse(json);}catch{return;}
+    const pts=data["Data Points"]||data.dataPoints||[];
+    pts.forEach(pt=>{
+      const dtn=pt.dataTypeName||"";
+      let mid=GFT[dtn];
+      if(!mid){
+        // filename fallback for unlabelled data
+        if(fname.includes("heart_rate"))mid="rhr";
+        else if(fname.includes("blood_pressure"))mid="bp";
+        else if(fname.includes("blood_glucose"))mid="glucose";
+        else if(fname.includes("body_fat")||fname.includes("body.fat"))mid="bodyfat";
+        else if(fname.includes("vo2"))mid="vo2max";
+        else if(fname.includes("sleep.segment"))mid="sleep";
+      }
+      if(!mid)return;
+      const ns=pt.startTimeNanos||pt.endTimeNanos||"";if(!ns)return;
+      const date=new Date(msFromNano(ns)).toISOString().substring(0,10);
+      const fv=pt.fitValue||[];if(!fv.length)return;
+      if(mid==="sleep"){
+        // Asleep segments summed per file (one data source) per wake-up day; the
+        // merged stream repeats the raw ones, so the night is the larger total
+        if(!GF_ASLEEP.has(fv[0]?.intVal)||!pt.startTimeNanos||!pt.endTimeNanos)return;
+        const en=msFromNano(pt.endTimeNanos),h=(en-msFromNano(pt.startTimeNanos))/36e5;if(!(h>0))return;
+        const day=new Date(en).toISOString().substring(0,10);
+        if(!sleepBy[day])sleepBy[day]={};sleepBy[day][fname]=(sleepBy[day][fname]||0)+h;
+        return;
+      }
+      if(mid==="bp"){
+        const sys=fv[0]?.fpVal;const dia=fv[1]?.fpVal;
+        if(sys&&sys>0){if(!bpByDate[date])bpByDate[date]=[];bpByDate[date].push({sys:Math.round(sys),dia:dia?Math.round(dia):undefined});}
+      }else{
+        let val=fv[0]?.fpVal??fv[0]?.intVal;if(val==null||isNaN(val))return;
+        if(mid==="glucose"&&val<25)val=Math.round(val*18.0182); // mmol/L → mg/dL
+        if(mid==="bodyfat"&&val<=1)val=parseFloat((val*100).toFixed(2)); // fraction → %
+        if(!byMD[mid])byMD[mid]={};
+        if(!byMD[mid][date])byMD[mid][date]=[];
+        byMD[mid][date].push(val);
+      }
+    });
+  };
+
+  // ── Blob-backed ZIP reader (zip.js, shared with parseAH) ──────────────
+  // Collect all Fit JSON entries from central directory
+  const fitFiles=(await listZipEntries(file)).filter(e=>{
+    return isFitJSON(e.name.toLowerCase())&&e.compSize>0&&(e.compression===0||e.compression===8);
+  });
+  if(!fitFiles.length)throw new Error("No Google Fit data files found.\n\nPlease export from: Google Takeout → Fit → Include All Data → Download ZIP.");
+
+  // Decompress and process each JSON file — one entry in memory at a time
+  for(let i=0;i<fitFiles.length;i++){
+    if(onProgress)onProgress(Math.min(95,Math.round((i/fitFiles.length)*95)),tally());
+    let jsonText;
+    try{jsonText=await new Response(await openZipEntry(file,fitFiles[i])).text();}catch{continue;}
+    procJSON(jsonText,fitFiles[i].name.toLowerCase());
+  }
+
+  // Fold BP and sleep into byMD
+  Object.entries(bpByDate).forEach(([date,vals])=>{if(!byMD.bp)byMD.bp={};byMD.bp[date]=vals;});
+  Object.entries(sleepBy).forEach(([day,bySrc])=>{if(!byMD.sleep)byMD.sleep={};byMD.sleep[day]=[Math.max(...Object.values(bySrc))];});
+  const entries=[];
+  Object.entries(byMD).forEach(([mid,byDate])=>{
+    Object.entries(byDate).forEach(([date,vals])=>{
+      if(mid==="bp"){vals.forEach(v=>{if(v.sys)entries.push({id:`gf_bp_${date}_${v.sys}`,metricId:"bp",value:v.sys,secondary:v.dia,date,note:"Google Fit"});});}
+      else{const avg=vals.reduce((a,b)=>a+b,0)/vals.length;entries.push({id:`gf_${mid}_${date}`,metricId:mid,value:parseFloat(avg.toFixed(MB[mid]?.dp??1)),date,note:"Google Fit"});}
+    });
+  });
+  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
+  if(!entries.length)throw new Error("No matching health records found.\n\nMake sure your Google Fit export includes Heart Rate, Blood Pressure, Glucose, Body Fat, VO₂ Max or Sleep.");
+  return{entries,counts,dSex:null,dDOB:null};
+}
+// ── Shared helpers for the device-export parsers below ───────────────────
+// byMD = {metricId:{date:[values]}}; bp values are {sys,dia}. Same output as
+// parseAH/parseGF: one averaged entry per metric per day, BP kept per reading.
+const zipNames=async file=>{try{return(await listZipEntries(file)).map(e=>e.name.toLowerCase());}catch{return[];}};
+const addVal=(byMD,mid,date,val)=>{if(!byMD[mid])byMD[mid]={};if(!byMD[mid][date])byMD[mid][date]=[];byMD[mid][date].push(val);};
+const tallyMD=byMD=>{const c={};Object.entries(byMD).forEach(([mid,d])=>{c[mid]=Object.keys(d).length;});return c;};
+function collect(byMD,prefix,note){
+  const entries=[];
+  Object.entries(byMD).forEach(([mid,byDate])=>{
+    Object.entries(byDate).forEach(([date,vals])=>{
+      if(mid==="bp"){vals.forEach(v=>{if(v.sys)entries.push({id:`${prefix}_bp_${date}_${v.sys}`,metricId:"bp",value:Math.round(v.sys),secondary:v.dia?Math.round(v.dia):undefined,date,note});});}
+      else{const avg=vals.reduce((a,b)=>a+b,0)/vals.length;entries.push({id:`${prefix}_${mid}_${date}`,metricId:mid,value:parseFloat(avg.toFixed(MB[mid]?.dp??1)),date,note});}
+    });
+  });
+  const counts={};entries.forEach(e=>{counts[e.metricId]=(counts[e.metricId]||0)+1;});
+  return{entries,counts};
+}
+const ISO_DAY=/^\d{4}-\d{2}-\d{2}/;
+const num=v=>typeof v==="number"&&isFinite(v)&&v>0?v:null;
+const readText=async(file,entry)=>new Response(await openZipEntry(file,entry)).text();
+
+// ── Garmin Connect data export ────────────────────────────────────────────
+// Account → Data Management → Export Your Data. A ZIP with DI_CONNECT/… JSON:
+//   DI-Connect-Metrics/MetricsMaxMetData_*.json   [{calendarDate,vo2MaxValue}]
+//   DI-Connect-Aggregator/UDSFile_*.json          [{calendarDate,restingHeartRate}]
+//   DI-Connect-Wellness/*userBioMetrics*.json     [{metaData:{calendarDate},weight:{bodyFat}}]
+//   DI-Connect-User/user_profile.json             {gender,birthDate}
+// Activity files are skipped — they are by far the largest and carry none of our metrics.
+const GARMIN_FILES=/(maxmetdata|udsfile|biometric|bloodpressure|user_profile|userprofile)[^/]*\.json$/;
+export async function isGarminZip(file){
+  return(await zipNames(file)).some(n=>n.includes("di_connect/"));
+}
+export async function parseGarmin(file,onProgress){
+  const byMD={};let dSex=null,dDOB=null;
+  const files=(await listZipEntries(file)).filter(e=>!e.dir&&e.compSize>0&&GARMIN_FILES.test(e.name.toLowerCase()));
+  if(!files.length)throw new Error("No Garmin wellness files found.\n\nPlease export from: Garmin Connect → Account → Data Management → Export Your Data.");
+  const dayOf=r=>{
+    const c=r.calendarDate??r.metaData?.calendarDate??r.summaryDate;
+    const d=typeof c==="object"&&c?c.date:c;
+    if(typeof d==="string"&&ISO_DAY.test(d))return d.substring(0,10);
+    const t=r.timestampGMT??r.measurementTimestampGMT??r.timestampLocal;
+    if(typeof t==="number")return new Date(t).toISOString().substring(0,10);
+    return typeof t==="string"&&ISO_DAY.test(t)?t.substring(0,10):null;
+  };
+  const rec=r=>{
+    if(!r||typeof r!=="object")return;
+    if(typeof r.gender==="string"){const g=r.gender.toLowerCase();if(g==="female"||g==="male")dSex=g;}
+    if(typeof r.birthDate==="string"&&ISO_DAY.test(r.birthDate))dDOB=r.birthDate.substring(0,10);
+    const date=dayOf(r);if(!date)return;
+    const vo2=num(r.vo2MaxValue)??num(r.vo2MaxPreciseValue);if(vo2)addVal(byMD,"vo2max",date,vo2);
+    const rhr=num(r.restingHeartRate)??num(r.currentDayRestingHeartRate);if(rhr)addVal(byMD,"rhr",date,rhr);
+    let bf=num(r.bodyFat)??num(r.weight?.bodyFat);if(bf){if(bf<=1)bf*=100;addVal(byMD,"bodyfat",date,bf);}
+    const sys=num(r.systolic),dia=num(r.diastolic);if(sys)addVal(byMD,"bp",date,{sys,dia});
+  };
+  for(let i=0;i<files.length;i++){
+    if(onProgress)onProgress(Math.min(95,Math.round((i/files.length)*95)),tallyMD(byMD));
+    let json;try{json=JSON.parse(await readText(file,files[i]));}catch{continue;}
+    // Top level is an array of records, an object, or [{someExport:[records]}]
+    (Array.isArray(json)?json:[json]).forEach(r=>{
+      rec(r);
+      if(r&&typeof r==="object")Object.values(r).forEach(v=>{if(Array.isArray(v))v.forEach(rec);});
+    });
+  }
+  const{entries,counts}=collect(byMD,"gm","Garmin");
+  if(!entries.length)throw new Error("No matching Garmin records found.\n\nThe export should include VO₂ Max, resting heart rate or body composition.");
+  return{entries,counts,dSex,dDOB};
+}
+
+// ── Fitbit export (Google Takeout → Fitbit, or legacy MyFitbitData ZIP) ──
+// Daily JSON files named <type>-YYYY-MM-DD.json with MM/DD/YY dates:
+//   resting_heart_rate-*   [{dateTime,value:{date,value}}]
+//   demographic_vo2_max-*  [{dateTime,value:{demographicVO2Max}}]
+//   weight-* / fat-*       [{date,weight,fat}]
+// Profile.csv carries gender and date_of_birth.
+const FITBIT_FILE=/(resting_heart_rate|demographic_vo2_max|weight|fat)-\d{4}-\d{2}-\d{2}\.json$/;
+export async function isFitbitZip(file){
+  return(await zipNames(file)).some(n=>n.includes("fitbit/")||FITBIT_FILE.test(n));
+}
+export async function parseFitbit(file,onProgress){
+  const byMD={};let dSex=null,dDOB=null;
+  const all=(await listZipEntries(file)).filter(e=>!e.dir&&e.compSize>0);
+  const files=all.filter(e=>FITBIT_FILE.test(e.name.toLowerCase()));
+  if(!files.length)throw new Error("No Fitbit data files found.\n\nPlease export from: Google Takeout → Fitbit, or fitbit.com → Settings → Data Export.");
+  const day=s=>{
+    if(typeof s!=="string")return null;
+    if(ISO_DAY.test(s))return s.substring(0,10);
+    const p=s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);if(!p)return null;
+    const y=p[3].length===2?`20${p[3]}`:p[3];
+    return`${y}-${p[1].padStart(2,"0")}-${p[2].padStart(2,"0")}`;
+  };
+  for(let i=0;i<files.length;i++){
+    if(onProgress)onProgress(Math.min(95,Math.round((i/files.length)*95)),tallyMD(byMD));
+    const name=files[i].name.toLowerCase();
+    let rows;try{rows=JSON.parse(await readText(file,files[i]));}catch{continue;}
+    if(!Array.isArray(rows))continue;
+    rows.forEach(r=>{
+      const date=day(r.value?.date??r.date??r.dateTime);if(!date)return;
+      if(name.includes("resting_heart_rate")){const v=num(r.value?.value);if(v)addVal(byMD,"rhr",date,v);}
+      else if(name.includes("demographic_vo2_max")){const v=num(r.value?.filteredDemographicVO2Max)??num(r.value?.demographicVO2Max);if(v)addVal(byMD,"vo2max",date,v);}
+      else{let v=num(r.fat);if(v){if(v<=1)v*=100;addVal(byMD,"bodyfat",date,v);}}
+    });
+  }
+  const prof=all.find(e=>/(^|\/)profile\.csv$/.test(e.name.toLowerCase()));
+  if(prof){
+    try{
+      const{headers,rows}=parseDelimited(await readText(file,prof));const r=rows[0]||[];
+      const g=(r[headers.indexOf("gender")]||"").toLowerCase();if(g==="female"||g==="male")dSex=g;
+      const b=r[headers.indexOf("date_of_birth")]||"";if(ISO_DAY.test(b))dDOB=b.substring(0,10);
+    }catch{/* profile is optional */}
+  }
+  const{entries,counts}=collect(byMD,"fb","Fitbit");
+  if(!entries.length)throw new Error("No matching Fitbit records found.\n\nThe export should include resting heart rate, VO₂ Max (cardio fitness) or body fat.");
+  return{entries,counts,dSex,dDOB};
+}
+
+// ── Withings account export (CSV) ─────────────────────────────────────────
+// Account → Download my data gives a ZIP of CSVs; users also drop a single
+// file. Only two are relevant, recognised by their header lines:
+//   weight.csv  Date,"Weight (kg)","Fat mass (kg)",…   → body fat % = fat / weight
+//   bp.csv      Date,"Heart rate","Systolic","Diastolic",Comments
+// Dates are "YYYY-MM-DD HH:MM:SS". No sex / birth date in the export.
+const withingsKind=headers=>{
+  const h=headers.map(x=>x.toLowerCase());
+  if(h[0]!=="date")return null;
+  if(h.includes("systolic")&&h.includes("diastolic"))return"bp";
+  if(h.some(x=>x.startsWith("weight ("))&&h.some(x=>x.startsWith("fat")))return"weight";
+  return null;
+};
+export async function isWithingsZip(file){
+  return(await zipNames(file)).some(n=>/(^|\/)(weight|bp)\.csv$/.test(n));
+}
+export async function isWithingsCSV(file){
+  if(!file.name.toLowerCase().endsWith(".csv"))return false;
+  const head=(await file.slice(0,512).text()).split(/\r?\n/)[0];
+  try{return !!withingsKind(parseDelimited(head).headers);}catch{return false;}
+}
+export async function parseWithings(file,onProgress){
+  const byMD={};
+  const procCSV=text=>{
+    const{headers,rows}=parseDelimited(text);const kind=withingsKind(headers);if(!kind)return;
+    const h=headers.map(x=>x.toLowerCase());
+    const col=p=>h.findIndex(x=>x.startsWith(p));
+    rows.forEach(r=>{
+      const date=ISO_DAY.test(r[0]||"")?r[0].substring(0,10):null;if(!date)return;
+      if(kind==="bp"){const sys=num(parseFloat(r[col("systolic")])),dia=num(parseFloat(r[col("diastolic")]));if(sys)addVal(byMD,"bp",date,{sys,dia});return;}
+      const pct=col("fat ratio")>=0?num(parseFloat(r[col("fat ratio")])):null;
+      const w=num(parseFloat(r[col("weight (")])),fm=num(parseFloat(r[col("fat mass")]));
+      const bf=pct??(w&&fm?fm/w*100:null);if(bf)addVal(byMD,"bodyfat",date,bf);
+    });
+  };
+  if(file.name.toLowerCase().endsWith(".zip")){
+    const files=(await listZipEntries(file)).filter(e=>/(^|\/)(weight|bp)\.csv$/.test(e.name.toLowerCase()));
+    for(let i=0;i<files.length;i++){
+      if(onProgress)onProgress(Math.round((i/files.length)*95),tallyMD(byMD));
+      try{procCSV(await readText(file,files[i]));}catch{continue;}
+    }
+  }else procCSV(await file.text());
+  const{entries,counts}=collect(byMD,"wt","Withings");
+  if(!entries.length)throw new Error("No matching Withings records found.\n\nDrop the account export ZIP, or its weight.csv / bp.csv.");
+  return{entries,counts,dSex:null,dDOB:null};
+}
@@ -0,0 +1,318 @@
+// ── Base metric definitions ───────────────────────────────────────────────
+const unisex = d => ({ female:d, male:JSON.parse(JSON.stringify(d)) });
+export const MB = {
+  vo2max:  { label:"VO₂ Max",           unit:"mL/kg/min", higherIsBetter:true,  dp:1, source:"ACSM by sex/age",
+    description:"Cardiorespiratory fitness — #1 longevity predictor",
+    howTo:"Apple Watch (auto-synced) or 12-min Cooper Run",
+    female:{ opt:{min:38,max:44}, cMin:15, cMax:55, ranges:[
+      {label:"Poor",      lo:15,   hi:27,   c:"#ff6b6b"},
+      {label:"Fair",      lo:27,   hi:31.5, c:"#f0c060"},
+      {label:"Good",      lo:31.5, hi:38,   c:"#7feba1"},
+      {label:"Excellent", lo:38,   hi:55,   c:"#00ffa3"}]},
+    male:{ opt:{min:46,max:56}, cMin:20, cMax:70, ranges:[
+      {label:"Poor",      lo:20, hi:30, c:"#ff6b6b"},
+      {label:"Fair",      lo:30, hi:38, c:"#f0c060"},
+      {label:"Good",      lo:38, hi:46, c:"#7feba1"},
+      {label:"Excellent", lo:46, hi:70, c:"#00ffa3"}]}},
+  rhr:     { label:"Resting Heart Rate", unit:"bpm",       higherIsBetter:false, dp:0, source:"AHA adult norms (unisex)",
+    description:"Cardiovascular efficiency & autonomic health",
+    howTo:"Apple Watch (auto-synced) or 60-sec morning count",
+    female:{ opt:{min:40,max:60}, cMin:40, cMax:100, ranges:[
+      {label:"Athlete",   lo:40, hi:56,  c:"#00ffa3"},
+      {label:"Excellent", lo:56, hi:66,  c:"#7feba1"},
+      {label:"Good",      lo:66, hi:76,  c:"#f0c060"},
+      {label:"High",      lo:76, hi:100, c:"#ff6b6b"}]},
+    male:{ opt:{min:40,max:60}, cMin:40, cMax:100, ranges:[
+      {label:"Athlete",   lo:40, hi:56,  c:"#00ffa3"},
+      {label:"Excellent", lo:56, hi:66,  c:"#7feba1"},
+      {label:"Good",      lo:66, hi:76,  c:"#f0c060"},
+      {label:"High",      lo:76, hi:100, c:"#ff6b6b"}]}},
+  bp:      { label:"Blood Pressure",     unit:"mmHg",      higherIsBetter:false, dp:0, source:"AHA 2017", secondary:true,
+    description:"Systolic / diastolic pressure — vascular age indicator",
+    howTo:"Paired BP cuff via Apple Health or Omron cuff (~$30)",
+    // dia: diastolic (entry.secondary). AHA 2017 has no "Elevated" diastolic
+    // band; cat is the systolic category each band counts as when combined.
+    female:{ opt:{min:90,max:120}, cMin:90, cMax:160, ranges:[
+      {label:"Normal",   lo:90,  hi:120, c:"#00ffa3"},
+      {label:"Elevated", lo:120, hi:130, c:"#7feba1"},
+      {label:"Stage 1",  lo:130, hi:140, c:"#f0c060"},
+      {label:"Stage 2",  lo:140, hi:160, c:"#ff6b6b"}],
+      dia:{ opt:{min:60,max:80}, cMin:50, cMax:120, ranges:[
+        {label:"Normal",  lo:50,  hi:80,  c:"#00ffa3"},
+        {label:"Stage 1", lo:80,  hi:90,  c:"#f0c060"},
+        {label:"Stage 2", lo:90,  hi:100, c:"#ff6b6b"},
+        {label:"Severe",  lo:100, hi:120, c:"#ff6b6b", cat:"Stage 2"}]}},
+    male:{ opt:{min:90,max:120}, cMin:90, cMax:160, ranges:[
+      {label:"Normal",   lo:90,  hi:120, c:"#00ffa3"},
+      {label:"Elevated", lo:120, hi:130, c:"#7feba1"},
+      {label:"Stage 1",  lo:130, hi:140, c:"#f0c060"},
+      {label:"Stage 2",  lo:140, hi:160, c:"#ff6b6b"}],
+      dia:{ opt:{min:60,max:80}, cMin:50, cMax:120, ranges:[
+        {label:"Normal",  lo:50,  hi:80,  c:"#00ffa3"},
+        {label:"Stage 1", lo:80,  hi:90,  c:"#f0c060"},
+        {label:"Stage 2", lo:90,  hi:100, c:"#ff6b6b"},
+        {label:"Severe",  lo:100, hi:120, c:"#ff6b6b", cat:"Stage 2"}]}}},
+  glucose: { label:"Fasting Glucose",    unit:"mg/dL",     higherIsBetter:false, dp:0, source:"ADA + Attia",
+    description:"Metabolic health & insulin sensitivity",
+    howTo:"Apple Health (paired glucometer) or ReliOn (~$20), 8+ hrs fasted",
+    female:{ opt:{min:60,max:85}, cMin:60, cMax:145, ranges:[
+      {label:"Optimal",      lo:60,  hi:85,  c:"#00ffa3"},
+      {label:"Normal",       lo:85,  hi:100, c:"#7feba1"},
+      {label:"Pre-diabetic", lo:100, hi:126, c:"#f0c060"},
+      {label:"Diabetic",     lo:126, hi:145, c:"#ff6b6b"}]},
+    male:{ opt:{min:60,max:85}, cMin:60, cMax:145, ranges:[
+      {label:"Optimal",      lo:60,  hi:85,  c:"#00ffa3"},
+      {label:"Normal",       lo:85,  hi:100, c:"#7feba1"},
+      {label:"Pre-diabetic", lo:100, hi:126, c:"#f0c060"},
+      {label:"Diabetic",     lo:126, hi:145, c:"#ff6b6b"}]}},
+  bodyfat: { label:"Body Fat %",         unit:"%",         higherIsBetter:false, dp:1, source:"ACE by sex · ACSM by age",
+    description:"Visceral fat proxy & metabolic risk marker",
+    howTo:"Apple Health (smart scale sync) or Withings/Renpho scale (~$40)",
+    female:{ opt:{min:14,max:20}, cMin:10, cMax:45, ranges:[
+      {label:"Athletic", lo:10, hi:20, c:"#00ffa3"},
+      {label:"Fit",      lo:20, hi:25, c:"#7feba1"},
+      {label:"Average",  lo:25, hi:32, c:"#f0c060"},
+      {label:"High",     lo:32, hi:45, c:"#ff6b6b"}]},
+    male:{ opt:{min:6, max:17}, cMin:5,  cMax:40, ranges:[
+      {label:"Athletic", lo:5,  hi:17, c:"#00ffa3"},
+      {label:"Fit",      lo:17, hi:22, c:"#7feba1"},
+      {label:"Average",  lo:22, hi:28, c:"#f0c060"},
+      {label:"High",     lo:28, hi:40, c:"#ff6b6b"}]}},
+
+  // ── Additional biomarkers ─────────────────────────────────────────────
+  // Optional: cards appear once there is data (see CORE). Same shape as above;
+  // unisex() when the ranges don't differ by sex. sleep is U-shaped, so past
+  // `over` the score falls again instead of staying at 100.
+  hrv:     { label:"HRV (SDNN)",         unit:"ms",        higherIsBetter:true,  dp:0, source:"Apple Watch SDNN norms",
+    description:"Heart rate variability — autonomic balance & recovery",
+    howTo:"Apple Watch (auto-synced overnight) or chest-strap app",
+    ...unisex({ opt:{min:60,max:100}, cMin:10, cMax:120, ranges:[
+      {label:"Low",       lo:10, hi:25,  c:"#ff6b6b"},
+      {label:"Fair",      lo:25, hi:40,  c:"#f0c060"},
+      {label:"Good",      lo:40, hi:60,  c:"#7feba1"},
+      {label:"Excellent", lo:60, hi:120, c:"#00ffa3"}]})},
+  waist:   { label:"Waist Circumference", unit:"cm",       higherIsBetter:false, dp:1, source:"WHO 2008 by sex",
+    description:"Abdominal / visceral fat — cardiometabolic risk",
+    howTo:"Tape measure at the navel after exhaling, or smart scale app",
+    female:{ opt:{min:60,max:75}, cMin:55, cMax:120, ranges:[
+      {label:"Healthy",   lo:55, hi:75,  c:"#00ffa3"},
+      {label:"Fair",      lo:75, hi:80,  c:"#7feba1"},
+      {label:"Increased", lo:80, hi:88,  c:"#f0c060"},
+      {label:"High",      lo:88, hi:120, c:"#ff6b6b"}]},
+    male:{ opt:{min:70,max:88}, cMin:65, cMax:140, ranges:[
+      {label:"Healthy",   lo:65, hi:88,  c:"#00ffa3"},
+      {label:"Fair",      lo:88, hi:94,  c:"#7feba1"},
+      {label:"Increased", lo:94, hi:102, c:"#f0c060"},
+      {label:"High",      lo:102,hi:140, c:"#ff6b6b"}]}},
+  hba1c:   { label:"HbA1c",              unit:"%",         higherIsBetter:false, dp:1, source:"ADA 2023",
+    description:"3-month average blood sugar",
+    howTo:"Lab blood test or home A1c kit",
+    ...unisex({ opt:{min:4.5,max:5.2}, cMin:4, cMax:10, ranges:[
+      {label:"Optimal",      lo:4,   hi:5.2, c:"#00ffa3"},
+      {label:"Normal",       lo:5.2, hi:5.7, c:"#7feba1"},
+      {label:"Pre-diabetic", lo:5.7, hi:6.5, c:"#f0c060"},
+      {label:"Diabetic",     lo:6.5, hi:10,  c:"#ff6b6b"}]})},
+  ldl:     { label:"LDL Cholesterol",    unit:"mg/dL",     higherIsBetter:false, dp:0, source:"NCEP ATP III",
+    description:"Atherogenic cholesterol — arterial plaque driver",
+    howTo:"Lipid panel (lab or fingerprick kit)",
+    ...unisex({ opt:{min:50,max:100}, cMin:40, cMax:220, ranges:[
+      {label:"Optimal",      lo:40,  hi:100, c:"#00ffa3"},
+      {label:"Near optimal", lo:100, hi:130, c:"#7feba1"},
+      {label:"Borderline",   lo:130, hi:160, c:"#f0c060"},
+      {label:"High",         lo:160, hi:220, c:"#ff6b6b"}]})},
+  hdl:     { label:"HDL Cholesterol",    unit:"mg/dL",     higherIsBetter:true,  dp:0, source:"NCEP ATP III by sex",
+    description:"Protective cholesterol — reverse transport",
+    howTo:"Lipid panel (lab or fingerprick kit)",
+    female:{ opt:{min:70,max:90}, cMin:20, cMax:110, ranges:[
+      {label:"Low",        lo:20, hi:50,  c:"#ff6b6b"},
+      {label:"Borderline", lo:50, hi:60,  c:"#f0c060"},
+      {label:"Good",       lo:60, hi:70,  c:"#7feba1"},
+      {label:"Optimal",    lo:70, hi:110, c:"#00ffa3"}]},
+    male:{ opt:{min:60,max:80}, cMin:20, cMax:100, ranges:[
+      {label:"Low",        lo:20, hi:40,  c:"#ff6b6b"},
+      {label:"Borderline", lo:40, hi:50,  c:"#f0c060"},
+      {label:"Good",       lo:50, hi:60,  c:"#7feba1"},
+      {label:"Optimal",    lo:60, hi:100, c:"#00ffa3"}]}},
+  tg:      { label:"Triglycerides",      unit:"mg/dL",     higherIsBetter:false, dp:0, source:"NCEP ATP III + AHA",
+    description:"Blood fats — insulin resistance marker",
+    howTo:"Lipid panel, fasted 9–12 hrs",
+    ...unisex({ opt:{min:40,max:100}, cMin:30, cMax:400, ranges:[
+      {label:"Optimal",    lo:30,  hi:100, c:"#00ffa3"},
+      {label:"Normal",     lo:100, hi:150, c:"#7feba1"},
+      {label:"Borderline", lo:150, hi:200, c:"#f0c060"},
+      {label:"High",       lo:200, hi:400, c:"#ff6b6b"}]})},
+  crp:     { label:"hs-CRP",             unit:"mg/L",      higherIsBetter:false, dp:2, source:"AHA / CDC 2003",
+    description:"Systemic inflammation — cardiovascular risk",
+    howTo:"High-sensitivity CRP blood test (not during illness)",
+    ...unisex({ opt:{min:0.1,max:1}, cMin:0, cMax:10, ranges:[
+      {label:"Low risk", lo:0, hi:1,  c:"#00ffa3"},
+      {label:"Average",  lo:1, hi:2,  c:"#7feba1"},
+      {label:"Elevated", lo:2, hi:3,  c:"#f0c060"},
+      {label:"High",     lo:3, hi:10, c:"#ff6b6b"}]})},
+  grip:    { label:"Grip Strength",      unit:"kg",        higherIsBetter:true,  dp:1, source:"Dodds 2014 by sex/age",
+    description:"Whole-body strength & frailty predictor",
+    howTo:"Hand dynamometer, best of 3 squeezes, dominant hand",
+    female:{ opt:{min:30,max:38}, cMin:10, cMax:50, ranges:[
+      {label:"Weak",   lo:10, hi:18, c:"#ff6b6b"},
+      {label:"Fair",   lo:18, hi:24, c:"#f0c060"},
+      {label:"Good",   lo:24, hi:30, c:"#7feba1"},
+      {label:"Strong", lo:30, hi:50, c:"#00ffa3"}]},
+    male:{ opt:{min:44,max:56}, cMin:15, cMax:70, ranges:[
+      {label:"Weak",   lo:15, hi:27, c:"#ff6b6b"},
+      {label:"Fair",   lo:27, hi:36, c:"#f0c060"},
+      {label:"Good",   lo:36, hi:44, c:"#7feba1"},
+      {label:"Strong", lo:44, hi:70, c:"#00ffa3"}]}},
+  gait:    { label:"Walking Speed",      unit:"m/s",       higherIsBetter:true,  dp:2, source:"Studenski 2011",
+    description:"Usual gait speed — the \"sixth vital sign\"",
+    howTo:"iPhone Walking Speed (auto) or timed 4-m walk",
+    ...unisex({ opt:{min:1.3,max:1.6}, cMin:0.4, cMax:2, ranges:[
+      {label:"Slow",   lo:0.4, hi:0.8, c:"#ff6b6b"},
+      {label:"Fair",   lo:0.8, hi:1.0, c:"#f0c060"},
+      {label:"Normal", lo:1.0, hi:1.3, c:"#7feba1"},
+      {label:"Brisk",  lo:1.3, hi:2,   c:"#00ffa3"}]})},
+  sleep:   { label:"Sleep Duration",     unit:"h",         higherIsBetter:true,  dp:1, source:"AASM / NSF",
+    description:"Nightly sleep — recovery, metabolism & cognition",
+    howTo:"Apple Watch / iPhone sleep tracking, or a sleep diary",
+    ...unisex({ opt:{min:7,max:9}, cMin:3, cMax:12, over:{label:"Long",lo:9,hi:12,c:"#f0c060"}, ranges:[
+      {label:"Short", lo:3,   hi:6,   c:"#ff6b6b"},
+      {label:"Fair",  lo:6,   hi:6.5, c:"#f0c060"},
+      {label:"Good",  lo:6.5, hi:7,   c:"#7feba1"},
+      {label:"Optimal",lo:7,  hi:9,   c:"#00ffa3"}]})},
+
+  // ── PhenoAge blood panel ──────────────────────────────────────────────
+  // Routine CBC / metabolic-panel values Levine's PhenoAge needs alongside
+  // glucose and hs-CRP. Scored against lab reference intervals.
+  albumin: { label:"Albumin",            unit:"g/dL",      higherIsBetter:true,  dp:1, source:"Lab reference (PhenoAge)",
+    description:"Liver synthesis & nutritional status",
+    howTo:"Comprehensive metabolic panel (CMP)",
+    ...unisex({ opt:{min:4.5,max:5.0}, cMin:2.5, cMax:5.5, ranges:[
+      {label:"Low",        lo:2.5, hi:3.5, c:"#ff6b6b"},
+      {label:"Borderline", lo:3.5, hi:4.0, c:"#f0c060"},
+      {label:"Normal",     lo:4.0, hi:4.5, c:"#7feba1"},
+      {label:"Optimal",    lo:4.5, hi:5.5, c:"#00ffa3"}]})},
+  creatinine:{ label:"Creatinine",       unit:"mg/dL",     higherIsBetter:false, dp:2, source:"Lab reference by sex (PhenoAge)",
+    description:"Kidney filtration",
+    howTo:"Basic or comprehensive metabolic panel",
+    female:{ opt:{min:0.5,max:0.8}, cMin:0.4, cMax:3, ranges:[
+      {label:"Normal",      lo:0.4, hi:0.9, c:"#00ffa3"},
+      {label:"High-normal", lo:0.9, hi:1.1, c:"#7feba1"},
+      {label:"Elevated",    lo:1.1, hi:1.5, c:"#f0c060"},
+      {label:"High",        lo:1.5, hi:3,   c:"#ff6b6b"}]},
+    male:{ opt:{min:0.7,max:1.0}, cMin:0.5, cMax:3, ranges:[
+      {label:"Normal",      lo:0.5, hi:1.1, c:"#00ffa3"},
+      {label:"High-normal", lo:1.1, hi:1.3, c:"#7feba1"},
+      {label:"Elevated",    lo:1.3, hi:1.7, c:"#f0c060"},
+      {label:"High",        lo:1.7, hi:3,   c:"#ff6b6b"}]}},
+  lymph:   { label:"Lymphocytes",        unit:"%",         higherIsBetter:true,  dp:1, source:"Lab reference (PhenoAge)",
+    description:"Share of white cells that are lymphocytes — immune ageing",
+    howTo:"Complete blood count (CBC) with differential",
+    ...unisex({ opt:{min:30,max:40}, cMin:5, cMax:50, ranges:[
+      {label:"Low",        lo:5,  hi:15, c:"#ff6b6b"},
+      {label:"Borderline", lo:15, hi:20, c:"#f0c060"},
+      {label:"Normal",     lo:20, hi:30, c:"#7feba1"},
+      {label:"Optimal",    lo:30, hi:50, c:"#00ffa3"}]})},
+  mcv:     { label:"MCV",                unit:"fL",        higherIsBetter:false, dp:1, source:"Lab reference (PhenoAge)",
+    description:"Mean red-cell volume",
+    howTo:"Complete blood count (CBC)",
+    ...unisex({ opt:{min:82,max:90}, cMin:75, cMax:115, ranges:[
+      {label:"Optimal",    lo:75,  hi:90,  c:"#00ffa3"},
+      {label:"Normal",     lo:90,  hi:95,  c:"#7feba1"},
+      {label:"High",       lo:95,  hi:100, c:"#f0c060"},
+      {label:"Macrocytic", lo:100, hi:115, c:"#ff6b6b"}]})},
+  rdw:     { label:"RDW",                unit:"%",         higherIsBetter:false, dp:1, source:"Lab reference (PhenoAge)",
+    description:"Red-cell size variation — strong mortality marker",
+    howTo:"Complete blood count (CBC)",
+    ...unisex({ opt:{min:11.5,max:12.5}, cMin:10.5, cMax:20, ranges:[
+      {label:"Optimal",     lo:10.5, hi:12.5, c:"#00ffa3"},
+      {label:"Normal",      lo:12.5, hi:13.5, c:"#7feba1"},
+      {label:"High-normal", lo:13.5, hi:14.5, c:"#f0c060"},
+      {label:"High",        lo:14.5, hi:20,   c:"#ff6b6b"}]})},
+  alp:     { label:"Alkaline Phosphatase", unit:"U/L",     higherIsBetter:false, dp:0, source:"Lab reference (PhenoAge)",
+    description:"Liver & bone enzyme",
+    howTo:"Comprehensive metabolic panel (CMP)",
+    ...unisex({ opt:{min:40,max:70}, cMin:20, cMax:250, ranges:[
+      {label:"Optimal",     lo:20,  hi:70,  c:"#00ffa3"},
+      {label:"Normal",      lo:70,  hi:100, c:"#7feba1"},
+      {label:"High-normal", lo:100, hi:130, c:"#f0c060"},
+      {label:"High",        lo:130, hi:250, c:"#ff6b6b"}]})},
+  wbc:     { label:"White Blood Cells",  unit:"10³/µL",    higherIsBetter:false, dp:1, source:"Lab reference (PhenoAge)",
+    description:"Immune activation & chronic inflammation",
+    howTo:"Complete blood count (CBC)",
+    ...unisex({ opt:{min:4,max:6}, cMin:2.5, cMax:15, ranges:[
+      {label:"Optimal",     lo:2.5, hi:6,   c:"#00ffa3"},
+      {label:"Normal",      lo:6,   hi:7.5, c:"#7feba1"},
+      {label:"High-normal", lo:7.5, hi:10,  c:"#f0c060"},
+      {label:"High",        lo:10,  hi:15,  c:"#ff6b6b"}]})},
+};
+export const MK = Object.keys(MB);
+// The original five — always shown on the dashboard and in the snapshot
+export const CORE = ["vo2max","rhr","bp","glucose","bodyfat"];
+
+// ── Age-stratified norms ──────────────────────────────────────────────────
+// VO₂ max, grip strength and body fat shift a lot by decade, so for these the
+// per-sex ranges above are only the fallback when no age is known. Each row is
+// [decade start, p10, p25, p50, p75, p90] for that sex and decade — VO₂ max
+// from the ACSM / Cooper Institute fitness norms, grip from Dodds 2014 (UK
+// life-course norms), body fat from the ACSM percentile tables. Bands are cut
+// at the quartiles, optimal is the best 10–25%.
+const AGE_PCT = {
+  vo2max: { labels:["Poor","Fair","Good","Excellent"],
+    female:[[20,30.6,34.6,38.6,43.9,49.6],[30,28.7,32.3,36.7,41.0,47.4],[40,26.5,29.7,33.8,38.6,45.3],
+            [50,23.0,26.0,29.0,33.0,39.0],[60,21.0,23.3,26.0,29.4,35.0],[70,19.5,21.2,23.9,27.0,31.0]],
+    male:  [[20,38.0,42.5,46.8,52.5,57.5],[30,36.0,40.0,44.0,49.0,54.0],[40,33.5,37.0,41.0,46.0,51.5],
+            [50,30.0,33.5,37.5,42.5,48.0],[60,26.5,30.0,33.5,38.5,44.0],[70,23.5,26.5,30.0,34.5,40.0]]},
+  grip:   { labels:["Weak","Fair","Good","Strong"],
+    female:[[20,22,26,30,34,38],[30,23,27,31,35,39],[40,22,26,30,34,38],
+            [50,20,24,28,32,35],[60,17,21,25,28,31],[70,14,18,21,24,27]],
+    male:  [[20,36,42,48,54,59],[30,38,44,50,56,61],[40,37,43,49,54,59],
+            [50,34,40,45,50,55],[60,29,34,40,45,50],[70,24,29,34,39,43]]},
+  bodyfat:{ labels:["Athletic","Fit","Average","High"],
+    female:[[20,16.5,19.5,22.7,27.0,32.0],[30,17.5,20.5,24.0,28.5,33.5],[40,19.5,23.0,26.5,31.0,36.0],
+            [50,22.0,26.0,29.5,33.5,38.0],[60,23.0,27.0,31.0,35.0,39.0],[70,23.5,27.5,31.0,35.0,39.0]],
+    male:  [[20, 8.0,11.0,15.0,19.5,23.5],[30,11.5,15.0,18.5,22.0,25.5],[40,14.0,17.5,20.5,23.5,27.0],
+            [50,16.0,19.0,22.0,25.0,28.0],[60,17.0,20.0,23.0,26.0,29.0],[70,17.5,20.5,23.0,26.0,29.0]]},
+};
+const BAND_C = ["#ff6b6b","#f0c060","#7feba1","#00ffa3"]; // worst → best
+export const PCT_AT = [10,25,50,75,90];
+
+// {ageBand,pct,opt,ranges} for a metric / sex / age, or null when the metric
+// has no age-stratified norms (or age is unknown).
+export function ageNorms(id, sex, age){
+  const t=AGE_PCT[id]; if(!t||!age) return null;
+  const rows=t[sex]||t.female, base=MB[id][sex]||MB[id].female;
+  const i=Math.max(0,rows.findLastIndex(r=>age>=r[0]));
+  const [from,...pct]=rows[i];
+  const hib=MB[id].higherIsBetter;
+  const cuts=[base.cMin,pct[1],pct[2],pct[3],base.cMax];
+  const ranges=t.labels.map((label,j)=>({label,lo:cuts[j],hi:cuts[j+1],c:BAND_C[hib?j:3-j]}));
+  return{ageBand:i===rows.length-1?`${from}+`:`${from}–${from+9}`,pct,
+    opt:hib?{min:pct[3],max:pct[4]}:{min:pct[0],max:pct[1]},ranges};
+}
+
+
+// ── Measurement noise ─────────────────────────────────────────────────────
+// Typical within-person SD of a single reading (day-to-day biological
+// variation + device / assay error), in each metric's unit. A change between
+// two readings is only "real" beyond the 95% minimal detectable change,
+// MDC = 1.96·√2·SEM; averaging n readings shrinks SEM by √n.
+// Sources: test-retest and biological-variation literature (Westgard
+// biological variation database for lab analytes; wearable validation
+// studies for VO₂ max, RHR, HRV, sleep).
+export const SEM = {
+  vo2max:1.5, rhr:3, bp:7, dbp:5, glucose:6, bodyfat:1.2,
+  hrv:9, waist:1.0, hba1c:0.1, ldl:8, hdl:3, tg:25, crp:0.8,
+  grip:2, gait:0.05, sleep:0.6,
+  albumin:0.15, creatinine:0.06, lymph:3, mcv:1.2, rdw:0.3, alp:6, wbc:0.7,
+};
+
+// ── Plausibility bounds ───────────────────────────────────────────────────
+// [lo, hi] a real reading can take, in each metric's unit — wide enough for
+// athletes and illness, narrow enough to catch device glitches (a 2% body fat
+// scale reading, a workout HR filed as resting) and values in another unit
+// (glucose in mmol/L, albumin in g/L, creatinine in µmol/L). dbp = diastolic.
+export const PLAUSIBLE = {
+  vo2max:[10,90], rhr:[25,130], bp:[70,250], dbp:[35,150], glucose:[40,400], bodyfat:[3,60],
+  hrv:[5,250], waist:[40,200], hba1c:[3.5,15], ldl:[20,400], hdl:[10,150], tg:[20,1500], crp:[0.01,200],
+  grip:[3,100], gait:[0.2,2.5], sleep:[1,16],
+  albumin:[1.5,6], creatinine:[0.2,10], lymph:[2,80], mcv:[50,130], rdw:[9,30], alp:[10,1000], wbc:[1,50],
+};
@@ -0,0 +1,24 @@
+// ── Import worker ─────────────────────────────────────────────────────────
+// Parsing for the large-export formats (registry entries with worker:true)
+// runs here, off the main thread, so the dashboard and ImportPanel spinner
+// stay responsive on 600 MB+ exports. ImportPanel has already detected the
+// format and sends its registry id along with the file.
+// Protocol:
+//   page → worker  {file,id}
+//   worker → page  {type:"progress", pct, counts}   % done + partial per-metric day counts
+//                  {type:"done",     result}       {entries,counts,dSex,dDOB}
+//                  {type:"error",    message}
+// Cancellation is worker.terminate() from the page: it kills any in-flight
+// DecompressionStream and releases the file buffers with the worker.
+import { importerById } from "./registry.js";
+
+self.onmessage=async({data:{file,id}})=>{
+  try{
+    const imp=importerById(id);
+    if(!imp?.worker)throw new Error(`Unknown import format "${id}".`);
+    const onProgress=(pct,counts)=>self.postMessage({type:"progress",pct,counts});
+    self.postMessage({type:"done",result:await imp.parse(file,onProgress)});
+  }catch(e){
+    self.postMessage({type:"error",message:e.message||String(e)});
+  }
+};
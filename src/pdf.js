@@ -0,0 +1,47 @@
+// ── PDF writer ────────────────────────────────────────────────────────────
+// A minimal PDF 1.4 writer for the printable report. Each page is a canvas the
+// app has already drawn, embedded as a full-page JPEG (DCTDecode), so VO₂, ±
+// and the range colours print exactly as drawn with no fonts to embed. The
+// file is assembled in memory — no library, nothing leaves the browser.
+//
+//   1 Catalog   2 Pages   3 Info   then per page i: Page, Contents, Image
+export const A4={w:595.28,h:841.89}; // points (1/72 in)
+
+const jpegOf=(cv,quality)=>new Promise((res,rej)=>cv.toBlob(b=>{
+  if(!b){rej(new Error("This browser could not encode a report page."));return;}
+  b.arrayBuffer().then(a=>res(new Uint8Array(a)),rej);
+},"image/jpeg",quality));
+
+// PDF text string as UTF-16BE hex, so any title survives
+const pdfText=s=>`<FEFF${Array.from({length:s.length},(_,i)=>s.charCodeAt(i).toString(16).padStart(4,"0")).join("")}>`;
+const pdfDate=d=>`(D:${d.toISOString().replace(/[-:T]/g,"").substring(0,14)}Z)`;
+
+// canvases → Blob (application/pdf), one A4 page per canvas
+export async function buildPDF(canvases,{title="",quality=0.9}={}){
+  const enc=new TextEncoder(),parts=[],offs=[];let len=0;
+  const put=x=>{const b=typeof x==="string"?enc.encode(x):x;parts.push(b);len+=b.length;};
+  const obj=(n,dict,stream)=>{
+    offs[n]=len;put(`${n} 0 obj\n${dict}\n`);
+    if(stream){put("stream\n");put(stream);put("\nendstream\n");}
+    put("endobj\n");
+  };
+  const pageNo=i=>4+i*3;
+
+  put("%PDF-1.4\n%âãÏÓ\n"); // binary marker comment
+  obj(1,"<< /Type /Catalog /Pages 2 0 R >>");
+  obj(2,`<< /Type /Pages /Count ${canvases.length} /Kids [${canvases.map((_,i)=>`${pageNo(i)} 0 R`).join(" ")}] >>`);
+  obj(3,`<< /Title ${pdfText(title)} /Producer (BioAge) /CreationDate ${pdfDate(new Date())} >>`);
+  for(let i=0;i<canvases.length;i++){
+    const cv=canvases[i],n=pageNo(i),jpg=await jpegOf(cv,quality);
+    const W=A4.w.toFixed(2),H=(A4.w*cv.height/cv.width).toFixed(2);
+    const draw=`q ${W} 0 0 ${H} 0 0 cm /Im0 Do Q`;
+    obj(n,`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] /Resources << /XObject << /Im0 ${n+2} 0 R >> >> /Contents ${n+1} 0 R >>`);
+    obj(n+1,`<< /Length ${draw.length} >>`,enc.encode(draw));
+    obj(n+2,`<< /Type /XObject /Subtype /Image /Width ${cv.width} /Height ${cv.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpg.length} >>`,jpg);
+  }
+  const size=pageNo(canvases.length),xref=len;
+  put(`xref\n0 ${size}\n0000000000 65535 f \n`);
+  for(let n=1;n<size;n++)put(`${String(offs[n]).padStart(10,"0")} 00000 n \n`);
+  put(`trailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(parts,{type:"application/pdf"});
+}
@@ -0,0 +1,69 @@
+// ── Reading quality: plausibility + outlier flags ─────────────────────────
+// Importers and the log form accept any number, so a reading is checked twice
+// before it can reach scoring:
+//   implausible — outside PLAUSIBLE[id] (or the diastolic bounds for BP)
+//   outlier     — modified z-score |x − median| / (1.4826·MAD) above Z_MAX
+//                 against the user's own readings of that metric, once there
+//                 are MIN_HIST of them. The scale never drops below SEM[id], so
+//                 a very steady history doesn't flag ordinary day-to-day noise.
+// Flagged readings are reviewed by the user; an excluded one keeps
+// {excluded:true, flag:reason} and stays in the log, but is never scored.
+import { MB, PLAUSIBLE, SEM } from "./metrics.js";
+
+export const Z_MAX=3.5;
+export const MIN_HIST=5;
+
+const fmt=(v,dp)=>+v.toFixed(dp);
+const median=xs=>{const s=[...xs].sort((a,b)=>a-b),h=s.length>>1;return s.length%2?s[h]:(s[h-1]+s[h])/2;};
+
+// Reason string when a reading cannot be real, else null
+export function implausibleReason(e){
+  const m=MB[e.metricId];if(!m)return null;
+  const check=(v,key,what)=>{
+    const[lo,hi]=PLAUSIBLE[key];
+    return v<lo||v>hi?`${what} ${v} ${m.unit} is outside the plausible ${lo}–${hi} ${m.unit} — a device glitch or a different unit?`:null;
+  };
+  return check(e.value,e.metricId,m.label)||(e.secondary!=null&&e.metricId==="bp"?check(e.secondary,"dbp","Diastolic"):null);
+}
+
+// {[key]:{med,scale,n}} per metric (and "dbp") from plausible, counted readings
+function historyStats(entries){
+  const vals={};
+  entries.forEach(e=>{
+    if(e.excluded||implausibleReason(e))return;
+    (vals[e.metricId]||=[]).push(e.value);
+    if(e.metricId==="bp"&&e.secondary!=null)(vals.dbp||=[]).push(e.secondary);
+  });
+  const out={};
+  Object.entries(vals).forEach(([k,xs])=>{
+    if(xs.length<MIN_HIST)return;
+    const med=median(xs),mad=median(xs.map(x=>Math.abs(x-med)));
+    out[k]={med,scale:Math.max(1.4826*mad,SEM[k]||0),n:xs.length};
+  });
+  return out;
+}
+
+function outlierReason(e,stats){
+  const m=MB[e.metricId];
+  const check=(v,key,what)=>{
+    const s=stats[key];
+    return s&&s.scale>0&&Math.abs(v-s.med)/s.scale>Z_MAX?`${what} ${v} ${m.unit} is far from your usual ${fmt(s.med,m.dp)} ${m.unit} (median of ${s.n} readings).`:null;
+  };
+  return check(e.value,e.metricId,m.label)||(e.secondary!=null&&e.metricId==="bp"?check(e.secondary,"dbp","Diastolic"):null);
+}
+
+// Flags for new readings against the user's history (the batch itself counts
+// towards the median, so a first import of a long history is checked too).
+// Readings that already carry a flag were reviewed before and are skipped.
+// → {[entry id]:{kind:"implausible"|"outlier",reason}}
+export function flagReadings(candidates,history){
+  const stats=historyStats([...history,...candidates]),flags={};
+  candidates.forEach(e=>{
+    if(e.flag||!MB[e.metricId])return;
+    const bad=implausibleReason(e);
+    if(bad){flags[e.id]={kind:"implausible",reason:bad};return;}
+    const odd=outlierReason(e,stats);
+    if(odd)flags[e.id]={kind:"outlier",reason:odd};
+  });
+  return flags;
+}
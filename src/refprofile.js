@@ -0,0 +1,102 @@
+// ── Custom reference profiles ─────────────────────────────────────────────
+// Clinicians can override the default optimal target, range bands and KDM
+// parameters per metric and sex. A profile only stores what was overridden:
+//
+//   {format,version,name,saved,metrics:{[id]:{female?:Ov,male?:Ov}}}
+//   Ov = {opt?:{min,max}, ranges?:[{label,lo,hi}], kdm?:{k,q,s}}
+//
+// "dbp" (diastolic) is a KDM-only key and only takes kdm. Range bands must keep
+// the default band count (scoring maps band i to a fixed score step) and be
+// ordered, contiguous and non-overlapping. The active profile is module state
+// so getM / the KDM core pick it up without threading it through every call.
+import { MB } from "./metrics.js";
+
+export const REF_FORMAT="bioage-reference-profile";
+export const REF_V=1;
+
+let active=null;
+export const activeRef=()=>active;
+export const setActiveRef=p=>{active=p&&Object.keys(p.metrics||{}).length?p:null;};
+export const refOverride=(id,sex)=>active?.metrics?.[id]?.[sex]||null;
+export const refLabel=()=>active?`Custom reference profile “${active.name||"Untitled"}”`:"";
+
+// Apply an override's opt / ranges to getM's per-sex copy, in place. Band colours
+// stay the defaults; the chart ceiling keeps room for an "over" band (sleep's
+// Long 9–12 h lives on the per-sex object, next to ranges).
+export function applyOverride(sc,ov){
+  if(ov?.ranges){
+    sc.ranges=ov.ranges.map((r,i)=>({...r,c:sc.ranges[i].c}));
+    sc.cMin=sc.ranges[0].lo;sc.cMax=Math.max(sc.ranges[sc.ranges.length-1].hi,sc.over?.hi??-Infinity);
+    delete sc.ageBand;delete sc.pct;
+  }
+  if(ov?.opt)sc.opt={...ov.opt};
+  if(ov?.opt||ov?.ranges)sc.custom=true;
+  return sc;
+}
+
+const num=v=>typeof v==="number"&&isFinite(v);
+const bandCount=(id,sex)=>(MB[id]?.[sex]||MB[id]?.female)?.ranges.length;
+
+// Band problems as user-facing strings; [] when valid
+export function rangeErrors(ranges,n){
+  if(!Array.isArray(ranges)||ranges.length!==n)return[`needs exactly ${n} bands`];
+  const err=[];
+  ranges.forEach((r,i)=>{
+    if(!String(r?.label||"").trim())err.push(`band ${i+1} has no label`);
+    if(!num(r?.lo)||!num(r?.hi)){err.push(`band ${i+1} needs numeric bounds`);return;}
+    if(r.lo>=r.hi)err.push(`band ${i+1}: low must be below high`);
+    const p=ranges[i-1];
+    if(i&&num(p?.hi)&&r.lo!==p.hi)err.push(r.lo<p.hi?`bands ${i} and ${i+1} overlap`:`gap between bands ${i} and ${i+1}`);
+  });
+  return err;
+}
+
+export function overrideErrors(id,sex,ov){
+  const err=[];
+  if(id!=="dbp"&&!MB[id])return[`unknown metric "${id}"`];
+  if(sex!=="female"&&sex!=="male")return[`unknown sex "${sex}"`];
+  // dbp has no MB entry, so the range / optimal checks below can't apply to it
+  if(id==="dbp"&&(ov.opt||ov.ranges))return["diastolic only takes KDM parameters"];
+  if(ov.ranges&&MB[id])err.push(...rangeErrors(ov.ranges,bandCount(id,sex)));
+  if(ov.opt&&MB[id]){
+    const{min,max}=ov.opt;
+    if(!num(min)||!num(max)||min>=max)err.push("optimal min must be below max");
+    else{
+      const R=ov.ranges&&!rangeErrors(ov.ranges,bandCount(id,sex)).length?ov.ranges:(MB[id][sex]||MB[id].female).ranges;
+      if(min<R[0].lo||max>R[R.length-1].hi)err.push(`optimal must lie within ${R[0].lo}–${R[R.length-1].hi}`);
+    }
+  }
+  if(ov.kdm){
+    const{k,q,s}=ov.kdm;
+    if(!num(k)||k===0)err.push("KDM slope k must be a non-zero number");
+    if(!num(q))err.push("KDM intercept q must be a number");
+    if(!num(s)||s<=0)err.push("KDM residual SD s must be positive");
+  }
+  return err;
+}
+
+// Every problem in a profile, prefixed "Glucose (female): …"
+export function profileErrors(p){
+  const err=[];
+  Object.entries(p?.metrics||{}).forEach(([id,bySex])=>Object.entries(bySex||{}).forEach(([sex,ov])=>{
+    const name=id==="dbp"?"Diastolic":MB[id]?.label||id;
+    overrideErrors(id,sex,ov||{}).forEach(e=>err.push(`${name} (${sex}): ${e}`));
+  }));
+  return err;
+}
+
+export function buildRefProfile(p){
+  return{format:REF_FORMAT,version:REF_V,name:p.name||"Untitled",saved:new Date().toISOString(),metrics:p.metrics||{}};
+}
+
+// Parse + validate a saved profile file's text
+export function parseRefProfile(text){
+  let p;
+  try{p=JSON.parse(text);}catch{throw new Error("This file is not valid JSON.");}
+  if(p?.format!==REF_FORMAT)throw new Error("Not a BioAge reference profile.");
+  if(p.version!==REF_V)throw new Error(`Unsupported reference profile version ${p.version}.`);
+  if(!p.metrics||typeof p.metrics!=="object")throw new Error("Reference profile has no metrics.");
+  const err=profileErrors(p);
+  if(err.length)throw new Error(`Reference profile is invalid:\n${err.join("\n")}`);
+  return{name:typeof p.name==="string"?p.name:"Untitled",metrics:p.metrics};
+}
@@ -0,0 +1,108 @@
+// ── Importer registry ─────────────────────────────────────────────────────
+// Every import format is one record here; ImportPanel tabs, instructions, the
+// preview badge, source badges on cards / log history / snapshot and the merge
+// rule in handleImport are all driven from it. Adding a source = adding a record.
+//
+//   id       tab + worker key               label   source name; entry note for devices
+//   icon     badge emoji                     tab     tab emoji, when it differs from icon
+//   badge    preview badge text (default label)
+//   prefix   entry id prefix ("ah" → ah_…)    file    drop-zone hint
+//   steps    [{t,d}] instructions            tip     optional notice above the steps
+//   busy     loading-screen subtitle
+//   detect(file)                → bool      cheap sniff: extension, header bytes or ZIP central directory
+//   parse(file,onProgress,opts) → {entries,counts,dSex,dDOB,…}
+//   worker   parse runs in parseWorker.js (large exports) rather than on the page
+//   merge    "device": re-import replaces that source's earlier readings, and a
+//            reading for the same metric + day; "id": adds by entry id (re-import is a no-op)
+//   mapping  parse returns {table} for the column-mapping step (csv.js)
+//   restore  preview offers merge vs replace-session (backups)
+// Detection runs in array order, which is also the tab order; the first match wins.
+import { parseAH, isAppleHealthZip, parseGF, isGoogleFitZip, parseGarmin, isGarminZip, parseFitbit, isFitbitZip, parseWithings, isWithingsZip, isWithingsCSV } from "./importers.js";
+import { isFHIRFile, parseFHIR, FHIR_METRICS } from "./fhir.js";
+import { isBackupFile, parseBackup } from "./backup.js";
+import { readTable } from "./csv.js";
+import { MB } from "./metrics.js";
+
+const ext=(file,...xs)=>xs.some(x=>file.name.toLowerCase().endsWith(x));
+
+export const IMPORTERS=[
+  {id:"apple",label:"Apple Health",icon:"⌘",tab:"📱",prefix:"ah",file:"export.zip",worker:true,merge:"device",
+    busy:"Streaming in 64 KB chunks — large exports take 15–30s.",
+    steps:[
+      {t:"Health app → Profile photo → Export All Health Data",d:"Confirm export. Large exports (>500 MB) take 30–60s to prepare."},
+      {t:"Share export.zip to your computer",d:"Tap Share → Save to Files, or AirDrop to Mac."},
+      {t:"Drop the ZIP or XML below",d:"Parsed in 64 KB chunks entirely in your browser."},
+    ],
+    detect:async f=>ext(f,".xml")||(ext(f,".zip")&&await isAppleHealthZip(f)),parse:parseAH},
+  {id:"garmin",label:"Garmin",icon:"🧭",prefix:"gm",file:"Garmin export ZIP",worker:true,merge:"device",
+    busy:"Reading Garmin wellness files…",
+    steps:[
+      {t:"Garmin Connect → Account → Data Management → Export Your Data",d:"Garmin emails a download link, usually within a few hours."},
+      {t:"Download and drop the ZIP below",d:"VO₂ Max, resting heart rate and body composition are read from the DI_CONNECT JSON files."},
+    ],
+    detect:async f=>ext(f,".zip")&&await isGarminZip(f),parse:parseGarmin},
+  {id:"fitbit",label:"Fitbit",icon:"⌚",prefix:"fb",file:"takeout-*.zip",worker:true,merge:"device",
+    busy:"Reading Fitbit daily files…",
+    steps:[
+      {t:"Go to takeout.google.com → select Fitbit only",d:"Older accounts: fitbit.com → Settings → Data Export → Request Data."},
+      {t:"Download and drop the ZIP below",d:"Resting heart rate, cardio fitness (VO₂ Max) and body fat are imported; sex and birth date come from your profile."},
+    ],
+    detect:async f=>ext(f,".zip")&&await isFitbitZip(f),parse:parseFitbit},
+  {id:"google",label:"Google Fit",icon:"📊",prefix:"gf",file:"takeout-*.zip",worker:true,merge:"device",
+    busy:"Processing Google Fit JSON files…",
+    tip:"📌 Google Fit VO₂ Max is device-dependent. If unavailable, log it manually after importing.",
+    steps:[
+      {t:"Go to takeout.google.com",d:"Sign in with your Google account."},
+      {t:"Deselect all → select Fit only → choose 'All Fit data'",d:"Export format: ZIP. Any file size is supported."},
+      {t:"Download and drop the ZIP below",d:"We'll find all Health data JSON files automatically."},
+    ],
+    detect:async f=>ext(f,".zip")&&await isGoogleFitZip(f),parse:parseGF},
+  {id:"withings",label:"Withings",icon:"⚖",prefix:"wt",file:"Withings ZIP or CSV",worker:true,merge:"device",
+    busy:"Reading Withings CSV…",
+    steps:[
+      {t:"Withings web app → Profile → Settings → Download my data",d:"You'll get a ZIP of CSV files by email."},
+      {t:"Drop the ZIP — or just weight.csv / bp.csv — below",d:"Body fat % and blood pressure are imported."},
+    ],
+    detect:async f=>ext(f,".zip")?await isWithingsZip(f):await isWithingsCSV(f),parse:parseWithings},
+  {id:"fhir",label:"FHIR",icon:"🏥",badge:"FHIR R4",prefix:"fhir",file:"fhir-bundle.json",merge:"id",
+    busy:"Reading FHIR Observations…",
+    steps:[
+      {t:"Patient portal → Download / share health record",d:"Choose FHIR or JSON format (R4 Bundle, single Observation or bulk NDJSON)."},
+      {t:"Drop the .json file below",d:`LOINC-coded ${FHIR_METRICS.map(id=>MB[id].label).join(", ")} readings are imported; sex and birth date come from the Patient record.`},
+    ],
+    detect:isFHIRFile,parse:f=>parseFHIR(f)},
+  {id:"backup",label:"Backup",icon:"💾",badge:"BioAge Backup",file:"bioage-backup.json",merge:"id",restore:true,
+    busy:"Validating backup…",
+    steps:[
+      {t:"Dashboard → 💾 Export",d:"Download a backup file, optionally passphrase-encrypted."},
+      {t:"Drop the bioage-backup-*.json below",d:"You'll see a preview and choose to merge or replace."},
+    ],
+    detect:isBackupFile,parse:(f,_,o)=>parseBackup(f,o?.passphrase)},
+  // Last: any other spreadsheet goes to column mapping
+  {id:"csv",label:"CSV",icon:"📄",prefix:"csv",file:"results.csv",merge:"id",mapping:true,
+    busy:"Reading spreadsheet…",
+    steps:[
+      {t:"Export or save your lab / clinic results as CSV or TSV",d:"One reading per row with a header line — e.g. Date, Test, Result, Unit."},
+      {t:"Drop the file below and map its columns",d:"mmol/L glucose, kPa and body fat fractions are converted automatically."},
+      {t:"Review rejected rows, then merge",d:"Rows with unreadable dates, unknown metrics or wrong units are flagged, not imported."},
+    ],
+    detect:async f=>ext(f,".csv",".tsv",".txt"),parse:async f=>({table:await readTable(f)})},
+];
+
+export const ACCEPT=".zip,.xml,.json,.ndjson,.csv,.tsv,.txt";
+export const importerById=id=>IMPORTERS.find(i=>i.id===id)||null;
+export const importerByLabel=label=>IMPORTERS.find(i=>i.label===label)||null;
+
+export async function detectImporter(file){
+  for(const imp of IMPORTERS)if(await imp.detect(file))return imp;
+  return null;
+}
+
+// Where an entry came from: device imports carry the source label in note,
+// CSV / FHIR rows keep the user's note and are known by their id prefix.
+export function sourceOf(e){
+  return IMPORTERS.find(i=>i.merge==="device"&&e.note===i.label)
+    ||IMPORTERS.find(i=>i.prefix&&i.merge!=="device"&&String(e.id).startsWith(`${i.prefix}_`))
+    ||null;
+}
+export const isDeviceEntry=e=>sourceOf(e)?.merge==="device";
@@ -0,0 +1,93 @@
+// ── Shareable summary links ───────────────────────────────────────────────
+// A share link carries a small summary in the URL fragment, which browsers
+// never send to a server, so a friend or coach can open it without an upload.
+// The sender picks every field; anything not picked is simply absent. The
+// summary can be AES-GCM encrypted under a PBKDF2 passphrase key (same scheme
+// as the vault and backups).
+//
+//   Summary: {v,at,ba?,ci?:[lo,hi],algo?,age?,sex?,eth?,ref?,metrics?:{[id]:M}}
+//   M = {s,c,v?,v2?}   score 0–100, category label, rounded value / diastolic
+//   #share=p.<json>                      plain     (base64url)
+//   #share=e.<iter>.<salt>.<iv>.<ct>     encrypted (base64url fields)
+import { MK } from "./metrics.js";
+import { deriveKey, PBKDF2_ITER } from "./vault.js";
+
+export const SHARE_V=1;
+const TAG="#share=";
+
+const b64u=u8=>{let s="";u8.forEach(b=>{s+=String.fromCharCode(b);});return btoa(s).replace(/\+/g,"-").replace(/\//g,"_").replace(/=+$/,"");};
+const unb64u=s=>Uint8Array.from(atob(s.replace(/-/g,"+").replace(/_/g,"/")),c=>c.charCodeAt(0));
+
+// Values are shared to 2 significant-ish figures: 97 mg/dL, 23 %, 4.4 g/dL
+export const roundForShare=v=>Math.abs(v)>=10?Math.round(v):Math.round(v*10)/10;
+
+// Fragment body (after "#share=") of a location.hash, or null
+export const shareFragment=hash=>hash?.startsWith(TAG)&&hash.length>TAG.length?hash.slice(TAG.length):null;
+export const isEncryptedShare=frag=>frag.startsWith("e.");
+
+// summary → full link on the current page
+export async function buildShareLink(summary,passphrase){
+  const body=new TextEncoder().encode(JSON.stringify({...summary,v:SHARE_V}));
+  const base=`${location.origin}${location.pathname}${TAG}`;
+  if(!passphrase)return`${base}p.${b64u(body)}`;
+  const salt=crypto.getRandomValues(new Uint8Array(16)),iv=crypto.getRandomValues(new Uint8Array(12));
+  const key=await deriveKey(passphrase,salt,PBKDF2_ITER);
+  const ct=new Uint8Array(await crypto.subtle.encrypt({name:"AES-GCM",iv},key,body));
+  return`${base}e.${PBKDF2_ITER}.${b64u(salt)}.${b64u(iv)}.${b64u(ct)}`;
+}
+
+const DATE_RE=/^\d{4}-\d{2}-\d{2}$/;
+const num=v=>typeof v==="number"&&isFinite(v);
+const str=(v,max=40)=>typeof v==="string"&&v.length>0&&v.length<=max;
+// Keep only well-formed fields — a link is untrusted input
+function checkSummary(s){
+  if(!s||typeof s!=="object")throw new Error("This share link is damaged or incomplete.");
+  if(s.v!==SHARE_V)throw new Error(`Unsupported share link version ${s.v}.`);
+  if(typeof s.at!=="string"||!DATE_RE.test(s.at))throw new Error("This share link is damaged or incomplete.");
+  const out={at:s.at};
+  if(num(s.ba)){
+    out.ba=s.ba;
+    if(Array.isArray(s.ci)&&s.ci.length===2&&s.ci.every(num))out.ci=s.ci;
+    if(str(s.algo,16))out.algo=s.algo;
+  }
+  if(Number.isInteger(s.age)&&s.age>0&&s.age<=120)out.age=s.age;
+  if(s.sex==="female"||s.sex==="male")out.sex=s.sex;
+  if(str(s.eth,24))out.eth=s.eth;
+  if(s.ref===true)out.ref=true;
+  if(s.metrics&&typeof s.metrics==="object"){
+    const ms={};
+    MK.forEach(id=>{
+      const m=s.metrics[id];
+      if(!m||!Number.isInteger(m.s)||m.s<0||m.s>100||!str(m.c))return;
+      ms[id]={s:m.s,c:m.c};
+      if(num(m.v))ms[id].v=m.v;
+      if(num(m.v)&&num(m.v2))ms[id].v2=m.v2;
+    });
+    if(Object.keys(ms).length)out.metrics=ms;
+  }
+  if(out.ba==null&&out.age==null&&!out.metrics)throw new Error("This share link has nothing to show.");
+  return out;
+}
+
+// Fragment → validated summary. Encrypted links without a passphrase throw an
+// error with .needsPassphrase set so the viewer can prompt and retry.
+export async function readShare(frag,passphrase){
+  const damaged=()=>new Error("This share link is damaged or incomplete.");
+  let body;
+  if(frag.startsWith("p.")){
+    try{body=unb64u(frag.slice(2));}catch{throw damaged();}
+  }else if(isEncryptedShare(frag)){
+    if(!passphrase){const e=new Error("This link is passphrase-protected.");e.needsPassphrase=true;throw e;}
+    const[,iter,...parts]=frag.split(".");
+    let salt,iv,ct;
+    try{[salt,iv,ct]=parts.map(unb64u);}catch{throw damaged();}
+    // a forged iteration count must not hang the page
+    if(!ct||!Number.isInteger(+iter)||+iter<1||+iter>4*PBKDF2_ITER)throw damaged();
+    const key=await deriveKey(passphrase,salt,+iter);
+    try{body=new Uint8Array(await crypto.subtle.decrypt({name:"AES-GCM",iv},key,ct));}
+    catch{const e=new Error("Wrong passphrase.");e.needsPassphrase=true;throw e;}
+  }else throw new Error("Not a BioAge share link.");
+  let s;
+  try{s=JSON.parse(new TextDecoder().decode(body));}catch{throw damaged();}
+  return checkSummary(s);
+}
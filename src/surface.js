@@ -0,0 +1,113 @@
+// ── Drawing surfaces ──────────────────────────────────────────────────────
+// The snapshot layout draws through this small vector API, so one layout
+// produces either a canvas (exported as JPEG / PNG) or an SVG document that
+// stays crisp at any zoom. Coordinates are pixels, y down; colours may carry
+// an alpha byte (#rrggbbaa).
+//
+//   rect(x,y,w,h,{fill,stroke,lw,r})        r = corner radius
+//   line(pts,{stroke,lw,dash,alpha})        open polyline, pts = [[x,y],…]
+//   poly(pts,{fill,fade})                   closed shape; fade = [topAlpha,bottomAlpha]
+//                                           turns fill into a vertical gradient
+//   circle(x,y,r,{fill,stroke,lw})
+//   arc(x,y,r,a0,a1,{stroke,lw})            radians, clockwise from 3 o'clock
+//   text(s,x,y,{font,fill,align})           y = baseline, align left | center | right
+//   measure(s,font) → width in px
+//   done() → HTMLCanvasElement (canvasSurface) | SVG markup string (svgSurface)
+
+let mctx=null;
+const measure=(s,font)=>{
+  mctx||=document.createElement("canvas").getContext("2d");
+  mctx.font=font;return mctx.measureText(String(s)).width;
+};
+
+function roundRect(ctx,x,y,w,h,r){
+  r=Math.min(r,w/2,h/2);ctx.beginPath();
+  ctx.moveTo(x+r,y);ctx.lineTo(x+w-r,y);ctx.arcTo(x+w,y,x+w,y+r,r);
+  ctx.lineTo(x+w,y+h-r);ctx.arcTo(x+w,y+h,x+w-r,y+h,r);
+  ctx.lineTo(x+r,y+h);ctx.arcTo(x,y+h,x,y+h-r,r);
+  ctx.lineTo(x,y+r);ctx.arcTo(x,y,x+r,y,r);ctx.closePath();
+}
+
+// scale renders at scale× the layout size (sharper raster exports)
+export function canvasSurface(W,H,scale=1){
+  const cv=document.createElement("canvas");cv.width=Math.round(W*scale);cv.height=Math.round(H*scale);
+  const ctx=cv.getContext("2d");ctx.scale(scale,scale);
+  const trace=pts=>{ctx.beginPath();pts.forEach(([x,y],i)=>i?ctx.lineTo(x,y):ctx.moveTo(x,y));};
+  const stroke=({stroke,lw=1,dash,alpha})=>{
+    if(!stroke)return;
+    ctx.save();ctx.strokeStyle=stroke;ctx.lineWidth=lw;ctx.lineJoin="round";
+    if(dash)ctx.setLineDash(dash);if(alpha!=null)ctx.globalAlpha=alpha;
+    ctx.stroke();ctx.restore();
+  };
+  return{
+    W,H,measure,
+    rect(x,y,w,h,o={}){
+      if(o.r)roundRect(ctx,x,y,w,h,o.r);else{ctx.beginPath();ctx.rect(x,y,w,h);}
+      if(o.fill){ctx.fillStyle=o.fill;ctx.fill();}
+      stroke(o);
+    },
+    line(pts,o={}){if(pts.length<2)return;trace(pts);stroke(o);},
+    poly(pts,{fill,fade}={}){
+      if(pts.length<3||!fill)return;
+      trace(pts);ctx.closePath();
+      if(fade){
+        const ys=pts.map(p=>p[1]),g=ctx.createLinearGradient(0,Math.min(...ys),0,Math.max(...ys));
+        const a=v=>fill.substring(0,7)+Math.round(v*255).toString(16).padStart(2,"0");
+        g.addColorStop(0,a(fade[0]));g.addColorStop(1,a(fade[1]));ctx.fillStyle=g;
+      }else ctx.fillStyle=fill;
+      ctx.fill();
+    },
+    circle(x,y,r,o={}){
+      ctx.beginPath();ctx.arc(x,y,r,0,Math.PI*2);
+      if(o.fill){ctx.fillStyle=o.fill;ctx.fill();}
+      stroke(o);
+    },
+    arc(x,y,r,a0,a1,o={}){ctx.beginPath();ctx.arc(x,y,r,a0,a1);stroke(o);},
+    text(s,x,y,{font="10px monospace",fill="#000",align="left"}={}){
+      ctx.font=font;ctx.fillStyle=fill;ctx.textAlign=align;ctx.fillText(String(s),x,y);ctx.textAlign="left";
+    },
+    done:()=>cv,
+  };
+}
+
+const esc=s=>String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+const n=v=>+v.toFixed(2);
+// #rrggbbaa → colour + opacity attributes, which every SVG viewer understands
+const paint=(attr,c)=>{
+  if(!c)return`${attr}="none"`;
+  const m=/^(#[0-9a-f]{6})([0-9a-f]{2})$/i.exec(c);
+  return m?`${attr}="${m[1]}" ${attr}-opacity="${n(parseInt(m[2],16)/255)}"`:`${attr}="${c}"`;
+};
+const strokeAttrs=({stroke,lw=1,dash,alpha})=>
+  stroke?`${paint("stroke",stroke)} stroke-width="${lw}" stroke-linejoin="round"${dash?` stroke-dasharray="${dash.join(" ")}"`:""}${alpha!=null?` opacity="${alpha}"`:""}`:`stroke="none"`;
+
+export function svgSurface(W,H){
+  const out=[],defs=[];let gid=0;
+  const d=pts=>pts.map(([x,y],i)=>`${i?"L":"M"}${n(x)} ${n(y)}`).join("");
+  return{
+    W,H,measure,
+    rect(x,y,w,h,o={}){
+      out.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}"${o.r?` rx="${Math.min(o.r,w/2,h/2)}"`:""} ${paint("fill",o.fill)} ${strokeAttrs(o)}/>`);
+    },
+    line(pts,o={}){if(pts.length<2)return;out.push(`<path d="${d(pts)}" fill="none" ${strokeAttrs(o)}/>`);},
+    poly(pts,{fill,fade}={}){
+      if(pts.length<3||!fill)return;
+      if(fade){
+        const id=`g${gid++}`,c=fill.substring(0,7);
+        defs.push(`<linearGradient id="${id}" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${c}" stop-opacity="${fade[0]}"/><stop offset="1" stop-color="${c}" stop-opacity="${fade[1]}"/></linearGradient>`);
+        out.push(`<path d="${d(pts)}Z" fill="url(#${id})"/>`);
+      }else out.push(`<path d="${d(pts)}Z" ${paint("fill",fill)}/>`);
+    },
+    circle(x,y,r,o={}){out.push(`<circle cx="${n(x)}" cy="${n(y)}" r="${r}" ${paint("fill",o.fill)} ${strokeAttrs(o)}/>`);},
+    arc(x,y,r,a0,a1,o={}){
+      const p=a=>`${n(x+r*Math.cos(a))} ${n(y+r*Math.sin(a))}`;
+      if(a1-a0>=Math.PI*2-1e-6){out.push(`<circle cx="${n(x)}" cy="${n(y)}" r="${r}" fill="none" ${strokeAttrs(o)}/>`);return;}
+      out.push(`<path d="M${p(a0)}A${r} ${r} 0 ${a1-a0>Math.PI?1:0} 1 ${p(a1)}" fill="none" ${strokeAttrs(o)}/>`);
+    },
+    text(s,x,y,{font="10px monospace",fill="#000",align="left"}={}){
+      const anchor=align==="right"?"end":align==="center"?"middle":"start";
+      out.push(`<text x="${n(x)}" y="${n(y)}" text-anchor="${anchor}" style="font:${esc(font)};white-space:pre" ${paint("fill",fill)}>${esc(s)}</text>`);
+    },
+    done:()=>`<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">${defs.length?`<defs>${defs.join("")}</defs>`:""}${out.join("")}</svg>`,
+  };
+}
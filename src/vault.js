@@ -0,0 +1,68 @@
+// ── Encrypted on-device vault (opt-in "Remember on this device") ──────────
+// Health entries are session-only by default. When the user opts in, they are
+// written to IndexedDB as a single AES-GCM ciphertext keyed from a passphrase
+// via PBKDF2-SHA256. The passphrase and derived key never touch storage — the
+// key lives in memory for the session only, so a locked vault is unreadable
+// without the passphrase. Nothing here ever leaves the device.
+const DB_NAME="bioage",STORE="vault",REC="entries",VAULT_V=1;
+export const PBKDF2_ITER=310000; // OWASP 2023 recommendation for PBKDF2-HMAC-SHA256
+
+const idb=()=>new Promise((res,rej)=>{
+  const rq=indexedDB.open(DB_NAME,1);
+  rq.onupgradeneeded=()=>rq.result.createObjectStore(STORE);
+  rq.onsuccess=()=>res(rq.result);
+  rq.onerror=()=>rej(rq.error);
+});
+const tx=async(mode,fn)=>{
+  const db=await idb();
+  try{
+    return await new Promise((res,rej)=>{
+      const t=db.transaction(STORE,mode);const rq=fn(t.objectStore(STORE));
+      t.oncomplete=()=>res(rq?.result);t.onerror=()=>rej(t.error);
+    });
+  }finally{db.close();}
+};
+
+// Shared with backup.js for passphrase-encrypted export files
+export async function deriveKey(passphrase,salt,iterations=PBKDF2_ITER){
+  const base=await crypto.subtle.importKey("raw",new TextEncoder().encode(passphrase),"PBKDF2",false,["deriveKey"]);
+  return crypto.subtle.deriveKey({name:"PBKDF2",salt,iterations,hash:"SHA-256"},base,{name:"AES-GCM",length:256},false,["encrypt","decrypt"]);
+}
+
+export async function vaultExists(){
+  if(typeof indexedDB==="undefined")return false;
+  try{return !!(await tx("readonly",s=>s.get(REC)));}catch{return false;}
+}
+
+// Encrypt and store entries. session = {key,salt} from createVault/unlockVault.
+export async function saveVault(session,entries){
+  const iv=crypto.getRandomValues(new Uint8Array(12));
+  const ct=await crypto.subtle.encrypt({name:"AES-GCM",iv},session.key,new TextEncoder().encode(JSON.stringify(entries)));
+  await tx("readwrite",s=>s.put({v:VAULT_V,salt:session.salt,iv,ct,saved:new Date().toISOString()},REC));
+}
+
+export async function createVault(passphrase,entries){
+  const salt=crypto.getRandomValues(new Uint8Array(16));
+  const session={key:await deriveKey(passphrase,salt),salt};
+  await saveVault(session,entries);
+  return session;
+}
+
+// Returns {session,entries}. AES-GCM authentication fails on a wrong passphrase.
+export async function unlockVault(passphrase){
+  const rec=await tx("readonly",s=>s.get(REC));
+  if(!rec)throw new Error("No saved data on this device.");
+  if(rec.v!==VAULT_V)throw new Error(`Unsupported vault version ${rec.v}.`);
+  const key=await deriveKey(passphrase,rec.salt);
+  let pt;
+  try{pt=await crypto.subtle.decrypt({name:"AES-GCM",iv:rec.iv},key,rec.ct);}
+  catch{throw new Error("Wrong passphrase.");}
+  return{session:{key,salt:rec.salt},entries:JSON.parse(new TextDecoder().decode(pt))};
+}
+
+export function wipeVault(){
+  return new Promise((res,rej)=>{
+    const rq=indexedDB.deleteDatabase(DB_NAME);
+    rq.onsuccess=()=>res();rq.onerror=()=>rej(rq.error);rq.onblocked=()=>res();
+  });
+}
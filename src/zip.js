@@ -0,0 +1,91 @@
+// ── Blob-backed ZIP reader ────────────────────────────────────────────────
+// Shared by every importer. Only the End of Central Directory record and the
+// central directory are read (via Blob.slice); entry data is then pulled from
+// disk in 64 KB slices on demand. Peak memory is the central directory plus a
+// chunk or two in flight, however large the archive.
+//
+// Sizes and offsets always come from the central directory, never from local
+// file headers. iOS writes 0 for both sizes in local headers (data descriptors,
+// general-purpose flag bit 3), so anything that walks local headers breaks.
+const ZIP_CHUNK=65536;
+const SIG_LOCAL=0x04034b50,SIG_CD=0x02014b50,SIG_EOCD=0x06054b50,SIG_Z64_EOCD=0x06064b50,SIG_Z64_LOC=0x07064b50;
+const readView=async(file,off,len)=>new DataView(await file.slice(off,off+len).arrayBuffer());
+
+// List entries from the central directory:
+//   [{name,compression,compSize,uncompSize,localOff,zip64,dataDescriptor,dir}]
+//   compression    — 0 stored, 8 deflate (others are listed but cannot be opened)
+//   zip64          — any of the sizes/offset came from the ZIP64 extra field
+//   dataDescriptor — flag bit 3 set; local header sizes are 0 for this entry
+export async function listZipEntries(file){
+  // 1. Find End of Central Directory (EOCD) — scan the tail backwards for its signature
+  const tailLen=Math.min(file.size,65558),tailOff=file.size-tailLen;
+  const tail=await readView(file,tailOff,tailLen);
+  let eocd=-1;
+  for(let i=tailLen-22;i>=0;i--){
+    if(tail.getUint32(i,true)===SIG_EOCD){eocd=i;break;}
+  }
+  if(eocd===-1)throw new Error("Not a valid ZIP file — EOCD record not found.");
+
+  // 2. Central directory offset & size (with ZIP64 fallback)
+  let cdOffset=tail.getUint32(eocd+16,true),cdSize=tail.getUint32(eocd+12,true);
+  if(eocd>=20&&tail.getUint32(eocd-20,true)===SIG_Z64_LOC){
+    const z64off=Number(tail.getBigUint64(eocd-20+8,true));
+    if(z64off+56<=file.size){
+      const z64=await readView(file,z64off,56);
+      if(z64.getUint32(0,true)===SIG_Z64_EOCD){cdSize=Number(z64.getBigUint64(40,true));cdOffset=Number(z64.getBigUint64(48,true));}
+    }
+  }
+  if(cdOffset+cdSize>file.size)throw new Error("Not a valid ZIP file — central directory is truncated.");
+
+  // 3. Walk the central directory
+  const view=await readView(file,cdOffset,cdSize);
+  const bytes=new Uint8Array(view.buffer);
+  const u32=o=>view.getUint32(o,true),u16=o=>view.getUint16(o,true),u64=o=>Number(view.getBigUint64(o,true));
+  const tdec=new TextDecoder();
+  const out=[];let pos=0;
+  while(pos+46<=cdSize){
+    if(u32(pos)!==SIG_CD)break;
+    let compSize=u32(pos+20),uncompSize=u32(pos+24),localOff=u32(pos+42),zip64=false;
+    const flags=u16(pos+8),compression=u16(pos+10),fnLen=u16(pos+28),extraLen=u16(pos+30),commentLen=u16(pos+32);
+    const name=tdec.decode(bytes.subarray(pos+46,pos+46+fnLen));
+
+    // Resolve ZIP64 extended fields in extra area — only the fields that are
+    // 0xFFFFFFFF in the fixed record are present, in this order.
+    if(compSize===0xFFFFFFFF||uncompSize===0xFFFFFFFF||localOff===0xFFFFFFFF){
+      let ep=pos+46+fnLen;const epEnd=ep+extraLen;
+      while(ep+4<=epEnd){
+        const eid=u16(ep),esz=u16(ep+2);ep+=4;
+        if(eid===0x0001){
+          if(uncompSize===0xFFFFFFFF){uncompSize=u64(ep);ep+=8;}
+          if(compSize===0xFFFFFFFF){compSize=u64(ep);ep+=8;}
+          if(localOff===0xFFFFFFFF){localOff=u64(ep);}
+          zip64=true;break;
+        }
+        ep+=esz;
+      }
+    }
+    out.push({name,compression,compSize,uncompSize,localOff,zip64,dataDescriptor:(flags&0x8)!==0,dir:name.endsWith("/")});
+    pos+=46+fnLen+extraLen+commentLen;
+  }
+  return out;
+}
+
+// Open a ZIP entry (from listZipEntries) as a ReadableStream of uncompressed
+// bytes. The local header is only consulted for its variable-length name/extra
+// fields. onRead(bytesRead,compSize) reports progress in compressed bytes.
+export async function openZipEntry(file,entry,onRead){
+  if(entry.compression!==0&&entry.compression!==8)throw new Error(`Unsupported ZIP compression method ${entry.compression}. Expected Deflate (8).`);
+  const lh=await readView(file,entry.localOff,30);
+  if(lh.getUint32(0,true)!==SIG_LOCAL)throw new Error("Invalid local file header.");
+  const start=entry.localOff+30+lh.getUint16(26,true)+lh.getUint16(28,true);
+  let read=0;
+  const raw=new ReadableStream({
+    async pull(ctl){
+      if(read>=entry.compSize){ctl.close();return;}
+      const end=Math.min(read+ZIP_CHUNK,entry.compSize);
+      ctl.enqueue(new Uint8Array(await file.slice(start+read,start+end).arrayBuffer()));
+      read=end;if(onRead)onRead(read,entry.compSize);
+    },
+  },{highWaterMark:1});
+  return entry.compression===8?raw.pipeThrough(new DecompressionStream("deflate-raw")):raw;
+}
@@ -0,0 +1,107 @@
+// ── fhir.js: portal downloads in, Bundle out ─────────────────────────────
+// Fixtures: fhir-bundle.json (searchset Bundle), fhir-observation.json (a bare
+// Observation), fhir.ndjson (bulk-data export) and fhir-bp.json (stand-alone
+// systolic / diastolic Observations).
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { isFHIRFile, parseFHIR, buildFHIRBundle, inFHIRExport } from "../src/fhir.js";
+
+const fixture=name=>new File([readFileSync(new URL(`./fixtures/${name}`,import.meta.url))],name);
+const byId=entries=>Object.fromEntries(entries.map(e=>[e.id,e]));
+
+test("all three shapes are sniffed as FHIR", async()=>{
+  for(const n of ["fhir-bundle.json","fhir-observation.json","fhir.ndjson"])assert.equal(await isFHIRFile(fixture(n)),true,n);
+  assert.equal(await isFHIRFile(new File(['{"format":"bioage-backup"}'],"backup.json")),false);
+});
+
+test("blood pressure: panel components, and separate 8480-6 / 8462-4 paired by date", async()=>{
+  const{entries}=await parseFHIR(fixture("fhir-bundle.json"));
+  const bp=entries.filter(e=>e.metricId==="bp").map(e=>[e.date,e.value,e.secondary]);
+  assert.deepEqual(bp.sort(),[["2024-04-01",122,78],["2024-04-02",131,85]]);
+});
+
+test("separate BP readings pair by timestamp: two a day both kept, a lone diastolic skipped", async()=>{
+  const r=await parseFHIR(fixture("fhir-bp.json"));
+  assert.deepEqual(r.entries.map(e=>[e.id,e.date,e.value,e.secondary]),[
+    ["fhir_bp_2024-04-03_sys-am","2024-04-03",128,82],
+    ["fhir_bp_2024-04-03_sys-pm","2024-04-03",119,76],
+    ["fhir_bp_2024-04-05_sys-lone","2024-04-05",125,undefined],
+  ]);
+  assert.equal(r.skipped,1);
+});
+
+test("units are normalised to the metric's unit", async()=>{
+  const e=byId((await parseFHIR(fixture("fhir-bundle.json"))).entries);
+  assert.equal(e["fhir_glucose_2024-04-01_glu"].value,97);            // 5.4 mmol/L
+  assert.equal(e["fhir_creatinine_2024-04-01_creat"].value,0.9);      // 79.6 µmol/L
+  assert.equal(e["fhir_bp_2024-04-02_sys-only"].secondary,85);        // 11.3 kPa
+  const nd=byId((await parseFHIR(fixture("fhir.ndjson"))).entries);
+  assert.equal(nd["fhir_bodyfat_2024-02-21_bf"].value,21.5);          // 0.215 fraction
+});
+
+test("undated, unconvertible, entered-in-error and unknown-code observations are left out", async()=>{
+  const r=await parseFHIR(fixture("fhir-bundle.json"));
+  assert.equal(r.entries.some(e=>e.metricId==="rhr"),false);
+  assert.equal(r.skipped,1);                                           // the undated RHR
+  assert.deepEqual(r.counts,{bp:2,glucose:1,creatinine:1});
+  const nd=await parseFHIR(fixture("fhir.ndjson"));
+  assert.equal(nd.skipped,1);                                          // glucose in grams
+  assert.equal(nd.entries.some(e=>e.metricId==="glucose"),false);
+});
+
+test("Patient supplies sex and birth date; a bare Observation reads on its own", async()=>{
+  const b=await parseFHIR(fixture("fhir-bundle.json"));
+  assert.deepEqual([b.dSex,b.dDOB],["female","1975-06-15"]);
+  const nd=await parseFHIR(fixture("fhir.ndjson"));
+  assert.deepEqual([nd.dSex,nd.dDOB],["male","1968-11-02"]);
+  const o=await parseFHIR(fixture("fhir-observation.json"));
+  assert.deepEqual(o.entries.map(e=>[e.metricId,e.date,e.value]),[["rhr","2024-05-10",57]]);
+});
+
+test("not FHIR, or nothing usable", async()=>{
+  await assert.rejects(parseFHIR(new File(["{nope"],"x.json")),/not valid FHIR JSON/);
+  await assert.rejects(parseFHIR(new File(['{"resourceType":"Patient","gender":"male"}'],"x.json")),/No supported Observations found/);
+});
+
+test("export → import keeps ids, dates, values, diastolic and notes", async()=>{
+  const entries=[
+    {id:"e1",metricId:"bp",value:124,secondary:81,date:"2024-06-01",note:"left arm"},
+    {id:"e2",metricId:"bp",value:118,date:"2024-06-02",note:""},
+    {id:"e3",metricId:"glucose",value:92,date:"2024-06-01",note:""},
+    {id:"e4",metricId:"hdl",value:61,date:"2024-06-01",note:""},
+    {id:"e5",metricId:"crp",value:0.8,date:"2024-06-03",note:""},
+  ];
+  const bundle=buildFHIRBundle(entries,{sex:"male"});
+  assert.equal(bundle.entry.length,entries.length+1);
+  const back=await parseFHIR(new File([JSON.stringify(bundle)],"bioage-fhir.json"));
+  assert.deepEqual(back.entries.sort((a,b)=>a.id.localeCompare(b.id)),entries);
+  assert.equal(back.dSex,"male");
+  assert.equal(back.skipped,0);
+});
+
+test("grip strength and walking speed are left out of the bundle", ()=>{
+  const entries=[
+    {id:"g1",metricId:"grip",value:31,date:"2024-06-01",note:""},
+    {id:"w1",metricId:"gait",value:1.3,date:"2024-06-01",note:""},
+    {id:"r1",metricId:"rhr",value:58,date:"2024-06-01",note:""},
+  ];
+  assert.deepEqual(entries.filter(e=>!inFHIRExport(e)).map(e=>e.id),["g1","w1"]);
+  const obs=buildFHIRBundle(entries,null).entry.filter(x=>x.resource.resourceType==="Observation");
+  assert.deepEqual(obs.map(x=>x.resource.identifier[0].value),["r1"]);
+});
+
+test("excluded readings are marked in the bundle and stay excluded on re-import", async()=>{
+  const entries=[
+    {id:"x1",metricId:"rhr",value:180,date:"2024-06-01",note:"",flag:"180 bpm is not a plausible resting heart rate.",excluded:true},
+    {id:"x2",metricId:"glucose",value:140,date:"2024-06-02",note:"after lunch",flag:"Unusually high for you (z 4.1)."},
+    {id:"x3",metricId:"rhr",value:60,date:"2024-06-03",note:""},
+  ];
+  const obs=buildFHIRBundle(entries,null).entry.map(x=>x.resource).filter(r=>r.resourceType==="Observation");
+  assert.equal(obs[0].meta.tag[0].code,"excluded");
+  assert.match(obs[0].interpretation[0].text,/Excluded from scoring.*180 bpm/);
+  assert.equal(obs[1].meta,undefined);
+  assert.equal(obs[2].extension,undefined);
+  const back=await parseFHIR(new File([JSON.stringify({resourceType:"Bundle",entry:obs.map(resource=>({resource}))})],"b.json"));
+  assert.deepEqual(back.entries.sort((a,b)=>a.id.localeCompare(b.id)),entries);
+});
@@ -0,0 +1,74 @@
+// ── ZIP fixture writer ────────────────────────────────────────────────────
+// Regenerates the small archives in this folder: `node test/fixtures/make-zips.mjs`.
+// Written by hand rather than with a zip tool so each layout the reader has to
+// cope with is pinned down byte for byte:
+//
+//   stored.zip     method 0, plus a directory entry and a 1 KB archive comment
+//   deflate.zip    method 8
+//   descriptor.zip method 8, flag bit 3 — local header sizes/CRC are 0 and a
+//                  data descriptor follows the data (what iOS writes)
+//   zip64.zip      sizes and offset only in the ZIP64 extra field, and the
+//                  central directory found via the ZIP64 EOCD locator
+//   method12.zip   bzip2 method id (not supported by the reader)
+//   renamed.zip    Apple Health export re-zipped from a renamed folder, with a
+//                  macOS __MACOSX/ resource fork alongside
+import { writeFileSync } from "node:fs";
+import { deflateRawSync, crc32 } from "node:zlib";
+
+export const XML=`<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="en_US">
+ <Me HKCharacteristicTypeIdentifierDateOfBirth="1980-05-01" HKCharacteristicTypeIdentifierBiologicalSex="HKBiologicalSexFemale"/>
+ <Record type="HKQuantityTypeIdentifierRestingHeartRate" unit="count/min" startDate="2024-03-01 07:00:00 +0000" value="58"/>
+ <Record type="HKQuantityTypeIdentifierRestingHeartRate" unit="count/min" startDate="2024-03-02 07:00:00 +0000" value="60"/>
+</HealthData>
+`;
+
+const u16=v=>{const b=Buffer.alloc(2);b.writeUInt16LE(v);return b;};
+const u32=v=>{const b=Buffer.alloc(4);b.writeUInt32LE(v);return b;};
+const u64=v=>{const b=Buffer.alloc(8);b.writeBigUInt64LE(BigInt(v));return b;};
+const MAX=0xFFFFFFFF;
+
+// files: [{name,data?:string}] (no data → directory entry)
+export function buildZip(files,{method=8,descriptor=false,zip64=false,comment=""}={}){
+  const parts=[],cd=[];let off=0;
+  const put=b=>{parts.push(b);off+=b.length;};
+  for(const f of files){
+    const name=Buffer.from(f.name),raw=Buffer.from(f.data??"");
+    const m=f.data==null?0:method;
+    const data=m===8?deflateRawSync(raw):raw,crc=crc32(raw),flags=descriptor?0x8:0;
+    const localOff=off;
+    const lExtra=zip64?Buffer.concat([u16(1),u16(16),u64(raw.length),u64(data.length)]):Buffer.alloc(0);
+    const [lc,ls,lu]=descriptor?[0,0,0]:zip64?[crc,MAX,MAX]:[crc,data.length,raw.length];
+    put(Buffer.concat([u32(0x04034b50),u16(zip64?45:20),u16(flags),u16(m),u16(0),u16(0x5821),u32(lc),u32(ls),u32(lu),u16(name.length),u16(lExtra.length),name,lExtra]));
+    put(data);
+    if(descriptor)put(Buffer.concat([u32(0x08074b50),u32(crc),u32(data.length),u32(raw.length)]));
+    const cExtra=zip64?Buffer.concat([u16(1),u16(24),u64(raw.length),u64(data.length),u64(localOff)]):Buffer.alloc(0);
+    cd.push(Buffer.concat([u32(0x02014b50),u16(zip64?45:20),u16(zip64?45:20),u16(flags),u16(m),u16(0),u16(0x5821),u32(crc),
+      u32(zip64?MAX:data.length),u32(zip64?MAX:raw.length),u16(name.length),u16(cExtra.length),u16(0),u16(0),u16(0),u32(f.data==null?0x10:0),
+      u32(zip64?MAX:localOff),name,cExtra]));
+  }
+  const cdOff=off,cdBuf=Buffer.concat(cd);put(cdBuf);
+  const n=files.length;
+  if(zip64){
+    const z64Off=off;
+    put(Buffer.concat([u32(0x06064b50),u64(44),u16(45),u16(45),u32(0),u32(0),u64(n),u64(n),u64(cdBuf.length),u64(cdOff)]));
+    put(Buffer.concat([u32(0x07064b50),u32(0),u64(z64Off),u32(1)]));
+  }
+  const c=Buffer.from(comment);
+  put(Buffer.concat([u32(0x06054b50),u16(0),u16(0),u16(zip64?0xFFFF:n),u16(zip64?0xFFFF:n),u32(zip64?MAX:cdBuf.length),u32(zip64?MAX:cdOff),u16(c.length),c]));
+  return Buffer.concat(parts);
+}
+
+if(import.meta.url===`file://${process.argv[1]}`){
+  const dir=new URL(".",import.meta.url);
+  const ah=[{name:"apple_health_export/"},{name:"apple_health_export/export.xml",data:XML}];
+  const out={
+    "stored.zip":buildZip(ah,{method:0,comment:"Exported from a test fixture. ".repeat(34)}),
+    "deflate.zip":buildZip(ah),
+    "descriptor.zip":buildZip(ah,{descriptor:true}),
+    "zip64.zip":buildZip(ah,{zip64:true}),
+    "method12.zip":buildZip([{name:"export.xml",data:XML}],{method:12}),
+    "renamed.zip":buildZip([{name:"__MACOSX/My Health/._export.xml",data:"fork"},{name:"__MACOSX/My Health/export.xml",data:"fork"},{name:"My Health/export.xml",data:XML}]),
+  };
+  Object.entries(out).forEach(([f,b])=>writeFileSync(new URL(f,dir),b));
+}
@@ -0,0 +1,52 @@
+// ── importers.js: export detection and parsing ───────────────────────────
+// ZIP fixtures are written by test/fixtures/make-zips.mjs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openAsBlob } from "node:fs";
+import { isAppleHealthZip, parseAH, isGoogleFitZip, isFitbitZip, parseGF } from "../src/importers.js";
+import { buildZip } from "./fixtures/make-zips.mjs";
+
+const fixture=async name=>new File([await openAsBlob(new URL(`./fixtures/${name}`,import.meta.url))],name);
+
+test("Apple Health: detect and parse agree on where export.xml lives", async()=>{
+  for(const name of ["deflate.zip","descriptor.zip","renamed.zip"]){
+    const zip=await fixture(name);
+    assert.equal(await isAppleHealthZip(zip),true,name);
+    const{entries}=await parseAH(zip);
+    assert.deepEqual(entries.map(e=>[e.metricId,e.date,e.value]),[["rhr","2024-03-01",58],["rhr","2024-03-02",60]],name);
+  }
+});
+
+test("Apple Health: a ZIP whose only export.xml is a macOS resource fork is not an export", async()=>{
+  const zip=new File([buildZip([{name:"__MACOSX/apple_health_export/export.xml",data:"fork"}])],"export.zip");
+  assert.equal(await isAppleHealthZip(zip),false);
+  await assert.rejects(parseAH(zip),/Could not find export.xml/);
+});
+
+const GF_POINT=JSON.stringify({"Data Points":[{dataTypeName:"com.google.heart_rate.bpm",startTimeNanos:"1709280000000000000",fitValue:[{fpVal:61}]}]});
+const takeout=names=>new File([buildZip(names.map(name=>({name,data:name.endsWith(".json")?GF_POINT:"x"})))],"takeout.zip");
+
+test("Google Fit and Fitbit Takeouts are told apart whichever is tried first", async()=>{
+  const fit=takeout(["Takeout/Fit/All Data/raw_com.google.heart_rate.bpm.json","Takeout/Fit/Daily activity metrics/2024-03-01.csv"]);
+  const fitbit=takeout(["Takeout/Fitbit/Global Export Data/resting_heart_rate-2024-03-01.json","Takeout/Fitbit/Global Export Data/weight-2024-03-01.json"]);
+  const legacy=takeout(["MyFitbitData/Jane/Physical Activity/resting_heart_rate-2024-03-01.json"]);
+  assert.deepEqual([await isGoogleFitZip(fit),await isFitbitZip(fit)],[true,false]);
+  assert.deepEqual([await isGoogleFitZip(fitbit),await isFitbitZip(fitbit)],[false,true]);
+  assert.deepEqual([await isGoogleFitZip(legacy),await isFitbitZip(legacy)],[false,true]);
+  const{entries}=await parseGF(fit);
+  assert.deepEqual(entries.map(e=>[e.metricId,e.value]),[["rhr",61]]);
+});
+
+test("Google Fit sleep: asleep stages summed per source per wake-up day, overlapping sources not added", async()=>{
+  const ns=iso=>String(BigInt(Date.parse(iso))*1000000n);
+  const seg=(a,b,stage)=>({dataTypeName:"com.google.sleep.segment",startTimeNanos:ns(a),endTimeNanos:ns(b),fitValue:[{intVal:stage}]});
+  const night=[seg("2024-03-01T23:00:00Z","2024-03-02T02:00:00Z",4),seg("2024-03-02T02:00:00Z","2024-03-02T02:30:00Z",1),
+    seg("2024-03-02T02:30:00Z","2024-03-02T04:00:00Z",5),seg("2024-03-02T04:00:00Z","2024-03-02T06:30:00Z",6),seg("2024-03-02T06:30:00Z","2024-03-02T07:00:00Z",3)];
+  const zip=new File([buildZip([
+    {name:"Takeout/Fit/All Data/raw_com.google.sleep.segment_com.example.json",data:JSON.stringify({"Data Points":night})},
+    {name:"Takeout/Fit/All Data/derived_com.google.sleep.segment_merged.json",data:JSON.stringify({"Data Points":night.slice(0,3)})},
+  ])],"takeout.zip");
+  const{entries,counts}=await parseGF(zip);
+  assert.deepEqual(entries.map(e=>[e.metricId,e.date,e.value]),[["sleep","2024-03-02",7]]);
+  assert.deepEqual(counts,{sleep:1});
+});
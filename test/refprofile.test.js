@@ -0,0 +1,35 @@
+// ── refprofile.js: applying and validating custom reference profiles ──────
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MB } from "../src/metrics.js";
+import { applyOverride, overrideErrors } from "../src/refprofile.js";
+
+const copy=(id,sex="female")=>JSON.parse(JSON.stringify(MB[id][sex]));
+const SLEEP=[{label:"Short",lo:4,hi:5.5},{label:"Fair",lo:5.5,hi:6},{label:"Good",lo:6,hi:7},{label:"Optimal",lo:7,hi:8.5}];
+
+test("custom sleep bands keep the chart ceiling for the Long band", ()=>{
+  assert.deepEqual(overrideErrors("sleep","female",{ranges:SLEEP}),[]);
+  const sc=applyOverride(copy("sleep"),{ranges:SLEEP});
+  assert.equal(sc.cMin,4);
+  assert.equal(sc.cMax,12);
+  assert.deepEqual(sc.over,MB.sleep.female.over);
+  assert.deepEqual(sc.ranges.map(r=>r.c),MB.sleep.female.ranges.map(r=>r.c));
+  assert.equal(sc.custom,true);
+});
+
+test("without an over band the ceiling is the top custom band", ()=>{
+  const R=[{label:"Poor",lo:20,hi:28},{label:"Fair",lo:28,hi:34},{label:"Good",lo:34,hi:40},{label:"Excellent",lo:40,hi:60}];
+  const sc=applyOverride(copy("vo2max"),{ranges:R,opt:{min:40,max:55}});
+  assert.deepEqual([sc.cMin,sc.cMax],[20,60]);
+  assert.deepEqual(sc.opt,{min:40,max:55});
+  assert.equal(sc.ageBand,undefined);
+});
+
+test("no override leaves the defaults alone", ()=>{
+  assert.deepEqual(applyOverride(copy("sleep"),null),copy("sleep"));
+});
+
+test("diastolic only takes KDM parameters", ()=>{
+  assert.deepEqual(overrideErrors("dbp","male",{ranges:SLEEP}),["diastolic only takes KDM parameters"]);
+  assert.deepEqual(overrideErrors("dbp","male",{kdm:{k:0.5,q:10,s:8}}),[]);
+});
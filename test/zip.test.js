@@ -0,0 +1,65 @@
+// ── zip.js: the ZIP layouts real exports use ─────────────────────────────
+// Fixtures are written by test/fixtures/make-zips.mjs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { openAsBlob } from "node:fs";
+import { listZipEntries, openZipEntry } from "../src/zip.js";
+import { XML } from "./fixtures/make-zips.mjs";
+
+const fixture=name=>openAsBlob(new URL(`./fixtures/${name}`,import.meta.url));
+const text=async stream=>new Response(stream).text();
+const xmlEntry=entries=>entries.find(e=>e.name==="apple_health_export/export.xml");
+
+test("stored entries open as-is, past a long archive comment", async()=>{
+  const zip=await fixture("stored.zip");
+  const entries=await listZipEntries(zip);
+  assert.deepEqual(entries.map(e=>[e.name,e.dir]),[["apple_health_export/",true],["apple_health_export/export.xml",false]]);
+  const e=xmlEntry(entries);
+  assert.equal(e.compression,0);
+  assert.equal(e.uncompSize,XML.length);
+  assert.equal(await text(await openZipEntry(zip,e)),XML);
+});
+
+test("deflated entries are inflated", async()=>{
+  const zip=await fixture("deflate.zip");
+  const e=xmlEntry(await listZipEntries(zip));
+  assert.equal(e.compression,8);
+  assert.ok(e.compSize<e.uncompSize);
+  assert.equal(await text(await openZipEntry(zip,e)),XML);
+});
+
+test("data descriptor (flag bit 3): sizes come from the central directory", async()=>{
+  const zip=await fixture("descriptor.zip");
+  const e=xmlEntry(await listZipEntries(zip));
+  assert.equal(e.dataDescriptor,true);
+  assert.equal(e.uncompSize,XML.length);
+  const progress=[];
+  assert.equal(await text(await openZipEntry(zip,e,(n,of)=>progress.push([n,of]))),XML);
+  assert.deepEqual(progress.at(-1),[e.compSize,e.compSize]);
+});
+
+test("ZIP64: sizes and offset from the extra field, directory via the ZIP64 EOCD", async()=>{
+  const zip=await fixture("zip64.zip");
+  const entries=await listZipEntries(zip);
+  assert.equal(entries.length,2);
+  const e=xmlEntry(entries);
+  assert.equal(e.zip64,true);
+  assert.equal(e.uncompSize,XML.length);
+  assert.ok(e.localOff>0);
+  assert.equal(await text(await openZipEntry(zip,e)),XML);
+});
+
+test("unsupported compression is listed but refuses to open", async()=>{
+  const zip=await fixture("method12.zip");
+  const [e]=await listZipEntries(zip);
+  assert.equal(e.compression,12);
+  await assert.rejects(openZipEntry(zip,e),/Unsupported ZIP compression method 12/);
+});
+
+test("not a ZIP, or cut short", async()=>{
+  await assert.rejects(listZipEntries(new Blob(["just some text, no zip here"])),/EOCD record not found/);
+  const zip=await fixture("deflate.zip");
+  // Drop the local data but keep the EOCD: the directory now points past the end
+  const bytes=new Uint8Array(await zip.arrayBuffer());
+  await assert.rejects(listZipEntries(new Blob([bytes.subarray(300)])),/central directory is truncated/);
+});